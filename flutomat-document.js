@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Flutomat NG - Design Documents
+ * Versioned JSON documents holding a complete flute design: the engine design, the form
+ * settings used to produce it (key, scale, tuning...) and the computed results.
+ * Loaded by index.html after the engine, tuning, optimizer, ergonomics, sensitivity and session modules (exposed as `Flutomat.FluteDocument`)
+ * and usable from Node with `require('./flutomat-document.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./flutomat-engine.js'), require('./flutomat-tuning.js'), require('./flutomat-optimizer.js'),
+            require('./flutomat-ergonomics.js'), require('./flutomat-sensitivity.js'), require('./flutomat-session.js')));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine, FluteTuning, FluteDiameterOptimizer, FluteErgonomics, FluteSensitivity, FluteTuningSession, HAND_PRESETS, SCALES } = Flutomat;
+
+    /** @const {string} Identifies Flutomat design documents. */
+    const DOCUMENT_FORMAT = 'flutomat-design';
+    /** @const {number} Current document version. Bump it, and migrate in `parse`, when the layout changes. */
+    const DOCUMENT_VERSION = 1;
+    /** @const {string[]} Temperaments understood by `FluteTuning`. */
+    const TEMPERAMENTS = ['equal', 'just', 'meantone', 'scala'];
+    /** @const {string[]} Solvers: `FluteEngine` and `FluteImpedanceModel`. */
+    const SOLVERS = ['quadratic', 'transferMatrix'];
+    /** @const {string[]} States of a finger hole in a fingering chart (`FluteHoleState`). */
+    const HOLE_STATES = ['open', 'closed', 'half'];
+
+    /**
+     * @typedef {object} FluteSettings
+     * Form settings that are not part of the engine design. Every property is optional.
+     * @property {'design' | 'analysis'} [mode] - Calculation mode.
+     * @property {'quadratic' | 'transferMatrix'} [solver] - Model used for the calculation.
+     * @property {'C' | 'F'} [temperatureUnit] - Unit the temperature is displayed in.
+     * @property {number} [key] - MIDI note number of the lowest note.
+     * @property {string} [scale] - Key of `SCALES`, or 'custom'.
+     * @property {string} [customIntervals] - Interval list of the custom scale, as typed.
+     * @property {number} [referenceFrequency] - Frequency of A4 in Hz.
+     * @property {'equal' | 'just' | 'meantone' | 'scala'} [temperament] - Temperament.
+     * @property {ScalaTuning} [scalaTuning] - Tuning of the 'scala' temperament.
+     * @property {number} [endCentOffset] - Cent offset of the end note.
+     * @property {number[]} [holeCentOffsets] - Cent offset of each hole note.
+     * @property {FluteChartFingering[]} [fingeringChart] - Fingerings whose registers are predicted.
+     * @property {number} [octaveToleranceCents] - Second registers further than this from the octave are flagged.
+     * @property {FluteDiameterConstraints} [diameterConstraints] - Constraints of the hole diameter optimizer.
+     * @property {string} [handSize] - Key of `HAND_PRESETS` the hand was taken from, or 'custom'.
+     * @property {FluteHand} [hand] - Hand measurements of the finger reach check, in design units.
+     * @property {string[]} [fingers] - Finger covering each hole (index 0 = hole 1), from `FINGERS` or '' for none.
+     * @property {FluteTolerances} [tolerances] - Drilling tolerances of the Monte Carlo simulation.
+     * @property {FluteTuningSessionState} [tuningSession] - Measured notes and recorded iterations of the tuning session.
+     */
+
+    /**
+     * @typedef {object} FluteChartFingering
+     * A row of the fingering chart.
+     * @property {string} name - Name of the fingering, e.g. 'C natural (forked)'.
+     * @property {FluteHoleState[]} holes - The state of each hole (index 0 = hole 1), one per hole of the design.
+     */
+
+    /**
+     * @typedef {object} FluteDocumentData
+     * @property {string} format - Always `DOCUMENT_FORMAT`.
+     * @property {number} version - Document version.
+     * @property {string} [name] - Name of the design.
+     * @property {string} savedAt - ISO 8601 date of the export.
+     * @property {FluteDesign} design - The design, as given to `FluteEngine`.
+     * @property {FluteSettings} settings - The form settings.
+     * @property {FluteEngineResult|FluteAnalysisResult|null} results - The last computed results (informative, recomputed on import).
+     */
+
+    /**
+     * @typedef {object} FluteDocumentError
+     * @property {string} field - The invalid field, e.g. 'format', 'settings.key' or a `FluteEngine.validateDesign` field.
+     * @property {number} [holeIndex] - The 0-based index of the hole, for hole fields.
+     * @property {number} [pointIndex] - The 0-based index of the point, for bore profile fields.
+     * @property {string} message - Human readable description of the problem.
+     */
+
+    /**
+     * Creates, validates and parses design documents.
+     * @class
+     */
+    class FluteDocument {
+        /**
+         * Builds a document from a design, its settings and results.
+         * @param {object} parts
+         * @param {FluteDesign} parts.design - The design.
+         * @param {FluteSettings} [parts.settings={}] - The form settings.
+         * @param {FluteEngineResult|FluteAnalysisResult|null} [parts.results=null] - The computed results.
+         * @param {string} [parts.name] - Name of the design.
+         * @returns {FluteDocumentData} The document.
+         */
+        static create({ design, settings = {}, results = null, name }) {
+            const document = {
+                format: DOCUMENT_FORMAT,
+                version: DOCUMENT_VERSION,
+            };
+            if (name) {
+                document.name = name;
+            }
+            document.savedAt = new Date().toISOString();
+            // Copies, so that later changes to the form state don't leak into the document
+            document.design = JSON.parse(JSON.stringify(design));
+            document.settings = JSON.parse(JSON.stringify(settings));
+            document.results = results ? JSON.parse(JSON.stringify(results)) : null;
+            return document;
+        }
+
+        /**
+         * Serializes a document as indented JSON.
+         * @param {FluteDocumentData} document - The document.
+         * @returns {string} The JSON text.
+         */
+        static stringify(document) {
+            return JSON.stringify(document, null, 2);
+        }
+
+        /**
+         * Encodes the design and settings of a document for a URL (base64url of the JSON, UTF-8).
+         * The results and dates are left out: they are recomputed when the link is opened.
+         * @param {FluteDocumentData} document - The document.
+         * @returns {string} The encoded document, safe in a query string or hash.
+         */
+        static toUrlParameter(document) {
+            const { format, version, design, settings } = document;
+            const bytes = new TextEncoder().encode(JSON.stringify({ format, version, design, settings }));
+            let binary = '';
+            bytes.forEach(byte => binary += String.fromCharCode(byte));
+            return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        }
+
+        /**
+         * Decodes and validates a document encoded by `toUrlParameter`.
+         * @param {string} text - The encoded document.
+         * @returns {FluteDocumentData} The document.
+         * @throws {Error} If the text can't be decoded or the document is invalid.
+         */
+        static parseUrlParameter(text) {
+            let json;
+            try {
+                const binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+                json = new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+                JSON.parse(json); // A truncated link decodes, but not to JSON
+            } catch (e) {
+                throw new Error('The design in the link is damaged (incomplete copy?)');
+            }
+            return FluteDocument.parse(json);
+        }
+
+        /**
+         * Checks a document: its format and version, the settings, and the design with the
+         * same rules as the form (`FluteEngine.validateDesign`, in the document's mode).
+         * @param {*} document - The parsed document.
+         * @returns {FluteDocumentError[]} The problems found, empty if the document is valid.
+         */
+        static validate(document) {
+            if (!document || typeof document !== 'object' || Array.isArray(document)) {
+                return [{ field: 'document', message: 'Document must be a JSON object' }];
+            }
+            if (document.format !== DOCUMENT_FORMAT) {
+                return [{ field: 'format', message: `Not a Flutomat design (format: ${document.format})` }];
+            }
+            if (!Number.isInteger(document.version) || document.version < 1) {
+                return [{ field: 'version', message: `Invalid document version: ${document.version}` }];
+            }
+            if (document.version > DOCUMENT_VERSION) {
+                return [{ field: 'version', message: `Document version ${document.version} is newer than this calculator supports (${DOCUMENT_VERSION})` }];
+            }
+
+            const settings = document.settings ?? {};
+            if (typeof settings !== 'object' || Array.isArray(settings)) {
+                return [{ field: 'settings', message: 'Settings must be an object' }];
+            }
+            const errors = FluteDocument.validateSettings(settings, document.design?.holes?.length ?? 0);
+            errors.push(...FluteEngine.validateDesign(document.design, settings.mode ?? 'design'));
+            return errors;
+        }
+
+        /**
+         * Checks the form settings of a document.
+         * @param {FluteSettings} settings - The settings.
+         * @param {number} holeCount - Number of holes in the design.
+         * @returns {FluteDocumentError[]} The problems found.
+         */
+        static validateSettings(settings, holeCount) {
+            const errors = [];
+            const fail = (field, value) => errors.push({ field: `settings.${field}`, message: `Invalid value for ${field}: ${JSON.stringify(value)}` });
+            const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+            if (settings.mode !== undefined && settings.mode !== 'design' && settings.mode !== 'analysis') {
+                fail('mode', settings.mode);
+            }
+            if (settings.solver !== undefined && !SOLVERS.includes(settings.solver)) {
+                fail('solver', settings.solver);
+            }
+            if (settings.temperatureUnit !== undefined && settings.temperatureUnit !== 'C' && settings.temperatureUnit !== 'F') {
+                fail('temperatureUnit', settings.temperatureUnit);
+            }
+            if (settings.key !== undefined && !(Number.isInteger(settings.key) && settings.key >= 0 && settings.key <= 127)) {
+                fail('key', settings.key);
+            }
+            if (settings.referenceFrequency !== undefined && !(isNumber(settings.referenceFrequency) && settings.referenceFrequency > 0)) {
+                fail('referenceFrequency', settings.referenceFrequency);
+            }
+            if (settings.endCentOffset !== undefined && !isNumber(settings.endCentOffset)) {
+                fail('endCentOffset', settings.endCentOffset);
+            }
+            if (settings.holeCentOffsets !== undefined
+                && !(Array.isArray(settings.holeCentOffsets) && settings.holeCentOffsets.length <= holeCount && settings.holeCentOffsets.every(isNumber))) {
+                fail('holeCentOffsets', settings.holeCentOffsets);
+            }
+            if (settings.fingeringChart !== undefined && !(Array.isArray(settings.fingeringChart)
+                && settings.fingeringChart.every(fingering => fingering && typeof fingering.name === 'string'
+                    && Array.isArray(fingering.holes) && fingering.holes.length === holeCount
+                    && fingering.holes.every(state => HOLE_STATES.includes(state))))) {
+                fail('fingeringChart', settings.fingeringChart);
+            }
+            if (settings.octaveToleranceCents !== undefined && !(isNumber(settings.octaveToleranceCents) && settings.octaveToleranceCents >= 0)) {
+                fail('octaveToleranceCents', settings.octaveToleranceCents);
+            }
+            if (settings.diameterConstraints !== undefined && FluteDiameterOptimizer.validateConstraints(settings.diameterConstraints, holeCount).length > 0) {
+                fail('diameterConstraints', settings.diameterConstraints);
+            }
+            if (settings.tolerances !== undefined && FluteSensitivity.validateTolerances(settings.tolerances).length > 0) {
+                fail('tolerances', settings.tolerances);
+            }
+            if (settings.tuningSession !== undefined && FluteTuningSession.validateSession(settings.tuningSession).length > 0) {
+                fail('tuningSession', settings.tuningSession);
+            }
+            if (settings.handSize !== undefined && settings.handSize !== 'custom' && !Object.hasOwn(HAND_PRESETS, settings.handSize)) {
+                fail('handSize', settings.handSize);
+            }
+            if (settings.hand !== undefined || settings.fingers !== undefined) {
+                const hand = settings.hand ?? { spans: [1, 1, 1], fingerWidth: 1 }; // Each is optional: check the other alone
+                const fields = new Set(FluteErgonomics.validate(hand, settings.fingers ?? [], holeCount)
+                    .map(error => error.field === 'fingers' ? 'fingers' : 'hand'));
+                fields.forEach(field => fail(field, settings[field]));
+            }
+
+            const scalaTuning = settings.scalaTuning;
+            if (scalaTuning !== undefined && !(scalaTuning && typeof scalaTuning.description === 'string'
+                && Array.isArray(scalaTuning.cents) && scalaTuning.cents.length > 0 && scalaTuning.cents.every(isNumber)
+                && scalaTuning.cents[scalaTuning.cents.length - 1] > 0)) {
+                fail('scalaTuning', scalaTuning);
+            }
+            if (settings.temperament !== undefined && !TEMPERAMENTS.includes(settings.temperament)) {
+                fail('temperament', settings.temperament);
+            } else if (settings.temperament === 'scala' && scalaTuning === undefined) {
+                errors.push({ field: 'settings.scalaTuning', message: 'The Scala temperament needs a scalaTuning' });
+            }
+
+            if (settings.scale !== undefined && settings.scale !== 'custom' && !Object.hasOwn(SCALES, settings.scale)) {
+                fail('scale', settings.scale);
+            }
+            if (settings.customIntervals !== undefined) {
+                const stepsPerOctave = settings.temperament === 'scala' && Array.isArray(scalaTuning?.cents) ? scalaTuning.cents.length : 12;
+                try {
+                    FluteTuning.parseIntervals(settings.customIntervals, stepsPerOctave);
+                } catch (e) {
+                    // Only an error when the custom scale is in use, the editor may hold a draft otherwise
+                    if (settings.scale === 'custom') {
+                        errors.push({ field: 'settings.customIntervals', message: e.message });
+                    }
+                }
+            }
+            return errors;
+        }
+
+        /**
+         * Parses and validates a JSON document.
+         * @param {string} text - The JSON text.
+         * @returns {FluteDocumentData} The document, with `settings` defaulting to an empty object.
+         * @throws {Error} If the text is not JSON or the document is invalid, listing every problem.
+         */
+        static parse(text) {
+            let document;
+            try {
+                document = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`Not a valid JSON file: ${e.message}`);
+            }
+
+            const errors = FluteDocument.validate(document);
+            if (errors.length > 0) {
+                throw new Error("Invalid design document:\n- " + errors.map(error => error.message).join("\n- "));
+            }
+            document.settings = document.settings ?? {};
+            document.results = document.results ?? null;
+            return document;
+        }
+    }
+
+    return { FluteDocument, DOCUMENT_FORMAT, DOCUMENT_VERSION };
+}));
@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Flutomat NG - Drilling Template
+ * Draws the flute at true 1:1 scale from the calculated positions (not from the canvas): the tube outline, the
+ * bore, the embouchure and every hole with its center mark, the cork face and its range, and labelled dimensions
+ * from the open end. Written as SVG, for printing, or as DXF (AutoCAD R12), for CNC machines and laser cutters.
+ * Loaded by index.html after the engine (exposed as `Flutomat.FluteDrawing`) and usable from Node with
+ * `require('./flutomat-drawing.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./flutomat-engine.js'));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine } = Flutomat;
+
+    /**
+     * @typedef {object} FluteDrawingShape
+     * A shape of the template, in design units. X is the distance from the open end, negated (the embouchure is
+     * on the left, as on the page); Y goes up from the axis of the tube.
+     * @property {'line' | 'polyline' | 'circle' | 'text'} type - Kind of shape.
+     * @property {string} layer - Key of the layer, in `LAYERS`.
+     * @property {'DASHED'} [lineType] - Line type, when not the layer's.
+     * @property {number} [x1] - Start of a line.
+     * @property {number} [y1] - Start of a line.
+     * @property {number} [x2] - End of a line.
+     * @property {number} [y2] - End of a line.
+     * @property {{x: number, y: number}[]} [points] - Corners of a polyline.
+     * @property {boolean} [closed] - Whether a polyline is closed.
+     * @property {number} [x] - Center of a circle, left end of the baseline of a text.
+     * @property {number} [y] - Center of a circle, baseline of a text.
+     * @property {number} [radius] - Radius of a circle.
+     * @property {number} [height] - Height of a text.
+     * @property {string} [text] - Contents of a text.
+     */
+
+    /**
+     * Layers of the template, with their DXF color number and line type, and their SVG color.
+     * @const {Object<string, {name: string, color: number, lineType: string, stroke: string}>}
+     */
+    const LAYERS = {
+        outline: { name: 'OUTLINE', color: 7, lineType: 'CONTINUOUS', stroke: 'black' },
+        bore: { name: 'BORE', color: 8, lineType: 'DASHED', stroke: '#888888' },
+        axis: { name: 'AXIS', color: 1, lineType: 'CENTER', stroke: '#cc0000' },
+        holes: { name: 'HOLES', color: 7, lineType: 'CONTINUOUS', stroke: 'black' },
+        keys: { name: 'KEYS', color: 5, lineType: 'CONTINUOUS', stroke: '#0000cc' },
+        cork: { name: 'CORK', color: 30, lineType: 'CONTINUOUS', stroke: '#6b4428' },
+        dimensions: { name: 'DIMENSIONS', color: 3, lineType: 'CONTINUOUS', stroke: '#666666' },
+    };
+
+    /**
+     * Writes a number for a file: at most 6 decimals, without a negative zero.
+     * @param {number} value - The number.
+     * @returns {string} The text.
+     */
+    function formatNumber(value) {
+        const rounded = Number(value.toFixed(6));
+        return String(rounded === 0 ? 0 : rounded);
+    }
+
+    /**
+     * Escapes a text for XML.
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    function escapeXml(text) {
+        return text.replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+    }
+
+    /**
+     * Drilling template of a calculated (or analyzed) design.
+     * @class
+     */
+    class FluteDrawing {
+        /**
+         * Creates the template of a design.
+         * @param {FluteDesign} design - The design: its bore, wall, embouchure and hole angles.
+         * @param {FluteEngineResult|FluteAnalysisResult} result - Its positions, from either solver.
+         * @param {{title?: string}} [options] - A title written above the flute.
+         */
+        constructor(design, result, options = {}) {
+            // --- Configuration Constants ---
+            /** @const {number} Height of the dimension texts, in millimetres. */
+            this.TEXT_HEIGHT_MM = 3;
+            /** @const {number} Distance between the dimension lines, in millimetres. */
+            this.DIMENSION_SPACING_MM = 8;
+            /** @const {number} Blank border around the drawing, in millimetres. */
+            this.MARGIN_MM = 10;
+            /** @const {number} Half the length of the arms of a center mark, in millimetres. */
+            this.CENTER_MARK_MM = 2;
+            /** @const {number} Length of the tick at each end of a dimension line, in millimetres. */
+            this.TICK_MM = 1.5;
+            /** @const {number} Width of the SVG lines, in millimetres. */
+            this.LINE_WIDTH_MM = 0.15;
+            /** @const {number[]} Dashes and gaps of the dashed lines, in millimetres. */
+            this.DASHED_PATTERN_MM = [3, 1.5];
+            /** @const {number[]} Dashes and gaps of the center lines, in millimetres. */
+            this.CENTER_PATTERN_MM = [8, 1.5, 1.5, 1.5];
+            /** @const {number} Length of the scale check bar, in millimetres (4 inches in inches). */
+            this.SCALE_BAR_MM = 100;
+            /** @const {number} Number of segments of an oval embouchure. */
+            this.OVAL_SEGMENTS = 72;
+
+            this.design = design;
+            this.result = result;
+            this.title = options.title ?? '';
+            /** @type {'cm' | 'inches'} */
+            this.units = design.units;
+            /** @type {number} Design units in a millimetre. */
+            this.unitsPerMillimetre = design.units === 'cm' ? 0.1 : 1 / 25.4;
+            /** @type {number} Decimals of the dimensions, as on the page. */
+            this.digits = design.units === 'cm' ? 2 : 3;
+        }
+
+        /**
+         * Draws a design as an SVG file.
+         * @param {FluteDesign} design - The design.
+         * @param {FluteEngineResult|FluteAnalysisResult} result - Its positions.
+         * @param {{title?: string}} [options] - As for the constructor.
+         * @returns {string} The file contents.
+         */
+        static toSvg(design, result, options) {
+            return new FluteDrawing(design, result, options).toSvg();
+        }
+
+        /**
+         * Draws a design as a DXF file.
+         * @param {FluteDesign} design - The design.
+         * @param {FluteEngineResult|FluteAnalysisResult} result - Its positions.
+         * @param {{title?: string}} [options] - As for the constructor.
+         * @returns {string} The file contents.
+         */
+        static toDxf(design, result, options) {
+            return new FluteDrawing(design, result, options).toDxf();
+        }
+
+        /**
+         * Converts millimetres to design units.
+         * @param {number} millimetres - The length in millimetres.
+         * @returns {number} The length in design units.
+         */
+        mm(millimetres) {
+            return millimetres * this.unitsPerMillimetre;
+        }
+
+        /**
+         * Bore diameter at a distance from the open end.
+         * @param {number} position - Distance from the open end.
+         * @returns {number} The diameter.
+         */
+        getBoreDiameterAt(position) {
+            return FluteEngine.getBoreDiameterAt(this.design.boreProfile ?? [], position, FluteEngine.toNumber(this.design.boreDiameter));
+        }
+
+        /**
+         * Length of the tube, as on the page: up to the cork face at its farthest calculated position, with room
+         * for the cork itself.
+         * @returns {number} The length.
+         */
+        getLength() {
+            return this.result.embouchurePhysicalPosition + this.result.stopper.maxCorkDistance
+                + FluteEngine.toNumber(this.design.embouchureDiameter) / 2;
+        }
+
+        /**
+         * Lists the shapes of the template.
+         * @returns {FluteDrawingShape[]} The shapes.
+         * @throws {Error} If a position or the cork is missing from the result.
+         */
+        getShapes() {
+            const { result, design, digits, units } = this;
+            const wallThickness = FluteEngine.toNumber(design.wallThickness);
+            const embouchureDiameter = FluteEngine.toNumber(design.embouchureDiameter);
+            const features = [
+                { label: 'Embouchure', position: result.embouchurePhysicalPosition },
+                ...result.holes.map((hole, i) => ({ label: `Hole ${i + 1}`, position: hole.physicalPosition })),
+                ...result.keys.map((key, j) => ({ label: `Key ${j + 1}`, position: key.physicalPosition })),
+                { label: 'The cork', position: result.stopper?.maxCorkDistance },
+            ];
+            const missing = features.find(feature => !Number.isFinite(feature.position));
+            if (missing) {
+                throw new Error(`Cannot draw the template: ${missing.label} has no position.`);
+            }
+
+            const length = this.getLength();
+            const toX = (position) => 0 - position; // Not -0 at the open end
+            const outerRadiusAt = (position) => this.getBoreDiameterAt(position) / 2 + wallThickness;
+            const innerPoints = (design.boreProfile ?? []).filter(point => point.position > 0 && point.position < length);
+            const outline = [0, ...innerPoints.map(point => point.position), length];
+            const maxOuterRadius = Math.max(...outline.map(outerRadiusAt));
+            const shapes = [];
+            const line = (layer, x1, y1, x2, y2, lineType) => shapes.push({ type: 'line', layer, x1, y1, x2, y2, ...(lineType && { lineType }) });
+            const text = (layer, x, y, contents) => shapes.push({ type: 'text', layer, x, y, height: this.mm(this.TEXT_HEIGHT_MM), text: contents });
+            const centerMark = (layer, x) => {
+                const arm = this.mm(this.CENTER_MARK_MM);
+                line(layer, x - arm, 0, x + arm, 0);
+                line(layer, x, -arm, x, arm);
+            };
+
+            // Tube: the outer wall, following the bore profile, and the bore itself
+            shapes.push({
+                type: 'polyline', layer: 'outline', closed: true,
+                points: [
+                    ...outline.map(position => ({ x: toX(position), y: outerRadiusAt(position) })),
+                    ...[...outline].reverse().map(position => ({ x: toX(position), y: -outerRadiusAt(position) })),
+                ],
+            });
+            [-1, 1].forEach(side => shapes.push({
+                type: 'polyline', layer: 'bore', closed: false,
+                points: outline.map(position => ({ x: toX(position), y: side * this.getBoreDiameterAt(position) / 2 })),
+            }));
+            const overhang = this.mm(this.MARGIN_MM) / 2;
+            line('axis', overhang, 0, toX(length) - overhang, 0);
+
+            // Embouchure: round, oval or rectangular, with its minor axis along the tube
+            const embouchureX = toX(result.embouchurePhysicalPosition);
+            const shape = design.embouchureShape ?? 'round';
+            const halfWidth = FluteEngine.toNumber(design.embouchureMinorAxis ?? embouchureDiameter) / 2;
+            const halfHeight = embouchureDiameter / 2;
+            if (shape === 'round') {
+                shapes.push({ type: 'circle', layer: 'holes', x: embouchureX, y: 0, radius: halfHeight });
+            } else if (shape === 'rectangular') {
+                shapes.push({
+                    type: 'polyline', layer: 'holes', closed: true,
+                    points: [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({ x: embouchureX + sx * halfWidth, y: sy * halfHeight })),
+                });
+            } else {
+                shapes.push({
+                    type: 'polyline', layer: 'holes', closed: true,
+                    points: Array.from({ length: this.OVAL_SEGMENTS }, (_, k) => {
+                        const angle = 2 * Math.PI * k / this.OVAL_SEGMENTS;
+                        return { x: embouchureX + halfWidth * Math.cos(angle), y: halfHeight * Math.sin(angle) };
+                    }),
+                });
+            }
+            centerMark('holes', embouchureX);
+
+            // Finger holes and keyed holes, with their center marks
+            result.holes.forEach(hole => {
+                shapes.push({ type: 'circle', layer: 'holes', x: toX(hole.physicalPosition), y: 0, radius: hole.diameter / 2 });
+                centerMark('holes', toX(hole.physicalPosition));
+            });
+            result.keys.forEach(key => {
+                shapes.push({ type: 'circle', layer: 'keys', x: toX(key.physicalPosition), y: 0, radius: key.diameter / 2 });
+                centerMark('keys', toX(key.physicalPosition));
+            });
+
+            // Cork: the recommended face, and the range it may go in (dashed)
+            const { corkDistance, minCorkDistance, maxCorkDistance } = result.stopper;
+            [[corkDistance], [minCorkDistance, 'DASHED'], [maxCorkDistance, 'DASHED']].forEach(([distance, lineType]) => {
+                const position = result.embouchurePhysicalPosition + distance;
+                const radius = this.getBoreDiameterAt(position) / 2;
+                line('cork', toX(position), -radius, toX(position), radius, lineType);
+            });
+
+            // Dimensions: from the open end, one line per feature below the tube, and the cork above it
+            const spacing = this.mm(this.DIMENSION_SPACING_MM);
+            const tick = this.mm(this.TICK_MM) / 2;
+            const textGap = this.mm(1);
+            // The extension lines go from the tube to just past the dimension line, the open end's once for all
+            const dimension = (fromPosition, toPosition, y, contents, edge) => {
+                const [x1, x2] = [toX(fromPosition), toX(toPosition)];
+                line('dimensions', x1, y, x2, y);
+                [x1, x2].forEach(x => line('dimensions', x - tick, y - tick, x + tick, y + tick)); // Architectural ticks
+                (fromPosition === 0 ? [toPosition] : [fromPosition, toPosition])
+                    .forEach(position => line('dimensions', toX(position), edge * outerRadiusAt(position), toX(position), y + edge * tick));
+                text('dimensions', Math.min(x1, x2) + textGap, y + textGap, contents);
+            };
+            const format = (value) => `${value.toFixed(digits)} ${units}`;
+            const dimensionLines = [
+                ...result.holes.map((hole, i) => {
+                    const angle = FluteEngine.toNumber(design.holes[i]?.angle ?? 0);
+                    const roll = FluteEngine.calculateRollDistance(angle, outerRadiusAt(hole.physicalPosition) * 2);
+                    const rotation = angle !== 0 ? ` ; ${angle}° (roll ${format(roll)})` : '';
+                    return [hole.physicalPosition, `Hole ${i + 1}: ${format(hole.physicalPosition)} ; Ø ${format(hole.diameter)}${rotation}`];
+                }),
+                ...result.keys.map((key, j) => [key.physicalPosition, `Key ${j + 1}: ${format(key.physicalPosition)} ; Ø ${format(key.diameter)}`]),
+                [result.embouchurePhysicalPosition, `Embouchure: ${format(result.embouchurePhysicalPosition)} ; `
+                    + (shape === 'round' ? `Ø ${format(embouchureDiameter)}` : `${shape} ${embouchureDiameter.toFixed(digits)} × ${(halfWidth * 2).toFixed(digits)} ${units}`)],
+                [length, `Flute length: ${format(length)}`],
+            ];
+            const lowestY = -maxOuterRadius - spacing * dimensionLines.length;
+            line('dimensions', 0, -outerRadiusAt(0), 0, lowestY - tick);
+            dimensionLines.forEach(([position, contents], k) => dimension(0, position, -maxOuterRadius - spacing * (k + 1), contents, -1));
+            dimension(result.embouchurePhysicalPosition, result.embouchurePhysicalPosition + corkDistance, maxOuterRadius + spacing,
+                `Cork: ${format(corkDistance)} from the embouchure (${minCorkDistance.toFixed(digits)} to ${format(maxCorkDistance)})`, 1);
+
+            // Title, and a bar of known length to check the scale of a print
+            const topY = maxOuterRadius + spacing * 2;
+            const barLength = units === 'cm' ? this.mm(this.SCALE_BAR_MM) : 4;
+            const barLabel = units === 'cm' ? `${formatNumber(barLength)} cm` : '4 in';
+            line('dimensions', toX(length), topY, toX(length) + barLength, topY);
+            [0, barLength].forEach(offset => line('dimensions', toX(length) + offset, topY - tick, toX(length) + offset, topY + tick));
+            text('dimensions', toX(length), topY + textGap, `Scale 1:1 - this bar is ${barLabel}${this.title ? ` - ${this.title}` : ''}`);
+            return shapes;
+        }
+
+        /**
+         * Bounds of shapes, with the width of the texts estimated from their length.
+         * @param {FluteDrawingShape[]} shapes - The shapes.
+         * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The bounds.
+         */
+        getBounds(shapes) {
+            const points = shapes.flatMap(shape => {
+                switch (shape.type) {
+                    case 'line': return [{ x: shape.x1, y: shape.y1 }, { x: shape.x2, y: shape.y2 }];
+                    case 'polyline': return shape.points;
+                    case 'circle': return [{ x: shape.x - shape.radius, y: shape.y - shape.radius }, { x: shape.x + shape.radius, y: shape.y + shape.radius }];
+                    default: return [{ x: shape.x, y: shape.y }, { x: shape.x + shape.text.length * shape.height * 0.6, y: shape.y + shape.height }];
+                }
+            });
+            return {
+                minX: Math.min(...points.map(point => point.x)),
+                minY: Math.min(...points.map(point => point.y)),
+                maxX: Math.max(...points.map(point => point.x)),
+                maxY: Math.max(...points.map(point => point.y)),
+            };
+        }
+
+        /**
+         * Writes the template as SVG, sized in centimetres or inches so that it prints at 1:1 scale.
+         * @returns {string} The file contents.
+         * @throws {Error} If the template can't be drawn.
+         */
+        toSvg() {
+            const shapes = this.getShapes();
+            const margin = this.mm(this.MARGIN_MM);
+            const bounds = this.getBounds(shapes);
+            const width = bounds.maxX - bounds.minX + 2 * margin;
+            const height = bounds.maxY - bounds.minY + 2 * margin;
+            const cssUnit = this.units === 'cm' ? 'cm' : 'in';
+            const n = formatNumber;
+            const dashes = (pattern) => pattern.map(length => n(this.mm(length))).join(' ');
+            const dashArrays = { DASHED: dashes(this.DASHED_PATTERN_MM), CENTER: dashes(this.CENTER_PATTERN_MM) };
+
+            // SVG's Y goes down
+            const toSvgShape = (shape) => {
+                const dash = shape.lineType ? ` stroke-dasharray="${dashArrays[shape.lineType]}"` : '';
+                switch (shape.type) {
+                    case 'line':
+                        return `<line x1="${n(shape.x1)}" y1="${n(-shape.y1)}" x2="${n(shape.x2)}" y2="${n(-shape.y2)}"${dash}/>`;
+                    case 'polyline':
+                        return `<${shape.closed ? 'polygon' : 'polyline'} points="${shape.points.map(point => `${n(point.x)},${n(-point.y)}`).join(' ')}"${dash}/>`;
+                    case 'circle':
+                        return `<circle cx="${n(shape.x)}" cy="${n(-shape.y)}" r="${n(shape.radius)}"${dash}/>`;
+                    default:
+                        return `<text x="${n(shape.x)}" y="${n(-shape.y)}" font-size="${n(shape.height)}" stroke="none" fill="black">${escapeXml(shape.text)}</text>`;
+                }
+            };
+            const groups = Object.entries(LAYERS).map(([key, layer]) => {
+                const dash = dashArrays[layer.lineType] ? ` stroke-dasharray="${dashArrays[layer.lineType]}"` : '';
+                const contents = shapes.filter(shape => shape.layer === key).map(shape => `    ${toSvgShape(shape)}`).join('\n');
+                return `  <g id="${layer.name.toLowerCase()}" stroke="${layer.stroke}"${dash}>\n${contents}\n  </g>`;
+            });
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${n(width)}${cssUnit}" height="${n(height)}${cssUnit}" `
+                    + `viewBox="${n(bounds.minX - margin)} ${n(-bounds.maxY - margin)} ${n(width)} ${n(height)}" `
+                    + `fill="none" stroke-width="${n(this.mm(this.LINE_WIDTH_MM))}" font-family="Verdana, sans-serif">`,
+                ...groups,
+                '</svg>',
+                '',
+            ].join('\n');
+        }
+
+        /**
+         * Writes the template as DXF (AutoCAD R12, read by every CAD and CAM program), in design units, with the
+         * origin at the center of the open end: the X of a hole is minus its distance from the open end.
+         * R12 has no header variable for the units, so the reader has to be told them on import.
+         * @returns {string} The file contents.
+         * @throws {Error} If the template can't be drawn.
+         */
+        toDxf() {
+            const shapes = this.getShapes();
+            const bounds = this.getBounds(shapes);
+            const codes = [];
+            const add = (...pairs) => {
+                for (let i = 0; i < pairs.length; i += 2) {
+                    codes.push(String(pairs[i]), typeof pairs[i + 1] === 'number' ? formatNumber(pairs[i + 1]) : pairs[i + 1]);
+                }
+            };
+            // R12 files are ASCII: AutoCAD's control codes for the diameter and degree signs
+            const toDxfText = (text) => text.replace(/Ø/g, '%%c').replace(/°/g, '%%d').replace(/×/g, 'x').replace(/[^\x20-\x7e]/g, '?');
+
+            add(0, 'SECTION', 2, 'HEADER',
+                9, '$ACADVER', 1, 'AC1009',
+                9, '$EXTMIN', 10, bounds.minX, 20, bounds.minY, 30, 0,
+                9, '$EXTMAX', 10, bounds.maxX, 20, bounds.maxY, 30, 0,
+                0, 'ENDSEC');
+
+            const lineTypes = [
+                ['CONTINUOUS', 'Solid line', []],
+                ['DASHED', 'Dashed __ __ __', this.DASHED_PATTERN_MM],
+                ['CENTER', 'Center ____ _ ____', this.CENTER_PATTERN_MM],
+            ];
+            add(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LTYPE', 70, lineTypes.length);
+            lineTypes.forEach(([name, description, pattern]) => {
+                const lengths = pattern.map(length => this.mm(length));
+                add(0, 'LTYPE', 2, name, 70, 0, 3, description, 72, 65, 73, lengths.length, 40, lengths.reduce((sum, length) => sum + length, 0));
+                lengths.forEach((length, i) => add(49, i % 2 === 0 ? length : -length)); // Gaps are negative
+            });
+            add(0, 'ENDTAB', 0, 'TABLE', 2, 'LAYER', 70, Object.keys(LAYERS).length);
+            Object.values(LAYERS).forEach(layer => add(0, 'LAYER', 2, layer.name, 70, 0, 62, layer.color, 6, layer.lineType));
+            add(0, 'ENDTAB', 0, 'ENDSEC');
+
+            add(0, 'SECTION', 2, 'ENTITIES');
+            shapes.forEach(shape => {
+                const layer = LAYERS[shape.layer].name;
+                const lineType = shape.lineType ? [6, shape.lineType] : [];
+                switch (shape.type) {
+                    case 'line':
+                        add(0, 'LINE', 8, layer, ...lineType, 10, shape.x1, 20, shape.y1, 30, 0, 11, shape.x2, 21, shape.y2, 31, 0);
+                        break;
+                    case 'polyline':
+                        add(0, 'POLYLINE', 8, layer, ...lineType, 66, 1, 70, shape.closed ? 1 : 0, 10, 0, 20, 0, 30, 0);
+                        shape.points.forEach(point => add(0, 'VERTEX', 8, layer, 10, point.x, 20, point.y, 30, 0));
+                        add(0, 'SEQEND', 8, layer);
+                        break;
+                    case 'circle':
+                        add(0, 'CIRCLE', 8, layer, ...lineType, 10, shape.x, 20, shape.y, 30, 0, 40, shape.radius);
+                        break;
+                    default:
+                        add(0, 'TEXT', 8, layer, 10, shape.x, 20, shape.y, 30, 0, 40, shape.height, 1, toDxfText(shape.text));
+                }
+            });
+            add(0, 'ENDSEC', 0, 'EOF');
+            return codes.join('\n') + '\n';
+        }
+    }
+
+    return { FluteDrawing };
+}));
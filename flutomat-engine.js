@@ -0,0 +1,1404 @@
+/**
+ * @fileoverview Flutomat NG - Calculation Engine
+ * DOM-free implementation of the acoustic model: takes a plain design object and
+ * returns hole positions plus diagnostics. Loaded by index.html (exposed as
+ * `Flutomat.FluteEngine`) and usable from Node with `require('./flutomat-engine.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * @typedef {object} FluteDesignHole
+     * @property {number} frequency - Target frequency in Hz when this is the first open hole.
+     * @property {number} diameter - Diameter of the hole in design units.
+     * @property {number} [position] - Measured distance of the hole center from the open end (analysis only).
+     * @property {number} [angle] - Rotation of the hole around the tube from the main line, in degrees between -180
+     *     and 180, positive towards the player. It only changes where the hole is drilled, not the acoustics.
+     * @property {number} [undercutDiameter] - Diameter of an undercut hole where it meets the bore; the hole widens
+     *     evenly from `diameter` at the outside. Defaults to `diameter` (no undercut).
+     * @property {number} [chamferDepth=0] - Depth of a 45 degree bevel around the top of the hole, below the outside of the tube.
+     */
+
+    /**
+     * @typedef {object} FluteDesignKey
+     * A keyed hole, closed at rest, that opens for a single note (such as an E flat or a G sharp key). It opens with
+     * the finger holes of the lower notes open and the others closed, so it sits between their holes.
+     * @property {number} frequency - Target frequency in Hz when the key is open, above the end note.
+     * @property {number} diameter - Diameter of the hole in design units.
+     * @property {number} [position] - Measured distance of the hole center from the open end (analysis only).
+     */
+
+    /**
+     * @typedef {object} FluteBorePoint
+     * @property {number} position - Distance from the open end.
+     * @property {number} diameter - Inner bore diameter at that distance.
+     */
+
+    /**
+     * @typedef {object} FluteDesign
+     * @property {'cm' | 'inches'} units - The unit system of every length in the design.
+     * @property {number} temperatureCelsius - Ambient temperature in Celsius.
+     * @property {number} [boreTemperatureCelsius] - Temperature of the air in the bore while playing, in Celsius.
+     *     Defaults to the ambient temperature.
+     * @property {number} [relativeHumidity=0] - Relative humidity of the air in the bore, in percent.
+     * @property {number} [co2Percent=0] - Carbon dioxide in the air in the bore, in percent by volume (about 4 in breath).
+     * @property {number} boreDiameter - Flute bore inner diameter.
+     * @property {number} wallThickness - Flute wall thickness.
+     * @property {number} embouchureDiameter - Embouchure hole diameter; the major axis, across the tube, of an oval or
+     *     rectangular embouchure.
+     * @property {'kosel' | 'chimney'} [embouchureModel='kosel'] - How the embouchure correction is calculated: Kosel's
+     *     empirical fit for a round hole in the wall, or the chimney model, which uses the embouchure geometry below.
+     * @property {'round' | 'oval' | 'rectangular'} [embouchureShape='round'] - Shape of the embouchure hole (chimney model).
+     * @property {number} [embouchureMinorAxis] - Minor axis, along the tube, of an oval or rectangular embouchure.
+     * @property {number} [embouchureRiserHeight=0] - Height of the lip plate riser above the tube wall (chimney model).
+     * @property {number} [embouchureUndercutAngle=0] - Flare of the hole walls through the tube wall, in degrees from
+     *     the vertical, widening the hole towards the bore (chimney model).
+     * @property {number} endFrequency - Target frequency for the fundamental note (all holes closed) in Hz.
+     * @property {number} [embouchurePosition] - Measured distance of the embouchure center from the open end (analysis only).
+     * @property {FluteDesignHole[]} holes - Finger holes (index 0 = hole 1 lowest pitch).
+     * @property {FluteDesignKey[]} [keys] - Keyed holes, closed in every fingering but their own.
+     * @property {FluteBorePoint[]} [boreProfile] - Bore diameters at increasing distances from the open end, for
+     *     conical and stepped bores. The bore is linear between points, and keeps the first and last diameter beyond
+     *     them; two points at the same distance make a step. Replaces `boreDiameter` when not empty.
+     * @property {number} [registerBalanceCents=0] - Octave stretch the head should give, in cents between -50 and 50:
+     *     positive for octaves wider than pure. Sets the cork position.
+     */
+
+    /**
+     * @typedef {object} FluteHole
+     * @property {number} frequency - Target frequency in Hz when this is the first open hole.
+     * @property {number} diameter - Diameter of the hole in current units.
+     * @property {number} boreDiameter - Bore diameter under the hole in current units.
+     * @property {number} acousticPosition - Calculated acoustic distance from the theoretical start of the air column.
+     * @property {number} physicalPosition - Calculated physical distance from the open end of the flute.
+     */
+
+    /**
+     * @typedef {object} FluteStopper
+     * Where the cork (stopper) closing the head goes: distances of its face from the embouchure center, towards the closed end.
+     * @property {number} corkDistance - Recommended distance, giving the target register balance.
+     * @property {number} minCorkDistance - Nearest distance keeping the balance within the tolerance of the target.
+     * @property {number} maxCorkDistance - Farthest distance keeping the balance within the tolerance of the target.
+     * @property {number} registerBalanceCents - Octave stretch of the head at the recommended distance, averaged over the
+     *     notes: the target, unless the target is out of reach.
+     * @property {number} toleranceCents - The balance tolerance used for the range.
+     */
+
+    /**
+     * @typedef {object} FluteEngineError
+     * @property {string} message - Human readable description of the failure.
+     * @property {number} [holeIndex] - The 0-based index of the hole that could not be solved, if any.
+     * @property {number} [keyIndex] - The 0-based index of the keyed hole that could not be solved, if any.
+     * @property {object} [details] - Intermediate values useful for debugging.
+     */
+
+    /**
+     * @typedef {object} FluteEngineResult
+     * @property {boolean} success - Whether every position could be calculated.
+     * @property {'quadratic' | 'transferMatrix'} solver - The solver that produced the result.
+     * @property {'cm' | 'inches'} units - The unit system of every length in the result.
+     * @property {number} speedOfSound - Speed of sound in units per second.
+     * @property {number} acousticEndX - Acoustic distance of the effective end of the flute from the theoretical start.
+     * @property {number} embouchureAcousticX - Acoustic distance of the embouchure center from the theoretical start.
+     * @property {number} embouchurePhysicalPosition - Physical distance of the embouchure center from the open end.
+     * @property {FluteHole[]} holes - Calculated finger holes (index 0 = hole 1 lowest pitch).
+     * @property {FluteHole[]} keys - Calculated keyed holes, in the order of the design.
+     * @property {FluteStopper} stopper - Recommended cork position.
+     * @property {object} diagnostics - Intermediate corrections and errors.
+     * @property {number} diagnostics.endCorrection - Open end correction.
+     * @property {number[]} diagnostics.closedHoleCorrections - Closed hole correction of each hole.
+     * @property {number[]} diagnostics.keyClosedHoleCorrections - Closed hole correction of each keyed hole.
+     * @property {number[]} diagnostics.effectiveHoleHeights - Effective height t_e of each hole.
+     * @property {number} diagnostics.embouchureCorrection - Embouchure correction.
+     * @property {number} diagnostics.endBoreDiameter - Bore diameter at the open end.
+     * @property {number} diagnostics.embouchureBoreDiameter - Bore diameter under the embouchure.
+     * @property {number[]} diagnostics.holeBoreDiameters - Bore diameter under each hole.
+     * @property {number} diagnostics.endTaperCorrection - Taper correction of the fundamental note.
+     * @property {number[]} diagnostics.holeTaperCorrections - Taper correction of each hole note.
+     * @property {number[]} diagnostics.keyTaperCorrections - Taper correction of each key note.
+     * @property {FluteEngineError[]} diagnostics.errors - Reasons why the calculation failed, empty on success.
+     */
+
+    /**
+     * @typedef {object} FlutePrediction
+     * @property {number} targetFrequency - Target frequency in Hz, NaN if none was given.
+     * @property {number} predictedFrequency - Frequency in Hz the fingering is predicted to sound.
+     * @property {number} deviationCents - Predicted deviation from the target in cents, NaN without a target.
+     */
+
+    /**
+     * @typedef {object} FluteAnalysisResult
+     * @property {boolean} success - Whether every frequency could be predicted.
+     * @property {'quadratic' | 'transferMatrix'} solver - The model that produced the result.
+     * @property {'cm' | 'inches'} units - The unit system of every length in the result.
+     * @property {number} speedOfSound - Speed of sound in units per second.
+     * @property {number} acousticEndX - Acoustic distance of the effective end of the flute from the theoretical start.
+     * @property {number} embouchureAcousticX - Acoustic distance of the embouchure center from the theoretical start.
+     * @property {number} embouchurePhysicalPosition - Measured distance of the embouchure center from the open end.
+     * @property {FlutePrediction} end - Prediction for the fundamental note (all holes closed).
+     * @property {(FluteHole & FlutePrediction)[]} holes - Predictions for each finger hole as the first open hole.
+     * @property {(FluteHole & FlutePrediction)[]} keys - Predictions for each keyed hole, opened alone.
+     * @property {FluteStopper} stopper - Recommended cork position for the measured embouchure.
+     * @property {object} diagnostics - Intermediate corrections and errors, as in {@link FluteEngineResult}.
+     */
+
+    /**
+     * Pure acoustic model of a transverse flute.
+     * @class
+     */
+    class FluteEngine {
+        /**
+         * Creates an engine for a single design. Missing or invalid values become NaN
+         * and make the calculation fail instead of throwing.
+         * @param {FluteDesign} design - The design to calculate.
+         */
+        constructor(design) {
+            // --- Configuration Constants ---
+            /** @const {number} Standard acoustic end correction factor (dimensionless). */
+            this.END_CORRECTION_FACTOR = 0.6133;
+            /** @const {number} Factor for effective hole height extension (dimensionless). */
+            this.HOLE_HEIGHT_EXTENSION_FACTOR = 0.75;
+            /** @const {number} Meters to inches conversion. */
+            this.M_TO_INCH = 39.3701;
+            /** @const {number} Number of slices of the air column in the taper correction integral. */
+            this.TAPER_INTEGRATION_STEPS = 64;
+            /** @const {number} Maximum number of passes when positions and local bore diameters depend on each other. */
+            this.MAX_BORE_ITERATIONS = 50;
+            /** @const {number} Passes stop when no position moves more than this, in current units. */
+            this.BORE_CONVERGENCE_TOLERANCE = 1e-9;
+            /** @const {number} The cork tolerance keeps the register balance this close to its target, in cents. */
+            this.STOPPER_TOLERANCE_CENTS = 5;
+            /** @const {number} Bisection steps of the cork distance search. */
+            this.STOPPER_SEARCH_STEPS = 60;
+            /** @const {number} Part of the embouchure opening covered by the lower lip, in the chimney model. */
+            this.EMBOUCHURE_LIP_COVERAGE = 0.25;
+            /** @const {number} Number of slices of a flared (undercut or chamfered) chimney. */
+            this.CHIMNEY_INTEGRATION_STEPS = 32;
+            /** @const {number} Pressure of the air in the bore, in pascals. */
+            this.ATMOSPHERIC_PRESSURE_PA = 101325;
+            /**
+             * @const {Object<string, {molarMass: number, heatCapacity: number}>} Gases of breath air: molar mass in
+             * kg/mol and molar heat capacity at constant pressure over the gas constant.
+             */
+            this.BREATH_GASES = {
+                air: { molarMass: 0.0289647, heatCapacity: 3.5 },
+                water: { molarMass: 0.018015, heatCapacity: 4.04 },
+                co2: { molarMass: 0.04401, heatCapacity: 4.47 },
+            };
+
+            // --- Design ---
+            /** @type {'cm' | 'inches'} The unit system of the design. */
+            this.units = design.units === 'cm' ? 'cm' : 'inches';
+            /** @type {number} Ambient temperature in Celsius. */
+            this.temperatureCelsius = FluteEngine.toNumber(design.temperatureCelsius);
+            /** @type {number} Temperature of the air in the bore in Celsius. */
+            this.boreTemperatureCelsius = design.boreTemperatureCelsius === undefined ? this.temperatureCelsius : FluteEngine.toNumber(design.boreTemperatureCelsius);
+            /** @type {number} Relative humidity of the air in the bore, in percent. */
+            this.relativeHumidity = design.relativeHumidity === undefined ? 0 : FluteEngine.toNumber(design.relativeHumidity);
+            /** @type {number} Carbon dioxide in the air in the bore, in percent by volume. */
+            this.co2Percent = design.co2Percent === undefined ? 0 : FluteEngine.toNumber(design.co2Percent);
+            /** @type {number} Flute bore inner diameter in current units. */
+            this.boreDiameter = FluteEngine.toNumber(design.boreDiameter);
+            /** @type {FluteBorePoint[]} Bore profile of a conical or stepped bore, empty for a cylindrical bore. */
+            this.boreProfile = (Array.isArray(design.boreProfile) ? design.boreProfile : []).map(point => ({
+                position: FluteEngine.toNumber(point?.position),
+                diameter: FluteEngine.toNumber(point?.diameter),
+            }));
+            /** @type {number} Flute wall thickness in current units. */
+            this.wallThickness = FluteEngine.toNumber(design.wallThickness);
+            /** @type {number} Embouchure hole diameter in current units; the major axis of an oval or rectangular embouchure. */
+            this.embouchureDiameter = FluteEngine.toNumber(design.embouchureDiameter);
+            /** @type {'kosel' | 'chimney'} Model of the embouchure correction. */
+            this.embouchureModel = design.embouchureModel === 'chimney' ? 'chimney' : 'kosel';
+            /** @type {'round' | 'oval' | 'rectangular'} Shape of the embouchure hole. */
+            this.embouchureShape = ['oval', 'rectangular'].includes(design.embouchureShape) ? design.embouchureShape : 'round';
+            /** @type {number} Minor axis of the embouchure, along the tube, in current units; the diameter of a round one. */
+            this.embouchureMinorAxis = this.embouchureShape === 'round' ? this.embouchureDiameter : FluteEngine.toNumber(design.embouchureMinorAxis);
+            /** @type {number} Height of the lip plate riser in current units. */
+            this.embouchureRiserHeight = design.embouchureRiserHeight === undefined ? 0 : FluteEngine.toNumber(design.embouchureRiserHeight);
+            /** @type {number} Undercut of the embouchure walls, in degrees from the vertical. */
+            this.embouchureUndercutAngle = design.embouchureUndercutAngle === undefined ? 0 : FluteEngine.toNumber(design.embouchureUndercutAngle);
+            /** @type {number} Target frequency for the fundamental note (all holes closed) in Hz. */
+            this.endFrequency = FluteEngine.toNumber(design.endFrequency);
+            const toHole = (hole) => ({
+                frequency: FluteEngine.toNumber(hole?.frequency),
+                diameter: FluteEngine.toNumber(hole?.diameter),
+                boreDiameter: this.boreDiameter,
+                measuredPosition: FluteEngine.toNumber(hole?.position),
+                acousticPosition: NaN,
+                physicalPosition: NaN,
+            });
+            /** @type {FluteHole[]} Array storing data for each finger hole (index 0 = hole 1 lowest pitch). */
+            this.holes = (Array.isArray(design.holes) ? design.holes : []).map(hole => ({
+                ...toHole(hole),
+                undercutDiameter: hole?.undercutDiameter === undefined ? FluteEngine.toNumber(hole?.diameter) : FluteEngine.toNumber(hole.undercutDiameter),
+                chamferDepth: hole?.chamferDepth === undefined ? 0 : FluteEngine.toNumber(hole.chamferDepth),
+            }));
+            /** @type {FluteHole[]} Keyed holes, closed except for their own note. */
+            this.keys = (Array.isArray(design.keys) ? design.keys : []).map(toHole);
+            /** @type {number} Number of finger holes. */
+            this.holeCount = this.holes.length;
+            /** @type {number} Measured distance of the embouchure center from the open end, for analysis. */
+            this.measuredEmbouchurePosition = FluteEngine.toNumber(design.embouchurePosition);
+            /** @type {number} Target octave stretch of the head in cents, for the cork position. */
+            this.registerBalanceCents = design.registerBalanceCents === undefined ? 0 : FluteEngine.toNumber(design.registerBalanceCents);
+            /** @type {number} Bore diameter at the open end, for the end correction. */
+            this.endBoreDiameter = this.boreDiameter;
+            /** @type {number} Bore diameter under the embouchure, for the embouchure correction. */
+            this.embouchureBoreDiameter = this.boreDiameter;
+
+            // --- Results ---
+            /** @type {number} Speed of sound in the current unit system (cm/s or inches/s). */
+            this.speedOfSound = NaN;
+            /** @type {number} Speed of sound in dry air at the ambient temperature, in the current unit system. */
+            this.ambientSpeedOfSound = NaN;
+            /** @type {number} Calculated acoustic distance of the effective end of the flute from the theoretical start. */
+            this.acousticEndX = NaN;
+            /** @type {number} Calculated acoustic distance of the embouchure center from the theoretical start. */
+            this.embouchureAcousticX = NaN;
+            /** @type {number} Calculated physical distance of the embouchure center from the open end. */
+            this.embouchurePhysicalPosition = NaN;
+            /** @type {number} Predicted frequency of the fundamental note (all holes closed) in Hz, for analysis. */
+            this.predictedEndFrequency = NaN;
+            /** @type {{end: number, holes: number[], keys: number[]}} Taper corrections of the last calculation, zero for a cylindrical bore. */
+            this.taperCorrections = { end: 0, holes: this.holes.map(() => 0), keys: this.keys.map(() => 0) };
+            /** @type {FluteEngineError[]} Errors collected by the last calculation. */
+            this.errors = [];
+
+            this.calculateSpeedOfSound();
+        }
+
+        /**
+         * Convenience wrapper: calculates a design in one call.
+         * @param {FluteDesign} design - The design to calculate.
+         * @returns {FluteEngineResult} The calculated positions and diagnostics.
+         */
+        static calculate(design) {
+            return new FluteEngine(design).calculate();
+        }
+
+        /**
+         * Convenience wrapper: predicts the frequencies of a measured flute in one call.
+         * @param {FluteDesign} design - The design, with measured `embouchurePosition` and hole `position`s.
+         * @returns {FluteAnalysisResult} The predicted frequencies and diagnostics.
+         */
+        static analyze(design) {
+            return new FluteEngine(design).analyze();
+        }
+
+        /**
+         * Interval between two frequencies.
+         * @param {number} frequency - The frequency in Hz.
+         * @param {number} referenceFrequency - The reference frequency in Hz.
+         * @returns {number} The interval in cents, positive when `frequency` is sharp.
+         */
+        static centsBetween(frequency, referenceFrequency) {
+            return 1200 * Math.log2(frequency / referenceFrequency);
+        }
+
+        /**
+         * Bore diameter of a profile at a distance from the open end, linear between the points.
+         * @param {FluteBorePoint[]} boreProfile - The profile, sorted by position. Empty for a cylindrical bore.
+         * @param {number} position - Distance from the open end.
+         * @param {number} boreDiameter - Diameter of a cylindrical bore, returned when the profile is empty.
+         * @returns {number} The bore diameter.
+         */
+        static getBoreDiameterAt(boreProfile, position, boreDiameter) {
+            if (boreProfile.length === 0) {
+                return boreDiameter;
+            }
+            if (position <= boreProfile[0].position) {
+                return boreProfile[0].diameter;
+            }
+            for (let i = 1; i < boreProfile.length; i++) {
+                const next = boreProfile[i];
+                if (position < next.position) {
+                    const previous = boreProfile[i - 1];
+                    const fraction = (position - previous.position) / (next.position - previous.position);
+                    return previous.diameter + fraction * (next.diameter - previous.diameter);
+                }
+            }
+            return boreProfile[boreProfile.length - 1].diameter;
+        }
+
+        /**
+         * Distance around the outside of the tube between the main line and a rotated hole, to mark it for drilling.
+         * @param {number} angle - Rotation of the hole from the main line, in degrees.
+         * @param {number} outerDiameter - Outer diameter of the tube at the hole.
+         * @returns {number} The arc length, with the sign of the angle.
+         */
+        static calculateRollDistance(angle, outerDiameter) {
+            return angle * Math.PI / 180 * outerDiameter / 2;
+        }
+
+        /**
+         * Converts a design value to a number. Anything but a finite number or numeric string becomes NaN.
+         * @param {*} value - The raw value.
+         * @returns {number} The numeric value or NaN.
+         */
+        static toNumber(value) {
+            if (typeof value === 'string' && value.trim() !== '') {
+                value = Number(value);
+            }
+            return (typeof value === 'number' && isFinite(value)) ? value : NaN;
+        }
+
+        /**
+         * Checks a design against the input rules of the calculator.
+         * In 'analysis' mode the measured positions are required instead of the target frequencies,
+         * which become optional.
+         * @param {FluteDesign} design - The design to validate.
+         * @param {'design' | 'analysis'} [mode='design'] - Which calculation the design is meant for.
+         * @returns {{field: string, holeIndex?: number, keyIndex?: number, pointIndex?: number, message: string}[]} The problems found, empty if the design is valid.
+         */
+        static validateDesign(design, mode = 'design') {
+            const errors = [];
+            if (!design || typeof design !== 'object') {
+                return [{ field: 'design', message: 'Design must be an object' }];
+            }
+
+            if (design.units !== 'cm' && design.units !== 'inches') {
+                errors.push({ field: 'units', message: `Invalid value for units: ${design.units}` });
+            }
+            if (isNaN(FluteEngine.toNumber(design.temperatureCelsius))) {
+                errors.push({ field: 'temperatureCelsius', message: `Invalid value for temperatureCelsius: ${design.temperatureCelsius}` });
+            }
+            if (design.boreTemperatureCelsius !== undefined && !(FluteEngine.toNumber(design.boreTemperatureCelsius) > -273.15 && FluteEngine.toNumber(design.boreTemperatureCelsius) <= 60)) {
+                errors.push({ field: 'boreTemperatureCelsius', message: `Invalid value for boreTemperatureCelsius: ${design.boreTemperatureCelsius} (up to 60 °C)` });
+            }
+            if (design.relativeHumidity !== undefined && !(FluteEngine.toNumber(design.relativeHumidity) >= 0 && FluteEngine.toNumber(design.relativeHumidity) <= 100)) {
+                errors.push({ field: 'relativeHumidity', message: `Invalid value for relativeHumidity: ${design.relativeHumidity} (from 0 to 100 %)` });
+            }
+            if (design.co2Percent !== undefined && !(FluteEngine.toNumber(design.co2Percent) >= 0 && FluteEngine.toNumber(design.co2Percent) <= 20)) {
+                errors.push({ field: 'co2Percent', message: `Invalid value for co2Percent: ${design.co2Percent} (from 0 to 20 %)` });
+            }
+
+            const isAnalysis = mode === 'analysis';
+            const isPositive = (value) => FluteEngine.toNumber(value) > 0;
+            // Targets are optional when analysing a measured flute
+            const isValidFrequency = (value) => isPositive(value) || (isAnalysis && (value === undefined || value === null || value === ''));
+
+            ['boreDiameter', 'wallThickness', 'embouchureDiameter'].forEach(field => {
+                if (!isPositive(design[field])) {
+                    errors.push({ field, message: `Invalid value for ${field}: ${design[field]}` });
+                }
+            });
+            if (!isValidFrequency(design.endFrequency)) {
+                errors.push({ field: 'endFrequency', message: `Invalid value for endFrequency: ${design.endFrequency}` });
+            }
+            if (isAnalysis && !isPositive(design.embouchurePosition)) {
+                errors.push({ field: 'embouchurePosition', message: `Invalid value for embouchurePosition: ${design.embouchurePosition}` });
+            }
+            if (design.embouchureModel !== undefined && !['kosel', 'chimney'].includes(design.embouchureModel)) {
+                errors.push({ field: 'embouchureModel', message: `Invalid value for embouchureModel: ${design.embouchureModel}` });
+            }
+            if (design.embouchureShape !== undefined && !['round', 'oval', 'rectangular'].includes(design.embouchureShape)) {
+                errors.push({ field: 'embouchureShape', message: `Invalid value for embouchureShape: ${design.embouchureShape}` });
+            }
+            if (['oval', 'rectangular'].includes(design.embouchureShape)
+                && !(isPositive(design.embouchureMinorAxis) && FluteEngine.toNumber(design.embouchureMinorAxis) <= FluteEngine.toNumber(design.embouchureDiameter))) {
+                errors.push({ field: 'embouchureMinorAxis', message: `Invalid value for embouchureMinorAxis: ${design.embouchureMinorAxis} (up to the embouchure diameter)` });
+            }
+            if (design.embouchureRiserHeight !== undefined && !(FluteEngine.toNumber(design.embouchureRiserHeight) >= 0)) {
+                errors.push({ field: 'embouchureRiserHeight', message: `Invalid value for embouchureRiserHeight: ${design.embouchureRiserHeight}` });
+            }
+            if (design.embouchureUndercutAngle !== undefined && !(FluteEngine.toNumber(design.embouchureUndercutAngle) >= 0 && FluteEngine.toNumber(design.embouchureUndercutAngle) < 45)) {
+                errors.push({ field: 'embouchureUndercutAngle', message: `Invalid value for embouchureUndercutAngle: ${design.embouchureUndercutAngle} (from 0 to 45 degrees)` });
+            }
+            if (design.registerBalanceCents !== undefined && !(Math.abs(FluteEngine.toNumber(design.registerBalanceCents)) <= 50)) {
+                errors.push({ field: 'registerBalanceCents', message: `Invalid value for registerBalanceCents: ${design.registerBalanceCents} (between -50 and 50 cents)` });
+            }
+            if (design.boreProfile !== undefined && !Array.isArray(design.boreProfile)) {
+                errors.push({ field: 'boreProfile', message: 'The bore profile must be a list of points' });
+            }
+            (Array.isArray(design.boreProfile) ? design.boreProfile : []).forEach((point, i) => {
+                const position = FluteEngine.toNumber(point?.position);
+                const previousPosition = i > 0 ? FluteEngine.toNumber(design.boreProfile[i - 1]?.position) : 0;
+                if (!(position >= previousPosition)) {
+                    errors.push({ field: 'boreProfilePosition', pointIndex: i, message: `Invalid position for bore point ${i + 1}: ${point?.position} (points must go up from the open end)` });
+                }
+                if (!isPositive(point?.diameter)) {
+                    errors.push({ field: 'boreProfileDiameter', pointIndex: i, message: `Invalid diameter for bore point ${i + 1}: ${point?.diameter}` });
+                }
+            });
+
+            if (!Array.isArray(design.holes) || design.holes.length === 0) {
+                errors.push({ field: 'holes', message: 'At least one finger hole is required' });
+                return errors;
+            }
+            design.holes.forEach((hole, i) => {
+                if (!isValidFrequency(hole?.frequency)) {
+                    errors.push({ field: 'frequency', holeIndex: i, message: `Invalid frequency for hole ${i + 1}: ${hole?.frequency}` });
+                }
+                if (!isPositive(hole?.diameter)) {
+                    errors.push({ field: 'diameter', holeIndex: i, message: `Invalid diameter for hole ${i + 1}: ${hole?.diameter}` });
+                }
+                if (hole?.angle !== undefined && !(Math.abs(FluteEngine.toNumber(hole.angle)) <= 180)) {
+                    errors.push({ field: 'angle', holeIndex: i, message: `Invalid angle for hole ${i + 1}: ${hole.angle} (between -180 and 180 degrees)` });
+                }
+                if (hole?.undercutDiameter !== undefined && !(FluteEngine.toNumber(hole.undercutDiameter) >= FluteEngine.toNumber(hole?.diameter))) {
+                    errors.push({ field: 'undercutDiameter', holeIndex: i, message: `Invalid undercut diameter for hole ${i + 1}: ${hole.undercutDiameter} (at least the hole diameter)` });
+                }
+                if (hole?.chamferDepth !== undefined && !(FluteEngine.toNumber(hole.chamferDepth) >= 0 && FluteEngine.toNumber(hole.chamferDepth) < FluteEngine.toNumber(design.wallThickness))) {
+                    errors.push({ field: 'chamferDepth', holeIndex: i, message: `Invalid chamfer depth for hole ${i + 1}: ${hole.chamferDepth} (less than the wall thickness)` });
+                }
+                if (isAnalysis) {
+                    const position = FluteEngine.toNumber(hole?.position);
+                    const previousPosition = i > 0 ? FluteEngine.toNumber(design.holes[i - 1]?.position) : 0;
+                    const embouchurePosition = FluteEngine.toNumber(design.embouchurePosition);
+                    if (!(position > previousPosition) || position >= embouchurePosition) {
+                        errors.push({ field: 'position', holeIndex: i, message: `Invalid position for hole ${i + 1}: ${hole?.position} (holes must go up from the open end towards the embouchure)` });
+                    }
+                }
+            });
+
+            if (design.keys !== undefined && !Array.isArray(design.keys)) {
+                errors.push({ field: 'keys', message: 'The keyed holes must be a list' });
+            }
+            (Array.isArray(design.keys) ? design.keys : []).forEach((key, i) => {
+                const frequency = FluteEngine.toNumber(key?.frequency);
+                const endFrequency = FluteEngine.toNumber(design.endFrequency);
+                // The key note must be above the end note: the hole has to be somewhere on the tube
+                if (!isValidFrequency(key?.frequency) || frequency <= endFrequency) {
+                    errors.push({ field: 'keyFrequency', keyIndex: i, message: `Invalid frequency for key ${i + 1}: ${key?.frequency} (above the end note)` });
+                }
+                if (!isPositive(key?.diameter)) {
+                    errors.push({ field: 'keyDiameter', keyIndex: i, message: `Invalid diameter for key ${i + 1}: ${key?.diameter}` });
+                }
+                if (isAnalysis) {
+                    const position = FluteEngine.toNumber(key?.position);
+                    if (!(position > 0) || position >= FluteEngine.toNumber(design.embouchurePosition)) {
+                        errors.push({ field: 'keyPosition', keyIndex: i, message: `Invalid position for key ${i + 1}: ${key?.position} (between the open end and the embouchure)` });
+                    }
+                }
+            });
+            return errors;
+        }
+
+        /**
+         * Calculates the speed of sound in the air of the bore, based on its temperature, humidity and carbon dioxide, and units.
+         * Formula: V = 331.3 * sqrt(1 + TempC / 273.15) m/s * gas ratio, at the bore temperature
+         * (see `calculateGasSpeedRatio`). Also sets `ambientSpeedOfSound`, for dry air at the ambient temperature.
+         * @returns {number} The speed of sound in units per second, NaN if the temperature is invalid.
+         */
+        calculateSpeedOfSound() {
+            const dryAirSpeedMps = (temperatureCelsius) => 331.3 * Math.sqrt(1 + temperatureCelsius / 273.15);
+            const unitsPerMeter = this.units === 'cm' ? 100 : this.M_TO_INCH; // m/s to cm/s or inches/s
+
+            this.ambientSpeedOfSound = dryAirSpeedMps(this.temperatureCelsius) * unitsPerMeter;
+            this.speedOfSound = dryAirSpeedMps(this.boreTemperatureCelsius) * this.calculateGasSpeedRatio() * unitsPerMeter;
+            return this.speedOfSound;
+        }
+
+        /**
+         * Ratio of the speed of sound in the moist, carbon dioxide rich air of the bore to that in dry air, at the bore
+         * temperature. The gases mix as ideal gases: V = sqrt(gamma * R * T / M), with the molar mass M and the heat
+         * capacity cp (over R) averaged by mole fraction, gamma = cp / (cp - 1), and the water vapour fraction
+         * RH * p_sat(T) / p from Magnus' formula p_sat = 611.2 * exp(17.62 * T / (243.12 + T)) Pa.
+         * Water vapour, lighter than air, speeds sound up; carbon dioxide, heavier, slows it down.
+         * @returns {number} The ratio, 1 for dry air. NaN if input invalid.
+         */
+        calculateGasSpeedRatio() {
+            const { air, water, co2 } = this.BREATH_GASES;
+            const saturationPressure = 611.2 * Math.exp(17.62 * this.boreTemperatureCelsius / (243.12 + this.boreTemperatureCelsius));
+            const waterFraction = this.relativeHumidity / 100 * saturationPressure / this.ATMOSPHERIC_PRESSURE_PA;
+            const co2Fraction = this.co2Percent / 100;
+            const airFraction = 1 - waterFraction - co2Fraction;
+            if (!(airFraction > 0)) return NaN;
+
+            const molarMass = airFraction * air.molarMass + waterFraction * water.molarMass + co2Fraction * co2.molarMass;
+            const heatCapacity = airFraction * air.heatCapacity + waterFraction * water.heatCapacity + co2Fraction * co2.heatCapacity;
+            const gammaOverMass = (cp, mass) => cp / (cp - 1) / mass;
+            return Math.sqrt(gammaOverMass(heatCapacity, molarMass) / gammaOverMass(air.heatCapacity, air.molarMass));
+        }
+
+        /**
+         * How much the air of the bore raises every note compared with dry air at the ambient temperature: the
+         * notes of a given flute scale with the speed of sound.
+         * @returns {number} The shift in cents, 0 for dry air at the ambient temperature.
+         */
+        calculatePitchShiftCents() {
+            return 1200 * Math.log2(this.speedOfSound / this.ambientSpeedOfSound);
+        }
+
+        // --- Acoustic Calculation Functions (Ported and Renamed) ---
+
+        /**
+         * Calculates the effective wall thickness (height of air column at open hole).
+         * Formula: t_e = wall + 0.75 * hole_diameter. An undercut or chamfered hole is the chimney of the same
+         * inertance: t_e = S * inertance, with S the area of the hole diameter (see `calculateChimneyInertance`).
+         * @param {number} holeIndex - The 0-based index of the hole.
+         * @returns {number} The effective thickness in current units. Returns NaN if input invalid.
+         */
+        calculateEffectiveHoleHeight(holeIndex) {
+            return this.calculateEffectiveHeightOf(this.holes[holeIndex]);
+        }
+
+        /**
+         * Effective height of a finger or keyed hole: see `calculateEffectiveHoleHeight`.
+         * @param {FluteHole} hole - The hole.
+         * @returns {number} The effective thickness in current units. Returns NaN if input invalid.
+         */
+        calculateEffectiveHeightOf(hole) {
+            const diameter = hole?.diameter;
+            if (isNaN(this.wallThickness) || isNaN(diameter)) return NaN;
+            if (!this._isFlared(hole)) {
+                return this.wallThickness + this.HOLE_HEIGHT_EXTENSION_FACTOR * diameter;
+            }
+            const area = Math.PI * diameter * diameter / 4;
+            return area * this.calculateChimneyInertance(depth => this.calculateHoleAreaAt(hole, depth), this.wallThickness);
+        }
+
+        /**
+         * Cross-section area of a finger or keyed hole at a depth below the outside of the tube: the widest of the
+         * hole diameter, its chamfer (45 degrees, shrinking to the diameter at the chamfer depth) and its undercut
+         * (widening evenly to the undercut diameter at the bore).
+         * @param {FluteHole} hole - The hole.
+         * @param {number} depth - Depth below the outside of the tube, from 0 to the wall thickness.
+         * @returns {number} The area in square units.
+         */
+        calculateHoleAreaAt(hole, depth) {
+            const chamferDiameter = hole.diameter + 2 * Math.max((hole.chamferDepth ?? 0) - depth, 0);
+            const undercutDiameter = hole.diameter + ((hole.undercutDiameter ?? hole.diameter) - hole.diameter) * depth / this.wallThickness;
+            const diameter = Math.max(chamferDiameter, undercutDiameter);
+            return Math.PI * diameter * diameter / 4;
+        }
+
+        /**
+         * Air volume of a finger or keyed hole through the wall, with its chamfer and undercut.
+         * @param {FluteHole} hole - The hole.
+         * @returns {number} The volume in cubic units. Returns NaN if input invalid.
+         */
+        calculateHoleVolumeOf(hole) {
+            const diameter = hole?.diameter;
+            if (isNaN(this.wallThickness) || isNaN(diameter)) return NaN;
+            if (!this._isFlared(hole)) {
+                return this.wallThickness * Math.PI * diameter * diameter / 4;
+            }
+            const steps = this.CHIMNEY_INTEGRATION_STEPS;
+            const sliceHeight = this.wallThickness / steps;
+            let volume = 0;
+            for (let i = 0; i < steps; i++) {
+                volume += sliceHeight * this.calculateHoleAreaAt(hole, (i + 0.5) * sliceHeight);
+            }
+            return volume;
+        }
+
+        /**
+         * Whether a hole is undercut or chamfered.
+         * @param {FluteHole} hole - The hole.
+         * @returns {boolean} True if the hole is wider than its diameter anywhere in the wall.
+         * @private
+         */
+        _isFlared(hole) {
+            return (hole.undercutDiameter ?? hole.diameter) > hole.diameter || (hole.chamferDepth ?? 0) > 0;
+        }
+
+        /**
+         * Acoustic inertance (per unit of air density) of a chimney of varying cross-section, with the end correction
+         * of a hole of the same area at each end.
+         * Formula: integral over the height of dx / S(x) + e(S_top) + e(S(height)), with e(S) = 0.375 * d(S) / S and
+         * d(S) the diameter of a circle of area S.
+         * @param {function(number): number} areaAt - Cross-section area at a depth below the top of the chimney.
+         * @param {number} height - Height of the chimney.
+         * @param {number} [topArea] - Open area at the top, when it is partly covered. Defaults to `areaAt(0)`.
+         * @returns {number} The inertance in inverse units.
+         */
+        calculateChimneyInertance(areaAt, height, topArea = areaAt(0)) {
+            const endCorrection = (area) => this.HOLE_HEIGHT_EXTENSION_FACTOR / 2 * Math.sqrt(4 * area / Math.PI) / area;
+            const steps = this.CHIMNEY_INTEGRATION_STEPS;
+            const sliceHeight = height / steps;
+            let inertance = endCorrection(topArea) + endCorrection(areaAt(height));
+            for (let i = 0; i < steps; i++) {
+                inertance += sliceHeight / areaAt((i + 0.5) * sliceHeight);
+            }
+            return inertance;
+        }
+
+        /**
+         * Calculates the closed hole correction for a given hole.
+         * This length is added for each closed hole above the first open one.
+         * Formula: C_c = 0.25 * wall * (hole_diameter / bore_diameter)^2, with the bore under the hole; that is, a quarter
+         * of the hole volume over the bore area, which counts the extra volume of an undercut or chamfered hole.
+         * @param {number} holeIndex - The 0-based index of the hole.
+         * @returns {number} The closed hole length correction in current units. Returns NaN if input invalid.
+         */
+        calculateClosedHoleCorrection(holeIndex) {
+            return this.calculateClosedCorrectionOf(this.holes[holeIndex]);
+        }
+
+        /**
+         * Closed hole correction of a finger or keyed hole: see `calculateClosedHoleCorrection`.
+         * @param {FluteHole} hole - The hole.
+         * @returns {number} The closed hole length correction in current units. Returns NaN if input invalid.
+         */
+        calculateClosedCorrectionOf(hole) {
+            const diameter = hole?.diameter;
+            const boreDiameter = hole?.boreDiameter;
+            if (isNaN(this.wallThickness) || isNaN(diameter) || isNaN(boreDiameter) || boreDiameter === 0) {
+                return NaN;
+            }
+            if (!this._isFlared(hole)) {
+                const ratio = diameter / boreDiameter;
+                return 0.25 * this.wallThickness * ratio * ratio;
+            }
+            return 0.25 * this.calculateHoleVolumeOf(hole) / (Math.PI * boreDiameter * boreDiameter / 4);
+        }
+
+        /**
+         * Calculates the open end correction.
+         * Distance from physical end to effective acoustic end.
+         * Formula: C_end = 0.6133 * bore_radius, with the bore at the open end
+         * @returns {number} The end correction length in current units. Returns NaN if input invalid.
+         */
+        calculateEndCorrection() {
+            if (isNaN(this.endBoreDiameter)) return NaN;
+            return this.END_CORRECTION_FACTOR * (this.endBoreDiameter / 2.0);
+        }
+
+        /**
+         * Calculates the effective distance correction for the *first* open tone hole.
+         * Uses Benade's formula involving impedance.
+         * Formula: C_s = te(1) / ( (D(1)/Bore)^2 + te(1)/(Xend - Xf(1)) )
+         * Note: This formula involves Xf(1) which is what we are trying to find, hence the iterative/quadratic approach.
+         * This method is primarily for understanding; the quadratic solver incorporates this logic directly.
+         * @param {number} acousticLengthX - The target acoustic length for the first hole note (Vsound / (2 * F1)).
+         * @param {number} currentGuessXf1 - The current estimate for the first hole's acoustic position.
+         * @returns {number} The first hole correction length. Returns NaN if input invalid.
+         */
+        calculateFirstHoleCorrection_Iterative(acousticLengthX, currentGuessXf1) {
+            return this.calculateFirstHoleCorrectionOf(this.holes[0], currentGuessXf1);
+        }
+
+        /**
+         * First open hole correction C_s of a finger or keyed hole with no open hole below it.
+         * @param {FluteHole} hole - The hole.
+         * @param {number} currentGuessXf1 - The current estimate for the hole's acoustic position.
+         * @returns {number} The correction length. Returns NaN if input invalid.
+         */
+        calculateFirstHoleCorrectionOf(hole, currentGuessXf1) {
+            const te_1 = this.calculateEffectiveHeightOf(hole);
+            const diameter = hole?.diameter;
+            const boreDiameter = hole?.boreDiameter;
+
+            if (isNaN(te_1) || isNaN(diameter) || isNaN(boreDiameter) || isNaN(this.acousticEndX) || isNaN(currentGuessXf1) || boreDiameter === 0) {
+                return NaN;
+            }
+
+            const boreRatioSq = (diameter / boreDiameter) * (diameter / boreDiameter);
+            const lengthDiff = this.acousticEndX - currentGuessXf1;
+
+            // Avoid division by zero or near-zero issues
+            if (Math.abs(lengthDiff) < 1e-9) return NaN; // Or handle appropriately
+
+            return te_1 / (boreRatioSq + te_1 / lengthDiff);
+        }
+
+        /**
+         * Calculates the effective distance correction for subsequent open tone holes (lattice correction).
+         * Formula: C_o(n) = ((Xf(n-1)-Xf(n))/2) * (sqrt(1 + 4*(te(n)/(Xf(n-1)-Xf(n)))*(Bore/D(n))^2) - 1)
+         * Similar to C_s, this depends on Xf(n), making it part of the iterative/quadratic solution.
+         * This method is primarily for understanding.
+         * @param {number} holeIndex - The 0-based index of the current hole (n >= 1).
+         * @param {number} currentGuessXfn - The current estimate for this hole's acoustic position.
+         * @returns {number} The subsequent hole correction length. Returns NaN if input invalid.
+         */
+        calculateSubsequentHoleCorrection_Iterative(holeIndex, currentGuessXfn) {
+            if (holeIndex < 1) return NaN; // Only for holes 2 onwards (index 1+)
+            // Requires previous hole already calculated
+            return this.calculateLatticeCorrectionOf(this.holes[holeIndex], currentGuessXfn, this.holes[holeIndex - 1]?.acousticPosition);
+        }
+
+        /**
+         * Lattice correction C_o of a finger or keyed hole, above an open hole.
+         * @param {FluteHole} hole - The hole.
+         * @param {number} currentGuessXfn - The current estimate for the hole's acoustic position.
+         * @param {number} prevHolePos - Acoustic position of the open hole below it.
+         * @returns {number} The correction length. Returns NaN if input invalid.
+         */
+        calculateLatticeCorrectionOf(hole, currentGuessXfn, prevHolePos) {
+            const te_n = this.calculateEffectiveHeightOf(hole);
+            const diameter_n = hole?.diameter;
+            const boreDiameter_n = hole?.boreDiameter;
+
+            if (isNaN(te_n) || isNaN(diameter_n) || isNaN(prevHolePos) || isNaN(currentGuessXfn) || isNaN(boreDiameter_n) || diameter_n === 0) {
+                return NaN;
+            }
+
+            const holeSpacing = prevHolePos - currentGuessXfn;
+            // Avoid division by zero or sqrt of negative
+            if (Math.abs(holeSpacing) < 1e-9) return NaN;
+
+            const bore_d_ratio_sq = (boreDiameter_n / diameter_n) * (boreDiameter_n / diameter_n);
+            const term = 4 * (te_n / holeSpacing) * bore_d_ratio_sq;
+
+            if (1 + term < 0) return NaN; // Avoid sqrt of negative
+
+            return (holeSpacing / 2.0) * (Math.sqrt(1.0 + term) - 1.0);
+        }
+
+
+        /**
+         * Calculates the embouchure correction with the model of the design (`embouchureModel`).
+         * This represents the distance from the theoretical start of the air column to the effective acoustic center of the embouchure.
+         * @returns {number} The embouchure correction length. Returns NaN if input invalid.
+         */
+        calculateEmbouchureCorrection() {
+            return this.embouchureModel === 'chimney' ? this.calculateEmbouchureCorrection_Chimney() : this.calculateEmbouchureCorrection_Kosel();
+        }
+
+        /**
+         * Calculates the embouchure correction using Kosel's empirical fit, for a round hole in the tube wall.
+         * Formula: C_emb = (Bore/Demb)^2 * 10.84 * wall * Demb / (Bore + 2*wall), with the bore under the embouchure
+         * @returns {number} The embouchure correction length. Returns NaN if input invalid.
+         */
+        calculateEmbouchureCorrection_Kosel() {
+            const boreDiameter = this.embouchureBoreDiameter;
+            if (isNaN(boreDiameter) || isNaN(this.embouchureDiameter) || isNaN(this.wallThickness) ||
+                this.embouchureDiameter === 0 || (boreDiameter + 2 * this.wallThickness) === 0) {
+                return NaN;
+            }
+            const bore_demb_ratio_sq = (boreDiameter / this.embouchureDiameter) * (boreDiameter / this.embouchureDiameter);
+            const numerator = 10.84 * this.wallThickness * this.embouchureDiameter;
+            const denominator = boreDiameter + 2.0 * this.wallThickness;
+
+            return bore_demb_ratio_sq * numerator / denominator;
+        }
+
+        /**
+         * Calculates the embouchure correction of the embouchure as a chimney: the inertance of the air in the hole,
+         * through the riser and the (undercut) wall (see `calculateChimneyInertance`).
+         * The lower lip covers `EMBOUCHURE_LIP_COVERAGE` of the top opening, which lengthens its end correction.
+         * Formula: C_emb = S_bore * (riser / S_top + chimney inertance of the wall with a top area of S_top * (1 - lip)),
+         * with S(x) widening by 2 * x * tan(undercut) along both axes.
+         * @returns {number} The embouchure correction length. Returns NaN if input invalid.
+         */
+        calculateEmbouchureCorrection_Chimney() {
+            const boreDiameter = this.embouchureBoreDiameter;
+            const flare = Math.tan(this.embouchureUndercutAngle * Math.PI / 180);
+            const areaAt = (depth) => {
+                const major = this.embouchureDiameter + 2 * depth * flare;
+                const minor = this.embouchureMinorAxis + 2 * depth * flare;
+                return this.embouchureShape === 'rectangular' ? major * minor : Math.PI * major * minor / 4;
+            };
+            const inertance = this.embouchureRiserHeight / areaAt(0)
+                + this.calculateChimneyInertance(areaAt, this.wallThickness, areaAt(0) * (1 - this.EMBOUCHURE_LIP_COVERAGE));
+            const correction = Math.PI * boreDiameter * boreDiameter / 4 * inertance;
+            return correction > 0 ? correction : NaN;
+        }
+
+        /**
+         * End correction of the embouchure at a frequency, with the stopper cavity behind it.
+         * The embouchure is an inertance giving C_emb at low frequencies, in parallel with the cavity, a tube of
+         * the bore closed by the cork: cot(k * D) = 1 / (k * C_emb) - tan(k * d), with k = 2 * pi * F / Vsound.
+         * Without a cavity the correction shrinks as the frequency rises, widening the octaves; the cavity makes it grow.
+         * @param {number} frequency - Frequency in Hz.
+         * @param {number} corkDistance - Distance of the cork face from the embouchure center.
+         * @returns {number} The correction D in current units, NaN once the cavity is too long for the frequency.
+         */
+        calculateStopperEndCorrection(frequency, corkDistance) {
+            const k = 2 * Math.PI * frequency / this.speedOfSound;
+            const cotangent = 1 / (k * this.calculateEmbouchureCorrection()) - Math.tan(k * corkDistance);
+            return cotangent > 0 && k * corkDistance < Math.PI / 2 ? Math.atan(1 / cotangent) / k : NaN;
+        }
+
+        /**
+         * Octave stretch of the head with the cork at a distance, averaged over the notes (end, finger holes and keys,
+         * their targets or else their predictions). The second register of a note of sounding length L = Vsound / (2 * F)
+         * sounds at Vsound / (L + D(2F) - D(F)) instead of 2F; the positions only use C_emb, so they don't change.
+         * @param {number} corkDistance - Distance of the cork face from the embouchure center.
+         * @returns {number} The balance in cents, positive when the octaves are wide; -Infinity past the cavity's limit.
+         */
+        calculateRegisterBalance(corkDistance) {
+            const frequencies = [{ frequency: this.endFrequency, predictedFrequency: this.predictedEndFrequency }, ...this.holes, ...this.keys]
+                .map(note => note.frequency > 0 ? note.frequency : note.predictedFrequency)
+                .filter(frequency => frequency > 0);
+            const stretches = frequencies.map(frequency => {
+                const length = this.speedOfSound / (2 * frequency);
+                const lengthening = this.calculateStopperEndCorrection(2 * frequency, corkDistance) - this.calculateStopperEndCorrection(frequency, corkDistance);
+                return isNaN(lengthening) ? -Infinity : FluteEngine.centsBetween(length, length + lengthening);
+            });
+            return stretches.reduce((sum, stretch) => sum + stretch, 0) / stretches.length;
+        }
+
+        /**
+         * Finds the cork distance giving the target register balance, and the distances within `STOPPER_TOLERANCE_CENTS`
+         * of it. The balance falls as the cork moves away from the embouchure, so each distance is bisected between the
+         * embouchure center and a quarter wavelength of the highest second register; a target out of reach gives the nearest end.
+         * Uses the bore under the embouchure of the last calculation.
+         * @returns {FluteStopper} The cork position.
+         */
+        calculateStopper() {
+            const highestFrequency = Math.max(this.endFrequency, ...[...this.holes, ...this.keys].map(hole => hole.frequency).filter(frequency => frequency > 0));
+            const farthest = this.speedOfSound / (4 * 2 * highestFrequency);
+            const findDistance = (balance) => {
+                if (this.calculateRegisterBalance(0) <= balance) {
+                    return 0; // Even a cork at the embouchure gives narrower octaves
+                }
+                let near = 0;
+                let far = farthest;
+                for (let step = 0; step < this.STOPPER_SEARCH_STEPS; step++) {
+                    const middle = (near + far) / 2;
+                    if (this.calculateRegisterBalance(middle) > balance) {
+                        near = middle;
+                    } else {
+                        far = middle;
+                    }
+                }
+                return (near + far) / 2;
+            };
+
+            const target = this.registerBalanceCents;
+            // Without an embouchure correction, even a cork at the embouchure has no balance
+            if (isNaN(target) || !isFinite(this.calculateRegisterBalance(0)) || !(farthest > 0)) {
+                return this._getUnknownStopper();
+            }
+            const corkDistance = findDistance(target);
+            return {
+                corkDistance,
+                minCorkDistance: findDistance(target + this.STOPPER_TOLERANCE_CENTS),
+                maxCorkDistance: findDistance(target - this.STOPPER_TOLERANCE_CENTS),
+                registerBalanceCents: this.calculateRegisterBalance(corkDistance),
+                toleranceCents: this.STOPPER_TOLERANCE_CENTS,
+            };
+        }
+
+        /**
+         * The cork position of a design it can't be calculated for.
+         * @returns {FluteStopper} NaN distances and balance.
+         * @private
+         */
+        _getUnknownStopper() {
+            return { corkDistance: NaN, minCorkDistance: NaN, maxCorkDistance: NaN, registerBalanceCents: NaN, toleranceCents: this.STOPPER_TOLERANCE_CENTS };
+        }
+
+        /**
+         * Bore diameter at a distance from the open end: from the bore profile, or `boreDiameter` for a cylindrical bore.
+         * @param {number} position - Distance from the open end.
+         * @returns {number} The bore diameter in current units.
+         */
+        getLocalBoreDiameter(position) {
+            return FluteEngine.getBoreDiameterAt(this.boreProfile, position, this.boreDiameter);
+        }
+
+        /**
+         * Looks up the bore under the embouchure and each finger and keyed hole at their current physical positions,
+         * and at the open end, for the corrections.
+         */
+        updateLocalBoreDiameters() {
+            this.endBoreDiameter = this.getLocalBoreDiameter(0);
+            this.embouchureBoreDiameter = this.getLocalBoreDiameter(this.embouchurePhysicalPosition);
+            [...this.holes, ...this.keys].forEach(hole => hole.boreDiameter = this.getLocalBoreDiameter(hole.physicalPosition));
+        }
+
+        /**
+         * Calculates how much longer than a cylinder the air column sounding a note must be, because of the bore taper.
+         * Rayleigh's perturbation of a tube open at both ends: where the bore is wider than average near the ends
+         * (velocity antinodes) the note rises, where it is wider in the middle (pressure antinode) the note falls.
+         * Formula: C_taper = integral over the air column of (S(x) / S_mean - 1) * cos(2 * pi * x / L) dx,
+         * with S the bore area at the acoustic distance x from the theoretical start and L the sounding length.
+         * A linear taper of the area changes nothing; a cone (area growing with the square of the distance) does.
+         * Requires `acousticEndX`, which maps acoustic distances to the bore profile.
+         * @param {number} acousticLength - Sounding length of the air column (Vsound / (2 * F)).
+         * @returns {number} The taper correction in current units, 0 for a cylindrical bore. Returns NaN if input invalid.
+         */
+        calculateTaperCorrection(acousticLength) {
+            if (this.boreProfile.length === 0) return 0;
+            if (isNaN(acousticLength) || isNaN(this.acousticEndX) || acousticLength <= 0) return NaN;
+
+            const steps = this.TAPER_INTEGRATION_STEPS;
+            const sliceLength = acousticLength / steps;
+            const slices = [];
+            for (let i = 0; i < steps; i++) {
+                const x = (i + 0.5) * sliceLength;
+                const diameter = this.getLocalBoreDiameter(this.acousticEndX - x);
+                slices.push({ x, area: diameter * diameter }); // Proportional to the area, enough for ratios
+            }
+            const meanArea = slices.reduce((sum, slice) => sum + slice.area, 0) / steps;
+            return slices.reduce((sum, slice) =>
+                sum + (slice.area / meanArea - 1) * Math.cos(2 * Math.PI * slice.x / acousticLength) * sliceLength, 0);
+        }
+
+        /**
+         * Records a calculation failure.
+         * @param {string} message - Description of the failure.
+         * @param {object} [details] - Intermediate values useful for debugging.
+         * @param {number} [holeIndex] - The 0-based index of the hole that could not be solved.
+         * @param {number} [keyIndex] - The 0-based index of the keyed hole that could not be solved.
+         * @returns {boolean} Always false, so that callers can `return this._fail(...)`.
+         * @private
+         */
+        _fail(message, details, holeIndex, keyIndex) {
+            const error = { message };
+            if (details !== undefined) error.details = details;
+            if (holeIndex !== undefined) error.holeIndex = holeIndex;
+            if (keyIndex !== undefined) error.keyIndex = keyIndex;
+            this.errors.push(error);
+            return false;
+        }
+
+        /**
+         * Calculates all hole positions. A cylindrical bore takes a single pass of the quadratic solver.
+         * With a bore profile the corrections depend on the bore under each hole, which depends on the positions:
+         * the solver runs again with the local bore diameters and taper corrections of the previous pass,
+         * until no position moves more than `BORE_CONVERGENCE_TOLERANCE`.
+         * @returns {boolean} True if calculation was successful, false otherwise (see `errors`).
+         */
+        calculateHolePositions() {
+            this.taperCorrections = { end: 0, holes: this.holes.map(() => 0), keys: this.keys.map(() => 0) };
+            let previousPositions = null;
+            for (let iteration = 0; iteration < this.MAX_BORE_ITERATIONS; iteration++) {
+                if (!this.calculateHolePositions_Quadratic()) {
+                    return false;
+                }
+                const positions = [this.embouchurePhysicalPosition, ...[...this.holes, ...this.keys].map(hole => hole.physicalPosition)];
+                const settled = previousPositions !== null
+                    && positions.every((position, i) => Math.abs(position - previousPositions[i]) <= this.BORE_CONVERGENCE_TOLERANCE);
+                if (this.boreProfile.length === 0 || settled) {
+                    return true;
+                }
+                previousPositions = positions;
+                this.updateLocalBoreDiameters();
+                this.taperCorrections = {
+                    end: this.calculateTaperCorrection(this.speedOfSound * 0.5 / this.endFrequency),
+                    holes: this.holes.map(hole => this.calculateTaperCorrection(this.speedOfSound * 0.5 / hole.frequency)),
+                    keys: this.keys.map(key => this.calculateTaperCorrection(this.speedOfSound * 0.5 / key.frequency)),
+                };
+            }
+            return this._fail(`Calculation failed: The positions did not settle after ${this.MAX_BORE_ITERATIONS} passes over the bore profile.`);
+        }
+
+        /**
+         * Calculates all hole positions using the non-iterative quadratic solution method.
+         * Based on Benade's equations after algebraic manipulation.
+         * Uses the current local bore diameters and taper corrections (see `calculateHolePositions`).
+         * Updates the `acousticPosition` property for each hole and `acousticEndX`, `embouchureAcousticX`.
+         * @returns {boolean} True if calculation was successful, false otherwise (see `errors`).
+         */
+        calculateHolePositions_Quadratic() {
+            this.errors = [];
+
+            // Ensure speed of sound is valid
+            if (isNaN(this.speedOfSound) || this.speedOfSound <= 0) {
+                return this._fail("Cannot calculate positions: Invalid speed of sound.");
+            }
+            if (this.holeCount === 0) {
+                return this._fail("Cannot calculate positions: At least one finger hole is required.");
+            }
+
+            // 0. Preliminary calculations and validation
+            let closedHoleCorrections = [];
+            for (let i = 0; i < this.holeCount; i++) {
+                const chc = this.calculateClosedHoleCorrection(i);
+                if (isNaN(chc)) {
+                    return this._fail(`Cannot calculate positions: Invalid input for closed hole correction ${i + 1}.`);
+                }
+                closedHoleCorrections[i] = chc;
+            }
+            const keyClosedHoleCorrections = this.keys.map(key => this.calculateClosedCorrectionOf(key));
+            const invalidKey = keyClosedHoleCorrections.findIndex(isNaN);
+            if (invalidKey >= 0) {
+                return this._fail(`Cannot calculate positions: Invalid input for closed hole correction of key ${invalidKey + 1}.`, undefined, undefined, invalidKey);
+            }
+            // The keys are closed in every other fingering: they count wherever they are above the first open hole
+            const closedKeysAbove = (frequency) => this.keys.reduce((sum, key, j) => key.frequency > frequency ? sum + keyClosedHoleCorrections[j] : sum, 0);
+
+            const endCorrection = this.calculateEndCorrection();
+            if (isNaN(endCorrection)) {
+                return this._fail("Cannot calculate positions: Invalid input for end correction.");
+            }
+
+            // 1. Calculate effective acoustic end position (Xend)
+            // Raw length based on fundamental frequency
+            if (isNaN(this.endFrequency) || this.endFrequency <= 0) {
+                return this._fail("Cannot calculate positions: Invalid end frequency.");
+            }
+            let targetAcousticLengthEnd = this.speedOfSound * 0.5 / this.endFrequency + this.taperCorrections.end;
+            // Apply corrections
+            this.acousticEndX = targetAcousticLengthEnd - endCorrection - closedKeysAbove(this.endFrequency);
+            for (let i = 0; i < this.holeCount; i++) {
+                this.acousticEndX -= closedHoleCorrections[i];
+            }
+            if (isNaN(this.acousticEndX)) {
+                return this._fail("Calculation failed: Acoustic End Position is NaN.");
+            }
+
+            // 2. Calculate first finger hole position (Xf[0] or Xf(1) in original)
+            const holeIndex1 = 0;
+            const te_1 = this.calculateEffectiveHoleHeight(holeIndex1);
+            const diameter1 = this.holes[holeIndex1].diameter;
+            const freq1 = this.holes[holeIndex1].frequency;
+            if (isNaN(te_1) || isNaN(diameter1) || isNaN(freq1) || freq1 <= 0) {
+                return this._fail("Cannot calculate positions: Invalid input for hole 1.");
+            }
+
+            let L1 = this.speedOfSound * 0.5 / freq1 + this.taperCorrections.holes[holeIndex1] - closedKeysAbove(freq1);
+            // Subtract corrections for *closed* holes above hole 1 (i.e., holes 2 to N)
+            for (let i = holeIndex1 + 1; i < this.holeCount; i++) {
+                L1 -= closedHoleCorrections[i];
+            }
+            if (isNaN(L1)) {
+                return this._fail("Calculation failed: L1 is NaN.");
+            }
+
+            const first = this._solveFirstOpenHole(this.holes[holeIndex1], L1);
+            if (isNaN(first.position)) {
+                return this._fail("Calculation failed: Cannot solve quadratic for hole 1 (discriminant < 0 or a=0).", first.coefficients, holeIndex1);
+            }
+            this.holes[holeIndex1].acousticPosition = first.position;
+
+
+            // 3. Calculate subsequent finger hole positions (Xf[1] to Xf[N-1])
+            for (let n = 1; n < this.holeCount; n++) { // n is the current hole index (0-based)
+                const te_n = this.calculateEffectiveHoleHeight(n);
+                const diameter_n = this.holes[n].diameter;
+                const freq_n = this.holes[n].frequency;
+                const prevHolePos = this.holes[n - 1].acousticPosition; // Xf[n-1]
+
+                if (isNaN(te_n) || isNaN(diameter_n) || isNaN(freq_n) || freq_n <= 0 || isNaN(prevHolePos)) {
+                    return this._fail(`Calculation failed: Invalid input for hole ${n + 1}.`);
+                }
+
+                let Ln = this.speedOfSound * 0.5 / freq_n + this.taperCorrections.holes[n] - closedKeysAbove(freq_n);
+                // Subtract corrections for closed holes above hole n (i.e., holes n+1 to N)
+                for (let i = n + 1; i < this.holeCount; i++) {
+                    Ln -= closedHoleCorrections[i];
+                }
+                if (isNaN(Ln)) {
+                    return this._fail(`Calculation failed: Ln for hole ${n + 1} is NaN.`);
+                }
+
+                if (diameter_n === 0) {
+                    return this._fail(`Calculation failed: Diameter for hole ${n + 1} cannot be zero.`);
+                }
+                const next = this._solveLatticeHole(this.holes[n], Ln, prevHolePos);
+                if (isNaN(next.position)) {
+                    return this._fail(`Calculation failed: Cannot solve quadratic for hole ${n + 1} (discriminant < 0).`, next.coefficients, n);
+                }
+                this.holes[n].acousticPosition = next.position;
+            }
+
+            // 3b. Keyed holes: each opens alone, above the open finger holes of the lower notes
+            for (let j = 0; j < this.keys.length; j++) {
+                const key = this.keys[j];
+                if (!(key.frequency > this.endFrequency) || isNaN(key.diameter) || key.diameter === 0) {
+                    return this._fail(`Calculation failed: Invalid input for key ${j + 1}.`, undefined, undefined, j);
+                }
+                const openHoleCount = this.countHolesBelowKey(key, false);
+                let L = this.speedOfSound * 0.5 / key.frequency + this.taperCorrections.keys[j] - closedKeysAbove(key.frequency);
+                for (let i = openHoleCount; i < this.holeCount; i++) {
+                    L -= closedHoleCorrections[i];
+                }
+                const solution = openHoleCount === 0
+                    ? this._solveFirstOpenHole(key, L)
+                    : this._solveLatticeHole(key, L, this.holes[openHoleCount - 1].acousticPosition);
+                if (isNaN(solution.position)) {
+                    return this._fail(`Calculation failed: Cannot solve quadratic for key ${j + 1} (discriminant < 0).`, solution.coefficients, undefined, j);
+                }
+                key.acousticPosition = solution.position;
+            }
+
+            // 4. Calculate embouchure effective acoustic location (Xemb)
+            this.embouchureAcousticX = this.calculateEmbouchureCorrection();
+            if (isNaN(this.embouchureAcousticX)) {
+                return this._fail("Calculation failed: Embouchure correction is NaN.");
+            }
+
+            // 5. Calculate physical positions relative to the open end
+            // Physical Distance = Acoustic End Position - Acoustic Position of Hole/Embouchure
+            if (isNaN(this.acousticEndX)) {
+                return this._fail("Calculation failed: Cannot determine physical positions due to invalid Acoustic End Position.");
+            }
+            this.embouchurePhysicalPosition = this.acousticEndX - this.embouchureAcousticX;
+            for (let i = 0; i < this.holeCount; i++) {
+                this.holes[i].physicalPosition = this.acousticEndX - this.holes[i].acousticPosition;
+                if (isNaN(this.holes[i].physicalPosition)) {
+                    return this._fail(`Calculation failed: Physical position for hole ${i + 1} is NaN.`); // Stop if any calculation fails
+                }
+            }
+            this.keys.forEach(key => key.physicalPosition = this.acousticEndX - key.acousticPosition);
+
+            return true; // Indicate success
+        }
+
+        /**
+         * Solves for the acoustic position of the first open hole, with no open hole below it.
+         * Quadratic solution for Xf[0] derived from Benade's impedance matching.
+         * @param {FluteHole} hole - The finger or keyed hole.
+         * @param {number} L1 - Acoustic length of its note, less the closed hole corrections above it.
+         * @returns {{position: number, coefficients: object}} The acoustic position, NaN without a solution, and the
+         *     coefficients of the quadratic for the diagnostics.
+         * @private
+         */
+        _solveFirstOpenHole(hole, L1) {
+            const te_1 = this.calculateEffectiveHeightOf(hole);
+            const a1_term = (hole.diameter / hole.boreDiameter) * (hole.diameter / hole.boreDiameter);
+            const a1 = a1_term;
+            const b1 = -(this.acousticEndX + L1) * a1_term;
+            const c1 = this.acousticEndX * L1 * a1_term + te_1 * (L1 - this.acousticEndX);
+
+            const discriminant1 = (b1 * b1) - 4 * a1 * c1;
+            const coefficients = { a1, b1, c1, discriminant1 };
+            if (discriminant1 < 0 || a1 === 0) {
+                return { position: NaN, coefficients };
+            }
+            // We expect Xf[0] < L1 and Xf[0] < Xend. The solution using the minus sign usually yields the physically correct result.
+            return { position: (-b1 - Math.sqrt(discriminant1)) / (2 * a1), coefficients };
+        }
+
+        /**
+         * Solves for the acoustic position of an open hole above another open hole.
+         * Rearranging Benade's lattice correction C_o(n) = Xf[n-1] - Xf[n] - Ln, with
+         * C_o(n) = ((Xf[n-1]-Xf[n])/2)*(sqrt(1+4*(te(n)/(Xf(n-1)-Xf[n]))*(Bore/D(n))^2)-1), leads to a quadratic in Xf[n]:
+         * a = 2; b = - Xf[n-1] - 3*L + te(n)*(Bore/D(n))^2; c = Xf[n-1]*(L - te(n)*(Bore/D(n))^2) + (L*L).
+         * @param {FluteHole} hole - The finger or keyed hole.
+         * @param {number} Ln - Acoustic length of its note, less the closed hole corrections above it.
+         * @param {number} prevHolePos - Acoustic position Xf[n-1] of the open hole below it.
+         * @returns {{position: number, coefficients: object}} The acoustic position, NaN without a solution, and the
+         *     coefficients of the quadratic for the diagnostics.
+         * @private
+         */
+        _solveLatticeHole(hole, Ln, prevHolePos) {
+            const te_n = this.calculateEffectiveHeightOf(hole);
+            const bore_d_ratio_sq = (hole.boreDiameter / hole.diameter) * (hole.boreDiameter / hole.diameter);
+            const a_n = 2.0;
+            const b_n = -prevHolePos - 3.0 * Ln + te_n * bore_d_ratio_sq;
+            const c_n = prevHolePos * (Ln - te_n * bore_d_ratio_sq) + (Ln * Ln);
+
+            const discriminant_n = (b_n * b_n) - 4.0 * a_n * c_n;
+            const coefficients = { a_n, b_n, c_n, discriminant_n };
+            if (discriminant_n < 0) {
+                return { position: NaN, coefficients };
+            }
+            // Expect Xf[n] < Ln and Xf[n] < Xf[n-1]. The minus sign solution is typically correct.
+            return { position: (-b_n - Math.sqrt(discriminant_n)) / (2.0 * a_n), coefficients };
+        }
+
+        /**
+         * Number of finger holes open with a keyed hole: those of the lower notes, which are the holes nearer
+         * the open end. The open holes are holes 1 to this number.
+         * @param {FluteHole} key - The keyed hole.
+         * @param {boolean} byPosition - Whether to compare the physical positions (analysis) instead of the notes.
+         * @returns {number} The number of open finger holes.
+         */
+        countHolesBelowKey(key, byPosition) {
+            return byPosition
+                ? this.holes.filter(hole => hole.physicalPosition < key.physicalPosition).length
+                : this.holes.filter(hole => hole.frequency < key.frequency).length;
+        }
+
+        /**
+         * Predicts the frequency each fingering sounds from measured positions: the reverse of
+         * `calculateHolePositions_Quadratic`, using the same corrections.
+         * The embouchure gives the acoustic end: Xend = embouchure position + C_emb. Then each note follows from
+         * Vsound / (2 * F) = X + C + sum of the closed hole corrections above the first open hole - C_taper, where C is
+         * the end correction, C_s for hole 1, or C_o(n) for the others. The corrections use the bore under the
+         * measured positions. Closed keyed holes count with the closed holes; a keyed hole's own note is the same
+         * equation, with the finger holes below it open.
+         * Updates `acousticEndX`, `embouchureAcousticX` and the `acousticPosition`, `physicalPosition`
+         * and `predictedFrequency` of each finger and keyed hole.
+         * @returns {boolean} True if every frequency could be predicted, false otherwise (see `errors`).
+         */
+        calculateFrequencies_Forward() {
+            this.errors = [];
+            this.predictedEndFrequency = NaN;
+            [...this.holes, ...this.keys].forEach(hole => hole.predictedFrequency = NaN);
+
+            if (isNaN(this.speedOfSound) || this.speedOfSound <= 0) {
+                return this._fail("Cannot predict frequencies: Invalid speed of sound.");
+            }
+            if (this.holeCount === 0) {
+                return this._fail("Cannot predict frequencies: At least one finger hole is required.");
+            }
+
+            // 1. Acoustic end from the embouchure position
+            this.embouchurePhysicalPosition = this.measuredEmbouchurePosition;
+            [...this.holes, ...this.keys].forEach(hole => hole.physicalPosition = hole.measuredPosition);
+            this.updateLocalBoreDiameters();
+            this.embouchureAcousticX = this.calculateEmbouchureCorrection();
+            this.acousticEndX = this.embouchurePhysicalPosition + this.embouchureAcousticX;
+            if (isNaN(this.acousticEndX)) {
+                return this._fail("Cannot predict frequencies: Invalid embouchure position or correction.");
+            }
+
+            // 2. Acoustic positions of the holes
+            const closedHoleCorrections = [];
+            for (let i = 0; i < this.holeCount; i++) {
+                const hole = this.holes[i];
+                hole.acousticPosition = this.acousticEndX - hole.physicalPosition;
+                closedHoleCorrections[i] = this.calculateClosedHoleCorrection(i);
+                if (isNaN(hole.acousticPosition) || isNaN(closedHoleCorrections[i])) {
+                    return this._fail(`Cannot predict frequencies: Invalid position or diameter for hole ${i + 1}.`, undefined, i);
+                }
+            }
+            const keyClosedHoleCorrections = [];
+            for (let j = 0; j < this.keys.length; j++) {
+                const key = this.keys[j];
+                key.acousticPosition = this.acousticEndX - key.physicalPosition;
+                keyClosedHoleCorrections[j] = this.calculateClosedCorrectionOf(key);
+                if (isNaN(key.acousticPosition) || isNaN(keyClosedHoleCorrections[j])) {
+                    return this._fail(`Cannot predict frequencies: Invalid position or diameter for key ${j + 1}.`, undefined, undefined, j);
+                }
+            }
+            const closedKeysAbove = (position) => this.keys.reduce((sum, key, j) => key.physicalPosition > position ? sum + keyClosedHoleCorrections[j] : sum, 0);
+            const closedAbove = (holeIndex) => closedHoleCorrections.slice(holeIndex + 1).reduce((sum, c) => sum + c, 0)
+                + closedKeysAbove(holeIndex >= 0 ? this.holes[holeIndex].physicalPosition : 0);
+            // The taper correction depends on the sounding length it corrects: iterate, it changes little between passes
+            const soundingLengthOf = (acousticLength) => {
+                let soundingLength = acousticLength;
+                for (let i = 0; i < this.MAX_BORE_ITERATIONS; i++) {
+                    const next = acousticLength - this.calculateTaperCorrection(soundingLength);
+                    const settled = Math.abs(next - soundingLength) <= this.BORE_CONVERGENCE_TOLERANCE;
+                    soundingLength = next;
+                    if (settled || isNaN(soundingLength)) break;
+                }
+                return soundingLength;
+            };
+            const frequencyOf = (soundingLength) => this.speedOfSound * 0.5 / soundingLength;
+
+            // 3. All holes closed
+            const endCorrection = this.calculateEndCorrection();
+            const endSoundingLength = soundingLengthOf(this.acousticEndX + endCorrection + closedAbove(-1));
+            this.taperCorrections = { end: this.calculateTaperCorrection(endSoundingLength), holes: [], keys: [] };
+            this.predictedEndFrequency = frequencyOf(endSoundingLength);
+            if (isNaN(this.predictedEndFrequency)) {
+                return this._fail("Cannot predict frequencies: Invalid input for end correction.");
+            }
+
+            // 4. Each hole as the first open hole
+            for (let n = 0; n < this.holeCount; n++) {
+                const hole = this.holes[n];
+                const correction = n === 0
+                    ? this.calculateFirstHoleCorrection_Iterative(NaN, hole.acousticPosition)
+                    : this.calculateSubsequentHoleCorrection_Iterative(n, hole.acousticPosition);
+                const acousticLength = hole.acousticPosition + correction + closedAbove(n);
+                const soundingLength = soundingLengthOf(acousticLength);
+                if (isNaN(correction) || !(acousticLength > 0) || !(soundingLength > 0)) {
+                    return this._fail(`Cannot predict frequencies: Invalid correction for hole ${n + 1}.`, { correction, acousticLength }, n);
+                }
+                this.taperCorrections.holes[n] = this.calculateTaperCorrection(soundingLength);
+                hole.predictedFrequency = frequencyOf(soundingLength);
+            }
+
+            // 5. Each keyed hole opened alone, the finger holes below it open
+            for (let j = 0; j < this.keys.length; j++) {
+                const key = this.keys[j];
+                const openHoleCount = this.countHolesBelowKey(key, true);
+                const correction = openHoleCount === 0
+                    ? this.calculateFirstHoleCorrectionOf(key, key.acousticPosition)
+                    : this.calculateLatticeCorrectionOf(key, key.acousticPosition, this.holes[openHoleCount - 1].acousticPosition);
+                const closedHolesAbove = closedHoleCorrections.slice(openHoleCount).reduce((sum, c) => sum + c, 0) + closedKeysAbove(key.physicalPosition);
+                const acousticLength = key.acousticPosition + correction + closedHolesAbove;
+                const soundingLength = soundingLengthOf(acousticLength);
+                if (isNaN(correction) || !(acousticLength > 0) || !(soundingLength > 0)) {
+                    return this._fail(`Cannot predict frequencies: Invalid correction for key ${j + 1}.`, { correction, acousticLength }, undefined, j);
+                }
+                this.taperCorrections.keys[j] = this.calculateTaperCorrection(soundingLength);
+                key.predictedFrequency = frequencyOf(soundingLength);
+            }
+
+            return true;
+        }
+
+        /**
+         * Runs the forward prediction and compares it to the target frequencies.
+         * @returns {FluteAnalysisResult} The predicted frequencies and diagnostics.
+         */
+        analyze() {
+            const success = this.calculateFrequencies_Forward();
+            const compare = (predictedFrequency, targetFrequency) => ({
+                targetFrequency,
+                predictedFrequency,
+                deviationCents: FluteEngine.centsBetween(predictedFrequency, targetFrequency),
+            });
+
+            return {
+                success,
+                solver: 'quadratic',
+                units: this.units,
+                speedOfSound: this.speedOfSound,
+                acousticEndX: this.acousticEndX,
+                embouchureAcousticX: this.embouchureAcousticX,
+                embouchurePhysicalPosition: this.embouchurePhysicalPosition,
+                end: compare(this.predictedEndFrequency, this.endFrequency),
+                holes: this.holes.map(hole => ({
+                    diameter: hole.diameter,
+                    acousticPosition: hole.acousticPosition,
+                    physicalPosition: hole.physicalPosition,
+                    ...compare(hole.predictedFrequency, hole.frequency),
+                })),
+                keys: this.keys.map(key => ({
+                    diameter: key.diameter,
+                    acousticPosition: key.acousticPosition,
+                    physicalPosition: key.physicalPosition,
+                    ...compare(key.predictedFrequency, key.frequency),
+                })),
+                stopper: success ? this.calculateStopper() : this._getUnknownStopper(),
+                diagnostics: this._getDiagnostics(),
+            };
+        }
+
+        /**
+         * Collects the corrections of the current state, for results.
+         * @returns {object} The diagnostics of a result.
+         * @private
+         */
+        _getDiagnostics() {
+            const holeIndexes = this.holes.map((hole, i) => i);
+            return {
+                endCorrection: this.calculateEndCorrection(),
+                closedHoleCorrections: holeIndexes.map(i => this.calculateClosedHoleCorrection(i)),
+                keyClosedHoleCorrections: this.keys.map(key => this.calculateClosedCorrectionOf(key)),
+                effectiveHoleHeights: holeIndexes.map(i => this.calculateEffectiveHoleHeight(i)),
+                embouchureCorrection: this.calculateEmbouchureCorrection(),
+                endBoreDiameter: this.endBoreDiameter,
+                embouchureBoreDiameter: this.embouchureBoreDiameter,
+                holeBoreDiameters: this.holes.map(hole => hole.boreDiameter),
+                endTaperCorrection: this.taperCorrections.end,
+                holeTaperCorrections: holeIndexes.map(i => this.taperCorrections.holes[i] ?? NaN),
+                keyTaperCorrections: this.keys.map((key, j) => this.taperCorrections.keys[j] ?? NaN),
+                errors: this.errors.slice(),
+            };
+        }
+
+        /**
+         * Runs the solver and collects the results.
+         * @returns {FluteEngineResult} The calculated positions and diagnostics.
+         */
+        calculate() {
+            const success = this.calculateHolePositions();
+
+            return {
+                success,
+                solver: 'quadratic',
+                units: this.units,
+                speedOfSound: this.speedOfSound,
+                acousticEndX: this.acousticEndX,
+                embouchureAcousticX: this.embouchureAcousticX,
+                embouchurePhysicalPosition: this.embouchurePhysicalPosition,
+                holes: this.holes.map(hole => ({
+                    frequency: hole.frequency,
+                    diameter: hole.diameter,
+                    acousticPosition: hole.acousticPosition,
+                    physicalPosition: hole.physicalPosition,
+                })),
+                keys: this.keys.map(key => ({
+                    frequency: key.frequency,
+                    diameter: key.diameter,
+                    acousticPosition: key.acousticPosition,
+                    physicalPosition: key.physicalPosition,
+                })),
+                stopper: success ? this.calculateStopper() : this._getUnknownStopper(),
+                diagnostics: this._getDiagnostics(),
+            };
+        }
+    }
+
+    return { FluteEngine };
+}));
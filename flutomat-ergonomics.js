@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Flutomat NG - Hand Fit
+ * Checks the spacing of the finger holes against the reach of the player's fingers, and suggests
+ * how to move the holes of a pair that is too far apart or too close, with the diameter that keeps
+ * the note in tune. Loaded by index.html after the engine and optimizer modules (exposed as
+ * `Flutomat.FluteErgonomics`) and usable from Node with `require('./flutomat-ergonomics.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./flutomat-engine.js'), require('./flutomat-optimizer.js')));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine, FluteDiameterOptimizer } = Flutomat;
+
+    /** @const {number} Centimetres in an inch, for the presets. */
+    const CM_PER_INCH = 2.54;
+
+    /** @const {string[]} The fingers that cover holes, in playing order from the embouchure: left hand, then right hand. */
+    const FINGERS = ['L1', 'L2', 'L3', 'L4', 'R1', 'R2', 'R3', 'R4'];
+
+    /** @const {Object<string, string>} Name of each finger of `FINGERS`. */
+    const FINGER_NAMES = {
+        L1: 'left index',
+        L2: 'left middle',
+        L3: 'left ring',
+        L4: 'left little',
+        R1: 'right index',
+        R2: 'right middle',
+        R3: 'right ring',
+        R4: 'right little',
+    };
+
+    /**
+     * @const {Object<string, {name: string, spans: number[], fingerWidth: number}>}
+     * Typical hands, in cm: comfortable spread between the fingertips of adjacent fingers
+     * (index to middle, middle to ring, ring to little) and the width of a fingertip.
+     */
+    const HAND_PRESETS = {
+        small: { name: 'Small', spans: [3.4, 3.1, 2.7], fingerWidth: 1.4 },
+        medium: { name: 'Medium', spans: [4.0, 3.6, 3.1], fingerWidth: 1.6 },
+        large: { name: 'Large', spans: [4.6, 4.1, 3.5], fingerWidth: 1.8 },
+    };
+
+    /**
+     * @typedef {object} FluteHand
+     * Measurements of the player's hands, in design units.
+     * @property {number[]} spans - Comfortable spread between adjacent fingertips: index to middle, middle to ring, ring to little.
+     * @property {number} fingerWidth - Width of a fingertip: adjacent fingers can't cover holes closer than this.
+     */
+
+    /**
+     * @typedef {object} FluteHoleSuggestion
+     * @property {number} holeIndex - The 0-based index of the hole to move.
+     * @property {number} offset - How far to move it, towards the embouchure when positive.
+     * @property {number} diameter - The diameter that keeps its note there; NaN if none does, or without a design.
+     * @property {string} message - The suggestion, for display.
+     */
+
+    /**
+     * @typedef {object} FluteHolePair
+     * Two holes next to each other on the flute, both covered by a finger.
+     * @property {number} lowerHoleIndex - The 0-based index of the hole nearer the open end.
+     * @property {number} upperHoleIndex - The 0-based index of the hole nearer the embouchure.
+     * @property {string[]} fingers - Fingers covering the upper and the lower hole.
+     * @property {number} distance - Distance between the hole centers.
+     * @property {number} min - Shortest comfortable distance (NaN when the fingers are out of order).
+     * @property {number} max - Longest comfortable distance (Infinity between the hands, NaN when out of order).
+     * @property {?{kind: 'stretch'|'cramped'|'order', message: string, suggestion: ?FluteHoleSuggestion}} problem - Why the pair
+     *     is uncomfortable, null if it isn't.
+     */
+
+    /**
+     * Finger reach checker.
+     * @class
+     */
+    class FluteErgonomics {
+        /**
+         * Creates a checker for a hand and a finger assignment.
+         * @param {FluteHand} hand - The hand measurements, in design units.
+         * @param {string[]} fingers - Finger covering each hole (index 0 = hole 1), from `FINGERS`; other values leave the hole out.
+         * @param {?FluteDesign} [design=null] - The design, to find the diameters of the suggested positions. Without it,
+         *     suggestions only give the offset.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} [solver=FluteEngine] - The position solver
+         *     used for the diameters.
+         */
+        constructor(hand, fingers, design = null, solver = FluteEngine) {
+            /** @type {FluteHand} The hand measurements. */
+            this.hand = hand;
+            /** @type {string[]} The finger assignment. */
+            this.fingers = fingers;
+            /** @type {?FluteDesign} The design. */
+            this.design = design;
+            /** @type {{calculate: function(FluteDesign): FluteEngineResult}} The position solver. */
+            this.solver = solver;
+        }
+
+        /**
+         * Convenience wrapper: checks hole positions in one call.
+         * @param {number[]} positions - Distance of each hole from the open end (index 0 = hole 1).
+         * @param {FluteHand} hand - The hand measurements.
+         * @param {string[]} fingers - Finger covering each hole.
+         * @param {?FluteDesign} [design=null] - The design, for the diameters of the suggestions.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} [solver=FluteEngine] - The position solver.
+         * @returns {{pairs: FluteHolePair[], problems: FluteHolePair[]}} Every pair checked, and the uncomfortable ones.
+         */
+        static check(positions, hand, fingers, design = null, solver = FluteEngine) {
+            return new FluteErgonomics(hand, fingers, design, solver).check(positions);
+        }
+
+        /**
+         * Hand measurements of a preset, in design units.
+         * @param {string} size - Key of `HAND_PRESETS`.
+         * @param {'cm' | 'inches'} units - The design units.
+         * @returns {FluteHand} The measurements.
+         */
+        static getPreset(size, units) {
+            const preset = HAND_PRESETS[size];
+            const toUnits = (cm) => units === 'cm' ? cm : cm / CM_PER_INCH;
+            return { spans: preset.spans.map(toUnits), fingerWidth: toUnits(preset.fingerWidth) };
+        }
+
+        /**
+         * The usual finger assignment: left index, middle and ring fingers, then the right ones, from the highest hole.
+         * The little fingers take a seventh and eighth hole; on flutes with more holes, the lowest ones are left out.
+         * @param {number} holeCount - Number of holes.
+         * @returns {string[]} Finger covering each hole (index 0 = hole 1).
+         */
+        static getDefaultFingers(holeCount) {
+            const fromTop = holeCount <= 6 ? ['L1', 'L2', 'L3', 'R1', 'R2', 'R3']
+                : holeCount === 7 ? ['L1', 'L2', 'L3', 'R1', 'R2', 'R3', 'R4'] : FINGERS;
+            return Array.from({ length: holeCount }, (_, i) => fromTop[holeCount - 1 - i] ?? '');
+        }
+
+        /**
+         * Checks hand measurements and a finger assignment against the input rules of the checker.
+         * @param {FluteHand} hand - The hand measurements.
+         * @param {string[]} fingers - Finger covering each hole.
+         * @param {number} holeCount - Number of holes of the design.
+         * @returns {{field: string, holeIndex?: number, message: string}[]} The problems found, empty if the inputs are valid.
+         */
+        static validate(hand, fingers, holeCount) {
+            const errors = [];
+            const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+            if (!(hand && Array.isArray(hand.spans) && hand.spans.length === 3)) {
+                errors.push({ field: 'spans', message: 'The hand needs three finger spans' });
+            } else {
+                hand.spans.forEach((span, i) => {
+                    if (!isPositive(span)) {
+                        errors.push({ field: 'spans', message: `Invalid finger span ${i + 1}: ${span}` });
+                    }
+                });
+            }
+            if (!isPositive(hand?.fingerWidth)) {
+                errors.push({ field: 'fingerWidth', message: `Invalid finger width: ${hand?.fingerWidth}` });
+            }
+            if (!(Array.isArray(fingers) && fingers.length <= holeCount)) {
+                errors.push({ field: 'fingers', message: 'The fingers must be a list with at most one entry per hole' });
+            } else {
+                fingers.forEach((finger, i) => {
+                    if (finger !== '' && !FINGERS.includes(finger)) {
+                        errors.push({ field: 'fingers', holeIndex: i, message: `Unknown finger for hole ${i + 1}: ${finger}` });
+                    }
+                });
+            }
+            return errors;
+        }
+
+        /**
+         * Comfortable distances between the holes of two fingers.
+         * Within a hand, the spans between the fingers add up; the hands themselves can move apart freely.
+         * @param {string} upperFinger - Finger of the hole nearer the embouchure.
+         * @param {string} lowerFinger - Finger of the hole nearer the open end, later in `FINGERS`.
+         * @returns {{min: number, max: number}} The range of distances.
+         */
+        getReach(upperFinger, lowerFinger) {
+            const upper = FINGERS.indexOf(upperFinger);
+            const lower = FINGERS.indexOf(lowerFinger);
+            if (upper >= lower) {
+                return { min: NaN, max: NaN };
+            }
+            if (upperFinger[0] !== lowerFinger[0]) {
+                return { min: this.hand.fingerWidth, max: Infinity };
+            }
+            const first = upper % 4; // Index of the finger in its hand
+            const steps = lower - upper;
+            return {
+                min: steps * this.hand.fingerWidth,
+                max: this.hand.spans.slice(first, first + steps).reduce((sum, span) => sum + span, 0),
+            };
+        }
+
+        /**
+         * Checks every pair of neighbouring holes covered by a finger.
+         * @param {number[]} positions - Distance of each hole from the open end (index 0 = hole 1).
+         * @returns {{pairs: FluteHolePair[], problems: FluteHolePair[]}} Every pair checked, from the embouchure down,
+         *     and the uncomfortable ones.
+         */
+        check(positions) {
+            const covered = positions
+                .map((position, holeIndex) => ({ holeIndex, position, finger: this.fingers[holeIndex] }))
+                .filter(hole => FINGERS.includes(hole.finger) && isFinite(hole.position))
+                .sort((a, b) => b.position - a.position); // From the embouchure down, as the fingers go
+
+            const pairs = covered.slice(1).map((lower, k) => {
+                const upper = covered[k];
+                const pair = {
+                    lowerHoleIndex: lower.holeIndex,
+                    upperHoleIndex: upper.holeIndex,
+                    fingers: [upper.finger, lower.finger],
+                    distance: upper.position - lower.position,
+                    ...this.getReach(upper.finger, lower.finger),
+                    problem: null,
+                };
+                pair.problem = this.diagnose(pair, positions);
+                return pair;
+            });
+            return { pairs, problems: pairs.filter(pair => pair.problem) };
+        }
+
+        /**
+         * Tells what is wrong with a pair of holes, and how to fix it.
+         * @param {FluteHolePair} pair - The pair, without its problem.
+         * @param {number[]} positions - Distance of each hole from the open end.
+         * @returns {?{kind: 'stretch'|'cramped'|'order', message: string, suggestion: ?FluteHoleSuggestion}} The problem, null if none.
+         */
+        diagnose(pair, positions) {
+            const holes = `Holes ${pair.lowerHoleIndex + 1} and ${pair.upperHoleIndex + 1}`;
+            const [upperName, lowerName] = pair.fingers.map(finger => FINGER_NAMES[finger]);
+            if (isNaN(pair.max)) {
+                return {
+                    kind: 'order',
+                    message: pair.fingers[0] === pair.fingers[1]
+                        ? `${holes} are both covered by the ${upperName} finger`
+                        : `${holes} have their fingers swapped: the ${upperName} finger can't cover a hole above the ${lowerName} finger's`,
+                    suggestion: null,
+                };
+            }
+            if (pair.distance > pair.max) {
+                return {
+                    kind: 'stretch',
+                    message: `${holes} are ${pair.distance.toFixed(3)} apart, more than the ${pair.max.toFixed(3)} between the ${upperName} and ${lowerName} fingertips`,
+                    suggestion: this.suggest(pair, positions, pair.distance - pair.max),
+                };
+            }
+            if (pair.distance < pair.min) {
+                return {
+                    kind: 'cramped',
+                    message: `${holes} are only ${pair.distance.toFixed(3)} apart, less than the ${pair.min.toFixed(3)} the ${upperName} and ${lowerName} fingers need`,
+                    suggestion: this.suggest(pair, positions, pair.distance - pair.min),
+                };
+            }
+            return null;
+        }
+
+        /**
+         * Suggests moving one hole of a pair to bring it within reach. Moving a hole up needs a smaller hole to keep its
+         * note, so that is tried first; then moving the other hole down, with a larger hole.
+         * @param {FluteHolePair} pair - The pair.
+         * @param {number[]} positions - Distance of each hole from the open end.
+         * @param {number} excess - How much too far apart (positive) or too close (negative) the holes are.
+         * @returns {FluteHoleSuggestion} The suggestion.
+         */
+        suggest(pair, positions, excess) {
+            const moves = excess > 0
+                ? [[pair.lowerHoleIndex, excess], [pair.upperHoleIndex, -excess]]
+                : [[pair.upperHoleIndex, -excess], [pair.lowerHoleIndex, excess]];
+            const options = moves.map(([holeIndex, offset]) => ({
+                holeIndex,
+                offset,
+                diameter: this.design ? this.findDiameter(holeIndex, positions[holeIndex] + offset) : NaN,
+            }));
+            const option = options.find(candidate => !isNaN(candidate.diameter)) ?? options[0];
+
+            const move = `Move hole ${option.holeIndex + 1} ${option.offset > 0 ? 'up' : 'down'} by ${Math.abs(option.offset).toFixed(3)}`;
+            const diameter = !this.design ? ''
+                : isNaN(option.diameter) ? ', though no diameter keeps its note there'
+                : `, with a diameter of ${option.diameter.toFixed(3)} to keep its note`;
+            return { ...option, message: move + diameter };
+        }
+
+        /**
+         * Diameter that puts a hole at a position, the other holes keeping theirs.
+         * @param {number} holeIndex - The 0-based index of the hole.
+         * @param {number} position - The distance from the open end.
+         * @returns {number} The diameter, NaN if none in the optimizer's default range does.
+         */
+        findDiameter(holeIndex, position) {
+            const constraints = {
+                holes: this.design.holes.map((hole, i) => i === holeIndex ? { position } : { minDiameter: hole.diameter, maxDiameter: hole.diameter }),
+            };
+            const optimized = FluteDiameterOptimizer.optimize(this.design, constraints, this.solver);
+            return optimized.success ? optimized.diameters[holeIndex] : NaN;
+        }
+    }
+
+    return { FluteErgonomics, FINGERS, FINGER_NAMES, HAND_PRESETS };
+}));
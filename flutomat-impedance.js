@@ -0,0 +1,686 @@
+/**
+ * @fileoverview Flutomat NG - Transfer Matrix Impedance Model
+ * One-dimensional transmission-line model of the bore and tone holes: computes the input impedance
+ * of each fingering, finds its resonances, and solves hole positions by matching those resonances
+ * to the target frequencies. An alternative to the quadratic solver of flutomat-engine.js, which it
+ * uses for the shared inputs and as a starting point. Loaded by index.html after the engine (exposed
+ * as `Flutomat.FluteImpedanceModel`) and usable from Node with `require('./flutomat-impedance.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./flutomat-engine.js'));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine } = Flutomat;
+
+    /**
+     * @typedef {object} Complex
+     * @property {number} re - Real part.
+     * @property {number} im - Imaginary part.
+     */
+
+    /**
+     * @typedef {object} FluteLayout
+     * Where the embouchure and holes of a flute are, as distances from the open end.
+     * @property {number} embouchurePosition - Distance of the embouchure center.
+     * @property {number[]} holePositions - Distance of each hole center (index 0 = hole 1 lowest pitch).
+     * @property {number[]} [keyPositions] - Distance of each keyed hole center, in the order of the design's keys.
+     */
+
+    /**
+     * @typedef {'open' | 'closed' | 'half'} FluteHoleState
+     * How a finger hole is covered.
+     */
+
+    /**
+     * @typedef {number | FluteHoleState[]} FluteFingering
+     * A fingering: the number of open holes from the bottom (0 for all closed, n to open holes 1 to n,
+     * the notes the solvers tune), or the state of every hole (index 0 = hole 1 lowest pitch).
+     * The keyed holes stay closed, unless one is opened by the `openKeyIndex` of the impedance and resonance methods.
+     */
+
+    /**
+     * @typedef {object} FluteFingeringPrediction
+     * @property {number} firstRegister - Frequency of the first register in Hz, NaN if there is no resonance.
+     * @property {number} secondRegister - Frequency of the second register (overblown) in Hz, NaN if there is no resonance near the octave.
+     * @property {number} octaveDeviationCents - Deviation of the second register from the octave of the first, in cents.
+     */
+
+    /**
+     * @typedef {object} FluteSpectrum
+     * The input impedance of one fingering over a range of frequencies.
+     * @property {number} openHoleCount - The fingering: 0 for all holes closed, n for holes 1 to n open.
+     * @property {number[]} frequencies - Evenly spaced frequencies in Hz, shared by all the fingerings.
+     * @property {number[]} magnitudes - Magnitude of the input impedance at each frequency, relative to the bore.
+     * @property {number[]} resonances - The first resonances in Hz, lowest first: the notes of the first registers.
+     */
+
+    // --- Complex arithmetic (module-private) ---
+
+    /** @returns {Complex} */
+    const complex = (re, im = 0) => ({ re, im });
+    /** @returns {Complex} */
+    const add = (a, b) => complex(a.re + b.re, a.im + b.im);
+    /** @returns {Complex} */
+    const multiply = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+    /** @returns {Complex} */
+    const scale = (a, factor) => complex(a.re * factor, a.im * factor);
+    /** @returns {Complex} */
+    const divide = (a, b) => {
+        const denominator = b.re * b.re + b.im * b.im;
+        return complex((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+    };
+    /** @returns {Complex} cosh(a) */
+    const cosh = (a) => complex(Math.cosh(a.re) * Math.cos(a.im), Math.sinh(a.re) * Math.sin(a.im));
+    /** @returns {Complex} sinh(a) */
+    const sinh = (a) => complex(Math.sinh(a.re) * Math.cos(a.im), Math.cosh(a.re) * Math.sin(a.im));
+    /** @returns {Complex} The impedance of `a` and `b` in parallel. */
+    const parallel = (a, b) => divide(multiply(a, b), add(a, b));
+
+    /**
+     * Transfer matrix model of a transverse flute.
+     * Impedances are normalized so that air density times the speed of sound is 1: a tube of cross
+     * section S has a characteristic impedance of 1 / S (in design units).
+     * @class
+     */
+    class FluteImpedanceModel {
+        /**
+         * Creates a model for a single design. Invalid values make the calculation fail instead of throwing.
+         * @param {FluteDesign} design - The design to calculate.
+         */
+        constructor(design) {
+            // --- Configuration Constants ---
+            /** @const {number} Viscothermal attenuation factor: alpha = factor * sqrt(f) / radius (Benade). Unit-free, as the lengths cancel. */
+            this.WALL_LOSS_FACTOR = 3.0e-5;
+            /** @const {number} Number of cylinders approximating each tapered part of the bore. */
+            this.TAPER_SLICES = 8;
+            /** @const {number} Resonances are searched for between these ratios of the expected frequency. */
+            this.RESONANCE_SEARCH_RANGE = [0.75, 1.3];
+            /** @const {number} Frequency ratio between the points of the resonance search grid. */
+            this.RESONANCE_SEARCH_STEP = 1.01;
+            /** @const {number} Bisection steps refining a resonance. */
+            this.RESONANCE_REFINE_STEPS = 40;
+            /** @const {number} Maximum number of passes over all the positions. */
+            this.MAX_PASSES = 30;
+            /** @const {number} Maximum number of secant steps for a single position. */
+            this.MAX_SECANT_STEPS = 20;
+            /** @const {number} A note is matched when its resonance is this close to the target, in cents. */
+            this.TUNING_TOLERANCE_CENTS = 1e-4;
+            /** @const {number} Number of frequencies at which each spectrum is calculated. */
+            this.SPECTRUM_POINTS = 400;
+            /** @const {number} Number of resonances (registers) reported for each spectrum. */
+            this.SPECTRUM_RESONANCE_COUNT = 3;
+            /** @const {number} Part of the area of a half-holed finger hole that is left open. */
+            this.HALF_HOLE_OPEN_AREA = 0.5;
+
+            /** @type {FluteEngine} The quadratic model of the same design: shared inputs and corrections. */
+            this.engine = new FluteEngine(design);
+            /** @type {'cm' | 'inches'} The unit system of the design. */
+            this.units = this.engine.units;
+            /** @type {number} Speed of sound in units per second. */
+            this.speedOfSound = this.engine.speedOfSound;
+            /** @type {number} Number of finger holes. */
+            this.holeCount = this.engine.holeCount;
+            /** @type {FluteEngineError[]} Errors collected by the last calculation. */
+            this.errors = [];
+        }
+
+        /**
+         * Convenience wrapper: calculates a design in one call.
+         * @param {FluteDesign} design - The design to calculate.
+         * @returns {FluteEngineResult} The calculated positions and diagnostics.
+         */
+        static calculate(design) {
+            return new FluteImpedanceModel(design).calculate();
+        }
+
+        /**
+         * Convenience wrapper: predicts the frequencies of a measured flute in one call.
+         * @param {FluteDesign} design - The design, with measured `embouchurePosition` and hole `position`s.
+         * @returns {FluteAnalysisResult} The predicted frequencies and diagnostics.
+         */
+        static analyze(design) {
+            return new FluteImpedanceModel(design).analyze();
+        }
+
+        /**
+         * Bore diameter at a distance from the open end.
+         * @param {number} position - Distance from the open end.
+         * @returns {number} The bore diameter in design units.
+         */
+        getBoreDiameterAt(position) {
+            return this.engine.getLocalBoreDiameter(position);
+        }
+
+        /**
+         * Transforms a load impedance through a lossy cylinder.
+         * Formula: Z_in = (cosh(G L) Z_L + Zc sinh(G L)) / (sinh(G L) Z_L / Zc + cosh(G L)), with G = alpha + j k
+         * @param {Complex} loadImpedance - Impedance at the far end of the cylinder.
+         * @param {number} length - Length of the cylinder.
+         * @param {number} diameter - Diameter of the cylinder.
+         * @param {number} frequency - Frequency in Hz.
+         * @returns {Complex} The impedance at the near end.
+         */
+        transformThroughCylinder(loadImpedance, length, diameter, frequency) {
+            const radius = diameter / 2;
+            const characteristicImpedance = 1 / (Math.PI * radius * radius);
+            const attenuation = this.WALL_LOSS_FACTOR * Math.sqrt(frequency) / radius;
+            const propagation = complex(attenuation * length, 2 * Math.PI * frequency / this.speedOfSound * length);
+            const c = cosh(propagation);
+            const s = sinh(propagation);
+            return divide(
+                add(multiply(c, loadImpedance), scale(s, characteristicImpedance)),
+                add(scale(multiply(s, loadImpedance), 1 / characteristicImpedance), c));
+        }
+
+        /**
+         * Transforms a load impedance through the bore between two distances from the open end,
+         * following the bore profile with short cylinders where it tapers.
+         * @param {Complex} loadImpedance - Impedance at `from`.
+         * @param {number} from - Distance from the open end of the far end.
+         * @param {number} to - Distance from the open end of the near end, above `from`.
+         * @param {number} frequency - Frequency in Hz.
+         * @returns {Complex} The impedance at `to`.
+         */
+        transformThroughBore(loadImpedance, from, to, frequency) {
+            const breakpoints = [from, ...this.engine.boreProfile.map(point => point.position).filter(position => position > from && position < to), to];
+            let impedance = loadImpedance;
+            for (let i = 1; i < breakpoints.length; i++) {
+                const start = breakpoints[i - 1];
+                const length = breakpoints[i] - start;
+                if (length <= 0) {
+                    continue; // A step: pressure and flow carry over
+                }
+                // Just above the start, so that a step at `start` takes its upper diameter
+                const startDiameter = this.getBoreDiameterAt(start + length * 1e-9);
+                const endDiameter = this.getBoreDiameterAt(breakpoints[i] - length * 1e-9);
+                const slices = startDiameter === endDiameter ? 1 : this.TAPER_SLICES;
+                for (let slice = 0; slice < slices; slice++) {
+                    const diameter = this.getBoreDiameterAt(start + (slice + 0.5) * length / slices);
+                    impedance = this.transformThroughCylinder(impedance, length / slices, diameter, frequency);
+                }
+            }
+            return impedance;
+        }
+
+        /**
+         * Radiation impedance of the unflanged open end.
+         * Formula: Z_r = Zc * (0.25 * (k a)^2 + j * k * 0.6133 * a)
+         * @param {number} frequency - Frequency in Hz.
+         * @returns {Complex} The impedance.
+         */
+        calculateRadiationImpedance(frequency) {
+            const radius = this.getBoreDiameterAt(0) / 2;
+            const k = 2 * Math.PI * frequency / this.speedOfSound;
+            const characteristicImpedance = 1 / (Math.PI * radius * radius);
+            return scale(complex(0.25 * (k * radius) ** 2, k * this.engine.END_CORRECTION_FACTOR * radius), characteristicImpedance);
+        }
+
+        /**
+         * Shunt impedance of a tone hole, seen from the bore.
+         * Open: Z = Zh * (j tan(k t_e) + 0.25 (k b)^2), with the effective hole height t_e of the quadratic model.
+         * Half-holed: the same, for a round hole of `HALF_HOLE_OPEN_AREA` times the area of the hole.
+         * Closed: Z = -j Zh cot(k t), the compliance of the closed chimney of height t = V / S, its volume (with any
+         * undercut or chamfer) over its area: the wall thickness for a straight hole.
+         * @param {number} holeIndex - The 0-based index of the hole.
+         * @param {FluteHoleState} state - How the hole is covered.
+         * @param {number} frequency - Frequency in Hz.
+         * @returns {Complex} The impedance.
+         */
+        calculateHoleImpedance(holeIndex, state, frequency) {
+            return this.calculateHoleImpedanceOf(this.engine.holes[holeIndex], state, frequency);
+        }
+
+        /**
+         * Shunt impedance of a finger or keyed hole: see `calculateHoleImpedance`.
+         * @param {FluteHole} hole - The hole, from the engine's `holes` or `keys`.
+         * @param {FluteHoleState} state - How the hole is covered.
+         * @param {number} frequency - Frequency in Hz.
+         * @returns {Complex} The impedance.
+         */
+        calculateHoleImpedanceOf(hole, state, frequency) {
+            const radius = hole.diameter / 2;
+            const k = 2 * Math.PI * frequency / this.speedOfSound;
+            if (state === 'closed') {
+                const area = Math.PI * radius * radius;
+                return complex(0, -1 / (area * Math.tan(k * this.engine.calculateHoleVolumeOf(hole) / area)));
+            }
+            if (state === 'half') {
+                const openRadius = radius * Math.sqrt(this.HALF_HOLE_OPEN_AREA);
+                const height = this.engine.wallThickness + this.engine.HOLE_HEIGHT_EXTENSION_FACTOR * 2 * openRadius;
+                return scale(complex(0.25 * (k * openRadius) ** 2, Math.tan(k * height)), 1 / (Math.PI * openRadius * openRadius));
+            }
+            const height = this.engine.calculateEffectiveHeightOf(hole);
+            return scale(complex(0.25 * (k * radius) ** 2, Math.tan(k * height)), 1 / (Math.PI * radius * radius));
+        }
+
+        /**
+         * Lists the state of every hole in a fingering.
+         * @param {FluteFingering} fingering - The fingering.
+         * @returns {FluteHoleState[]} The state of each hole (index 0 = hole 1).
+         */
+        getHoleStates(fingering) {
+            if (Array.isArray(fingering)) {
+                return fingering;
+            }
+            return this.engine.holes.map((hole, i) => i < fingering ? 'open' : 'closed');
+        }
+
+        /**
+         * Input impedance of a fingering, at the theoretical start of the air column.
+         * The walk goes from the open end up to the embouchure, adding each hole in parallel,
+         * then continues for the embouchure correction C_emb of the quadratic model to an ideal open end.
+         * The flute sounds near the minima of this impedance.
+         * @param {number} frequency - Frequency in Hz.
+         * @param {FluteLayout} layout - Positions of the embouchure and holes.
+         * @param {FluteFingering} fingering - Which holes are open.
+         * @param {number} [openKeyIndex=-1] - The keyed hole that is open, -1 for none.
+         * @returns {Complex} The impedance, relative to the characteristic impedance of the bore at the embouchure.
+         */
+        calculateInputImpedance(frequency, layout, fingering, openKeyIndex = -1) {
+            const states = this.getHoleStates(fingering);
+            const shunts = [
+                ...layout.holePositions.map((position, i) => ({ position, hole: this.engine.holes[i], state: states[i] })),
+                ...(layout.keyPositions ?? []).map((position, j) => ({ position, hole: this.engine.keys[j], state: j === openKeyIndex ? 'open' : 'closed' })),
+            ].sort((a, b) => a.position - b.position);
+
+            let impedance = this.calculateRadiationImpedance(frequency);
+            let position = 0;
+            shunts.forEach(shunt => {
+                impedance = this.transformThroughBore(impedance, position, shunt.position, frequency);
+                impedance = parallel(impedance, this.calculateHoleImpedanceOf(shunt.hole, shunt.state, frequency));
+                position = shunt.position;
+            });
+            impedance = this.transformThroughBore(impedance, position, layout.embouchurePosition, frequency);
+
+            const embouchureBoreDiameter = this.getBoreDiameterAt(layout.embouchurePosition);
+            this.engine.embouchureBoreDiameter = embouchureBoreDiameter;
+            impedance = this.transformThroughCylinder(impedance, this.engine.calculateEmbouchureCorrection(), embouchureBoreDiameter, frequency);
+            return scale(impedance, Math.PI * embouchureBoreDiameter * embouchureBoreDiameter / 4);
+        }
+
+        /**
+         * Finds the resonances of a fingering between two frequencies: the minima of the input impedance,
+         * where its reactance crosses zero upwards.
+         * @param {FluteLayout} layout - Positions of the embouchure and holes.
+         * @param {FluteFingering} fingering - Which holes are open.
+         * @param {number} lowest - Lowest frequency searched, in Hz.
+         * @param {number} highest - Highest frequency searched, in Hz.
+         * @param {number} [openKeyIndex=-1] - The keyed hole that is open, -1 for none.
+         * @returns {number[]} The resonance frequencies in Hz, lowest first.
+         */
+        findResonances(layout, fingering, lowest, highest, openKeyIndex = -1) {
+            const reactance = (frequency) => this.calculateInputImpedance(frequency, layout, fingering, openKeyIndex).im;
+
+            const resonances = [];
+            let previousFrequency = lowest;
+            let previousReactance = reactance(lowest);
+            for (let frequency = lowest * this.RESONANCE_SEARCH_STEP; frequency <= highest; frequency *= this.RESONANCE_SEARCH_STEP) {
+                const currentReactance = reactance(frequency);
+                if (previousReactance < 0 && currentReactance >= 0) {
+                    let low = previousFrequency;
+                    let high = frequency;
+                    for (let step = 0; step < this.RESONANCE_REFINE_STEPS; step++) {
+                        const middle = (low + high) / 2;
+                        if (reactance(middle) < 0) {
+                            low = middle;
+                        } else {
+                            high = middle;
+                        }
+                    }
+                    resonances.push((low + high) / 2);
+                }
+                previousFrequency = frequency;
+                previousReactance = currentReactance;
+            }
+            return resonances;
+        }
+
+        /**
+         * Finds the resonance of a fingering nearest to a frequency.
+         * @param {FluteLayout} layout - Positions of the embouchure and holes.
+         * @param {FluteFingering} fingering - Which holes are open.
+         * @param {number} nearFrequency - The expected frequency in Hz.
+         * @param {number} [openKeyIndex=-1] - The keyed hole that is open, -1 for none.
+         * @returns {number} The resonance frequency in Hz, NaN if there is none within `RESONANCE_SEARCH_RANGE`.
+         */
+        findResonance(layout, fingering, nearFrequency, openKeyIndex = -1) {
+            const [lowest, highest] = this.RESONANCE_SEARCH_RANGE.map(ratio => ratio * nearFrequency);
+            const distance = (frequency) => Math.abs(Math.log(frequency / nearFrequency));
+            return this.findResonances(layout, fingering, lowest, highest, openKeyIndex)
+                .reduce((best, resonance) => isNaN(best) || distance(resonance) < distance(best) ? resonance : best, NaN);
+        }
+
+        /**
+         * Sets up the model for a layout, and finds the frequency range holding its first registers:
+         * from half the half-wave frequency of the whole flute, to `registerCount` half-wave frequencies
+         * of the shortest air column (embouchure to highest hole), plus half of one.
+         * @param {FluteLayout} layout - Positions of the embouchure and holes.
+         * @param {number} registerCount - Number of registers of the highest note in the range.
+         * @returns {{lowest: number, highest: number}} The range in Hz.
+         */
+        useLayout(layout, registerCount) {
+            // The hole corrections use the bore under each hole
+            this.engine.holes.forEach((hole, i) => hole.boreDiameter = this.getBoreDiameterAt(layout.holePositions[i]));
+            const halfWaveFrequency = (length) => this.speedOfSound * 0.5 / length;
+            const shortestColumn = layout.embouchurePosition - Math.max(0, ...layout.holePositions, ...(layout.keyPositions || []));
+            return {
+                lowest: 0.5 * halfWaveFrequency(layout.embouchurePosition),
+                highest: (registerCount + 0.5) * halfWaveFrequency(shortestColumn),
+            };
+        }
+
+        /**
+         * Predicts the first and second register of a fingering: the lowest resonance, and the resonance
+         * nearest to its octave (a flute overblows to its second resonance, which the bore and holes
+         * can pull away from the exact octave).
+         * @param {FluteLayout} layout - Positions of the embouchure and holes.
+         * @param {FluteFingering} fingering - Which holes are open.
+         * @returns {FluteFingeringPrediction} The prediction.
+         */
+        predictFingering(layout, fingering) {
+            const { lowest, highest } = this.useLayout(layout, 1);
+            const firstRegister = this.findResonances(layout, fingering, lowest, highest)[0] ?? NaN;
+            const secondRegister = isNaN(firstRegister) ? NaN : this.findResonance(layout, fingering, 2 * firstRegister);
+            return {
+                firstRegister,
+                secondRegister,
+                octaveDeviationCents: FluteEngine.centsBetween(secondRegister, 2 * firstRegister),
+            };
+        }
+
+        /**
+         * Calculates the input impedance of every fingering, from all holes closed to all holes open,
+         * over the frequency range of `SPECTRUM_RESONANCE_COUNT` registers of the highest note (see `useLayout`).
+         * @param {FluteLayout} layout - Positions of the embouchure and holes.
+         * @returns {FluteSpectrum[]} One spectrum per fingering, all closed first.
+         */
+        calculateSpectra(layout) {
+            const { lowest, highest } = this.useLayout(layout, this.SPECTRUM_RESONANCE_COUNT);
+            const frequencies = Array.from({ length: this.SPECTRUM_POINTS }, (_, i) => highest * (i + 1) / this.SPECTRUM_POINTS);
+
+            return Array.from({ length: this.holeCount + 1 }, (_, openHoleCount) => ({
+                openHoleCount,
+                frequencies,
+                magnitudes: frequencies.map(frequency => {
+                    const impedance = this.calculateInputImpedance(frequency, layout, openHoleCount);
+                    return Math.hypot(impedance.re, impedance.im);
+                }),
+                resonances: this.findResonances(layout, openHoleCount, lowest, highest).slice(0, this.SPECTRUM_RESONANCE_COUNT),
+            }));
+        }
+
+        /**
+         * Records a calculation failure.
+         * @param {string} message - Description of the failure.
+         * @param {object} [details] - Intermediate values useful for debugging.
+         * @param {number} [holeIndex] - The 0-based index of the hole that could not be solved.
+         * @param {number} [keyIndex] - The 0-based index of the keyed hole that could not be solved.
+         * @returns {boolean} Always false, so that callers can `return this._fail(...)`.
+         * @private
+         */
+        _fail(message, details, holeIndex, keyIndex) {
+            const error = { message };
+            if (details !== undefined) error.details = details;
+            if (holeIndex !== undefined) error.holeIndex = holeIndex;
+            if (keyIndex !== undefined) error.keyIndex = keyIndex;
+            this.errors.push(error);
+            return false;
+        }
+
+        /**
+         * Starting positions for the solver: the quadratic solution, or when it has none (large holes),
+         * each hole where a plain tube would sound its note.
+         * @returns {FluteLayout} The layout.
+         */
+        getInitialLayout() {
+            const quadratic = this.engine.calculate();
+            if (quadratic.success) {
+                return {
+                    embouchurePosition: quadratic.embouchurePhysicalPosition,
+                    holePositions: quadratic.holes.map(hole => hole.physicalPosition),
+                    keyPositions: quadratic.keys.map(key => key.physicalPosition),
+                };
+            }
+            const halfWavelength = (frequency) => this.speedOfSound * 0.5 / frequency;
+            const embouchurePosition = halfWavelength(this.engine.endFrequency);
+            return {
+                embouchurePosition,
+                holePositions: this.engine.holes.map(hole => embouchurePosition - halfWavelength(hole.frequency)),
+                keyPositions: this.engine.keys.map(key => embouchurePosition - halfWavelength(key.frequency)),
+            };
+        }
+
+        /**
+         * Moves one position until the resonance of a fingering matches its target, by the secant method.
+         * @param {FluteLayout} layout - The layout, updated in place.
+         * @param {number} openHoleCount - The fingering: 0 tunes the embouchure position, n tunes hole n.
+         * @param {number} targetFrequency - The target frequency in Hz.
+         * @param {number} [keyIndex=-1] - A keyed hole to open and tune instead, the fingering holding the holes below it.
+         * @returns {boolean} True if the note could be tuned.
+         * @private
+         */
+        _tunePosition(layout, openHoleCount, targetFrequency, keyIndex = -1) {
+            const isKey = keyIndex >= 0;
+            const isEmbouchure = openHoleCount === 0 && !isKey;
+            const positions = isKey ? layout.keyPositions : layout.holePositions;
+            const index = isKey ? keyIndex : openHoleCount - 1;
+            const get = () => isEmbouchure ? layout.embouchurePosition : positions[index];
+            const set = (value) => isEmbouchure ? layout.embouchurePosition = value : positions[index] = value;
+            const errorCents = () => FluteEngine.centsBetween(this.findResonance(layout, openHoleCount, targetFrequency, keyIndex), targetFrequency);
+
+            let x0 = get();
+            let e0 = errorCents();
+            if (isNaN(e0)) {
+                return false;
+            }
+            if (Math.abs(e0) <= this.TUNING_TOLERANCE_CENTS) {
+                return true;
+            }
+            // First step: a sharp note needs a longer air column (higher embouchure or lower hole)
+            const lengthChange = this.speedOfSound * 0.5 / targetFrequency * (Math.pow(2, e0 / 1200) - 1);
+            let x1 = x0 + (isEmbouchure ? lengthChange : -lengthChange);
+            for (let step = 0; step < this.MAX_SECANT_STEPS; step++) {
+                set(x1);
+                const e1 = errorCents();
+                if (isNaN(e1)) {
+                    return false;
+                }
+                if (Math.abs(e1) <= this.TUNING_TOLERANCE_CENTS) {
+                    return true;
+                }
+                if (e1 === e0) {
+                    return false;
+                }
+                const x2 = x1 - e1 * (x1 - x0) / (e1 - e0);
+                x0 = x1;
+                e0 = e1;
+                x1 = x2;
+            }
+            return false;
+        }
+
+        /**
+         * Calculates all positions so that the first resonance of every fingering matches its target.
+         * Each pass tunes the embouchure position with all holes closed, then each hole with the holes below it open,
+         * then each keyed hole with the holes of the lower notes open, keeping the other positions; passes repeat until
+         * a whole pass leaves every note in tune.
+         * @returns {{success: boolean, layout: FluteLayout, passes: number}} The positions found.
+         */
+        calculatePositions() {
+            this.errors = [];
+            const layout = this.getInitialLayout();
+            if (isNaN(this.speedOfSound) || this.speedOfSound <= 0) {
+                this._fail("Cannot calculate positions: Invalid speed of sound.");
+                return { success: false, layout, passes: 0 };
+            }
+            if (this.holeCount === 0) {
+                this._fail("Cannot calculate positions: At least one finger hole is required.");
+                return { success: false, layout, passes: 0 };
+            }
+            const targets = [this.engine.endFrequency, ...this.engine.holes.map(hole => hole.frequency)];
+            const invalidTarget = targets.findIndex(frequency => !(frequency > 0));
+            if (invalidTarget >= 0 || isNaN(layout.embouchurePosition)) {
+                this._fail("Cannot calculate positions: Invalid input for the transfer matrix model.", undefined, invalidTarget > 0 ? invalidTarget - 1 : undefined);
+                return { success: false, layout, passes: 0 };
+            }
+            const invalidKey = this.engine.keys.findIndex(key => !(key.frequency > this.engine.endFrequency) || !(key.diameter > 0));
+            if (invalidKey >= 0) {
+                this._fail(`Cannot calculate positions: Invalid input for key ${invalidKey + 1}.`, undefined, undefined, invalidKey);
+                return { success: false, layout, passes: 0 };
+            }
+
+            for (let pass = 1; pass <= this.MAX_PASSES; pass++) {
+                let inTune = true;
+                for (let openHoleCount = 0; openHoleCount <= this.holeCount; openHoleCount++) {
+                    const target = targets[openHoleCount];
+                    const before = FluteEngine.centsBetween(this.findResonance(layout, openHoleCount, target), target);
+                    if (Math.abs(before) <= this.TUNING_TOLERANCE_CENTS) {
+                        continue;
+                    }
+                    inTune = false;
+                    if (!this._tunePosition(layout, openHoleCount, target)) {
+                        const holeIndex = openHoleCount > 0 ? openHoleCount - 1 : undefined;
+                        const note = holeIndex === undefined ? 'the end note' : `hole ${holeIndex + 1}`;
+                        this._fail(`Calculation failed: The transfer matrix model found no position for ${note}.`, { layout }, holeIndex);
+                        return { success: false, layout, passes: pass };
+                    }
+                }
+                for (let keyIndex = 0; keyIndex < this.engine.keys.length; keyIndex++) {
+                    const key = this.engine.keys[keyIndex];
+                    const openHoleCount = this.engine.countHolesBelowKey(key, false);
+                    const before = FluteEngine.centsBetween(this.findResonance(layout, openHoleCount, key.frequency, keyIndex), key.frequency);
+                    if (Math.abs(before) <= this.TUNING_TOLERANCE_CENTS) {
+                        continue;
+                    }
+                    inTune = false;
+                    if (!this._tunePosition(layout, openHoleCount, key.frequency, keyIndex)) {
+                        this._fail(`Calculation failed: The transfer matrix model found no position for key ${keyIndex + 1}.`, { layout }, undefined, keyIndex);
+                        return { success: false, layout, passes: pass };
+                    }
+                }
+                if (inTune) {
+                    const ordered = layout.holePositions.every((position, i) => position > (i > 0 ? layout.holePositions[i - 1] : 0))
+                        && layout.holePositions[this.holeCount - 1] < layout.embouchurePosition
+                        && layout.keyPositions.every(position => position > 0 && position < layout.embouchurePosition);
+                    if (!ordered) {
+                        this._fail("Calculation failed: The transfer matrix model put the holes out of order.", { layout });
+                        return { success: false, layout, passes: pass };
+                    }
+                    return { success: true, layout, passes: pass };
+                }
+            }
+            this._fail(`Calculation failed: The transfer matrix model did not settle after ${this.MAX_PASSES} passes.`, { layout });
+            return { success: false, layout, passes: this.MAX_PASSES };
+        }
+
+        /**
+         * Runs the transfer matrix solver and collects the results, in the shape of `FluteEngine.calculate`.
+         * @returns {FluteEngineResult} The calculated positions and diagnostics.
+         */
+        calculate() {
+            const { success, layout, passes } = this.calculatePositions();
+            const position = (value) => success ? value : NaN;
+            const embouchurePhysicalPosition = position(layout.embouchurePosition);
+            this.engine.embouchureBoreDiameter = this.getBoreDiameterAt(layout.embouchurePosition);
+            const embouchureAcousticX = this.engine.calculateEmbouchureCorrection();
+            const acousticEndX = embouchurePhysicalPosition + embouchureAcousticX;
+
+            return {
+                success,
+                solver: 'transferMatrix',
+                units: this.units,
+                speedOfSound: this.speedOfSound,
+                acousticEndX,
+                embouchureAcousticX,
+                embouchurePhysicalPosition,
+                holes: this.engine.holes.map((hole, i) => ({
+                    frequency: hole.frequency,
+                    diameter: hole.diameter,
+                    acousticPosition: acousticEndX - position(layout.holePositions[i]),
+                    physicalPosition: position(layout.holePositions[i]),
+                })),
+                keys: this.engine.keys.map((key, j) => ({
+                    frequency: key.frequency,
+                    diameter: key.diameter,
+                    acousticPosition: acousticEndX - position(layout.keyPositions[j]),
+                    physicalPosition: position(layout.keyPositions[j]),
+                })),
+                stopper: this.engine.calculateStopper(),
+                diagnostics: {
+                    passes,
+                    embouchureCorrection: embouchureAcousticX,
+                    errors: this.errors.slice(),
+                },
+            };
+        }
+
+        /**
+         * Predicts the frequency each fingering sounds from measured positions: the resonance of each
+         * fingering nearest to the quadratic model's prediction. The result has the shape of `FluteEngine.analyze`.
+         * @returns {FluteAnalysisResult} The predicted frequencies and diagnostics.
+         */
+        analyze() {
+            this.errors = [];
+            const quadratic = this.engine.analyze();
+            const layout = {
+                embouchurePosition: this.engine.measuredEmbouchurePosition,
+                holePositions: this.engine.holes.map(hole => hole.measuredPosition),
+                keyPositions: this.engine.keys.map(key => key.measuredPosition),
+            };
+            const predict = (openHoleCount, quadraticPrediction, targetFrequency, keyIndex = -1) => {
+                const expected = quadraticPrediction > 0 ? quadraticPrediction : targetFrequency;
+                const predictedFrequency = expected > 0 ? this.findResonance(layout, openHoleCount, expected, keyIndex) : NaN;
+                if (isNaN(predictedFrequency) && keyIndex >= 0) {
+                    this._fail(`Cannot predict frequencies: No resonance found for key ${keyIndex + 1}.`, undefined, undefined, keyIndex);
+                } else if (isNaN(predictedFrequency)) {
+                    const holeIndex = openHoleCount > 0 ? openHoleCount - 1 : undefined;
+                    this._fail(`Cannot predict frequencies: No resonance found for ${holeIndex === undefined ? 'the end note' : `hole ${holeIndex + 1}`}.`, undefined, holeIndex);
+                }
+                return {
+                    targetFrequency,
+                    predictedFrequency,
+                    deviationCents: FluteEngine.centsBetween(predictedFrequency, targetFrequency),
+                };
+            };
+
+            const end = predict(0, quadratic.end.predictedFrequency, this.engine.endFrequency);
+            const holes = this.engine.holes.map((hole, i) => ({
+                diameter: hole.diameter,
+                acousticPosition: quadratic.holes[i].acousticPosition,
+                physicalPosition: hole.measuredPosition,
+                ...predict(i + 1, quadratic.holes[i].predictedFrequency, hole.frequency),
+            }));
+            const keys = this.engine.keys.map((key, j) => ({
+                diameter: key.diameter,
+                acousticPosition: quadratic.keys[j].acousticPosition,
+                physicalPosition: key.measuredPosition,
+                ...predict(this.engine.countHolesBelowKey(key, true), quadratic.keys[j].predictedFrequency, key.frequency, j),
+            }));
+
+            return {
+                success: this.errors.length === 0,
+                solver: 'transferMatrix',
+                units: this.units,
+                speedOfSound: this.speedOfSound,
+                acousticEndX: quadratic.acousticEndX,
+                embouchureAcousticX: quadratic.embouchureAcousticX,
+                embouchurePhysicalPosition: layout.embouchurePosition,
+                end,
+                holes,
+                keys,
+                stopper: quadratic.stopper,
+                diagnostics: {
+                    embouchureCorrection: quadratic.embouchureAcousticX,
+                    errors: this.errors.slice(),
+                },
+            };
+        }
+    }
+
+    return { FluteImpedanceModel };
+}));
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Flutomat NG - Design Library
+ * A named collection of design documents kept in a Web Storage area (localStorage in the
+ * browser), plus autosave slots for the working design. Loaded by index.html after
+ * flutomat-document.js (exposed as `Flutomat.FluteLibrary`) and usable from Node with
+ * `require('./flutomat-library.js')` and any object implementing getItem/setItem/removeItem.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./flutomat-document.js'));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteDocument } = Flutomat;
+
+    /**
+     * @typedef {object} FluteLibraryEntry
+     * @property {string} id - Unique identifier of the entry.
+     * @property {string} name - Name of the design, unique within the library.
+     * @property {string} savedAt - ISO 8601 date of the last change.
+     */
+
+    /**
+     * Saved designs and autosaves, stored as JSON in a Web Storage area.
+     * @class
+     */
+    class FluteLibrary {
+        /**
+         * @param {Storage} storage - Where to keep the designs, e.g. `window.localStorage`.
+         * @param {string} [prefix='flutomat.'] - Prefix of every storage key.
+         */
+        constructor(storage, prefix = 'flutomat.') {
+            /** @const {number} Version of the stored library layout. */
+            this.LIBRARY_VERSION = 1;
+            /** @const {string} Storage key of the saved designs. */
+            this.LIBRARY_KEY = `${prefix}library`;
+            /** @const {string} Prefix of the storage keys of the autosave slots. */
+            this.AUTOSAVE_KEY_PREFIX = `${prefix}autosave.`;
+            /** @const {string} Storage key of the autosave preference. */
+            this.AUTOSAVE_ENABLED_KEY = `${prefix}autosaveEnabled`;
+
+            /** @type {Storage} */
+            this.storage = storage;
+        }
+
+        /**
+         * Opens the library in the browser's localStorage.
+         * @returns {FluteLibrary|null} The library, or null if localStorage is not available (disabled, or some file:// pages).
+         */
+        static fromLocalStorage() {
+            try {
+                const storage = window.localStorage;
+                const testKey = 'flutomat.storageTest';
+                storage.setItem(testKey, testKey);
+                storage.removeItem(testKey);
+                return new FluteLibrary(storage);
+            } catch (e) {
+                console.error('Browser storage is not available:', e.message);
+                return null;
+            }
+        }
+
+        /**
+         * Reads the stored entries, documents included.
+         * @returns {Array<FluteLibraryEntry & {document: FluteDocumentData}>} The entries.
+         * @private
+         */
+        _readEntries() {
+            const text = this.storage.getItem(this.LIBRARY_KEY);
+            if (!text) {
+                return [];
+            }
+            try {
+                const library = JSON.parse(text);
+                return Array.isArray(library?.designs) ? library.designs : [];
+            } catch (e) {
+                console.error('The stored design library is corrupted:', e.message);
+                return [];
+            }
+        }
+
+        /**
+         * Stores the entries, replacing the previous ones.
+         * @param {Array<FluteLibraryEntry & {document: FluteDocumentData}>} entries - The entries.
+         * @throws {Error} If the storage is full.
+         * @private
+         */
+        _writeEntries(entries) {
+            this.storage.setItem(this.LIBRARY_KEY, JSON.stringify({ version: this.LIBRARY_VERSION, designs: entries }));
+        }
+
+        /**
+         * Finds an entry by id.
+         * @param {Array<FluteLibraryEntry>} entries - The entries.
+         * @param {string} id - The id.
+         * @returns {FluteLibraryEntry} The entry.
+         * @throws {Error} If there is no such entry.
+         * @private
+         */
+        _findEntry(entries, id) {
+            const entry = entries.find(candidate => candidate.id === id);
+            if (!entry) {
+                throw new Error(`No saved design with id ${id}`);
+            }
+            return entry;
+        }
+
+        /**
+         * Checks a design name.
+         * @param {Array<FluteLibraryEntry>} entries - The entries.
+         * @param {string} name - The name.
+         * @param {string} [exceptId] - Id of the entry being renamed, which may keep its name.
+         * @returns {string} The name, trimmed.
+         * @throws {Error} If the name is empty or already used.
+         * @private
+         */
+        _checkName(entries, name, exceptId) {
+            const trimmed = String(name ?? '').trim();
+            if (trimmed === '') {
+                throw new Error('Enter a name for the design');
+            }
+            if (entries.some(entry => entry.name === trimmed && entry.id !== exceptId)) {
+                throw new Error(`A design named "${trimmed}" already exists`);
+            }
+            return trimmed;
+        }
+
+        /**
+         * Creates a new unique id.
+         * @returns {string} The id.
+         * @private
+         */
+        _createId() {
+            return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        }
+
+        /**
+         * Lists the saved designs, sorted by name.
+         * @returns {FluteLibraryEntry[]} The entries, without their documents.
+         */
+        list() {
+            return this._readEntries()
+                .map(({ id, name, savedAt }) => ({ id, name, savedAt }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        /**
+         * Finds a saved design by name.
+         * @param {string} name - The name.
+         * @returns {FluteLibraryEntry|undefined} The entry, if any.
+         */
+        findByName(name) {
+            const trimmed = String(name ?? '').trim();
+            return this.list().find(entry => entry.name === trimmed);
+        }
+
+        /**
+         * Saves a design under a new name, or replaces the design saved under that name.
+         * @param {string} name - The name.
+         * @param {FluteDocumentData} document - The design document.
+         * @returns {string} The id of the entry.
+         * @throws {Error} If the name is empty or the storage is full.
+         */
+        save(name, document) {
+            const entries = this._readEntries();
+            const trimmed = String(name ?? '').trim();
+            const existing = entries.find(entry => entry.name === trimmed);
+            const entry = existing ?? { id: this._createId(), name: this._checkName(entries, trimmed) };
+            entry.savedAt = new Date().toISOString();
+            entry.document = { ...document, name: entry.name };
+            if (!existing) {
+                entries.push(entry);
+            }
+            this._writeEntries(entries);
+            return entry.id;
+        }
+
+        /**
+         * Loads a saved design, validated like an imported file.
+         * @param {string} id - The id of the entry.
+         * @returns {FluteDocumentData} The design document.
+         * @throws {Error} If there is no such entry or the stored document is invalid.
+         */
+        load(id) {
+            const entry = this._findEntry(this._readEntries(), id);
+            return FluteDocument.parse(JSON.stringify(entry.document));
+        }
+
+        /**
+         * Renames a saved design.
+         * @param {string} id - The id of the entry.
+         * @param {string} name - The new name.
+         * @throws {Error} If there is no such entry, or the name is empty or already used.
+         */
+        rename(id, name) {
+            const entries = this._readEntries();
+            const entry = this._findEntry(entries, id);
+            entry.name = this._checkName(entries, name, id);
+            entry.document = { ...entry.document, name: entry.name };
+            entry.savedAt = new Date().toISOString();
+            this._writeEntries(entries);
+        }
+
+        /**
+         * Copies a saved design under the first free name "<name> (copy)", "<name> (copy 2)"...
+         * @param {string} id - The id of the entry.
+         * @returns {string} The id of the copy.
+         * @throws {Error} If there is no such entry or the storage is full.
+         */
+        duplicate(id) {
+            const entries = this._readEntries();
+            const entry = this._findEntry(entries, id);
+            let name = `${entry.name} (copy)`;
+            for (let n = 2; entries.some(candidate => candidate.name === name); n++) {
+                name = `${entry.name} (copy ${n})`;
+            }
+            const copy = {
+                id: this._createId(),
+                name,
+                savedAt: new Date().toISOString(),
+                document: { ...JSON.parse(JSON.stringify(entry.document)), name },
+            };
+            entries.push(copy);
+            this._writeEntries(entries);
+            return copy.id;
+        }
+
+        /**
+         * Deletes a saved design.
+         * @param {string} id - The id of the entry.
+         * @throws {Error} If there is no such entry.
+         */
+        remove(id) {
+            const entries = this._readEntries();
+            this._findEntry(entries, id);
+            this._writeEntries(entries.filter(entry => entry.id !== id));
+        }
+
+        /**
+         * Stores a design in an autosave slot.
+         * @param {FluteDocumentData} document - The design document.
+         * @param {'working' | 'beforeReset'} [slot='working'] - The slot.
+         * @throws {Error} If the storage is full.
+         */
+        saveAutosave(document, slot = 'working') {
+            this.storage.setItem(this.AUTOSAVE_KEY_PREFIX + slot, JSON.stringify(document));
+        }
+
+        /**
+         * Loads the design of an autosave slot.
+         * @param {'working' | 'beforeReset'} [slot='working'] - The slot.
+         * @returns {FluteDocumentData|null} The design document, or null if the slot is empty.
+         * @throws {Error} If the stored document is invalid.
+         */
+        loadAutosave(slot = 'working') {
+            const text = this.storage.getItem(this.AUTOSAVE_KEY_PREFIX + slot);
+            return text ? FluteDocument.parse(text) : null;
+        }
+
+        /**
+         * Whether an autosave slot holds a design.
+         * @param {'working' | 'beforeReset'} [slot='working'] - The slot.
+         * @returns {boolean} True if the slot is not empty.
+         */
+        hasAutosave(slot = 'working') {
+            return Boolean(this.storage.getItem(this.AUTOSAVE_KEY_PREFIX + slot));
+        }
+
+        /**
+         * Copies the working autosave into the 'beforeReset' slot, so that a reset can be undone.
+         * @returns {boolean} True if there was a working design to copy.
+         */
+        backupAutosave() {
+            const text = this.storage.getItem(this.AUTOSAVE_KEY_PREFIX + 'working');
+            if (!text) {
+                return false;
+            }
+            this.storage.setItem(this.AUTOSAVE_KEY_PREFIX + 'beforeReset', text);
+            return true;
+        }
+
+        /**
+         * Whether the working design should be autosaved. Enabled unless turned off.
+         * @returns {boolean} The preference.
+         */
+        isAutosaveEnabled() {
+            return this.storage.getItem(this.AUTOSAVE_ENABLED_KEY) !== 'false';
+        }
+
+        /**
+         * Stores the autosave preference.
+         * @param {boolean} enabled - Whether to autosave.
+         */
+        setAutosaveEnabled(enabled) {
+            this.storage.setItem(this.AUTOSAVE_ENABLED_KEY, String(Boolean(enabled)));
+        }
+    }
+
+    return { FluteLibrary };
+}));
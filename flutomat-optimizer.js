@@ -0,0 +1,419 @@
+/**
+ * @fileoverview Flutomat NG - Hole Diameter Optimizer
+ * Searches finger hole diameters that bring the holes within reach of the fingers: a maximum spacing
+ * between adjacent holes, a diameter range per hole and optional fixed positions, while the position
+ * solver keeps every note on its target. Loaded by index.html after the engine (exposed as
+ * `Flutomat.FluteDiameterOptimizer`) and usable from Node with `require('./flutomat-optimizer.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./flutomat-engine.js'));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine } = Flutomat;
+
+    /**
+     * @typedef {object} FluteHoleConstraint
+     * @property {number} [minDiameter] - Smallest diameter allowed. Defaults to `DEFAULT_MIN_DIAMETER_RATIO` of the bore.
+     * @property {number} [maxDiameter] - Largest diameter allowed. Defaults to `DEFAULT_MAX_DIAMETER_RATIO` of the bore.
+     * @property {number} [position] - Distance from the open end the hole must be at, e.g. to sit under a finger.
+     */
+
+    /**
+     * @typedef {object} FluteDiameterConstraints
+     * @property {number} [maxSpacing] - Largest distance between the centers of adjacent finger holes. No limit when missing.
+     * @property {FluteHoleConstraint[]} [holes] - Constraints of each hole (index 0 = hole 1). Missing entries only keep the default diameter range.
+     */
+
+    /**
+     * @typedef {object} FluteOptimizerResult
+     * @property {boolean} success - True if every constraint is met.
+     * @property {number[]} diameters - The diameters found (index 0 = hole 1); on failure, where the search stopped.
+     * @property {FluteEngineResult} result - The positions given by the solver for these diameters.
+     * @property {object} diagnostics
+     * @property {number} diagnostics.evaluations - Number of solver runs.
+     * @property {number} diagnostics.steps - Number of holes fitted, counting the holes fitted again.
+     * @property {FluteEngineError[]} diagnostics.errors - Why no solution was found: the constraint the search could not meet, or the solver errors.
+     */
+
+    /**
+     * Hole diameter optimizer. The position solver is the inner evaluation: every candidate set of
+     * diameters is solved for positions, then the holes breaking a constraint are resized.
+     * @class
+     */
+    class FluteDiameterOptimizer {
+        /**
+         * Creates an optimizer for a single design. The hole diameters of the design are the starting point,
+         * and the search changes them as little as it can.
+         * @param {FluteDesign} design - The design.
+         * @param {FluteDiameterConstraints} constraints - The constraints, checked by `validateConstraints`.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} [solver=FluteEngine] - The position solver:
+         *     `FluteEngine` or `FluteImpedanceModel`.
+         */
+        constructor(design, constraints, solver = FluteEngine) {
+            // --- Configuration Constants ---
+            /** @const {number} Default smallest hole diameter, as a ratio of the bore diameter. */
+            this.DEFAULT_MIN_DIAMETER_RATIO = 0.15;
+            /** @const {number} Default largest hole diameter, as a ratio of the bore diameter. */
+            this.DEFAULT_MAX_DIAMETER_RATIO = 0.8;
+            /** @const {number} Positions and spacings are met within this distance, in inches. */
+            this.POSITION_TOLERANCE_INCHES = 0.002;
+            /** @const {number} The search for a diameter stops when it is known within this, in inches. */
+            this.DIAMETER_TOLERANCE_INCHES = 1e-5;
+            /** @const {number} Maximum number of times each hole is fitted, on average. */
+            this.MAX_STEPS_PER_HOLE = 20;
+            /** @const {number} Maximum number of solver runs when resizing a single hole. */
+            this.MAX_RESIZE_STEPS = 40;
+
+            /** @type {FluteDesign} The design. */
+            this.design = design;
+            /** @type {FluteDiameterConstraints} The constraints. */
+            this.constraints = constraints ?? {};
+            /** @type {{calculate: function(FluteDesign): FluteEngineResult}} The position solver. */
+            this.solver = solver;
+            /** @type {number} Number of finger holes. */
+            this.holeCount = Array.isArray(design?.holes) ? design.holes.length : 0;
+
+            const unitLength = design?.units === 'cm' ? 2.54 : 1; // Length of an inch in design units
+            /** @type {number} Position tolerance in design units. */
+            this.positionTolerance = this.POSITION_TOLERANCE_INCHES * unitLength;
+            /** @type {number} Diameter tolerance in design units. */
+            this.diameterTolerance = this.DIAMETER_TOLERANCE_INCHES * unitLength;
+            /** @type {number} Number of solver runs so far. */
+            this.evaluations = 0;
+            /** @type {?FluteEngineError} Why the last fit stopped short of meeting the constraints, null if it didn't. */
+            this.failure = null;
+        }
+
+        /**
+         * Convenience wrapper: optimizes a design in one call.
+         * @param {FluteDesign} design - The design.
+         * @param {FluteDiameterConstraints} constraints - The constraints.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} [solver=FluteEngine] - The position solver.
+         * @returns {FluteOptimizerResult} The diameters found.
+         */
+        static optimize(design, constraints, solver = FluteEngine) {
+            return new FluteDiameterOptimizer(design, constraints, solver).optimize();
+        }
+
+        /**
+         * A design hole with another diameter. An undercut keeps its widening, so that it stays wider at the bore.
+         * @param {FluteDesignHole} hole - The hole.
+         * @param {number} diameter - The new diameter.
+         * @returns {FluteDesignHole} A resized copy of the hole.
+         */
+        static resizeHole(hole, diameter) {
+            const resized = { ...hole, diameter };
+            if (hole.undercutDiameter !== undefined) {
+                resized.undercutDiameter = FluteEngine.toNumber(hole.undercutDiameter) + diameter - FluteEngine.toNumber(hole.diameter);
+            }
+            return resized;
+        }
+
+        /**
+         * Checks constraints against the input rules of the optimizer.
+         * @param {FluteDiameterConstraints} constraints - The constraints.
+         * @param {number} holeCount - Number of holes of the design.
+         * @returns {{field: string, holeIndex?: number, message: string}[]} The problems found, empty if the constraints are valid.
+         */
+        static validateConstraints(constraints, holeCount) {
+            if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+                return [{ field: 'constraints', message: 'Constraints must be an object' }];
+            }
+            const errors = [];
+            const isOptional = (value, isValid) => value === undefined || isValid(FluteEngine.toNumber(value));
+
+            if (!isOptional(constraints.maxSpacing, value => value > 0)) {
+                errors.push({ field: 'maxSpacing', message: `Invalid value for maxSpacing: ${constraints.maxSpacing}` });
+            }
+            if (constraints.holes !== undefined && !(Array.isArray(constraints.holes) && constraints.holes.length <= holeCount)) {
+                errors.push({ field: 'holes', message: 'The hole constraints must be a list with at most one entry per hole' });
+                return errors;
+            }
+            (constraints.holes ?? []).forEach((hole, i) => {
+                ['minDiameter', 'maxDiameter'].forEach(field => {
+                    if (!isOptional(hole?.[field], value => value > 0)) {
+                        errors.push({ field, holeIndex: i, message: `Invalid ${field} for hole ${i + 1}: ${hole?.[field]}` });
+                    }
+                });
+                if (FluteEngine.toNumber(hole?.minDiameter) > FluteEngine.toNumber(hole?.maxDiameter)) {
+                    errors.push({ field: 'maxDiameter', holeIndex: i, message: `The diameter range of hole ${i + 1} is empty: ${hole.minDiameter} to ${hole.maxDiameter}` });
+                }
+                if (!isOptional(hole?.position, value => value > 0)) {
+                    errors.push({ field: 'position', holeIndex: i, message: `Invalid fixed position for hole ${i + 1}: ${hole?.position}` });
+                }
+            });
+            return errors;
+        }
+
+        /**
+         * Diameter range of a hole: its constraints, or the default ratios of the narrowest bore.
+         * @param {number} holeIndex - The 0-based index of the hole.
+         * @returns {{min: number, max: number}} The range in design units.
+         */
+        getDiameterRange(holeIndex) {
+            const profileDiameters = (this.design.boreProfile ?? []).map(point => FluteEngine.toNumber(point.diameter));
+            const boreDiameter = profileDiameters.length > 0 ? Math.min(...profileDiameters) : FluteEngine.toNumber(this.design.boreDiameter);
+            const constraint = this.constraints.holes?.[holeIndex] ?? {};
+            const orDefault = (value, ratio) => value === undefined ? ratio * boreDiameter : FluteEngine.toNumber(value);
+            return {
+                min: orDefault(constraint.minDiameter, this.DEFAULT_MIN_DIAMETER_RATIO),
+                max: orDefault(constraint.maxDiameter, this.DEFAULT_MAX_DIAMETER_RATIO),
+            };
+        }
+
+        /**
+         * Runs the solver with a set of diameters. The holes above a hole barely change where it goes,
+         * so a hole can be fitted on the design cut above it.
+         * @param {number[]} diameters - Diameter of each hole.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} [solver=this.solver] - The position solver.
+         * @param {number} [holeCount=this.holeCount] - Number of holes to keep, from the lowest.
+         * @returns {FluteEngineResult} The result of the solver.
+         */
+        evaluate(diameters, solver = this.solver, holeCount = this.holeCount) {
+            this.evaluations++;
+            return solver.calculate({
+                ...this.design,
+                holes: this.design.holes.slice(0, holeCount).map((hole, i) => FluteDiameterOptimizer.resizeHole(hole, diameters[i])),
+            });
+        }
+
+        /**
+         * Resizes one hole until an offset computed from the positions reaches zero, or its diameter a limit of its range.
+         * A larger hole sits further from the embouchure, so the offsets used fall as the diameter grows.
+         * The search keeps a bracket around zero (false position, Illinois variant),
+         * and bisects towards the sizes the solver can't handle.
+         * @param {number[]} diameters - Diameter of each hole, updated in place. The solver must handle the current one.
+         * @param {number} holeIndex - The 0-based index of the hole.
+         * @param {function(number[]): number} offsetOf - The offset, from the positions of the lowest `holeCount` holes.
+         * @param {number} holeCount - Number of holes solved, from the lowest.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} solver - The position solver.
+         * @private
+         */
+        _resizeHole(diameters, holeIndex, offsetOf, holeCount, solver) {
+            const offsetAt = (diameter) => {
+                const trial = diameters.slice();
+                trial[holeIndex] = diameter;
+                const result = this.evaluate(trial, solver, holeCount);
+                return result.success ? offsetOf(result.holes.map(hole => hole.physicalPosition)) : NaN;
+            };
+            const { min, max } = this.getDiameterRange(holeIndex);
+
+            // a: the current size, on the starting side of the target; b: the limit of the range, then the far side
+            let a = diameters[holeIndex];
+            let offsetA = offsetAt(a);
+            if (Math.abs(offsetA) <= this.positionTolerance / 2) {
+                return;
+            }
+            let b = offsetA > 0 ? max : min;
+            let offsetB = offsetAt(b);
+            if (offsetB * offsetA > 0) {
+                diameters[holeIndex] = b; // Out of reach: as close as the range allows
+                return;
+            }
+
+            let side = 0;
+            for (let step = 0; step < this.MAX_RESIZE_STEPS && Math.abs(b - a) > this.diameterTolerance; step++) {
+                if (!isNaN(offsetB) && Math.abs(offsetB) <= this.positionTolerance / 2) {
+                    break;
+                }
+                const c = isNaN(offsetB) ? (a + b) / 2 : b - offsetB * (b - a) / (offsetB - offsetA);
+                const offsetC = offsetAt(c);
+                if (isNaN(offsetC) || offsetC * offsetA < 0) {
+                    b = c;
+                    offsetB = offsetC;
+                    if (side === -1 && !isNaN(offsetB)) offsetA /= 2;
+                    side = -1;
+                } else {
+                    a = c;
+                    offsetA = offsetC;
+                    if (side === 1 && !isNaN(offsetB)) offsetB /= 2;
+                    side = 1;
+                }
+            }
+            // b has crossed the target, a has not: a is the valid size when the solver fails beyond it
+            diameters[holeIndex] = isNaN(offsetB) ? a : b;
+        }
+
+        /**
+         * Fits the holes from the lowest up. Each hole is kept within the spacing of the hole below it,
+         * and on its fixed position. When a hole can't get close enough to the hole below, even at its largest,
+         * the hole below shrinks to move up until it is, and the fit goes back down to keep it there.
+         * Fitting a hole also moves the holes below it a little, so spacings are measured on the holes as they
+         * now stand, and a hole below that has drifted too low is fitted again, higher.
+         * @param {number[]} diameters - Diameter of each hole, updated in place.
+         * @param {{calculate: function(FluteDesign): FluteEngineResult}} solver - The position solver.
+         * @returns {number} The number of holes fitted, counting the holes fitted again.
+         * @private
+         */
+        _fitHoles(diameters, solver) {
+            const maxSpacing = FluteEngine.toNumber(this.constraints.maxSpacing); // NaN: no limit
+            const lowestPositions = new Array(this.holeCount).fill(-Infinity);
+            const tolerance = this.positionTolerance;
+            const positionsUpTo = (i) => {
+                const result = this.evaluate(diameters, solver, i + 1);
+                return result.success ? result.holes.map(hole => hole.physicalPosition) : null;
+            };
+            // Keeps hole i - 1 at least `rise` above where it now stands, as fitted again on the holes below it only
+            const raiseHoleBelow = (i, rise) => {
+                const positions = positionsUpTo(i - 1);
+                if (positions) {
+                    lowestPositions[i - 1] = positions[i - 1] + rise;
+                }
+                return positions !== null;
+            };
+            const solverFailure = (i) => ({ field: 'diameter', holeIndex: i, message: `The solver can't place hole ${i + 1} with the diameters tried` });
+
+            this.failure = null;
+            let steps = 0;
+            for (let i = 0; i < this.holeCount && steps < this.MAX_STEPS_PER_HOLE * this.holeCount; steps++) {
+                const { min, max } = this.getDiameterRange(i);
+                let positions = positionsUpTo(i);
+                if (!positions) {
+                    // The holes below have moved too far for this size: restart from a limit of the range
+                    diameters[i] = max;
+                    positions = positionsUpTo(i);
+                    if (!positions) {
+                        diameters[i] = min;
+                        positions = positionsUpTo(i);
+                    }
+                    if (!positions) {
+                        this.failure = { field: 'diameter', holeIndex: i, message: `No diameter from ${min.toFixed(3)} to ${max.toFixed(3)} lets hole ${i + 1} be placed above hole ${i}` };
+                        break;
+                    }
+                }
+                const fixedPosition = FluteEngine.toNumber(this.constraints.holes?.[i]?.position);
+                let lowest = lowestPositions[i];
+                let highest = i > 0 && !isNaN(maxSpacing) ? positions[i - 1] + maxSpacing : Infinity;
+                if (!isNaN(fixedPosition)) {
+                    lowest = Math.max(lowest, fixedPosition - tolerance);
+                    highest = Math.min(highest, fixedPosition + tolerance);
+                }
+                if (lowest > highest) {
+                    if (i > 0 && isNaN(fixedPosition)) {
+                        if (!raiseHoleBelow(i, lowest - highest + tolerance / 2)) {
+                            this.failure = solverFailure(i - 1);
+                            break;
+                        }
+                        i--;
+                        continue;
+                    }
+                    this.failure = { field: 'position', holeIndex: i, message: `Hole ${i + 1} would have to be both above ${lowest.toFixed(3)} and below ${highest.toFixed(3)}` };
+                    break;
+                }
+
+                if (positions[i] > highest) {
+                    // The hole below moves with this one, so the spacing is taken from the trial positions
+                    const offsetOf = isNaN(fixedPosition) ? trial => trial[i] - trial[i - 1] - maxSpacing + tolerance / 2
+                        : trial => trial[i] - highest + tolerance / 2;
+                    this._resizeHole(diameters, i, offsetOf, i + 1, solver);
+                } else if (positions[i] < lowest) {
+                    this._resizeHole(diameters, i, trial => trial[i] - lowest - tolerance / 2, i + 1, solver);
+                }
+                positions = positionsUpTo(i);
+                if (!positions) {
+                    this.failure = solverFailure(i);
+                    break;
+                }
+                if (i > 0 && !isNaN(maxSpacing)) {
+                    highest = Math.min(highest, positions[i - 1] + maxSpacing);
+                }
+                if (positions[i] < lowest - tolerance) {
+                    this.failure = { field: 'diameter', holeIndex: i, message: `Hole ${i + 1} can't move up to ${lowest.toFixed(3)}, even at its smallest (${min.toFixed(3)})` };
+                    break;
+                }
+                if (positions[i] > highest + tolerance) {
+                    if (!isNaN(fixedPosition) || i === 0) {
+                        this.failure = { field: 'diameter', holeIndex: i, message: `Hole ${i + 1} can't move down to ${highest.toFixed(3)}, even at its largest (${max.toFixed(3)})` };
+                        break;
+                    }
+                    // Raising the hole below also lowers this one, so both are solved together
+                    this._resizeHole(diameters, i - 1, trial => trial[i - 1] + maxSpacing - tolerance / 2 - trial[i], i + 1, solver);
+                    positions = positionsUpTo(i);
+                    if (!positions) {
+                        this.failure = solverFailure(i);
+                        break;
+                    }
+                    if (positions[i] - positions[i - 1] > maxSpacing + tolerance) {
+                        this.failure = { field: 'maxSpacing', holeIndex: i, message: `Holes ${i} and ${i + 1} can't be brought within ${maxSpacing} of each other` };
+                        break;
+                    }
+                    if (!raiseHoleBelow(i, -tolerance / 2)) {
+                        this.failure = solverFailure(i - 1);
+                        break;
+                    }
+                    i--;
+                    continue;
+                }
+                i++;
+            }
+            return steps;
+        }
+
+        /**
+         * Lists the constraints a solver result breaks.
+         * @param {FluteEngineResult} result - A successful result, for all the holes or the lowest ones.
+         * @param {number[]} diameters - Diameter of each hole.
+         * @returns {FluteEngineError[]} One error per constraint broken.
+         * @private
+         */
+        _checkConstraints(result, diameters) {
+            const errors = [];
+            const positions = result.holes.map(hole => hole.physicalPosition);
+            const maxSpacing = FluteEngine.toNumber(this.constraints.maxSpacing);
+            positions.forEach((position, i) => {
+                const fixedPosition = FluteEngine.toNumber(this.constraints.holes?.[i]?.position);
+                if (Math.abs(position - fixedPosition) > this.positionTolerance) {
+                    errors.push({ field: 'position', holeIndex: i, message: `No diameter puts hole ${i + 1} at ${fixedPosition} (closest: ${position.toFixed(3)}, diameter ${diameters[i].toFixed(3)})` });
+                }
+                if (i > 0 && position - positions[i - 1] > maxSpacing + this.positionTolerance) {
+                    errors.push({ field: 'maxSpacing', holeIndex: i, message: `Holes ${i} and ${i + 1} stay ${(position - positions[i - 1]).toFixed(3)} apart, more than ${maxSpacing}` });
+                }
+            });
+            return errors;
+        }
+
+        /**
+         * Searches diameters meeting every constraint. With a slower solver than the quadratic one,
+         * the quadratic solver does most of the search and the solver finishes it.
+         * @returns {FluteOptimizerResult} The diameters found.
+         */
+        optimize() {
+            this.evaluations = 0;
+            const diameters = (this.design?.holes ?? []).map((hole, i) => {
+                const { min, max } = this.getDiameterRange(i);
+                return Math.min(max, Math.max(min, FluteEngine.toNumber(hole.diameter)));
+            });
+
+            let steps = 0;
+            if (this.solver !== FluteEngine && FluteEngine.calculate(this.design).success) {
+                steps += this._fitHoles(diameters, FluteEngine);
+            }
+            steps += this._fitHoles(diameters, this.solver);
+
+            // The result decides, within the tolerance; the failure of the fit only explains why it falls short
+            const result = this.evaluate(diameters);
+            let errors = result.success ? this._checkConstraints(result, diameters) : result.diagnostics.errors;
+            if (errors.length > 0 && this.failure) {
+                errors = [this.failure];
+            }
+
+            return {
+                success: errors.length === 0,
+                diameters,
+                result,
+                diagnostics: {
+                    evaluations: this.evaluations,
+                    steps,
+                    errors,
+                },
+            };
+        }
+    }
+
+    return { FluteDiameterOptimizer };
+}));
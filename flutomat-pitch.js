@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Flutomat NG - Pitch Detector
+ * Finds the pitch of a played note with the YIN method (de Cheveigné and Kawahara, 2002), from a frame of
+ * samples (the microphone, through the Web Audio API in flutomat.js) or a whole WAV recording, and matches
+ * it with the nearest note of the flute. Independent of the Web Audio API, so that recorded samples can be
+ * checked offline. Loaded by index.html after the engine (exposed as `Flutomat.FlutePitchDetector`) and
+ * usable from Node with `require('./flutomat-pitch.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./flutomat-engine.js'));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine } = Flutomat;
+
+    /**
+     * @typedef {object} FlutePitch
+     * A detected pitch.
+     * @property {number} frequency - Frequency in Hz.
+     * @property {number} clarity - How periodic the sound is, from 0 (noise) to 1 (a pure period).
+     */
+
+    /**
+     * @typedef {object} FluteRecording
+     * Samples of a WAV file, mixed down to one channel.
+     * @property {number} sampleRate - Samples per second.
+     * @property {number} channelCount - Channels of the file.
+     * @property {Float32Array} samples - The samples, from -1 to 1.
+     */
+
+    /**
+     * Pitch detection for a single sample rate.
+     * @class
+     */
+    class FlutePitchDetector {
+        /**
+         * Creates a detector.
+         * @param {number} sampleRate - Samples per second.
+         * @param {{minFrequency?: number, maxFrequency?: number}} [options] - Range of the pitches looked for.
+         */
+        constructor(sampleRate, options = {}) {
+            // --- Configuration Constants ---
+            /** @const {number} Lowest pitch looked for by default, in Hz: below the bass flute's C3. */
+            this.DEFAULT_MIN_FREQUENCY = 120;
+            /** @const {number} Highest pitch looked for by default, in Hz: above the piccolo's C8. */
+            this.DEFAULT_MAX_FREQUENCY = 4500;
+            /** @const {number} YIN threshold: the first dip of the normalized difference below it is the period. */
+            this.YIN_THRESHOLD = 0.15;
+            /** @const {number} Root mean square level below which a frame is silence. */
+            this.SILENCE_LEVEL = 0.01;
+            /** @const {number} Length of a frame of a recording, in seconds: two periods of the lowest pitch fit in it. */
+            this.FRAME_DURATION = 0.04;
+            /** @const {number} Step between the frames of a recording, in seconds. */
+            this.HOP_DURATION = 0.02;
+
+            /** @type {number} Samples per second. */
+            this.sampleRate = sampleRate;
+            /** @type {number} Lowest pitch looked for, in Hz. */
+            this.minFrequency = options.minFrequency ?? this.DEFAULT_MIN_FREQUENCY;
+            /** @type {number} Highest pitch looked for, in Hz. */
+            this.maxFrequency = options.maxFrequency ?? this.DEFAULT_MAX_FREQUENCY;
+        }
+
+        /**
+         * Reads an uncompressed WAV file: 8, 16, 24 or 32-bit integer PCM, or 32 or 64-bit floating point.
+         * @param {ArrayBuffer} buffer - The file contents.
+         * @returns {FluteRecording} The recording, mixed down to one channel.
+         * @throws {Error} If the file is not a WAV file, or its encoding is not supported.
+         */
+        static parseWav(buffer) {
+            const view = new DataView(buffer);
+            const readTag = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+            if (buffer.byteLength < 12 || readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+                throw new Error('Invalid WAV file: missing RIFF/WAVE header');
+            }
+
+            let format = null;
+            let data = null;
+            for (let offset = 12; offset + 8 <= buffer.byteLength; ) {
+                const tag = readTag(offset);
+                const size = view.getUint32(offset + 4, true);
+                const body = offset + 8;
+                if (tag === 'fmt ' && size >= 16) {
+                    format = {
+                        encoding: view.getUint16(body, true),
+                        channelCount: view.getUint16(body + 2, true),
+                        sampleRate: view.getUint32(body + 4, true),
+                        blockAlign: view.getUint16(body + 12, true),
+                        bitsPerSample: view.getUint16(body + 14, true),
+                    };
+                    if (format.encoding === 0xFFFE && size >= 26) {
+                        format.encoding = view.getUint16(body + 24, true); // WAVE_FORMAT_EXTENSIBLE: the sub-format
+                    }
+                } else if (tag === 'data') {
+                    data = { offset: body, size: Math.min(size, buffer.byteLength - body) };
+                }
+                offset = body + size + (size % 2); // Chunks are padded to an even size
+            }
+            if (!format || !data) {
+                throw new Error(`Invalid WAV file: missing ${format ? 'data' : 'format'} chunk`);
+            }
+
+            const { encoding, channelCount, sampleRate, blockAlign, bitsPerSample } = format;
+            const readers = {
+                '1:8': (offset) => (view.getUint8(offset) - 128) / 128,
+                '1:16': (offset) => view.getInt16(offset, true) / 32768,
+                '1:24': (offset) => ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608,
+                '1:32': (offset) => view.getInt32(offset, true) / 2147483648,
+                '3:32': (offset) => view.getFloat32(offset, true),
+                '3:64': (offset) => view.getFloat64(offset, true),
+            };
+            const read = readers[`${encoding}:${bitsPerSample}`];
+            if (!read || channelCount < 1 || blockAlign < channelCount * bitsPerSample / 8 || !(sampleRate > 0)) {
+                throw new Error(`Unsupported WAV encoding: format ${encoding}, ${bitsPerSample} bits, ${channelCount} channels`);
+            }
+
+            const bytesPerSample = bitsPerSample / 8;
+            const samples = new Float32Array(Math.floor(data.size / blockAlign));
+            for (let i = 0; i < samples.length; i++) {
+                let sum = 0;
+                for (let channel = 0; channel < channelCount; channel++) {
+                    sum += read(data.offset + i * blockAlign + channel * bytesPerSample);
+                }
+                samples[i] = sum / channelCount;
+            }
+            return { sampleRate, channelCount, samples };
+        }
+
+        /**
+         * Finds the note of the flute nearest to a pitch.
+         * @param {number} frequency - The pitch in Hz.
+         * @param {{kind: string, index?: number, frequency: number}[]} notes - The notes, with their target frequencies.
+         * @returns {?{note: object, deviationCents: number}} The nearest note and the deviation of the pitch from it,
+         *     null if there is no valid note.
+         */
+        static findNearestNote(frequency, notes) {
+            return notes
+                .filter(note => note.frequency > 0)
+                .map(note => ({ note, deviationCents: FluteEngine.centsBetween(frequency, note.frequency) }))
+                .reduce((nearest, match) => !nearest || Math.abs(match.deviationCents) < Math.abs(nearest.deviationCents) ? match : nearest, null);
+        }
+
+        /**
+         * Number of samples the detector needs to find the lowest pitch.
+         * @returns {number} The frame size.
+         */
+        getFrameSize() {
+            return Math.ceil(this.FRAME_DURATION * this.sampleRate);
+        }
+
+        /**
+         * Detects the pitch of a frame with YIN: the difference of the frame with itself shifted by each lag,
+         * normalized by its running mean; the first dip below the threshold is the period, refined by a parabola
+         * through the raw differences around it.
+         * @param {Float32Array|number[]} samples - The frame, at least two periods of the lowest pitch long.
+         * @returns {?FlutePitch} The pitch, null for silence or a sound without a clear pitch.
+         */
+        detect(samples) {
+            const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+            const maxLag = Math.min(Math.ceil(this.sampleRate / this.minFrequency), Math.floor(samples.length / 2));
+            const minLag = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+            if (!(rms >= this.SILENCE_LEVEL) || maxLag <= minLag + 1) {
+                return null;
+            }
+
+            const windowSize = samples.length - maxLag;
+            const differences = new Float64Array(maxLag + 1);
+            const normalized = new Float64Array(maxLag + 1);
+            normalized[0] = 1;
+            let runningSum = 0;
+            for (let lag = 1; lag <= maxLag; lag++) {
+                let difference = 0;
+                for (let j = 0; j < windowSize; j++) {
+                    const delta = samples[j] - samples[j + lag];
+                    difference += delta * delta;
+                }
+                differences[lag] = difference;
+                runningSum += difference;
+                normalized[lag] = runningSum > 0 ? difference * lag / runningSum : 1;
+            }
+
+            let lag = minLag;
+            while (lag < maxLag && normalized[lag] >= this.YIN_THRESHOLD) {
+                lag++;
+            }
+            if (lag >= maxLag) {
+                return null;
+            }
+            while (lag + 1 < maxLag && normalized[lag + 1] < normalized[lag]) {
+                lag++; // Down to the bottom of the dip
+            }
+
+            const [before, at, after] = [differences[lag - 1], differences[lag], differences[lag + 1]];
+            const curvature = before - 2 * at + after;
+            const period = lag + (curvature > 0 ? (before - after) / (2 * curvature) : 0);
+            return { frequency: this.sampleRate / period, clarity: Math.max(0, 1 - normalized[lag]) };
+        }
+
+        /**
+         * Detects the pitch of a whole recording: the median of the pitches of its frames, which ignores the
+         * attack, the release and the odd octave error.
+         * @param {Float32Array|number[]} samples - The recording.
+         * @returns {{frequency: ?number, frames: {time: number, frequency: number, clarity: number}[], frameCount: number}}
+         *     The pitch (null if no frame has one), the frames that have one, and how many frames were looked at.
+         */
+        analyzeRecording(samples) {
+            const frameSize = this.getFrameSize();
+            const hopSize = Math.max(1, Math.round(this.HOP_DURATION * this.sampleRate));
+            const frames = [];
+            let frameCount = 0;
+            for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+                frameCount++;
+                const pitch = this.detect(samples.subarray ? samples.subarray(start, start + frameSize) : samples.slice(start, start + frameSize));
+                if (pitch) {
+                    frames.push({ time: start / this.sampleRate, ...pitch });
+                }
+            }
+            const sorted = frames.map(frame => frame.frequency).sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            const frequency = sorted.length === 0 ? null : sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            return { frequency, frames, frameCount };
+        }
+    }
+
+    return { FlutePitchDetector };
+}));
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Flutomat NG - Drilling Tolerances
+ * How far each note moves when an input is off: a sensitivity report, in cents per unit of error of every
+ * input, and a Monte Carlo simulation of a flute made within given tolerances. Both run the analysis
+ * (predicted frequencies from positions) of the engine's correction functions. Loaded by index.html after
+ * the engine (exposed as `Flutomat.FluteSensitivity`) and usable from Node with `require('./flutomat-sensitivity.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./flutomat-engine.js'));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine } = Flutomat;
+
+    /**
+     * @typedef {object} FluteSensitivityNote
+     * A note of the flute: the end note, a finger hole opened as the first open hole, or a keyed hole opened alone.
+     * @property {'end' | 'hole' | 'key'} kind - Which fingering plays it.
+     * @property {number} [index] - The 0-based hole or key index.
+     * @property {number} frequency - Frequency in Hz predicted for the design as given.
+     */
+
+    /**
+     * @typedef {object} FluteSensitivityInput
+     * An input that can be off, named like the `FluteEngine.validateDesign` fields.
+     * @property {string} field - 'boreDiameter', 'wallThickness', 'temperatureCelsius' (or 'boreTemperatureCelsius'
+     *     when the design sets it), 'embouchurePosition', 'diameter', 'position', 'keyDiameter' or 'keyPosition'.
+     * @property {number} [holeIndex] - The 0-based hole index of a hole field.
+     * @property {number} [keyIndex] - The 0-based key index of a key field.
+     * @property {number[]} centsPerUnit - How many cents each note moves per unit of error (design unit or °C),
+     *     in the order of the notes.
+     */
+
+    /**
+     * @typedef {object} FluteTolerances
+     * Largest errors, each way, in design units (°C for the temperature). Missing tolerances are 0.
+     * @property {number} [boreDiameter] - Error of the bore diameter (the whole bore profile moves with it).
+     * @property {number} [wallThickness] - Error of the wall thickness.
+     * @property {number} [holeDiameter] - Error of each hole diameter, finger or keyed.
+     * @property {number} [holePosition] - Error of each drilled position: the embouchure, the finger and keyed holes.
+     * @property {number} [temperature] - Error of the temperature of the air in the bore.
+     */
+
+    /**
+     * @typedef {object} FluteSpread
+     * Deviations of a note from its predicted frequency over the samples, in cents.
+     * @property {number} mean - Average deviation.
+     * @property {number} standardDeviation - Standard deviation.
+     * @property {number} min - Flattest deviation.
+     * @property {number} max - Sharpest deviation.
+     */
+
+    /**
+     * Tolerance and sensitivity analysis of a flute with known positions.
+     * @class
+     */
+    class FluteSensitivity {
+        /**
+         * Creates an analysis for a single design.
+         * @param {FluteDesign} design - The design, with the `embouchurePosition` and hole and key `position`s, as for
+         *     `FluteEngine.analyze`.
+         * @param {{analyze: function(FluteDesign): FluteAnalysisResult}} [solver=FluteEngine] - The model predicting
+         *     the frequencies: `FluteEngine` or `FluteImpedanceModel`.
+         */
+        constructor(design, solver = FluteEngine) {
+            // --- Configuration Constants ---
+            /** @const {number} Error used to measure the sensitivity to a length, in inches. */
+            this.LENGTH_STEP_INCHES = 0.001;
+            /** @const {number} Error used to measure the sensitivity to the temperature, in °C. */
+            this.TEMPERATURE_STEP_CELSIUS = 0.1;
+            /** @const {number} Default number of flutes made in the Monte Carlo simulation. */
+            this.DEFAULT_SAMPLES = 200;
+
+            /** @type {FluteDesign} The design. */
+            this.design = design;
+            /** @type {{analyze: function(FluteDesign): FluteAnalysisResult}} The prediction model. */
+            this.solver = solver;
+
+            const unitLength = design?.units === 'cm' ? 2.54 : 1; // Length of an inch in design units
+            /** @type {number} Sensitivity step of lengths, in design units. */
+            this.lengthStep = this.LENGTH_STEP_INCHES * unitLength;
+        }
+
+        /**
+         * Convenience wrapper: the sensitivity report of a design in one call.
+         * @param {FluteDesign} design - The design, with positions.
+         * @param {{analyze: function(FluteDesign): FluteAnalysisResult}} [solver=FluteEngine] - The prediction model.
+         * @returns {{success: boolean, notes: FluteSensitivityNote[], inputs: FluteSensitivityInput[], errors: FluteEngineError[]}}
+         *     The report.
+         */
+        static analyze(design, solver = FluteEngine) {
+            return new FluteSensitivity(design, solver).analyze();
+        }
+
+        /**
+         * Convenience wrapper: the Monte Carlo simulation of a design in one call.
+         * @param {FluteDesign} design - The design, with positions.
+         * @param {FluteTolerances} tolerances - The tolerances, checked by `validateTolerances`.
+         * @param {{samples?: number, seed?: number}} [options] - Number of flutes to make, and a seed to repeat a simulation.
+         * @param {{analyze: function(FluteDesign): FluteAnalysisResult}} [solver=FluteEngine] - The prediction model.
+         * @returns {{success: boolean, notes: FluteSensitivityNote[], spreads: FluteSpread[], samples: number, failures: number, errors: FluteEngineError[]}}
+         *     The spread of every note.
+         */
+        static simulate(design, tolerances, options = {}, solver = FluteEngine) {
+            return new FluteSensitivity(design, solver).simulate(tolerances, options);
+        }
+
+        /**
+         * Checks tolerances against the input rules of the simulation.
+         * @param {FluteTolerances} tolerances - The tolerances.
+         * @returns {{field: string, message: string}[]} The problems found, empty if the tolerances are valid.
+         */
+        static validateTolerances(tolerances) {
+            if (!tolerances || typeof tolerances !== 'object' || Array.isArray(tolerances)) {
+                return [{ field: 'tolerances', message: 'Tolerances must be an object' }];
+            }
+            return TOLERANCE_FIELDS
+                .filter(field => tolerances[field] !== undefined && !(FluteEngine.toNumber(tolerances[field]) >= 0))
+                .map(field => ({ field, message: `Invalid tolerance for ${field}: ${tolerances[field]}` }));
+        }
+
+        /**
+         * Lists the notes of the design, in the order of the results: the end note, the finger holes, the keys.
+         * @param {FluteAnalysisResult} result - The analysis of the design.
+         * @returns {FluteSensitivityNote[]} The notes.
+         */
+        static getNotes(result) {
+            return [
+                { kind: 'end', frequency: result.end.predictedFrequency },
+                ...result.holes.map((hole, index) => ({ kind: 'hole', index, frequency: hole.predictedFrequency })),
+                ...result.keys.map((key, index) => ({ kind: 'key', index, frequency: key.predictedFrequency })),
+            ];
+        }
+
+        /**
+         * Lists the inputs that can be off, each with its sensitivity still to measure.
+         * @returns {{field: string, holeIndex?: number, keyIndex?: number}[]} The inputs.
+         */
+        getInputs() {
+            const holes = this.design.holes ?? [];
+            const keys = this.design.keys ?? [];
+            return [
+                { field: 'boreDiameter' },
+                { field: 'wallThickness' },
+                { field: this.design.boreTemperatureCelsius === undefined ? 'temperatureCelsius' : 'boreTemperatureCelsius' },
+                { field: 'embouchurePosition' },
+                ...holes.map((hole, holeIndex) => ({ field: 'diameter', holeIndex })),
+                ...holes.map((hole, holeIndex) => ({ field: 'position', holeIndex })),
+                ...keys.map((key, keyIndex) => ({ field: 'keyDiameter', keyIndex })),
+                ...keys.map((key, keyIndex) => ({ field: 'keyPosition', keyIndex })),
+            ];
+        }
+
+        /**
+         * The design with one input off by an error. A hole drilled too large keeps the widening of its undercut.
+         * @param {FluteDesign} design - The design.
+         * @param {{field: string, holeIndex?: number, keyIndex?: number}} input - The input.
+         * @param {number} error - The error, in design units or °C.
+         * @returns {FluteDesign} A copy of the design with the error.
+         */
+        static perturb(design, input, error) {
+            const add = (value) => FluteEngine.toNumber(value) + error;
+            const enlarge = (hole) => {
+                const enlarged = { ...hole, diameter: add(hole.diameter) };
+                if (hole.undercutDiameter !== undefined) {
+                    enlarged.undercutDiameter = add(hole.undercutDiameter);
+                }
+                return enlarged;
+            };
+            const changeHole = (holes, index, change) => holes.map((hole, i) => i === index ? change(hole) : hole);
+
+            switch (input.field) {
+                case 'boreDiameter': {
+                    const perturbed = { ...design, boreDiameter: add(design.boreDiameter) };
+                    if (Array.isArray(design.boreProfile)) {
+                        perturbed.boreProfile = design.boreProfile.map(point => ({ ...point, diameter: add(point.diameter) }));
+                    }
+                    return perturbed;
+                }
+                case 'wallThickness':
+                case 'temperatureCelsius':
+                case 'boreTemperatureCelsius':
+                case 'embouchurePosition':
+                    return { ...design, [input.field]: add(design[input.field]) };
+                case 'diameter':
+                    return { ...design, holes: changeHole(design.holes, input.holeIndex, enlarge) };
+                case 'position':
+                    return { ...design, holes: changeHole(design.holes, input.holeIndex, hole => ({ ...hole, position: add(hole.position) })) };
+                case 'keyDiameter':
+                    return { ...design, keys: changeHole(design.keys, input.keyIndex, enlarge) };
+                case 'keyPosition':
+                    return { ...design, keys: changeHole(design.keys, input.keyIndex, key => ({ ...key, position: add(key.position) })) };
+                default:
+                    return design;
+            }
+        }
+
+        /**
+         * Predicted frequency of every note of a design.
+         * @param {FluteDesign} design - The design, with positions.
+         * @returns {?number[]} The frequencies, in the order of the notes; null if the prediction failed.
+         */
+        predict(design) {
+            const result = this.solver.analyze(design);
+            return result.success ? FluteSensitivity.getNotes(result).map(note => note.frequency) : null;
+        }
+
+        /**
+         * Measures the sensitivity of every note to every input by central differences: the input is moved by a
+         * small step each way, and the change of each note in cents is divided by the distance between the two.
+         * @returns {{success: boolean, notes: FluteSensitivityNote[], inputs: FluteSensitivityInput[], errors: FluteEngineError[]}}
+         *     The report.
+         */
+        analyze() {
+            const nominal = this.solver.analyze(this.design);
+            if (!nominal.success) {
+                return { success: false, notes: [], inputs: [], errors: nominal.diagnostics.errors };
+            }
+            const notes = FluteSensitivity.getNotes(nominal);
+            const errors = [];
+            const inputs = this.getInputs().map(input => {
+                const step = input.field.endsWith('Celsius') ? this.TEMPERATURE_STEP_CELSIUS : this.lengthStep;
+                const above = this.predict(FluteSensitivity.perturb(this.design, input, step));
+                const below = this.predict(FluteSensitivity.perturb(this.design, input, -step));
+                if (!above || !below) {
+                    errors.push({ ...input, message: `The notes can't be predicted with ${input.field} off by ${step}` });
+                }
+                const centsPerUnit = notes.map((note, i) => above && below ? 1200 * Math.log2(above[i] / below[i]) / (2 * step) : NaN);
+                return { ...input, centsPerUnit };
+            });
+            return { success: errors.length === 0, notes, inputs, errors };
+        }
+
+        /**
+         * Makes flutes with every input off by a random error within its tolerance, evenly spread, and collects how
+         * far each note lands from its prediction for the design as given. Every hole gets its own errors.
+         * @param {FluteTolerances} tolerances - The tolerances.
+         * @param {{samples?: number, seed?: number}} [options] - Number of flutes to make (`DEFAULT_SAMPLES` by
+         *     default), and a seed to repeat a simulation (Math.random without one).
+         * @returns {{success: boolean, notes: FluteSensitivityNote[], spreads: FluteSpread[], samples: number, failures: number, errors: FluteEngineError[]}}
+         *     The spread of every note over the flutes that could be predicted; `failures` counts the others.
+         */
+        simulate(tolerances, options = {}) {
+            const errors = FluteSensitivity.validateTolerances(tolerances);
+            const nominal = this.solver.analyze(this.design);
+            if (!nominal.success) {
+                errors.push(...nominal.diagnostics.errors);
+            }
+            if (errors.length > 0) {
+                return { success: false, notes: [], spreads: [], samples: 0, failures: 0, errors };
+            }
+            const notes = FluteSensitivity.getNotes(nominal);
+            const random = options.seed === undefined ? Math.random : createRandom(options.seed);
+            const samples = options.samples ?? this.DEFAULT_SAMPLES;
+            const toleranceOf = (input) => FluteEngine.toNumber(tolerances[TOLERANCE_OF_FIELD[input.field]] ?? 0);
+            const inputs = this.getInputs().filter(input => toleranceOf(input) > 0);
+
+            const deviations = notes.map(() => []);
+            let failures = 0;
+            for (let sample = 0; sample < samples; sample++) {
+                const design = inputs.reduce((perturbed, input) => {
+                    return FluteSensitivity.perturb(perturbed, input, (2 * random() - 1) * toleranceOf(input));
+                }, this.design);
+                const frequencies = this.predict(design);
+                if (!frequencies) {
+                    failures++;
+                    continue;
+                }
+                frequencies.forEach((frequency, i) => deviations[i].push(1200 * Math.log2(frequency / notes[i].frequency)));
+            }
+
+            const spreads = deviations.map(values => {
+                const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+                const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+                return { mean, standardDeviation: Math.sqrt(variance), min: Math.min(...values), max: Math.max(...values) };
+            });
+            return { success: failures < samples, notes, spreads, samples, failures, errors: [] };
+        }
+    }
+
+    /** @const {string[]} The fields of `FluteTolerances`. */
+    const TOLERANCE_FIELDS = ['boreDiameter', 'wallThickness', 'holeDiameter', 'holePosition', 'temperature'];
+
+    /** @const {Object<string, string>} The tolerance that applies to each input field. */
+    const TOLERANCE_OF_FIELD = {
+        boreDiameter: 'boreDiameter',
+        wallThickness: 'wallThickness',
+        temperatureCelsius: 'temperature',
+        boreTemperatureCelsius: 'temperature',
+        embouchurePosition: 'holePosition',
+        diameter: 'holeDiameter',
+        position: 'holePosition',
+        keyDiameter: 'holeDiameter',
+        keyPosition: 'holePosition',
+    };
+
+    /**
+     * A repeatable random number generator (mulberry32).
+     * @param {number} seed - The seed.
+     * @returns {function(): number} Random numbers from 0 to 1, like Math.random.
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    return { FluteSensitivity };
+}));
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Flutomat NG - Tuning Session
+ * The drill small, play, measure, enlarge cycle of finishing a flute: from the pitches measured on the real
+ * instrument, how much to enlarge or undercut each hole to reach its target, and a history of the iterations.
+ * The model is corrected by the measurements: each note keeps the ratio between its measured and predicted
+ * frequency while its hole is changed. Loaded by index.html after the engine, optimizer and sensitivity modules
+ * (exposed as `Flutomat.FluteTuningSession`) and usable from Node with `require('./flutomat-session.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./flutomat-engine.js'), require('./flutomat-optimizer.js'), require('./flutomat-sensitivity.js')));
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory(root.Flutomat));
+    }
+}(typeof self !== 'undefined' ? self : this, function (Flutomat) {
+    'use strict';
+
+    const { FluteEngine, FluteDiameterOptimizer, FluteSensitivity } = Flutomat;
+
+    /**
+     * @typedef {object} FluteMeasuredPitches
+     * Frequencies in Hz measured on the instrument, from a tuner or a recording. Notes not measured are null or missing.
+     * @property {?number} [end] - The end note, all holes closed.
+     * @property {?number[]} [holes] - The note of each finger hole, opened as the first open hole.
+     * @property {?number[]} [keys] - The note of each keyed hole.
+     */
+
+    /**
+     * @typedef {object} FluteTuningRecommendation
+     * What to do with a note of the flute.
+     * @property {'end' | 'hole' | 'key'} kind - Which fingering plays it.
+     * @property {number} [index] - The 0-based hole or key index.
+     * @property {number} targetFrequency - Target in Hz.
+     * @property {number} predictedFrequency - Frequency in Hz predicted by the model for the flute as drilled.
+     * @property {?number} measuredFrequency - Measured frequency in Hz, null if not measured.
+     * @property {number} deviationCents - Measured deviation from the target, NaN if not measured.
+     * @property {'unmeasured' | 'inTune' | 'raise' | 'lower'} action - 'raise' for a flat note, 'lower' for a sharp one.
+     * @property {?number} [diameter] - Diameter that raises the note to its target, null if even the largest
+     *     diameter allowed is not enough.
+     * @property {?number} [undercutDiameter] - Undercut at the bore that raises the note to its target with the
+     *     diameter unchanged (finger holes only), null if out of reach.
+     * @property {'embouchure' | 'foot'} [undercutDirection] - Side of the hole to undercut or elongate.
+     * @property {?number} [positionShift] - How far the center of the hole has to move to reach the target
+     *     (positive towards the embouchure), null if further than an undercut can move it.
+     * @property {string} message - The recommendation, in words.
+     */
+
+    /**
+     * @typedef {object} FluteTuningIteration
+     * One pass of the session: the holes as drilled and the notes measured on them.
+     * @property {string} date - When it was recorded, as an ISO 8601 date.
+     * @property {'cm' | 'inches'} units - Units of the diameters.
+     * @property {number[]} diameters - Diameter of each finger hole.
+     * @property {?number[]} undercutDiameters - Undercut of each finger hole, null for a straight hole.
+     * @property {number[]} keyDiameters - Diameter of each keyed hole.
+     * @property {{kind: string, index?: number, targetFrequency: number, measuredFrequency: ?number}[]} notes -
+     *     The notes, in the order of the results.
+     */
+
+    /**
+     * @typedef {object} FluteTuningSessionState
+     * A tuning session, as saved with the design.
+     * @property {FluteMeasuredPitches} [measured] - The latest measurements.
+     * @property {number} [toleranceCents] - Deviation left alone, in cents.
+     * @property {FluteTuningIteration[]} [iterations] - The recorded iterations, oldest first.
+     */
+
+    /**
+     * Recommendations for a drilled flute from its measured notes.
+     * @class
+     */
+    class FluteTuningSession {
+        /**
+         * Creates a session step for a single design.
+         * @param {FluteDesign} design - The flute as drilled, with the `embouchurePosition` and hole and key
+         *     `position`s, as for `FluteEngine.analyze`.
+         * @param {{analyze: function(FluteDesign): FluteAnalysisResult}} [solver=FluteEngine] - The model predicting
+         *     the frequencies: `FluteEngine` or `FluteImpedanceModel`.
+         */
+        constructor(design, solver = FluteEngine) {
+            // --- Configuration Constants ---
+            /** @const {number} Deviation left alone by default, in cents: about what a tuner or an ear tells apart. */
+            this.DEFAULT_TOLERANCE_CENTS = 3;
+            /** @const {number} Largest hole diameter recommended, as a fraction of the narrowest bore (as the optimizer). */
+            this.MAX_DIAMETER_RATIO = 0.8;
+            /** @const {number} Largest undercut recommended at the bore, as a fraction of the narrowest bore. */
+            this.MAX_UNDERCUT_RATIO = 0.9;
+            /** @const {number} Furthest an undercut on one side moves the center of a hole, as a fraction of its diameter. */
+            this.MAX_SHIFT_RATIO = 0.5;
+            /** @const {number} Bisection steps of the searches: the range shrinks below a millionth of it. */
+            this.SEARCH_STEPS = 20;
+
+            /** @type {FluteDesign} The flute as drilled. */
+            this.design = design;
+            /** @type {{analyze: function(FluteDesign): FluteAnalysisResult}} The prediction model. */
+            this.solver = solver;
+            const profileDiameters = (design.boreProfile ?? []).map(point => FluteEngine.toNumber(point.diameter));
+            /** @type {number} Narrowest bore diameter, which bounds the holes. */
+            this.boreDiameter = profileDiameters.length > 0 ? Math.min(...profileDiameters) : FluteEngine.toNumber(design.boreDiameter);
+        }
+
+        /**
+         * Convenience wrapper: the recommendations for a flute in one call.
+         * @param {FluteDesign} design - The flute as drilled, with positions.
+         * @param {FluteMeasuredPitches} measured - The measured notes, checked by `validateMeasurements`.
+         * @param {{toleranceCents?: number}} [options] - Deviation left alone (`DEFAULT_TOLERANCE_CENTS` by default).
+         * @param {{analyze: function(FluteDesign): FluteAnalysisResult}} [solver=FluteEngine] - The prediction model.
+         * @returns {{success: boolean, notes: FluteTuningRecommendation[], diameters: number[], keyDiameters: number[], errors: FluteEngineError[]}}
+         *     The recommendation for every note, and the diameters of the holes once they are all enlarged.
+         */
+        static recommend(design, measured, options = {}, solver = FluteEngine) {
+            return new FluteTuningSession(design, solver).recommend(measured, options);
+        }
+
+        /**
+         * Checks measurements against the input rules of the session.
+         * @param {FluteMeasuredPitches} measured - The measurements.
+         * @returns {{field: string, holeIndex?: number, keyIndex?: number, message: string}[]} The problems found,
+         *     empty if the measurements are valid.
+         */
+        static validateMeasurements(measured) {
+            if (!measured || typeof measured !== 'object' || Array.isArray(measured)) {
+                return [{ field: 'measured', message: 'Measurements must be an object' }];
+            }
+            const isValid = (frequency) => frequency === undefined || frequency === null || FluteEngine.toNumber(frequency) > 0;
+            const errors = [];
+            if (!isValid(measured.end)) {
+                errors.push({ field: 'measuredEnd', message: `Invalid measured frequency for the end note: ${measured.end}` });
+            }
+            [['holes', 'measuredHole', 'holeIndex', 'hole'], ['keys', 'measuredKey', 'keyIndex', 'key']].forEach(([list, field, indexName, name]) => {
+                if (measured[list] === undefined || measured[list] === null) {
+                    return;
+                }
+                if (!Array.isArray(measured[list])) {
+                    errors.push({ field, message: `Measured ${name} frequencies must be a list` });
+                    return;
+                }
+                measured[list].forEach((frequency, i) => {
+                    if (!isValid(frequency)) {
+                        errors.push({ field, [indexName]: i, message: `Invalid measured frequency for ${name} ${i + 1}: ${frequency}` });
+                    }
+                });
+            });
+            return errors;
+        }
+
+        /**
+         * Checks a saved session.
+         * @param {FluteTuningSessionState} session - The session.
+         * @returns {{field: string, message: string}[]} The problems found, empty if the session is valid.
+         */
+        static validateSession(session) {
+            if (!session || typeof session !== 'object' || Array.isArray(session)) {
+                return [{ field: 'tuningSession', message: 'The tuning session must be an object' }];
+            }
+            const errors = session.measured === undefined ? [] : FluteTuningSession.validateMeasurements(session.measured);
+            if (session.toleranceCents !== undefined && !(FluteEngine.toNumber(session.toleranceCents) >= 0)) {
+                errors.push({ field: 'toleranceCents', message: `Invalid tuning tolerance: ${session.toleranceCents}` });
+            }
+            const isDiameterList = (list) => Array.isArray(list) && list.every(diameter => FluteEngine.toNumber(diameter) > 0);
+            const isIteration = (iteration) => iteration && typeof iteration === 'object'
+                && typeof iteration.date === 'string' && !isNaN(Date.parse(iteration.date)) && ['cm', 'inches'].includes(iteration.units)
+                && isDiameterList(iteration.diameters) && isDiameterList(iteration.keyDiameters ?? [])
+                && (iteration.undercutDiameters ?? []).every(diameter => diameter === null || FluteEngine.toNumber(diameter) > 0)
+                && Array.isArray(iteration.notes) && iteration.notes.every(note => note && FluteEngine.toNumber(note.targetFrequency) > 0
+                    && (note.measuredFrequency === null || FluteEngine.toNumber(note.measuredFrequency) > 0));
+            if (session.iterations !== undefined && !(Array.isArray(session.iterations) && session.iterations.every(isIteration))) {
+                errors.push({ field: 'iterations', message: 'Invalid tuning iterations' });
+            }
+            return errors;
+        }
+
+        /**
+         * Records the holes as drilled and the notes measured on them.
+         * @param {FluteDesign} design - The flute as drilled.
+         * @param {FluteMeasuredPitches} measured - The measured notes.
+         * @param {Date} [date=new Date()] - When they were measured.
+         * @returns {FluteTuningIteration} The iteration.
+         */
+        static createIteration(design, measured, date = new Date()) {
+            const holes = design.holes ?? [];
+            const keys = design.keys ?? [];
+            const frequencyOf = (frequency) => frequency === undefined || frequency === null ? null : FluteEngine.toNumber(frequency);
+            return {
+                date: date.toISOString(),
+                units: design.units,
+                diameters: holes.map(hole => FluteEngine.toNumber(hole.diameter)),
+                undercutDiameters: holes.map(hole => hole.undercutDiameter === undefined ? null : FluteEngine.toNumber(hole.undercutDiameter)),
+                keyDiameters: keys.map(key => FluteEngine.toNumber(key.diameter)),
+                notes: [
+                    { kind: 'end', targetFrequency: FluteEngine.toNumber(design.endFrequency), measuredFrequency: frequencyOf(measured.end) },
+                    ...holes.map((hole, index) => ({ kind: 'hole', index, targetFrequency: FluteEngine.toNumber(hole.frequency), measuredFrequency: frequencyOf(measured.holes?.[index]) })),
+                    ...keys.map((key, index) => ({ kind: 'key', index, targetFrequency: FluteEngine.toNumber(key.frequency), measuredFrequency: frequencyOf(measured.keys?.[index]) })),
+                ],
+            };
+        }
+
+        /**
+         * Recommends a change for every measured note. The holes are taken from the lowest up, each on the design
+         * with the recommended diameters below it, since opening a lower hole further moves the notes above it.
+         * @param {FluteMeasuredPitches} measured - The measured notes.
+         * @param {{toleranceCents?: number}} [options] - Deviation left alone (`DEFAULT_TOLERANCE_CENTS` by default).
+         * @returns {{success: boolean, notes: FluteTuningRecommendation[], diameters: number[], keyDiameters: number[], errors: FluteEngineError[]}}
+         *     The recommendation for every note, and the diameters of the holes once they are all enlarged.
+         */
+        recommend(measured, options = {}) {
+            const errors = FluteTuningSession.validateMeasurements(measured);
+            const nominal = this.solver.analyze(this.design);
+            if (!nominal.success) {
+                errors.push(...nominal.diagnostics.errors);
+            }
+            if (errors.length > 0) {
+                return { success: false, notes: [], diameters: [], keyDiameters: [], errors };
+            }
+            const toleranceCents = FluteEngine.toNumber(options.toleranceCents ?? this.DEFAULT_TOLERANCE_CENTS);
+            const measuredOf = (note) => {
+                const frequency = note.kind === 'end' ? measured.end : measured[note.kind === 'hole' ? 'holes' : 'keys']?.[note.index];
+                return frequency === undefined || frequency === null ? null : FluteEngine.toNumber(frequency);
+            };
+
+            let design = this.design;
+            const notes = FluteSensitivity.getNotes(nominal).map(note => {
+                const targetFrequency = note.kind === 'end' ? nominal.end.targetFrequency : nominal[note.kind === 'hole' ? 'holes' : 'keys'][note.index].targetFrequency;
+                const measuredFrequency = measuredOf(note);
+                const recommendation = {
+                    kind: note.kind,
+                    ...(note.index === undefined ? {} : { index: note.index }),
+                    targetFrequency,
+                    predictedFrequency: note.frequency,
+                    measuredFrequency,
+                    deviationCents: measuredFrequency === null ? NaN : FluteEngine.centsBetween(measuredFrequency, targetFrequency),
+                };
+                if (measuredFrequency === null) {
+                    return { ...recommendation, action: 'unmeasured', message: 'Not measured' };
+                }
+                if (Math.abs(recommendation.deviationCents) <= toleranceCents) {
+                    return { ...recommendation, action: 'inTune', message: 'In tune' };
+                }
+                const action = recommendation.deviationCents < 0 ? 'raise' : 'lower';
+                if (note.kind === 'end') {
+                    return { ...recommendation, action, message: this.describeEnd(recommendation.deviationCents) };
+                }
+                // The model is off by the same ratio as long as the hole changes little
+                const goal = note.frequency * targetFrequency / measuredFrequency;
+                const change = this.recommendHole(design, note, goal, action);
+                if (change.diameter) {
+                    design = this.changeHole(design, note, hole => FluteDiameterOptimizer.resizeHole(hole, change.diameter));
+                }
+                return { ...recommendation, action, ...change, message: this.describeHole(recommendation.deviationCents, change) };
+            });
+            return {
+                success: true,
+                notes,
+                diameters: (design.holes ?? []).map(hole => FluteEngine.toNumber(hole.diameter)),
+                keyDiameters: (design.keys ?? []).map(key => FluteEngine.toNumber(key.diameter)),
+                errors: [],
+            };
+        }
+
+        /**
+         * Finds the changes of a hole that bring its note to a frequency of the model.
+         * @param {FluteDesign} design - The design, with the lower holes already changed.
+         * @param {FluteSensitivityNote} note - The note of the hole.
+         * @param {number} goal - Frequency in Hz the model has to predict.
+         * @param {'raise' | 'lower'} action - Which way the note goes.
+         * @returns {{diameter?: ?number, undercutDiameter?: ?number, undercutDirection: string, positionShift: ?number}} The changes.
+         */
+        recommendHole(design, note, goal, action) {
+            const hole = (note.kind === 'hole' ? design.holes : design.keys)[note.index];
+            const diameter = FluteEngine.toNumber(hole.diameter);
+            const position = FluteEngine.toNumber(hole.position);
+            const maxShift = this.MAX_SHIFT_RATIO * diameter;
+            const frequencyWith = (change) => {
+                const result = this.solver.analyze(this.changeHole(design, note, change));
+                return result.success ? FluteSensitivity.getNotes(result).find(other => other.kind === note.kind && other.index === note.index).frequency : NaN;
+            };
+            const shift = action === 'raise'
+                ? this.search(x => frequencyWith(moved => ({ ...moved, position: position + x })), 0, maxShift, goal)
+                : this.search(x => frequencyWith(moved => ({ ...moved, position: position + x })), -maxShift, 0, goal);
+            const change = { undercutDirection: action === 'raise' ? 'embouchure' : 'foot', positionShift: shift };
+            if (action === 'lower') {
+                return change;
+            }
+            change.diameter = this.search(x => frequencyWith(resized => FluteDiameterOptimizer.resizeHole(resized, x)), diameter, this.MAX_DIAMETER_RATIO * this.boreDiameter, goal);
+            if (note.kind === 'hole') {
+                const undercutDiameter = FluteEngine.toNumber(hole.undercutDiameter ?? hole.diameter);
+                change.undercutDiameter = this.search(x => frequencyWith(undercut => ({ ...undercut, undercutDiameter: x })), undercutDiameter, this.MAX_UNDERCUT_RATIO * this.boreDiameter, goal);
+            }
+            return change;
+        }
+
+        /**
+         * Finds where a rising function of one variable reaches a value, by bisection.
+         * @param {function(number): number} frequencyAt - The predicted frequency, rising with the variable.
+         * @param {number} low - Lower end of the range.
+         * @param {number} high - Upper end of the range.
+         * @param {number} goal - The frequency to reach.
+         * @returns {?number} The variable, or null if the goal is outside the range (or can't be predicted).
+         */
+        search(frequencyAt, low, high, goal) {
+            if (!(low < high) || !(frequencyAt(low) <= goal && frequencyAt(high) >= goal)) {
+                return null;
+            }
+            for (let step = 0; step < this.SEARCH_STEPS; step++) {
+                const middle = (low + high) / 2;
+                if (frequencyAt(middle) < goal) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            return (low + high) / 2;
+        }
+
+        /**
+         * A copy of a design with one finger or keyed hole changed.
+         * @param {FluteDesign} design - The design.
+         * @param {FluteSensitivityNote} note - The note of the hole.
+         * @param {function(FluteHole): FluteHole} change - Makes the changed hole.
+         * @returns {FluteDesign} The changed design.
+         */
+        changeHole(design, note, change) {
+            const list = note.kind === 'hole' ? 'holes' : 'keys';
+            return { ...design, [list]: design[list].map((hole, i) => i === note.index ? change(hole) : hole) };
+        }
+
+        /**
+         * The recommendation for the end note, which no hole tunes.
+         * @param {number} deviationCents - Measured deviation from the target.
+         * @returns {string} The recommendation.
+         */
+        describeEnd(deviationCents) {
+            return deviationCents < 0
+                ? `${formatCents(deviationCents)}: shorten the foot a little at a time, then retune the holes`
+                : `${formatCents(deviationCents)}: the tube is too short; tune the other notes to it, or lower the whole scale`;
+        }
+
+        /**
+         * The recommendation for a hole, in words.
+         * @param {number} deviationCents - Measured deviation from the target.
+         * @param {{diameter?: ?number, undercutDiameter?: ?number, undercutDirection: string, positionShift: ?number}} change - The changes.
+         * @returns {string} The recommendation.
+         */
+        describeHole(deviationCents, change) {
+            const side = change.undercutDirection === 'embouchure' ? 'embouchure' : 'foot';
+            const shift = change.positionShift === null
+                ? `an undercut on the ${side} side can't move it far enough`
+                : `undercut the ${side} side, moving the hole ${Math.abs(change.positionShift).toFixed(3)} ${change.positionShift > 0 ? 'up' : 'down'}`;
+            if (deviationCents > 0) {
+                return `${formatCents(deviationCents)}: ${shift}${change.positionShift === null ? '; fill the hole and drill it lower' : ''}`;
+            }
+            const options = [
+                change.diameter ? `enlarge it to ${change.diameter.toFixed(3)}` : `even ${(this.MAX_DIAMETER_RATIO * 100).toFixed(0)}% of the bore is too small`,
+                ...(change.undercutDiameter === undefined ? [] : [change.undercutDiameter ? `undercut it to ${change.undercutDiameter.toFixed(3)} at the bore` : 'an even undercut is not enough']),
+                shift,
+            ];
+            return `${formatCents(deviationCents)}: ${options.join(', or ')}`;
+        }
+    }
+
+    /**
+     * A deviation in words.
+     * @param {number} deviationCents - The deviation.
+     * @returns {string} How many cents flat or sharp.
+     */
+    function formatCents(deviationCents) {
+        return `${Math.abs(deviationCents).toFixed(1)} cents ${deviationCents < 0 ? 'flat' : 'sharp'}`;
+    }
+
+    return { FluteTuningSession };
+}));
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Flutomat NG - Scale Preview
+ * Synthesizes notes with a simple flute-like tone, a few harmonics over a breath noise, so that a scale can be
+ * heard before the flute is made, and writes them as WAV files. Independent of the Web Audio API, which only
+ * plays the rendered samples (in flutomat.js), so that the browser and the downloaded file sound the same.
+ * Loaded by index.html (exposed as `Flutomat.FluteSynthesizer`) and usable from Node with `require('./flutomat-synth.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Flute-like tone synthesis at a single sample rate.
+     * @class
+     */
+    class FluteSynthesizer {
+        /**
+         * Creates a synthesizer.
+         * @param {number} [sampleRate=44100] - Samples per second.
+         */
+        constructor(sampleRate = 44100) {
+            // --- Configuration Constants ---
+            /** @const {number[]} Amplitudes of the harmonics, from the fundamental: a flute's low register is nearly a sine. */
+            this.HARMONICS = [1, 0.35, 0.12, 0.05, 0.02];
+            /** @const {number} Level of the breath noise, relative to the fundamental. */
+            this.BREATH_LEVEL = 0.03;
+            /** @const {number} Cutoff of the low-pass filter shaping the breath noise, in Hz. */
+            this.BREATH_CUTOFF = 3000;
+            /** @const {number} Attack time, in seconds: the note speaks. */
+            this.ATTACK_SECONDS = 0.06;
+            /** @const {number} Release time, in seconds. */
+            this.RELEASE_SECONDS = 0.1;
+            /** @const {number} Peak level of the rendered samples, below full scale. */
+            this.PEAK_LEVEL = 0.5;
+            /** @const {number} Default length of each note of a scale, in seconds. */
+            this.DEFAULT_NOTE_SECONDS = 0.8;
+            /** @const {number} Default silence between the notes of a scale, in seconds. */
+            this.DEFAULT_GAP_SECONDS = 0.15;
+
+            /** @type {number} Samples per second. */
+            this.sampleRate = sampleRate;
+        }
+
+        /**
+         * Encodes samples as a 16-bit mono PCM WAV file.
+         * @param {Float32Array|number[]} samples - The samples, from -1 to 1 (clipped beyond).
+         * @param {number} sampleRate - Samples per second.
+         * @returns {ArrayBuffer} The file contents.
+         */
+        static encodeWav(samples, sampleRate) {
+            const buffer = new ArrayBuffer(44 + samples.length * 2);
+            const view = new DataView(buffer);
+            const writeTag = (offset, tag) => [...tag].forEach((character, i) => view.setUint8(offset + i, character.charCodeAt(0)));
+            writeTag(0, 'RIFF');
+            view.setUint32(4, buffer.byteLength - 8, true);
+            writeTag(8, 'WAVE');
+            writeTag(12, 'fmt ');
+            view.setUint32(16, 16, true); // Format chunk size
+            view.setUint16(20, 1, true); // Integer PCM
+            view.setUint16(22, 1, true); // Mono
+            view.setUint32(24, sampleRate, true);
+            view.setUint32(28, sampleRate * 2, true); // Bytes per second
+            view.setUint16(32, 2, true); // Bytes per sample frame
+            view.setUint16(34, 16, true); // Bits per sample
+            writeTag(36, 'data');
+            view.setUint32(40, samples.length * 2, true);
+            for (let i = 0; i < samples.length; i++) {
+                const sample = Math.max(-1, Math.min(1, samples[i]));
+                view.setInt16(44 + i * 2, Math.round(sample * 32767), true);
+            }
+            return buffer;
+        }
+
+        /**
+         * Renders one note: the harmonics under an attack and release envelope, with a low-passed breath noise.
+         * The noise is pseudo-random with a fixed seed, so a note always renders the same.
+         * @param {number} frequency - Pitch in Hz.
+         * @param {number} [seconds=this.DEFAULT_NOTE_SECONDS] - Length of the note.
+         * @returns {Float32Array} The samples.
+         */
+        renderNote(frequency, seconds = this.DEFAULT_NOTE_SECONDS) {
+            const length = Math.round(seconds * this.sampleRate);
+            const samples = new Float32Array(length);
+            const nyquist = this.sampleRate / 2;
+            const harmonics = this.HARMONICS.map((amplitude, k) => ({ amplitude, step: 2 * Math.PI * frequency * (k + 1) / this.sampleRate }))
+                .filter((harmonic, k) => frequency * (k + 1) < nyquist); // No aliasing
+            const total = this.HARMONICS.reduce((sum, amplitude) => sum + amplitude, 0) + this.BREATH_LEVEL;
+            const attack = Math.max(1, Math.round(this.ATTACK_SECONDS * this.sampleRate));
+            const release = Math.max(1, Math.round(this.RELEASE_SECONDS * this.sampleRate));
+            const smoothing = 1 - Math.exp(-2 * Math.PI * this.BREATH_CUTOFF / this.sampleRate);
+
+            let seed = 12345;
+            let breath = 0;
+            for (let i = 0; i < length; i++) {
+                let sample = 0;
+                harmonics.forEach(({ amplitude, step }) => sample += amplitude * Math.sin(step * i));
+                seed = (Math.imul(seed, 1103515245) + 12345) & 0x7fffffff; // Exact in 32 bits, unlike a float product
+                breath += smoothing * ((seed / 1073741824 - 1) - breath);
+                sample += this.BREATH_LEVEL * breath * 4; // The filter takes most of the noise level away
+                const envelope = Math.min(1, i / attack, (length - 1 - i) / release);
+                samples[i] = this.PEAK_LEVEL * Math.max(0, envelope) * sample / total;
+            }
+            return samples;
+        }
+
+        /**
+         * Renders notes one after the other, with a short silence between them.
+         * @param {number[]} frequencies - Pitches in Hz, in playing order; invalid ones are skipped.
+         * @param {{noteSeconds?: number, gapSeconds?: number}} [options] - Length of each note and of the silences.
+         * @returns {Float32Array} The samples.
+         */
+        renderScale(frequencies, options = {}) {
+            const noteSeconds = options.noteSeconds ?? this.DEFAULT_NOTE_SECONDS;
+            const gap = Math.round((options.gapSeconds ?? this.DEFAULT_GAP_SECONDS) * this.sampleRate);
+            const notes = frequencies.filter(frequency => frequency > 0).map(frequency => this.renderNote(frequency, noteSeconds));
+            const samples = new Float32Array(notes.reduce((sum, note) => sum + note.length + gap, 0));
+            let offset = 0;
+            notes.forEach(note => {
+                samples.set(note, offset);
+                offset += note.length + gap;
+            });
+            return samples;
+        }
+
+        /**
+         * Start time of each note rendered by `renderScale`.
+         * @param {number} noteCount - Number of notes.
+         * @param {{noteSeconds?: number, gapSeconds?: number}} [options] - As for `renderScale`.
+         * @returns {number[]} The start times, in seconds.
+         */
+        getNoteStartTimes(noteCount, options = {}) {
+            const noteSamples = Math.round((options.noteSeconds ?? this.DEFAULT_NOTE_SECONDS) * this.sampleRate);
+            const gap = Math.round((options.gapSeconds ?? this.DEFAULT_GAP_SECONDS) * this.sampleRate);
+            return Array.from({ length: noteCount }, (_, i) => i * (noteSamples + gap) / this.sampleRate);
+        }
+    }
+
+    return { FluteSynthesizer };
+}));
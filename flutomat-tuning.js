@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Flutomat NG - Tuning
+ * Turns a key, a scale, a reference pitch and a temperament into the target frequencies
+ * of the end note and each finger hole. Also reads Scala (.scl) tuning files.
+ * Loaded by index.html (exposed as `Flutomat.FluteTuning`, `Flutomat.SCALES` and
+ * `Flutomat.REFERENCE_PITCHES`) and usable from Node with `require('./flutomat-tuning.js')`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Flutomat = Object.assign(root.Flutomat || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Built-in scales, as intervals in semitones above the root within one octave.
+     * The keys are the values of the scale selector in index.html.
+     * @const {Object<string, {name: string, intervals: number[]}>}
+     */
+    const SCALES = {
+        major: { name: 'Major (Ionian)', intervals: [0, 2, 4, 5, 7, 9, 11] },
+        naturalMinor: { name: 'Natural minor (Aeolian)', intervals: [0, 2, 3, 5, 7, 8, 10] },
+        dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+        mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+        majorPentatonic: { name: 'Major pentatonic', intervals: [0, 2, 4, 7, 9] },
+        minorPentatonic: { name: 'Minor pentatonic', intervals: [0, 3, 5, 7, 10] },
+        // Six-hole Native-style flutes: the minor pentatonic plus the flat fifth of the third hole,
+        // which players keep closed for the pentatonic fingerings.
+        nativeMinorPentatonic: { name: 'Native-style minor pentatonic', intervals: [0, 3, 5, 6, 7, 10] },
+    };
+
+    /**
+     * Common A4 reference pitches in Hz. The keys are the values of the reference pitch selector in index.html.
+     * @const {Object<string, {name: string, frequency: number}>}
+     */
+    const REFERENCE_PITCHES = {
+        '440': { name: '440 Hz (modern)', frequency: 440 },
+        '415': { name: '415 Hz (baroque)', frequency: 415 },
+        '432': { name: '432 Hz', frequency: 432 },
+        '466': { name: '466 Hz (high baroque)', frequency: 466 },
+    };
+
+    /**
+     * @typedef {object} ScalaTuning
+     * @property {string} description - The description line of the file.
+     * @property {number[]} cents - The pitch of each degree above 1/1 in cents; the last one is the period (usually 1200).
+     */
+
+    /**
+     * Target frequencies of a flute in a given key and scale.
+     * @class
+     */
+    class FluteTuning {
+        /**
+         * @param {object} [options]
+         * @param {number[]} [options.intervals] - Scale intervals in semitones within one octave, starting with 0. Defaults to the major scale.
+         * @param {number} [options.referenceFrequency=440] - Frequency of A4 in Hz.
+         * @param {'equal' | 'just' | 'meantone' | 'scala'} [options.temperament='equal'] - How intervals are tuned.
+         *     Just intonation and meantone are relative to the lowest note of the flute, which stays on the equal tempered pitch.
+         * @param {ScalaTuning} [options.scalaTuning] - Tuning used by the 'scala' temperament (see `parseScala`).
+         * @param {number} [options.endCentOffset=0] - Offset in cents added to the end note.
+         * @param {number[]} [options.holeCentOffsets=[]] - Offset in cents added to each hole note (index 0 = hole 1).
+         */
+        constructor(options = {}) {
+            /** @const {number} MIDI note number for A4 tuning reference. */
+            this.MIDI_A4_NOTE = 69;
+            /** @const {number} Default frequency of A4 tuning reference (Hz). */
+            this.A4_FREQUENCY_HZ = 440.0;
+            /** @const {number[]} 5-limit just intonation ratios of the 12 semitones above the tonic. */
+            this.JUST_INTONATION_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+            /** @const {number} Quarter-comma meantone fifth in cents (a quarter of a syntonic comma narrower than 3/2). */
+            this.MEANTONE_FIFTH_CENTS = 1200 * Math.log2(5) / 4;
+            /** @const {string[]} Names of the 12 semitones, from C. */
+            this.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+            /** @type {number[]} Scale intervals in semitones relative to the root, used for Fend, Hole1..N. */
+            this.intervals = options.intervals ?? SCALES.major.intervals;
+            /** @type {number} Frequency of A4 in Hz. */
+            this.referenceFrequency = options.referenceFrequency ?? this.A4_FREQUENCY_HZ;
+            /** @type {'equal' | 'just' | 'meantone' | 'scala'} */
+            this.temperament = options.temperament ?? 'equal';
+            /** @type {ScalaTuning|undefined} */
+            this.scalaTuning = options.scalaTuning;
+            /** @type {number} */
+            this.endCentOffset = options.endCentOffset ?? 0;
+            /** @type {number[]} */
+            this.holeCentOffsets = options.holeCentOffsets ?? [];
+
+            if (this.temperament === 'scala' && !this.scalaTuning) {
+                throw new Error('Load a Scala file to use the Scala temperament');
+            }
+        }
+
+        /**
+         * Parses the contents of a Scala (.scl) tuning file.
+         * Format: '!' comment lines, a description line, the number of notes, then one pitch per line,
+         * either in cents (contains a '.') or as a ratio ('3/2' or '2'). Degree 0 (1/1) is implicit.
+         * @param {string} text - The file contents.
+         * @returns {ScalaTuning} The tuning.
+         * @throws {Error} If the file is not a valid Scala file.
+         */
+        static parseScala(text) {
+            const lines = String(text).split(/\r?\n/).filter(line => !line.startsWith('!'));
+            if (lines.length < 2) {
+                throw new Error('Invalid Scala file: missing description or note count');
+            }
+            const description = lines[0].trim();
+            const noteCount = parseInt(lines[1].trim(), 10);
+            if (isNaN(noteCount) || noteCount < 1) {
+                throw new Error(`Invalid Scala file: invalid note count "${lines[1].trim()}"`);
+            }
+
+            const pitchLines = lines.slice(2).map(line => line.trim()).filter(line => line !== '');
+            if (pitchLines.length < noteCount) {
+                throw new Error(`Invalid Scala file: expected ${noteCount} notes, found ${pitchLines.length}`);
+            }
+            const cents = pitchLines.slice(0, noteCount).map(line => {
+                const value = line.split(/\s+/)[0]; // Anything after the value is a comment
+                let pitch;
+                if (value.includes('.')) {
+                    pitch = Number(value);
+                } else {
+                    const [numerator, denominator = '1'] = value.split('/');
+                    const ratio = Number(numerator) / Number(denominator);
+                    pitch = ratio > 0 ? 1200 * Math.log2(ratio) : NaN;
+                }
+                if (!isFinite(pitch)) {
+                    throw new Error(`Invalid Scala file: invalid pitch "${line}"`);
+                }
+                return pitch;
+            });
+            if (!(cents[cents.length - 1] > 0)) {
+                throw new Error('Invalid Scala file: the last pitch (the period) must be above 1/1');
+            }
+            return { description, cents };
+        }
+
+        /**
+         * Parses a list of intervals typed by the user, e.g. "0 2 4 5 7 9 11" or "0, 3, 5, 7, 10".
+         * @param {string} text - Intervals in semitones, separated by spaces or commas.
+         * @param {number} [stepsPerOctave=12] - Number of steps in one octave (the note count of a Scala tuning).
+         * @returns {number[]} The intervals.
+         * @throws {Error} If the list is empty, does not start with 0, is not increasing or reaches the octave.
+         */
+        static parseIntervals(text, stepsPerOctave = 12) {
+            const parts = String(text).split(/[\s,;]+/).filter(part => part !== '');
+            const intervals = parts.map(Number);
+
+            if (intervals.length === 0) {
+                throw new Error('Enter at least one interval, starting with 0');
+            }
+            const invalid = parts.find((part, i) => isNaN(intervals[i]));
+            if (invalid !== undefined) {
+                throw new Error(`Invalid interval: ${invalid}`);
+            }
+            if (intervals[0] !== 0) {
+                throw new Error('Intervals must start with 0 (the root)');
+            }
+            for (let i = 1; i < intervals.length; i++) {
+                if (intervals[i] <= intervals[i - 1] || intervals[i] >= stepsPerOctave) {
+                    throw new Error(`Intervals must increase and stay within one octave (below ${stepsPerOctave})`);
+                }
+            }
+            return intervals;
+        }
+
+        /**
+         * Converts a MIDI note number to its equal tempered frequency in Hz.
+         * Uses A4 = `referenceFrequency` (440 Hz by default) = MIDI note 69.
+         * @param {number} midiNote - The MIDI note number.
+         * @returns {number} The frequency in Hz.
+         */
+        midiNoteToFrequency(midiNote) {
+            return this.referenceFrequency * Math.pow(2, (midiNote - this.MIDI_A4_NOTE) / 12.0);
+        }
+
+        /**
+         * Names the equal tempered note nearest to a frequency, with the reference pitch.
+         * @param {number} frequency - The frequency in Hz.
+         * @returns {{name: string, cents: number}} The note name with its octave (e.g. 'D5'),
+         *     and the deviation of the frequency from that note in cents. The name is empty for invalid frequencies.
+         */
+        describeFrequency(frequency) {
+            const midiNote = this.MIDI_A4_NOTE + 12 * Math.log2(frequency / this.referenceFrequency);
+            if (!isFinite(midiNote)) {
+                return { name: '', cents: NaN };
+            }
+            const nearest = Math.round(midiNote);
+            const semitone = ((nearest % 12) + 12) % 12;
+            return {
+                name: `${this.NOTE_NAMES[semitone]}${Math.floor(nearest / 12) - 1}`,
+                cents: 100 * (midiNote - nearest),
+            };
+        }
+
+        /**
+         * Tunes an interval above the tonic with the temperament.
+         * Fractional semitones keep their equal tempered remainder. With a Scala tuning,
+         * the interval counts degrees of the Scala scale instead of semitones.
+         * @param {number} semitones - The interval in semitones (or Scala degrees) above the tonic.
+         * @returns {number} The tuned interval in cents.
+         */
+        getIntervalCents(semitones) {
+            const steps = Math.floor(semitones);
+            const fraction = semitones - steps;
+
+            let cents;
+            switch (this.temperament) {
+                case 'just': {
+                    const octave = Math.floor(steps / 12);
+                    const ratio = this.JUST_INTONATION_RATIOS[steps - 12 * octave];
+                    cents = 1200 * octave + 1200 * Math.log2(ratio);
+                    break;
+                }
+                case 'meantone': {
+                    // Position on the chain of fifths, from a diminished fifth below to an augmented fifth above the tonic (Eb..G# in C)
+                    const octave = Math.floor(steps / 12);
+                    const semitone = steps - 12 * octave;
+                    const fifths = ((semitone * 7 + 3) % 12) - 3;
+                    const fifthsCents = fifths * this.MEANTONE_FIFTH_CENTS;
+                    cents = 1200 * octave + fifthsCents - 1200 * Math.floor(fifthsCents / 1200);
+                    break;
+                }
+                case 'scala': {
+                    const degrees = this.scalaTuning.cents;
+                    const period = degrees[degrees.length - 1];
+                    const octave = Math.floor(steps / degrees.length);
+                    const degree = steps - degrees.length * octave;
+                    cents = period * octave + (degree === 0 ? 0 : degrees[degree - 1]);
+                    break;
+                }
+                default:
+                    cents = 100 * steps;
+            }
+            return cents + 100 * fraction;
+        }
+
+        /**
+         * Number of steps in one octave: 12 semitones, or the note count of the Scala tuning.
+         * @returns {number} The steps per octave.
+         */
+        getStepsPerOctave() {
+            return this.temperament === 'scala' ? this.scalaTuning.cents.length : 12;
+        }
+
+        /**
+         * Returns the interval in semitones (or Scala degrees) above the root for a scale degree.
+         * Degrees past the end of the scale continue in the next octave.
+         * @param {number} degree - The 0-based scale degree (0 = root).
+         * @returns {number} The interval in steps.
+         */
+        getScaleDegreeInterval(degree) {
+            const octave = Math.floor(degree / this.intervals.length);
+            return this.getStepsPerOctave() * octave + this.intervals[degree % this.intervals.length];
+        }
+
+        /**
+         * Calculates the target frequencies of a flute whose lowest note is `baseMidiNote`.
+         * Degree 0 is the end note (all holes closed), holes use degrees 1 through holeCount.
+         * @param {number} baseMidiNote - MIDI note number of the lowest note.
+         * @param {number} holeCount - Number of finger holes.
+         * @returns {{endFrequency: number, holeFrequencies: number[]}} Frequencies in Hz (index 0 = hole 1 lowest pitch).
+         */
+        getFrequencies(baseMidiNote, holeCount) {
+            const tonicFrequency = this.midiNoteToFrequency(baseMidiNote);
+            const frequencyOf = (degree, centOffset) => {
+                const cents = this.getIntervalCents(this.getScaleDegreeInterval(degree)) + (centOffset || 0);
+                return tonicFrequency * Math.pow(2, cents / 1200);
+            };
+
+            const holeFrequencies = [];
+            for (let i = 0; i < holeCount; i++) {
+                holeFrequencies[i] = frequencyOf(i + 1, this.holeCentOffsets[i]);
+            }
+            return {
+                endFrequency: frequencyOf(0, this.endCentOffset),
+                holeFrequencies,
+            };
+        }
+    }
+
+    return { FluteTuning, SCALES, REFERENCE_PITCHES };
+}));
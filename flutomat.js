@@ -2,8 +2,14 @@
  * @fileoverview Flutomat NG - Modernized Flute Calculator
  * Calculates transverse flute finger hole and embouchure positions based on
  * acoustic principles, incorporating temperature-dependent speed of sound.
+ * The acoustics live in flutomat-engine.js and flutomat-impedance.js, the diameter search in flutomat-optimizer.js,
+ * the hand fit in flutomat-ergonomics.js, the drilling tolerances in flutomat-sensitivity.js, the tuning session in
+ * flutomat-session.js, the pitch detector in flutomat-pitch.js, the scale preview in flutomat-synth.js, the drilling
+ * template in flutomat-drawing.js; this file binds them to the form.
  */
 
+const { FluteEngine, FluteImpedanceModel, FluteTuning, FluteDiameterOptimizer, FluteErgonomics, FluteSensitivity, FluteTuningSession, FlutePitchDetector, FluteSynthesizer, FluteDrawing, FINGERS, FINGER_NAMES, FluteDocument, FluteLibrary, SCALES, REFERENCE_PITCHES } = Flutomat;
+
 /**
  * Represents and calculates flute dimensions.
  * @class
@@ -13,81 +19,326 @@ class FluteCalculator {
      * Initializes the calculator and sets up UI listeners.
      */
     constructor() {
-        /** @const {number} Number of finger holes (fixed in this implementation) */
-        this.HOLE_COUNT = 6;
+        /** @const {number} Minimum number of finger holes. */
+        this.MIN_HOLE_COUNT = 1;
+        /** @const {number} Maximum number of finger holes. */
+        this.MAX_HOLE_COUNT = 12;
+        /** @const {number[]} Default finger hole diameters in inches (index 0 = hole 1 lowest pitch). */
+        this.DEFAULT_HOLE_DIAMETERS_INCHES = [0.250, 0.4375, 0.3125, 0.3125, 0.375, 0.375];
+        /** @const {number} Default diameter in inches for holes beyond the default set (small second-register holes). */
+        this.EXTRA_HOLE_DIAMETER_INCHES = 0.250;
 
         /** @const {number} Standard conversion */
         this.CM_TO_INCH = 0.3937008;
 
         // --- Configuration Constants ---
-        /** @const {number} Standard acoustic end correction factor (dimensionless). */
-        this.END_CORRECTION_FACTOR = 0.6133;
-        /** @const {number} Factor for effective hole height extension (dimensionless). */
-        this.HOLE_HEIGHT_EXTENSION_FACTOR = 0.75;
-        /** @const {number} MIDI note number for A4 tuning reference. */
-        this.MIDI_A4_NOTE = 69;
-        /** @const {number} Frequency of A4 tuning reference (Hz). */
-        this.A4_FREQUENCY_HZ = 440.0;
-        /** @const {number[]} Major scale intervals in semitones relative to root [Root, M2, M3, P4, P5, M6, M7]. */
-        this.MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11]; // Used for Fend, Hole1..6
+        /** @const {number} Predicted deviations larger than this (in cents) are highlighted in analysis mode, and by the pitch detector. */
+        this.DEVIATION_WARNING_CENTS = 5;
+        /** @const {number} Deviation at either end of the pitch detector's dial, in cents. */
+        this.PITCH_NEEDLE_RANGE_CENTS = 50;
+        /** @const {number} Microphone frames whose median pitch is displayed. */
+        this.PITCH_SMOOTHING_FRAMES = 5;
+        /** @const {string} Name of the URL hash parameter holding the shared design. */
+        this.URL_DESIGN_PARAMETER = 'design';
+        /** @const {number} Delay in milliseconds between the last change and the URL/autosave update. */
+        this.STATE_SYNC_DELAY_MS = 300;
+        /** @const {number} Delay in milliseconds between the last change and the slower acoustic details
+         * (the other solver, the impedance spectrum, the fingering chart and the hand fit suggestions),
+         * so that editing stays responsive. */
+        this.ACOUSTIC_DETAILS_DELAY_MS = 250;
+        /** @const {Object<string, {name: string, model: (typeof FluteEngine|typeof FluteImpedanceModel)}>} Selectable solvers. */
+        this.SOLVERS = {
+            quadratic: { name: 'Benade quadratic', model: FluteEngine },
+            transferMatrix: { name: 'Transfer matrix', model: FluteImpedanceModel },
+        };
+        /** @const {number} Height in pixels of the impedance plot of each fingering. */
+        this.SPECTRUM_ROW_HEIGHT = 90;
+        /** @const {string[]} Colors of the resonance markers, by register. */
+        this.RESONANCE_COLORS = ['#c00', '#06c', '#090'];
+        /** @const {Object<string, string>} Symbols of the hole states (`FluteHoleState`) in the fingering chart. */
+        this.HOLE_STATE_SYMBOLS = { closed: '●', half: '◐', open: '○' };
+        /** @const {string[]} Order in which a click cycles the state of a hole. */
+        this.HOLE_STATE_CYCLE = ['closed', 'half', 'open'];
+        /** @const {FluteChartFingering[]} Cross-fingerings added to the default chart of six-hole flutes (index 0 = hole 1). */
+        this.SIX_HOLE_CROSS_FINGERINGS = [
+            { name: 'Flat 7th (forked)', holes: ['open', 'open', 'open', 'closed', 'closed', 'open'] },
+            { name: 'Minor 3rd (half-holed)', holes: ['open', 'half', 'closed', 'closed', 'closed', 'closed'] },
+        ];
+        /** @const {Object<string, string>} Input name of each field of a hole constraint (`FluteHoleConstraint`). */
+        this.HOLE_CONSTRAINT_INPUTS = { minDiameter: 'constraintMinDiameter', maxDiameter: 'constraintMaxDiameter', position: 'constraintPosition' };
 
         // --- DOM Element References ---
         this.form = document.getElementById('fluteForm');
         this.unitInputs = document.querySelectorAll('input[name="units"]');
+        this.modeInputs = document.querySelectorAll('input[name="calculationMode"]');
+        this.solverSelector = document.getElementById('solverSelector');
+        this.comparisonSolverName = document.getElementById('comparisonSolverName');
+        this.comparisonEmbouchureOutput = document.getElementById('comparisonEmbouchure');
         this.tempInput = document.getElementById('temperature');
         this.tempUnitSelect = document.getElementById('tempUnit');
         this.speedOfSoundDisplay = document.getElementById('speedOfSoundDisplay');
+        this.boreTemperaturePreset = document.getElementById('boreTemperaturePreset');
+        this.boreTemperatureInput = document.getElementById('boreTemperature');
+        this.relativeHumidityInput = document.getElementById('relativeHumidity');
+        this.co2PercentInput = document.getElementById('co2Percent');
+        this.pitchShiftOutput = document.getElementById('pitchShift');
         this.boreDiameterInput = document.getElementById('boreDiameter');
         this.wallThicknessInput = document.getElementById('wallThickness');
+        this.registerBalanceInput = document.getElementById('registerBalance');
+        this.corkDistanceOutput = document.getElementById('corkDistance');
+        this.addBorePointButton = document.getElementById('addBorePointButton');
+        this.boreProfileSummary = document.getElementById('boreProfileSummary');
+        this.boreProfileTable = document.getElementById('boreProfileTable');
+        this.boreProfileRowsElement = document.getElementById('boreProfileRows');
+        this.borePointRowTemplate = document.getElementById('borePointRowTemplate');
+        this.addKeyedHoleButton = document.getElementById('addKeyedHoleButton');
+        this.keyedHoleSummary = document.getElementById('keyedHoleSummary');
+        this.keyedHoleTable = document.getElementById('keyedHoleTable');
+        this.keyedHoleRowsElement = document.getElementById('keyedHoleRows');
+        this.keyedHoleRowTemplate = document.getElementById('keyedHoleRowTemplate');
         this.embouchureDiameterInput = document.getElementById('embouchureDiameter');
+        this.embouchureModelSelector = document.getElementById('embouchureModel');
+        this.embouchureGeometryEditor = document.getElementById('embouchureGeometry');
+        this.embouchureShapeSelector = document.getElementById('embouchureShape');
+        this.embouchureMinorAxisEditor = document.getElementById('embouchureMinorAxisEditor');
+        this.embouchureMinorAxisInput = document.getElementById('embouchureMinorAxis');
+        this.embouchureRiserHeightInput = document.getElementById('embouchureRiserHeight');
+        this.embouchureUndercutAngleInput = document.getElementById('embouchureUndercutAngle');
         this.endFrequencyInput = document.getElementById('endFrequency');
         this.keySelector = document.getElementById('keySelector');
+        this.scaleSelector = document.getElementById('scaleSelector');
+        this.customIntervalsEditor = document.getElementById('customIntervalsEditor');
+        this.customIntervalsInput = document.getElementById('customIntervals');
+        this.customIntervalsMessage = document.getElementById('customIntervalsMessage');
+        this.referencePitchPreset = document.getElementById('referencePitchPreset');
+        this.referencePitchInput = document.getElementById('referencePitch');
+        this.referencePitchMessage = document.getElementById('referencePitchMessage');
+        this.temperamentSelector = document.getElementById('temperamentSelector');
+        this.scalaEditor = document.getElementById('scalaEditor');
+        this.scalaFileInput = document.getElementById('scalaFile');
+        this.scalaDescription = document.getElementById('scalaDescription');
+        this.scalaMessage = document.getElementById('scalaMessage');
+        this.endCentOffsetInput = document.getElementById('endCentOffset');
+        this.holeCountInput = document.getElementById('holeCount');
+        this.holeRowTemplate = document.getElementById('holeRowTemplate');
+        this.endRow = document.getElementById('endRow');
         this.calculateButton = document.getElementById('calculateButton');
         this.resetButton = document.getElementById('resetButton');
         this.resultEmbouchureOutput = document.getElementById('resultEmbouchure');
         this.resultEndOutput = document.getElementById('resultEnd');
+        this.embouchurePositionInput = document.getElementById('embouchurePosition');
+        this.predictedEndOutput = document.getElementById('predictedEnd');
+        this.deviationEndOutput = document.getElementById('deviationEnd');
         this.renderedFluteElement = document.getElementById('renderedFlute');
+        this.impedanceSpectrumElement = document.getElementById('impedanceSpectrum');
+        this.octaveToleranceInput = document.getElementById('octaveTolerance');
+        this.addFingeringButton = document.getElementById('addFingeringButton');
+        this.defaultFingeringsButton = document.getElementById('defaultFingeringsButton');
+        this.fingeringRowsElement = document.getElementById('fingeringRows');
+        this.fingeringRowTemplate = document.getElementById('fingeringRowTemplate');
+        this.maxHoleSpacingInput = document.getElementById('maxHoleSpacing');
+        this.holeConstraintRowsElement = document.getElementById('holeConstraintRows');
+        this.holeConstraintRowTemplate = document.getElementById('holeConstraintRowTemplate');
+        this.optimizeDiametersButton = document.getElementById('optimizeDiametersButton');
+        this.optimizerMessage = document.getElementById('optimizerMessage');
+        this.handSizeSelector = document.getElementById('handSize');
+        /** @type {HTMLInputElement[]} Spans between adjacent fingertips: index to middle, middle to ring, ring to little. */
+        this.handSpanInputs = ['spanIndexMiddle', 'spanMiddleRing', 'spanRingLittle'].map(id => document.getElementById(id));
+        this.fingerWidthInput = document.getElementById('fingerWidth');
+        this.fingerRowsElement = document.getElementById('fingerRows');
+        this.fingerRowTemplate = document.getElementById('fingerRowTemplate');
+        this.defaultFingersButton = document.getElementById('defaultFingersButton');
+        this.handFitList = document.getElementById('handFitReport');
+        this.sensitivityButton = document.getElementById('sensitivityButton');
+        this.sensitivityTable = document.getElementById('sensitivityTable');
+        /** @type {Object<string, HTMLInputElement>} Input of each field of `FluteTolerances`. */
+        this.toleranceInputs = {
+            boreDiameter: document.getElementById('toleranceBoreDiameter'),
+            wallThickness: document.getElementById('toleranceWallThickness'),
+            holeDiameter: document.getElementById('toleranceHoleDiameter'),
+            holePosition: document.getElementById('toleranceHolePosition'),
+            temperature: document.getElementById('toleranceTemperature'),
+        };
+        this.monteCarloSamplesInput = document.getElementById('monteCarloSamples');
+        this.monteCarloButton = document.getElementById('monteCarloButton');
+        this.toleranceMessage = document.getElementById('toleranceMessage');
+        this.monteCarloTable = document.getElementById('monteCarloTable');
+        this.monteCarloRowsElement = document.getElementById('monteCarloRows');
+        this.tuningToleranceInput = document.getElementById('tuningTolerance');
+        this.tuningRowsElement = document.getElementById('tuningRows');
+        this.tuningRowTemplate = document.getElementById('tuningRowTemplate');
+        this.tuningRecommendButton = document.getElementById('tuningRecommendButton');
+        this.tuningApplyButton = document.getElementById('tuningApplyButton');
+        this.tuningRecordButton = document.getElementById('tuningRecordButton');
+        this.tuningMessage = document.getElementById('tuningMessage');
+        this.tuningHistoryTable = document.getElementById('tuningHistoryTable');
+        this.tuningHistoryRowsElement = document.getElementById('tuningHistoryRows');
+        this.tuningClearHistoryButton = document.getElementById('tuningClearHistoryButton');
+        this.microphoneButton = document.getElementById('microphoneButton');
+        this.pitchFileInput = document.getElementById('pitchFileInput');
+        this.pitchMessage = document.getElementById('pitchMessage');
+        this.pitchNeedleElement = document.getElementById('pitchNeedle');
+        this.detectedFrequencyOutput = document.getElementById('detectedFrequency');
+        this.detectedNoteOutput = document.getElementById('detectedNote');
+        this.detectedDeviationOutput = document.getElementById('detectedDeviation');
+        this.useDetectedPitchButton = document.getElementById('useDetectedPitchButton');
+        this.previewNoteSecondsInput = document.getElementById('previewNoteSeconds');
+        this.playTargetsButton = document.getElementById('playTargetsButton');
+        this.playPredictedButton = document.getElementById('playPredictedButton');
+        this.stopPreviewButton = document.getElementById('stopPreviewButton');
+        this.downloadPreviewButton = document.getElementById('downloadPreviewButton');
+        this.previewNoteOutput = document.getElementById('previewNote');
+        this.previewMessage = document.getElementById('previewMessage');
         this.printButton = document.getElementById('printButton');
-
+        this.exportButton = document.getElementById('exportButton');
+        this.exportSvgButton = document.getElementById('exportSvgButton');
+        this.exportDxfButton = document.getElementById('exportDxfButton');
+        this.importButton = document.getElementById('importButton');
+        this.importFileInput = document.getElementById('importFile');
+        this.libraryForm = document.getElementById('libraryForm');
+        this.libraryPanel = document.getElementById('libraryPanel');
+        this.designNameInput = document.getElementById('designName');
+        this.librarySelector = document.getElementById('librarySelector');
+        this.libraryLoadButton = document.getElementById('libraryLoadButton');
+        this.libraryRenameButton = document.getElementById('libraryRenameButton');
+        this.libraryDuplicateButton = document.getElementById('libraryDuplicateButton');
+        this.libraryDeleteButton = document.getElementById('libraryDeleteButton');
+        this.autosaveInput = document.getElementById('autosave');
+        this.restoreBeforeResetButton = document.getElementById('restoreBeforeResetButton');
+        this.libraryMessage = document.getElementById('libraryMessage');
+        this.shareLinkButton = document.getElementById('shareLinkButton');
+        this.shareLinkMessage = document.getElementById('shareLinkMessage');
+
+        /** @type {FluteLibrary|null} Saved designs and autosaves, null when the browser has no local storage. */
+        this.library = FluteLibrary.fromLocalStorage();
+
+        /** @type {HTMLTableRowElement[]} */
+        this.holeRows = [];
         /** @type {HTMLInputElement[]} */
         this.holeFrequencyInputs = [];
+        /** @type {HTMLInputElement[]} Cent offsets added to the tuned frequency of each hole. */
+        this.holeCentOffsetInputs = [];
         /** @type {HTMLInputElement[]} */
         this.holeDiameterInputs = [];
+        /** @type {HTMLInputElement[]} Diameter of each hole at the bore, empty when it is not undercut. */
+        this.holeUndercutInputs = [];
+        /** @type {HTMLInputElement[]} Depth of the chamfer around the top of each hole. */
+        this.holeChamferInputs = [];
+        /** @type {HTMLInputElement[]} Rotation of each hole around the tube, in degrees. */
+        this.holeAngleInputs = [];
+        /** @type {HTMLOutputElement[]} Distance around the tube from the main line to each hole. */
+        this.holeRollOutputs = [];
         /** @type {HTMLOutputElement[]} */
         this.holeResultOutputs = [];
-        document.querySelectorAll('.hole-row').forEach(row => {
-            const index = parseInt(row.dataset.holeIndex, 10);
-            // Store in reverse order of display (index 0 = lowest pitch hole 1)
-            this.holeFrequencyInputs[index] = row.querySelector('input[name="holeFrequency"]');
-            this.holeDiameterInputs[index] = row.querySelector('input[name="holeDiameter"]');
-            this.holeResultOutputs[index] = row.querySelector('output[name="resultHole"]');
-        });
+        /** @type {HTMLOutputElement[]} Positions found by the solver that is not selected. */
+        this.holeComparisonOutputs = [];
+        /** @type {HTMLInputElement[]} Measured positions, for analysis mode. */
+        this.holePositionInputs = [];
+        /** @type {HTMLOutputElement[]} */
+        this.holePredictedOutputs = [];
+        /** @type {HTMLOutputElement[]} */
+        this.holeDeviationOutputs = [];
+        /** @type {HTMLTableRowElement[]} Bore profile rows, from the open end up. */
+        this.borePointRows = [];
+        /** @type {HTMLInputElement[]} */
+        this.borePointPositionInputs = [];
+        /** @type {HTMLInputElement[]} */
+        this.borePointDiameterInputs = [];
+        /** @type {HTMLTableRowElement[]} Keyed hole rows (index 0 = key 1). */
+        this.keyedHoleRows = [];
+        /** @type {HTMLInputElement[]} */
+        this.keyedHoleFrequencyInputs = [];
+        /** @type {HTMLInputElement[]} */
+        this.keyedHoleDiameterInputs = [];
+        /** @type {HTMLOutputElement[]} */
+        this.keyedHoleResultOutputs = [];
+        /** @type {HTMLInputElement[]} Measured positions, for analysis mode. */
+        this.keyedHolePositionInputs = [];
+        /** @type {HTMLOutputElement[]} */
+        this.keyedHolePredictedOutputs = [];
+        /** @type {HTMLOutputElement[]} */
+        this.keyedHoleDeviationOutputs = [];
+        /** @type {HTMLTableRowElement[]} Fingering chart rows, in display order. */
+        this.fingeringRows = [];
+        /** @type {HTMLTableRowElement[]} Hole spacing constraint rows (index 0 = hole 1). */
+        this.holeConstraintRows = [];
+        /** @type {HTMLSelectElement[]} Finger of each hole, for the hand fit (index 0 = hole 1). */
+        this.fingerSelects = [];
 
         // --- Internal State Variables ---
+        /** @type {number} Number of finger holes currently in the form. */
+        this.holeCount = 0;
+        /** @type {'design' | 'analysis'} Positions from frequencies, or frequencies from measured positions. */
+        this.mode = 'design';
+        /** @type {'quadratic' | 'transferMatrix'} Key of `SOLVERS` used for the calculation. */
+        this.solver = 'quadratic';
+        /** @type {ScalaTuning|undefined} The last Scala file loaded, for the 'scala' temperament. */
+        this.scalaTuning = undefined;
+        /** @type {number} Measured distance of the embouchure center from the open end, in analysis mode. */
+        this.measuredEmbouchurePosition = NaN;
         /** @type {'cm' | 'inches'} The unit system currently selected. */
         this.units = 'inches';
         /** @type {number} Ambient temperature in Celsius. */
         this.temperatureCelsius = 20;
+        /** @type {object} In-bore temperature, humidity and carbon dioxide fields of the design, empty for dry ambient air. */
+        this.airConditions = {};
+        /** @type {number} Pitch shift of the air in the bore compared with dry ambient air, in cents. */
+        this.pitchShiftCents = 0;
         /** @type {number} Speed of sound in the current unit system (cm/s or inches/s). */
         this.speedOfSound = 0;
         /** @type {number} Flute bore inner diameter in current units. */
         this.boreDiameter = 0;
+        /** @type {FluteBorePoint[]} Bore profile of a conical or stepped bore, empty for a cylindrical bore. */
+        this.boreProfile = [];
         /** @type {number} Flute wall thickness in current units. */
         this.wallThickness = 0;
-        /** @type {number} Embouchure hole diameter in current units. */
+        /** @type {number} Embouchure hole diameter in current units; the major axis of an oval or rectangular embouchure. */
         this.embouchureDiameter = 0;
+        /** @type {object} Embouchure model and geometry fields of the design, empty for Kosel's fit. */
+        this.embouchureGeometry = {};
+        /** @type {number} Target octave stretch of the head in cents, for the cork position. */
+        this.registerBalanceCents = 0;
         /** @type {number} Target frequency for the fundamental note (all holes closed) in Hz. */
         this.endFrequency = 0;
-        /**
-         * @typedef {object} FluteHole
-         * @property {number} frequency - Target frequency in Hz when this is the first open hole.
-         * @property {number} diameter - Diameter of the hole in current units.
-         * @property {number} acousticPosition - Calculated acoustic distance from the theoretical start of the air column.
-         * @property {number} physicalPosition - Calculated physical distance from the open end of the flute.
-         */
         /** @type {FluteHole[]} Array storing data for each finger hole (index 0 = hole 1 lowest pitch). */
         this.holes = [];
-
+        /** @type {number[]} Rotation of each hole around the tube from the main line, in degrees, positive towards the player. */
+        this.holeAngles = [];
+        /** @type {object[]} Undercut and chamfer fields of each hole's design, empty for a straight hole. */
+        this.holeShapes = [];
+        /** @type {FluteHole[]} Holes closed at rest and opened by a key for their own note (index 0 = key 1). */
+        this.keyedHoles = [];
+
+        /** @type {string} The URL hash last written by `syncState`, to tell our own updates from pasted links. */
+        this.lastSyncedHash = '';
+        /** @type {number|undefined} Pending `syncState` timer. */
+        this.stateSyncTimer = undefined;
+        /** @type {number|undefined} Pending `updateAcousticDetails` timer. */
+        this.acousticDetailsTimer = undefined;
+        /** @type {FluteEngineResult|FluteAnalysisResult|null} Result of the last calculation, saved with exported designs. */
+        this.lastResult = null;
+        /** @type {FluteEngineResult|null} Positions of the same design found by the other solver, for comparison. */
+        this.comparisonResult = null;
+        /** @type {FluteStopper|null} Cork position of the last calculation. */
+        this.stopper = null;
+        /** @type {{pairs: FluteHolePair[], problems: FluteHolePair[]}|null} Hand fit of the last calculation. */
+        this.ergonomicReport = null;
+        /** @type {{kind: string, index?: number, row: HTMLTableRowElement, measuredInput: HTMLInputElement, targetOutput: HTMLOutputElement, deviationOutput: HTMLOutputElement, recommendationOutput: HTMLOutputElement}[]}
+         * Rows of the tuning session table, in the order of the results: the end note, the finger holes, the keys. */
+        this.tuningRows = [];
+        /** @type {FluteTuningIteration[]} Recorded iterations of the tuning session, oldest first. */
+        this.tuningIterations = [];
+        /** @type {{notes: FluteTuningRecommendation[], diameters: number[], keyDiameters: number[]}|null} Displayed recommendations. */
+        this.tuningRecommendation = null;
+        /** @type {{stream: MediaStream, context: AudioContext, analyser: AnalyserNode, detector: FlutePitchDetector, frame: Float32Array, recent: number[], animationFrame: number}|null}
+         * The microphone while listening. */
+        this.pitchListener = null;
+        /** @type {?Object} The microphone request while the browser asks for permission; stopping cancels it. */
+        this.microphoneRequest = null;
+        /** @type {{frequency: number, match: ?{note: {kind: string, index?: number}, deviationCents: number}}|null} Last detected pitch. */
+        this.detectedPitch = null;
+        /** @type {{context: AudioContext, source: AudioBufferSourceNode, timers: number[]}|null} The scale preview while it plays. */
+        this.previewPlayer = null;
         /** @type {number} Calculated acoustic distance of the effective end of the flute from the theoretical start. */
         this.acousticEndX = 0;
         /** @type {number} Calculated acoustic distance of the embouchure center from the theoretical start. */
@@ -95,11 +346,26 @@ class FluteCalculator {
         /** @type {number} Calculated physical distance of the embouchure center from the open end. */
         this.embouchurePhysicalPosition = 0;
 
+        this.readUnitsInput(); // Needed for the default hole diameters
+        this.readModeInput();
+        this.readSolverInput();
+        this.updateScaleEditorVisibility();
+        this.updateTemperamentEditorVisibility();
+        this.buildHoleRows(this.readHoleCountInput());
+        this.setFingeringRows(this.getDefaultFingeringChart());
+        this.applyHandPreset();
+        this.drawPitchNeedle(null);
         this._bindEvents();
+        this.updateFrequenciesFromKey(); // Set initial frequencies based on default key
         this.readInputsFromForm(); // Load initial values
         this.updateSpeedOfSoundDisplay(); // Show initial speed of sound
-        this.updateFrequenciesFromKey(); // Set initial frequencies based on default key
+        this.initLibraryPanel();
 
+        // A shared link wins over the autosave, which wins over the HTML defaults
+        const initialDocument = this.readUrlDocument() ?? this.readAutosaveDocument('working');
+        if (initialDocument) {
+            this.fillFormFromDocument(initialDocument);
+        }
         this.calculateAllPositions();
     }
 
@@ -116,35 +382,114 @@ class FluteCalculator {
         // Use 'input' event for immediate feedback on temp/unit changes
         this.tempInput.addEventListener('change', () => this._handleTemperatureChange());
         this.tempUnitSelect.addEventListener('change', () => this._handleTemperatureChange());
+        this.boreTemperaturePreset.addEventListener('change', () => {
+            this.updateBoreTemperatureEditorVisibility();
+            this._handleTemperatureChange();
+        });
+        [this.boreTemperatureInput, this.relativeHumidityInput, this.co2PercentInput].forEach(input => {
+            input.addEventListener('change', () => this._handleTemperatureChange());
+        });
         this.unitInputs.forEach(input => {
             input.addEventListener('change', () => this._handleUnitChange());
         });
 
-        document.querySelectorAll('.hole-row').forEach(row => {
-            const index = Number(row.dataset.holeIndex);
-
-            // Frequency checks
-            this.holeFrequencyInputs[index].addEventListener('change', (e) => {
-                const value = Number(e.target.value);
-                if (value <= 65.41) {
-                    e.target.value = 65.41; // Seriously, no flute can ever do lower than C2, except some bass flutes
-                }
-                if (value >= 2637) {
-                    e.target.value = 2637; // Same here, hard to expect anything higher than E7
-                }
-                this.calculateAllPositions();
-            });
-
-            // Diameters checks
-            this.holeDiameterInputs[index].addEventListener('change', (e) => {
-                const value = Number(e.target.value);
-                if (value >= Number(this.boreDiameterInput.value)) {
-                    e.target.value = Number(this.boreDiameterInput.value - this.wallThickness);
-                }
-                this.calculateAllPositions();
-            });
-        });
         this.keySelector.addEventListener('change', () => this.updateFrequenciesFromKey());
+        this.scaleSelector.addEventListener('change', () => {
+            this.updateScaleEditorVisibility();
+            this.updateFrequenciesFromKey();
+        });
+        this.customIntervalsInput.addEventListener('change', () => this.updateFrequenciesFromKey());
+        this.referencePitchPreset.addEventListener('change', () => {
+            if (this.referencePitchPreset.value !== 'custom') {
+                this.referencePitchInput.value = this.referencePitchPreset.value;
+            }
+            this.updateFrequenciesFromKey();
+        });
+        this.referencePitchInput.addEventListener('change', () => {
+            // Show the matching preset, or 'Custom' for any other pitch
+            const preset = REFERENCE_PITCHES[String(Number(this.referencePitchInput.value))];
+            this.referencePitchPreset.value = preset ? String(preset.frequency) : 'custom';
+            this.updateFrequenciesFromKey();
+        });
+        this.temperamentSelector.addEventListener('change', () => {
+            this.updateTemperamentEditorVisibility();
+            this.updateFrequenciesFromKey();
+        });
+        this.scalaFileInput.addEventListener('change', () => this.loadScalaFile());
+        this.endCentOffsetInput.addEventListener('change', () => this.updateFrequenciesFromKey());
+        this.holeCountInput.addEventListener('change', () => this._handleHoleCountChange());
+        this.addBorePointButton.addEventListener('click', () => {
+            this.addBorePoint();
+            this.calculateAllPositions();
+        });
+        this.addKeyedHoleButton.addEventListener('click', () => {
+            this.addKeyedHole();
+            this.calculateAllPositions();
+        });
+        this.modeInputs.forEach(input => {
+            input.addEventListener('change', () => this._handleModeChange());
+        });
+        this.registerBalanceInput.addEventListener('change', () => this.calculateAllPositions());
+        [this.embouchureModelSelector, this.embouchureShapeSelector].forEach(selector => selector.addEventListener('change', () => {
+            this.updateEmbouchureEditorVisibility();
+            this.calculateAllPositions();
+        }));
+        [this.embouchureMinorAxisInput, this.embouchureRiserHeightInput, this.embouchureUndercutAngleInput].forEach(input => {
+            input.addEventListener('change', () => this.calculateAllPositions());
+        });
+        this.solverSelector.addEventListener('change', () => {
+            this.readSolverInput();
+            this.calculateAllPositions();
+        });
+        this.embouchurePositionInput.addEventListener('change', () => this.calculateAllPositions());
+        this.octaveToleranceInput.addEventListener('change', () => this.displayFingeringPredictions());
+        this.addFingeringButton.addEventListener('click', () => {
+            this.addFingering();
+            this.displayFingeringPredictions();
+            this.scheduleStateSync();
+        });
+        this.defaultFingeringsButton.addEventListener('click', () => {
+            this.setFingeringRows(this.getDefaultFingeringChart());
+            this.displayFingeringPredictions();
+            this.scheduleStateSync();
+        });
+        this.optimizeDiametersButton.addEventListener('click', () => this.optimizeDiameters());
+        this.sensitivityButton.addEventListener('click', () => this.displaySensitivity());
+        this.monteCarloButton.addEventListener('click', () => this.displayMonteCarlo());
+        this.tuningToleranceInput.addEventListener('change', () => {
+            this.updateTuningDeviations();
+            this.scheduleStateSync();
+        });
+        this.tuningRecommendButton.addEventListener('click', () => this.recommendTuning());
+        this.tuningApplyButton.addEventListener('click', () => this.applyTuningDiameters());
+        this.tuningRecordButton.addEventListener('click', () => this.recordTuningIteration());
+        this.microphoneButton.addEventListener('click', () => this.pitchListener || this.microphoneRequest ? this.stopListening() : this.startListening());
+        this.pitchFileInput.addEventListener('change', () => this.analyzePitchFile());
+        this.useDetectedPitchButton.addEventListener('click', () => this.useDetectedPitch());
+        this.playTargetsButton.addEventListener('click', () => this.playPreview('target'));
+        this.playPredictedButton.addEventListener('click', () => this.playPreview('predicted'));
+        this.stopPreviewButton.addEventListener('click', () => this.stopPreview());
+        this.downloadPreviewButton.addEventListener('click', () => this.downloadPreview());
+        this.tuningClearHistoryButton.addEventListener('click', () => {
+            if (confirm('Delete every recorded iteration of the tuning session?')) {
+                this.tuningIterations = [];
+                this.displayTuningHistory();
+                this.scheduleStateSync();
+            }
+        });
+        this.handSizeSelector.addEventListener('change', () => {
+            this.applyHandPreset();
+            this.updateHandFit();
+        });
+        [...this.handSpanInputs, this.fingerWidthInput].forEach(input => input.addEventListener('change', () => {
+            this.handSizeSelector.value = 'custom';
+            this.updateHandFit();
+        }));
+        this.defaultFingersButton.addEventListener('click', () => {
+            this.setFingers(FluteErgonomics.getDefaultFingers(this.holeCount));
+            this.updateHandFit();
+            this.scheduleStateSync();
+        });
 
         this.embouchureDiameterInput.addEventListener('change', (e) => {
             if (Number(e.target.value) >= Number(this.boreDiameterInput.value)) {
@@ -162,518 +507,2094 @@ class FluteCalculator {
 
         // Reset handling
         this.resetButton.addEventListener('click', () => {
+            // Runs before the form is reset: keep the working design so that the reset can be undone
+            if (this.library?.backupAutosave()) {
+                this.restoreBeforeResetButton.disabled = false;
+            }
             // Note: type="reset" does basic reset. We might want custom default logic here
             // For now, rely on browser reset and then re-init state
             setTimeout(() => {
+                this.readUnitsInput();
+                this.readModeInput();
+                this.readSolverInput();
+                this.buildHoleRows(this.readHoleCountInput(), true);
+                this.setFingeringRows(this.getDefaultFingeringChart());
+                this.setDiameterConstraints({});
+                this.applyHandPreset();
+                this.setFingers(FluteErgonomics.getDefaultFingers(this.holeCount));
+                this.setBoreProfileRows([]);
+                this.setKeyedHoleRows([]);
+                this.setTuningSession({});
                 try {
                     this.readInputsFromForm();
                 } catch {
                     // Fail gracefully: we're resetting things, after all
                 }
+                this.updateBoreTemperatureEditorVisibility();
                 this.updateSpeedOfSoundDisplay();
+                this.updateScaleEditorVisibility();
+                this.updateEmbouchureEditorVisibility();
+                this.scalaTuning = undefined; // The file input was cleared by the reset
+                this.scalaDescription.textContent = '';
+                this.scalaMessage.textContent = '';
+                this.updateTemperamentEditorVisibility();
                 this.updateFrequenciesFromKey(); // Ensure frequencies match reset key
                 this.clearResults();
+                this.scheduleStateSync(); // The link now opens the defaults
             }, 0); // Allow form reset to happen first
         });
 
         this.printButton.addEventListener('click', () => {
             this.printImage();
         });
-    }
-
-    /** Handles changes in the temperature input or units. */
-    _handleTemperatureChange() {
-        this.readTemperatureInput();
-        this.updateSpeedOfSoundDisplay();
-        // Maybe trigger recalculation or just update display
-        // this.calculateAllPositions(); // Uncomment to auto-recalculate
-    }
-
-    /** Handles changes in the unit selection. */
-    _handleUnitChange() {
-        this.readUnitsInput();
-        this.updateSpeedOfSoundDisplay();
-        this.updateUnitsBasedInputs();
-        // Potentially convert existing values if needed, or require re-input/recalc
-        this.clearResults(); // Clear old results as they are likely invalid
-    }
+        this.exportButton.addEventListener('click', () => this.exportDesign());
+        this.exportSvgButton.addEventListener('click', () => this.exportTemplate('svg'));
+        this.exportDxfButton.addEventListener('click', () => this.exportTemplate('dxf'));
+        this.importButton.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => this.importDesign());
+
+        this.libraryForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveToLibrary();
+        });
+        this.librarySelector.addEventListener('change', () => this.updateLibraryButtons());
+        this.librarySelector.addEventListener('dblclick', () => this.loadFromLibrary());
+        this.libraryLoadButton.addEventListener('click', () => this.loadFromLibrary());
+        this.libraryRenameButton.addEventListener('click', () => this.renameInLibrary());
+        this.libraryDuplicateButton.addEventListener('click', () => this.duplicateInLibrary());
+        this.libraryDeleteButton.addEventListener('click', () => this.deleteFromLibrary());
+        this.autosaveInput.addEventListener('change', () => {
+            this.library?.setAutosaveEnabled(this.autosaveInput.checked);
+            this.scheduleStateSync();
+        });
+        this.restoreBeforeResetButton.addEventListener('click', () => this.restoreAutosave('beforeReset'));
 
-    updateUnitsBasedInputs() {
-        const isCm = this.units === 'cm';
-        const ratio = (isCm ? (1 / this.CM_TO_INCH) : this.CM_TO_INCH);
-        const digits = isCm ? 2 : 3;
-        this.wallThicknessInput.value = (Number(this.wallThicknessInput.value) * ratio).toFixed(digits);
-        this.boreDiameterInput.value = (Number(this.boreDiameterInput.value) * ratio).toFixed(digits);
-        this.embouchureDiameterInput.value = (Number(this.embouchureDiameterInput.value) * ratio).toFixed(digits);
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
-            this.holeDiameterInputs[i].value = (Number(this.holeDiameterInputs[i].value) * ratio).toFixed(digits);
-        }
+        // Every field bubbles its changes up to the form, after its own handler ran
+        this.form.addEventListener('change', () => this.scheduleStateSync());
+        window.addEventListener('hashchange', () => this._handleHashChange());
+        this.shareLinkButton.addEventListener('click', () => this.copyShareLink());
     }
 
     /**
-     * Reads all input values from the form into the calculator's state.
-     * Performs basic validation.
-     *
-     * @throws {Error} If at least one input is invalid.
+     * Binds the validation listeners of a single finger hole row.
+     * @param {number} index - The 0-based index of the hole.
+     * @private
      */
-    readInputsFromForm() {
-        const errors = [];
-
-        this.readUnitsInput(); // Read units first
-        this.readTemperatureInput(); // Read temperature
-
-        const parseAndValidate = (inputElement, propertyName, isPositive = true) => {
-            const value = parseFloat(inputElement.value);
-            if (isNaN(value) || (isPositive && value <= 0)) {
-                inputElement.style.borderColor = 'red'; // Basic validation feedback
-                errors.push(`Invalid value for ${propertyName}: ${inputElement.value}`);
-                this[propertyName] = NaN; // Set internal state to invalid
-            } else {
-                inputElement.style.borderColor = ''; // Clear error state
-                this[propertyName] = value;
+    _bindHoleRowEvents(index) {
+        // Frequency checks
+        this.holeFrequencyInputs[index].addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            if (value <= 65.41) {
+                e.target.value = 65.41; // Seriously, no flute can ever do lower than C2, except some bass flutes
             }
-        };
-
-        parseAndValidate(this.boreDiameterInput, 'boreDiameter');
-        parseAndValidate(this.wallThicknessInput, 'wallThickness');
-        parseAndValidate(this.embouchureDiameterInput, 'embouchureDiameter');
-        parseAndValidate(this.endFrequencyInput, 'endFrequency');
-
-        // Read hole data
-        this.holes = [];
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
-            const freqInput = this.holeFrequencyInputs[i];
-            const diamInput = this.holeDiameterInputs[i];
-            const freq = parseFloat(freqInput.value);
-            const diam = parseFloat(diamInput.value);
-
-            let holeValid = true;
-            if (isNaN(freq) || freq <= 0) {
-                freqInput.style.borderColor = 'red';
-                holeValid = false;
-                errors.push(`Invalid frequency for hole ${i + 1}: ${freqInput.value}`);
-            } else {
-                freqInput.style.borderColor = '';
+            if (value >= 2637) {
+                e.target.value = 2637; // Same here, hard to expect anything higher than E7
             }
+            this.calculateAllPositions();
+        });
+        this.holeCentOffsetInputs[index].addEventListener('change', () => this.updateFrequenciesFromKey());
 
-            if (isNaN(diam) || diam <= 0) {
-                diamInput.style.borderColor = 'red';
-                holeValid = false;
-                errors.push(`Invalid diameter for hole ${i + 1}: ${diamInput.value}`);
-            } else {
-                diamInput.style.borderColor = '';
+        // Diameters checks
+        this.holeDiameterInputs[index].addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            if (value >= Number(this.boreDiameterInput.value)) {
+                e.target.value = Number(this.boreDiameterInput.value - this.wallThickness);
             }
+            this.calculateAllPositions();
+        });
 
-            this.holes[i] = {
-                frequency: holeValid ? freq : NaN,
-                diameter: holeValid ? diam : NaN,
-                acousticPosition: NaN,
-                physicalPosition: NaN,
-            };
+        this.holePositionInputs[index].addEventListener('change', () => this.calculateAllPositions());
+        this.holeAngleInputs[index].addEventListener('change', () => this.calculateAllPositions());
+        this.holeUndercutInputs[index].addEventListener('change', () => this.calculateAllPositions());
+        this.holeChamferInputs[index].addEventListener('change', () => this.calculateAllPositions());
+    }
+
+    /** Handles changes in the number of finger holes. */
+    _handleHoleCountChange() {
+        const previousCount = this.holeCount;
+        this.buildHoleRows(this.readHoleCountInput());
+        if (this.holeCount > previousCount) {
+            this.updateFrequenciesFromKey(previousCount); // New holes need a target frequency, the others keep theirs
         }
+        this.calculateAllPositions();
+    }
 
-        if (errors.length > 0) {
-            throw new Error("Invalid input detected. Please correct the highlighted fields.\n- "+errors.join("\n- "));
+    /** Handles switching between design and analysis mode. */
+    _handleModeChange() {
+        this.readModeInput();
+        if (this.mode === 'analysis') {
+            this.fillMeasuredPositions();
         }
+        this.calculateAllPositions();
     }
 
-    /** Reads the selected unit system from the radio buttons. */
-    readUnitsInput() {
-        const selectedUnit = document.querySelector('input[name="units"]:checked');
-        this.units = selectedUnit ? selectedUnit.value : 'inches'; // Default to inches if none selected
+    /** Reads the calculation mode from the radio buttons and shows the matching columns. */
+    readModeInput() {
+        const selectedMode = document.querySelector('input[name="calculationMode"]:checked');
+        this.mode = selectedMode?.value === 'analysis' ? 'analysis' : 'design';
+        this.form.classList.toggle('analysis-mode', this.mode === 'analysis');
     }
 
-    /** Reads temperature value and unit, stores temperature in Celsius. */
-    readTemperatureInput() {
-        const tempValue = parseFloat(this.tempInput.value);
-        const tempUnit = this.tempUnitSelect.value;
+    /** Reads the selected solver, and names the other one in the comparison column. */
+    readSolverInput() {
+        this.solver = Object.hasOwn(this.SOLVERS, this.solverSelector.value) ? this.solverSelector.value : 'quadratic';
+        this.comparisonSolverName.textContent = this.SOLVERS[this.getComparisonSolver()].name;
+    }
 
-        if (isNaN(tempValue)) {
-            // Force invalid values to be reset
-            this.temperatureCelsius = tempUnit === 'F' ? 68 : 20; // Default on error
-            console.error(`Invalid temperature input "${tempValue}". Resetting to ${this.temperatureCelsius}`);
-        } else {
-            this.tempInput.style.borderColor = '';
+    /**
+     * The solver that is not selected.
+     * @returns {'quadratic' | 'transferMatrix'} Its key in `SOLVERS`.
+     */
+    getComparisonSolver() {
+        return this.solver === 'quadratic' ? 'transferMatrix' : 'quadratic';
+    }
+
+    /**
+     * Fills empty measured position inputs with the last calculated positions,
+     * so that an analysis can start from the design and be adjusted to the real flute.
+     */
+    fillMeasuredPositions() {
+        const digits = this.units === 'cm' ? 2 : 3;
+        const fill = (input, value) => {
+            if (input.value === '' && !isNaN(value)) {
+                input.value = value.toFixed(digits);
+            }
+        };
+        fill(this.embouchurePositionInput, this.embouchurePhysicalPosition);
+        for (let i = 0; i < this.holeCount; i++) {
+            fill(this.holePositionInputs[i], this.holes[i]?.physicalPosition);
         }
+        this.keyedHolePositionInputs.forEach((input, j) => fill(input, this.keyedHoles[j]?.physicalPosition));
+    }
 
-        if (tempUnit === 'F') {
-            this.temperatureCelsius = (tempValue - 32) * 5 / 9;
-        } else {
-            this.temperatureCelsius = tempValue;
+    /**
+     * Reads the requested number of finger holes, clamped to the supported range.
+     * The input is rewritten with the clamped value.
+     * @returns {number} The number of finger holes.
+     */
+    readHoleCountInput() {
+        let count = parseInt(this.holeCountInput.value, 10);
+        if (isNaN(count)) {
+            count = this.holeCount || this.DEFAULT_HOLE_DIAMETERS_INCHES.length;
         }
-        this.calculateSpeedOfSound(); // Update speed of sound whenever temp changes
+        count = Math.min(this.MAX_HOLE_COUNT, Math.max(this.MIN_HOLE_COUNT, count));
+        this.holeCountInput.value = count;
+        return count;
     }
 
     /**
-     * Calculates the speed of sound based on temperature and selected units.
-     * Formula: V = 331.3 * sqrt(1 + TempC / 273.15) m/s
+     * Adds or removes finger hole rows so that the form holds `count` holes.
+     * Holes are added and removed at the top (highest pitch) of the table, existing rows keep their values.
+     * @param {number} count - The number of finger holes.
+     * @param {boolean} [resetValues=false] - Whether to rebuild every row with its default values.
      */
-    calculateSpeedOfSound() {
-        const speedOfSoundMps = 331.3 * Math.sqrt(1 + this.temperatureCelsius / 273.15);
+    buildHoleRows(count, resetValues = false) {
+        if (resetValues) {
+            this.holeRows.forEach(row => row.remove());
+            this.holeCount = 0;
+        }
 
-        if (this.units === 'cm') {
-            this.speedOfSound = speedOfSoundMps * 100; // m/s to cm/s
-        } else { // inches
-            this.speedOfSound = speedOfSoundMps * 39.3701; // m/s to inches/s
+        while (this.holeCount > count) {
+            this.holeCount--;
+            this.holeRows[this.holeCount].remove();
         }
-        // Check if speed is valid before updating display
-        if (isNaN(this.speedOfSound)) {
-            console.error("Could not calculate speed of sound.");
-            this.speedOfSoundDisplay.textContent = "Speed of Sound: Error";
-            this.speedOfSound = NaN; // Ensure invalid state propagates
-        } else {
-            this.updateSpeedOfSoundDisplay();
+        this.holeRows.length = this.holeCount;
+        this.holeFrequencyInputs.length = this.holeCount;
+        this.holeCentOffsetInputs.length = this.holeCount;
+        this.holeDiameterInputs.length = this.holeCount;
+        this.holeUndercutInputs.length = this.holeCount;
+        this.holeChamferInputs.length = this.holeCount;
+        this.holeAngleInputs.length = this.holeCount;
+        this.holeRollOutputs.length = this.holeCount;
+        this.holeResultOutputs.length = this.holeCount;
+        this.holeComparisonOutputs.length = this.holeCount;
+        this.holePositionInputs.length = this.holeCount;
+        this.holePredictedOutputs.length = this.holeCount;
+        this.holeDeviationOutputs.length = this.holeCount;
+
+        while (this.holeCount < count) {
+            const index = this.holeCount;
+            const number = index + 1;
+            const row = this.holeRowTemplate.content.firstElementChild.cloneNode(true);
+            row.dataset.holeIndex = index;
+
+            // Store in reverse order of display (index 0 = lowest pitch hole 1)
+            this.holeRows[index] = row;
+            this.holeFrequencyInputs[index] = row.querySelector('input[name="holeFrequency"]');
+            this.holeCentOffsetInputs[index] = row.querySelector('input[name="holeCentOffset"]');
+            this.holeDiameterInputs[index] = row.querySelector('input[name="holeDiameter"]');
+            this.holeUndercutInputs[index] = row.querySelector('input[name="holeUndercut"]');
+            this.holeChamferInputs[index] = row.querySelector('input[name="holeChamfer"]');
+            this.holeAngleInputs[index] = row.querySelector('input[name="holeAngle"]');
+            this.holeRollOutputs[index] = row.querySelector('output[name="rollHole"]');
+            this.holeResultOutputs[index] = row.querySelector('output[name="resultHole"]');
+            this.holeComparisonOutputs[index] = row.querySelector('output[name="comparisonHole"]');
+            this.holePositionInputs[index] = row.querySelector('input[name="holePosition"]');
+            this.holePredictedOutputs[index] = row.querySelector('output[name="predictedHole"]');
+            this.holeDeviationOutputs[index] = row.querySelector('output[name="deviationHole"]');
+            this.holeFrequencyInputs[index].id = `freq${number}`;
+            this.holeDiameterInputs[index].id = `diam${number}`;
+            this.holeResultOutputs[index].id = `result${number}`;
+            this.holeDiameterInputs[index].value = this.getDefaultHoleDiameter(index);
+
+            // Highest pitch hole is displayed first, so each new row goes on top
+            (index > 0 ? this.holeRows[index - 1] : this.endRow).before(row);
+            this._bindHoleRowEvents(index);
+            this.holeCount++;
         }
 
+        this.holeRows.forEach((row, index) => {
+            let label = `Finger Hole ${index + 1}`;
+            if (index === this.holeCount - 1 && this.holeCount > 1) {
+                label += ' (Highest Pitch)';
+            } else if (index === 0) {
+                label += ' (Lowest Pitch)';
+            }
+            row.querySelector('.hole-label').textContent = label;
+        });
+        this.fingeringRows.forEach(row => this.setFingeringHoleCount(row));
+        this.setHoleConstraintRowCount(count);
+        this.setFingerRowCount(count);
+        this.buildTuningRows();
     }
 
-    /** Updates the displayed speed of sound value. */
-    updateSpeedOfSoundDisplay() {
-        if (!isNaN(this.speedOfSound)) {
-            this.speedOfSoundDisplay.textContent = `Speed of Sound: ${this.speedOfSound.toFixed(1)} ${this.units}/s`;
-        } else {
-            this.speedOfSoundDisplay.textContent = "Speed of Sound: Calculation Error";
-        }
+    /**
+     * Default diameter of a new finger hole, in the current units.
+     * Holes beyond the default set get a smaller diameter, as large holes that high up
+     * usually leave the quadratic solver without a solution.
+     * @param {number} holeIndex - The 0-based index of the hole.
+     * @returns {string} The diameter, formatted for an input field.
+     */
+    getDefaultHoleDiameter(holeIndex) {
+        const diameterInches = this.DEFAULT_HOLE_DIAMETERS_INCHES[holeIndex] ?? this.EXTRA_HOLE_DIAMETER_INCHES;
+        return this.units === 'cm' ? (diameterInches / this.CM_TO_INCH).toFixed(2) : String(diameterInches);
     }
 
-
     /**
-     * Converts a MIDI note number to frequency in Hz.
-     * Uses A4 = 440 Hz = MIDI note 69.
-     * @param {number} midiNote - The MIDI note number.
-     * @returns {number} The frequency in Hz.
+     * Appends a point to the bore profile table. Without values, the point continues the profile:
+     * the first one at the open end with the Inside Bore Diameter, the next ones a little further up.
+     * @param {number|string} [position] - Distance from the open end.
+     * @param {number|string} [diameter] - Bore diameter at that distance.
      */
-    midiNoteToFrequency(midiNote) {
-        return this.A4_FREQUENCY_HZ * Math.pow(2, (midiNote - this.MIDI_A4_NOTE) / 12.0);
+    addBorePoint(position, diameter) {
+        const lastIndex = this.borePointRows.length - 1;
+        if (position === undefined) {
+            const spacing = this.units === 'cm' ? 10 : 4;
+            position = lastIndex < 0 ? 0 : Number(this.borePointPositionInputs[lastIndex].value) + spacing;
+        }
+        if (diameter === undefined) {
+            diameter = lastIndex < 0 ? this.boreDiameterInput.value : this.borePointDiameterInputs[lastIndex].value;
+        }
+
+        const row = this.borePointRowTemplate.content.firstElementChild.cloneNode(true);
+        const positionInput = row.querySelector('input[name="borePointPosition"]');
+        const diameterInput = row.querySelector('input[name="borePointDiameter"]');
+        positionInput.value = position;
+        diameterInput.value = diameter;
+        positionInput.addEventListener('change', () => this.calculateAllPositions());
+        diameterInput.addEventListener('change', () => this.calculateAllPositions());
+        row.querySelector('.remove-bore-point').addEventListener('click', () => {
+            this.removeBorePoint(row);
+            this.calculateAllPositions();
+        });
+
+        this.boreProfileRowsElement.append(row);
+        this.borePointRows.push(row);
+        this.borePointPositionInputs.push(positionInput);
+        this.borePointDiameterInputs.push(diameterInput);
+        this.updateBoreProfileSummary();
     }
 
     /**
-     * Updates the frequency input fields based on the selected key (lowest note)
-     * and a standard major scale pattern.
+     * Removes a point from the bore profile table.
+     * @param {HTMLTableRowElement} row - The row of the point.
      */
-    updateFrequenciesFromKey() {
-        const baseMidiNote = parseInt(this.keySelector.value, 10);
-        if (isNaN(baseMidiNote)) {
-            console.error("Invalid key selected.");
+    removeBorePoint(row) {
+        const index = this.borePointRows.indexOf(row);
+        if (index < 0) {
             return;
         }
+        row.remove();
+        this.borePointRows.splice(index, 1);
+        this.borePointPositionInputs.splice(index, 1);
+        this.borePointDiameterInputs.splice(index, 1);
+        this.updateBoreProfileSummary();
+    }
+
+    /**
+     * Replaces the bore profile table.
+     * @param {FluteBorePoint[]} boreProfile - The points, empty for a cylindrical bore.
+     */
+    setBoreProfileRows(boreProfile) {
+        [...this.borePointRows].forEach(row => this.removeBorePoint(row));
+        boreProfile.forEach(point => this.addBorePoint(point.position, point.diameter));
+        this.updateBoreProfileSummary();
+    }
 
-        // Calculate frequencies based on major scale intervals relative to the base note
-        const endFreq = this.midiNoteToFrequency(baseMidiNote + this.MAJOR_SCALE_INTERVALS[0]);
-        this.endFrequencyInput.value = endFreq.toFixed(2);
+    /** Shows the bore profile table only when it has points, and says which bore is used. */
+    updateBoreProfileSummary() {
+        const count = this.borePointRows.length;
+        this.boreProfileTable.hidden = count === 0;
+        this.boreProfileSummary.textContent = count === 0
+            ? 'cylindrical (uses the Inside Bore Diameter)'
+            : `${count} point${count > 1 ? 's' : ''} (replaces the Inside Bore Diameter)`;
+    }
 
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
-            // intervals[0] is for endFreq, so holes use intervals[1] through intervals[HOLE_COUNT]
-            const holeFreq = this.midiNoteToFrequency(baseMidiNote + this.MAJOR_SCALE_INTERVALS[i + 1]);
-            if (this.holeFrequencyInputs[i]) { // Check if element exists
-                this.holeFrequencyInputs[i].value = holeFreq.toFixed(2);
-            }
+    /**
+     * Reads the undercut and chamfer of a finger hole. A missing undercut or a zero chamfer is left out.
+     * @param {number} index - The 0-based hole index.
+     * @returns {{undercutDiameter?: number, chamferDepth?: number}} The fields of the design hole.
+     */
+    readHoleShape(index) {
+        const shape = {};
+        if (this.holeUndercutInputs[index].value !== '') {
+            shape.undercutDiameter = parseFloat(this.holeUndercutInputs[index].value);
         }
-        // After updating UI, re-read the values into internal state (optional, depends on flow)
-        // this.readInputsFromForm();
+        const chamferDepth = this.holeChamferInputs[index].value === '' ? 0 : parseFloat(this.holeChamferInputs[index].value);
+        if (chamferDepth !== 0) {
+            shape.chamferDepth = chamferDepth;
+        }
+        return shape;
     }
 
-    // --- Acoustic Calculation Functions (Ported and Renamed) ---
+    /**
+     * Reads the bore profile table.
+     * @returns {FluteBorePoint[]} The points, empty for a cylindrical bore.
+     */
+    readBoreProfileInputs() {
+        return this.borePointPositionInputs.map((input, i) => ({
+            position: parseFloat(input.value),
+            diameter: parseFloat(this.borePointDiameterInputs[i].value),
+        }));
+    }
 
     /**
-     * Calculates the effective wall thickness (height of air column at open hole).
-     * Formula: t_e = wall + 0.75 * hole_diameter
-     * @param {number} holeIndex - The 0-based index of the hole.
-     * @returns {number} The effective thickness in current units. Returns NaN if input invalid.
+     * Bore diameter at a distance from the open end, from the bore profile or the Inside Bore Diameter.
+     * @param {number} position - Distance from the open end in current units.
+     * @returns {number} The bore diameter.
      */
-    calculateEffectiveHoleHeight(holeIndex) {
-        const diameter = this.holes[holeIndex]?.diameter;
-        if (isNaN(this.wallThickness) || isNaN(diameter)) return NaN;
-        return this.wallThickness + this.HOLE_HEIGHT_EXTENSION_FACTOR * diameter;
+    getBoreDiameterAt(position) {
+        return FluteEngine.getBoreDiameterAt(this.boreProfile, position, this.boreDiameter);
     }
 
     /**
-     * Calculates the closed hole correction for a given hole.
-     * This length is added for each closed hole above the first open one.
-     * Formula: C_c = 0.25 * wall * (hole_diameter / bore_diameter)^2
-     * @param {number} holeIndex - The 0-based index of the hole.
-     * @returns {number} The closed hole length correction in current units. Returns NaN if input invalid.
+     * Appends a keyed hole to its table. Without values, the key plays the first semitone above the end note
+     * that no finger hole or other key plays yet, with the diameter of an extra finger hole.
+     * @param {number|string} [frequency] - Target frequency in Hz.
+     * @param {number|string} [diameter] - Hole diameter.
+     * @param {number|string} [position] - Measured distance from the open end, for analysis mode.
      */
-    calculateClosedHoleCorrection(holeIndex) {
-        const diameter = this.holes[holeIndex]?.diameter;
-        if (isNaN(this.wallThickness) || isNaN(diameter) || isNaN(this.boreDiameter) || this.boreDiameter === 0) {
-            return NaN;
+    addKeyedHole(frequency, diameter, position = '') {
+        if (frequency === undefined) {
+            const played = [this.endFrequencyInput, ...this.holeFrequencyInputs, ...this.keyedHoleFrequencyInputs].map(input => Number(input.value));
+            const isPlayed = (candidate) => played.some(other => Math.abs(FluteEngine.centsBetween(candidate, other)) < 50);
+            let candidate = played[0] * Math.pow(2, 1 / 12);
+            for (let semitone = 1; semitone < 24 && isPlayed(candidate); semitone++) {
+                candidate *= Math.pow(2, 1 / 12);
+            }
+            frequency = candidate.toFixed(2);
+        }
+        if (diameter === undefined) {
+            diameter = this.getDefaultHoleDiameter(this.DEFAULT_HOLE_DIAMETERS_INCHES.length);
         }
-        const ratio = diameter / this.boreDiameter;
-        return 0.25 * this.wallThickness * ratio * ratio;
+
+        const row = this.keyedHoleRowTemplate.content.firstElementChild.cloneNode(true);
+        const frequencyInput = row.querySelector('input[name="keyedHoleFrequency"]');
+        const diameterInput = row.querySelector('input[name="keyedHoleDiameter"]');
+        const positionInput = row.querySelector('input[name="keyedHolePosition"]');
+        frequencyInput.value = frequency;
+        diameterInput.value = diameter;
+        positionInput.value = position;
+        [frequencyInput, diameterInput, positionInput].forEach(input => input.addEventListener('change', () => this.calculateAllPositions()));
+        row.querySelector('.remove-keyed-hole').addEventListener('click', () => {
+            this.removeKeyedHole(row);
+            this.calculateAllPositions();
+        });
+
+        this.keyedHoleRowsElement.append(row);
+        this.keyedHoleRows.push(row);
+        this.keyedHoleFrequencyInputs.push(frequencyInput);
+        this.keyedHoleDiameterInputs.push(diameterInput);
+        this.keyedHolePositionInputs.push(positionInput);
+        this.keyedHoleResultOutputs.push(row.querySelector('output[name="resultKeyedHole"]'));
+        this.keyedHolePredictedOutputs.push(row.querySelector('output[name="predictedKeyedHole"]'));
+        this.keyedHoleDeviationOutputs.push(row.querySelector('output[name="deviationKeyedHole"]'));
+        this.updateKeyedHoleSummary();
     }
 
     /**
-     * Calculates the open end correction.
-     * Distance from physical end to effective acoustic end.
-     * Formula: C_end = 0.6133 * bore_radius
-     * @returns {number} The end correction length in current units. Returns NaN if input invalid.
+     * Removes a keyed hole from its table; the keys after it are renumbered, and keep their measured frequencies.
+     * @param {HTMLTableRowElement} row - The row of the keyed hole.
      */
-    calculateEndCorrection() {
-        if (isNaN(this.boreDiameter)) return NaN;
-        return this.END_CORRECTION_FACTOR * (this.boreDiameter / 2.0);
+    removeKeyedHole(row) {
+        const index = this.keyedHoleRows.indexOf(row);
+        if (index < 0) {
+            return;
+        }
+        row.remove();
+        [this.keyedHoleRows, this.keyedHoleFrequencyInputs, this.keyedHoleDiameterInputs, this.keyedHolePositionInputs,
+            this.keyedHoleResultOutputs, this.keyedHolePredictedOutputs, this.keyedHoleDeviationOutputs].forEach(list => list.splice(index, 1));
+        this.tuningRows = this.tuningRows.filter(tuningRow => tuningRow.kind !== 'key' || tuningRow.index !== index);
+        this.updateKeyedHoleSummary();
     }
 
     /**
-     * Calculates the effective distance correction for the *first* open tone hole.
-     * Uses Benade's formula involving impedance.
-     * Formula: C_s = te(1) / ( (D(1)/Bore)^2 + te(1)/(Xend - Xf(1)) )
-     * Note: This formula involves Xf(1) which is what we are trying to find, hence the iterative/quadratic approach.
-     * This method is primarily for understanding; the quadratic solver incorporates this logic directly.
-     * @param {number} acousticLengthX - The target acoustic length for the first hole note (Vsound / (2 * F1)).
-     * @param {number} currentGuessXf1 - The current estimate for the first hole's acoustic position.
-     * @returns {number} The first hole correction length. Returns NaN if input invalid.
+     * Replaces the keyed hole table.
+     * @param {FluteDesignKey[]} keys - The keyed holes, with their inputs' values.
      */
-    calculateFirstHoleCorrection_Iterative(acousticLengthX, currentGuessXf1) {
-        const holeIndex = 0; // First hole
-        const te_1 = this.calculateEffectiveHoleHeight(holeIndex);
-        const diameter = this.holes[holeIndex]?.diameter;
-
-        if (isNaN(te_1) || isNaN(diameter) || isNaN(this.boreDiameter) || isNaN(this.acousticEndX) || isNaN(currentGuessXf1) || this.boreDiameter === 0) {
-            return NaN;
-        }
+    setKeyedHoleRows(keys) {
+        [...this.keyedHoleRows].forEach(row => this.removeKeyedHole(row));
+        keys.forEach(key => this.addKeyedHole(key.frequency, key.diameter, key.position));
+        this.updateKeyedHoleSummary();
+    }
 
-        const boreRatioSq = (diameter / this.boreDiameter) * (diameter / this.boreDiameter);
-        const lengthDiff = this.acousticEndX - currentGuessXf1;
+    /** Numbers the keyed holes, and shows their table only when there is one. */
+    updateKeyedHoleSummary() {
+        const count = this.keyedHoleRows.length;
+        this.keyedHoleRows.forEach((row, j) => row.querySelector('.keyed-hole-label').textContent = `Key ${j + 1}`);
+        this.keyedHoleTable.hidden = count === 0;
+        this.keyedHoleSummary.textContent = count === 0 ? 'none' : `${count} closed at rest`;
+        this.buildTuningRows();
+    }
 
-        // Avoid division by zero or near-zero issues
-        if (Math.abs(lengthDiff) < 1e-9) return NaN; // Or handle appropriately
+    /**
+     * Default fingering chart: the notes of the scale (all holes closed, then each hole opened in turn),
+     * plus `SIX_HOLE_CROSS_FINGERINGS` on six-hole flutes.
+     * @returns {FluteChartFingering[]} The fingerings.
+     */
+    getDefaultFingeringChart() {
+        const scale = Array.from({ length: this.holeCount + 1 }, (_, openHoleCount) => ({
+            name: this.describeOpenHoles(openHoleCount),
+            holes: Array.from({ length: this.holeCount }, (_, i) => i < openHoleCount ? 'open' : 'closed'),
+        }));
+        return this.holeCount === 6 ? [...scale, ...this.SIX_HOLE_CROSS_FINGERINGS] : scale;
+    }
 
-        return te_1 / (boreRatioSq + te_1 / lengthDiff);
+    /**
+     * Names the fingering with the lowest holes open.
+     * @param {number} openHoleCount - Number of open holes from the bottom.
+     * @returns {string} E.g. 'All closed' or 'Holes 1-3 open'.
+     */
+    describeOpenHoles(openHoleCount) {
+        if (openHoleCount === 0) return 'All closed';
+        return openHoleCount === 1 ? 'Hole 1 open' : `Holes 1-${openHoleCount} open`;
     }
 
     /**
-     * Calculates the effective distance correction for subsequent open tone holes (lattice correction).
-     * Formula: C_o(n) = ((Xf(n-1)-Xf(n))/2) * (sqrt(1 + 4*(te(n)/(Xf(n-1)-Xf(n)))*(Bore/D(n))^2) - 1)
-     * Similar to C_s, this depends on Xf(n), making it part of the iterative/quadratic solution.
-     * This method is primarily for understanding.
-     * @param {number} holeIndex - The 0-based index of the current hole (n >= 1).
-     * @param {number} currentGuessXfn - The current estimate for this hole's acoustic position.
-     * @returns {number} The subsequent hole correction length. Returns NaN if input invalid.
+     * Appends a fingering to the chart.
+     * @param {FluteChartFingering} [fingering] - The fingering, all holes closed by default.
      */
-    calculateSubsequentHoleCorrection_Iterative(holeIndex, currentGuessXfn) {
-        if (holeIndex < 1) return NaN; // Only for holes 2 onwards (index 1+)
+    addFingering(fingering = { name: '', holes: [] }) {
+        const row = this.fingeringRowTemplate.content.firstElementChild.cloneNode(true);
+        row.querySelector('input[name="fingeringName"]').value = fingering.name;
+        row.querySelector('.remove-fingering').addEventListener('click', () => {
+            this.removeFingering(row);
+            this.scheduleStateSync();
+        });
+        this.setFingeringHoleCount(row, fingering.holes);
 
-        const te_n = this.calculateEffectiveHoleHeight(holeIndex);
-        const diameter_n = this.holes[holeIndex]?.diameter;
-        const prevHolePos = this.holes[holeIndex - 1]?.acousticPosition; // Requires previous hole already calculated
+        this.fingeringRowsElement.append(row);
+        this.fingeringRows.push(row);
+    }
 
-        if (isNaN(te_n) || isNaN(diameter_n) || isNaN(prevHolePos) || isNaN(currentGuessXfn) || isNaN(this.boreDiameter) || diameter_n === 0) {
-            return NaN;
+    /**
+     * Removes a fingering from the chart.
+     * @param {HTMLTableRowElement} row - The row of the fingering.
+     */
+    removeFingering(row) {
+        const index = this.fingeringRows.indexOf(row);
+        if (index >= 0) {
+            row.remove();
+            this.fingeringRows.splice(index, 1);
         }
+    }
 
-        const holeSpacing = prevHolePos - currentGuessXfn;
-        // Avoid division by zero or sqrt of negative
-        if (Math.abs(holeSpacing) < 1e-9) return NaN;
+    /**
+     * Replaces the fingering chart.
+     * @param {FluteChartFingering[]} fingeringChart - The fingerings.
+     */
+    setFingeringRows(fingeringChart) {
+        [...this.fingeringRows].forEach(row => this.removeFingering(row));
+        fingeringChart.forEach(fingering => this.addFingering(fingering));
+    }
 
-        const bore_d_ratio_sq = (this.boreDiameter / diameter_n) * (this.boreDiameter / diameter_n);
-        const term = 4 * (te_n / holeSpacing) * bore_d_ratio_sq;
+    /**
+     * Gives a fingering row one hole button per finger hole, highest hole first.
+     * Holes are added and removed at the top (highest pitch), as in the hole table; new holes are closed.
+     * @param {HTMLTableRowElement} row - The row of the fingering.
+     * @param {FluteHoleState[]} [states] - States to set (index 0 = hole 1), instead of keeping the current ones.
+     */
+    setFingeringHoleCount(row, states = this.readFingeringHoles(row)) {
+        const buttons = Array.from({ length: this.holeCount }, (_, i) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'fingering-hole';
+            this.setHoleButtonState(button, states[i] ?? 'closed');
+            button.title = `Hole ${i + 1}`;
+            button.addEventListener('click', () => {
+                const cycle = this.HOLE_STATE_CYCLE;
+                this.setHoleButtonState(button, cycle[(cycle.indexOf(button.dataset.state) + 1) % cycle.length]);
+                this.displayFingeringPredictions();
+                this.scheduleStateSync();
+            });
+            return button;
+        });
+        row.querySelector('.fingering-holes').replaceChildren(...buttons.reverse());
+    }
 
-        if (1 + term < 0) return NaN; // Avoid sqrt of negative
+    /**
+     * Shows the state of a hole on its button.
+     * @param {HTMLButtonElement} button - The hole button.
+     * @param {FluteHoleState} state - The state.
+     */
+    setHoleButtonState(button, state) {
+        button.dataset.state = state;
+        button.textContent = this.HOLE_STATE_SYMBOLS[state];
+    }
 
-        return (holeSpacing / 2.0) * (Math.sqrt(1.0 + term) - 1.0);
+    /**
+     * Reads the hole states of a fingering row.
+     * @param {HTMLTableRowElement} row - The row of the fingering.
+     * @returns {FluteHoleState[]} The state of each hole (index 0 = hole 1).
+     */
+    readFingeringHoles(row) {
+        return [...row.querySelectorAll('.fingering-hole')].map(button => button.dataset.state).reverse();
     }
 
+    /**
+     * Reads the fingering chart.
+     * @returns {FluteChartFingering[]} The fingerings, in display order.
+     */
+    readFingeringChart() {
+        return this.fingeringRows.map(row => ({
+            name: row.querySelector('input[name="fingeringName"]').value,
+            holes: this.readFingeringHoles(row),
+        }));
+    }
 
     /**
-     * Calculates the embouchure correction using Kosel's empirical fit.
-     * This represents the distance from the theoretical start of the air column to the effective acoustic center of the embouchure.
-     * Formula: C_emb = (Bore/Demb)^2 * 10.84 * wall * Demb / (Bore + 2*wall)
-     * @returns {number} The embouchure correction length. Returns NaN if input invalid.
+     * Adds or removes hole spacing constraint rows so that there is one per finger hole.
+     * As in the hole table, rows are added and removed at the top (highest pitch).
+     * @param {number} count - The number of finger holes.
      */
-    calculateEmbouchureCorrection() {
-        if (isNaN(this.boreDiameter) || isNaN(this.embouchureDiameter) || isNaN(this.wallThickness) ||
-            this.embouchureDiameter === 0 || (this.boreDiameter + 2 * this.wallThickness) === 0) {
-            return NaN;
+    setHoleConstraintRowCount(count) {
+        while (this.holeConstraintRows.length > count) {
+            this.holeConstraintRows.pop().remove();
         }
-        const bore_demb_ratio_sq = (this.boreDiameter / this.embouchureDiameter) * (this.boreDiameter / this.embouchureDiameter);
-        const numerator = 10.84 * this.wallThickness * this.embouchureDiameter;
-        const denominator = this.boreDiameter + 2.0 * this.wallThickness;
+        while (this.holeConstraintRows.length < count) {
+            const row = this.holeConstraintRowTemplate.content.firstElementChild.cloneNode(true);
+            row.querySelector('.hole-label').textContent = `Hole ${this.holeConstraintRows.length + 1}`;
+            this.holeConstraintRowsElement.prepend(row);
+            this.holeConstraintRows.push(row);
+        }
+    }
 
-        return bore_demb_ratio_sq * numerator / denominator;
+    /**
+     * Returns the input of a hole constraint field.
+     * @param {number} holeIndex - The 0-based index of the hole.
+     * @param {string} field - The field of `FluteHoleConstraint`.
+     * @returns {HTMLInputElement|undefined} The input, if there is one.
+     */
+    getHoleConstraintInput(holeIndex, field) {
+        const name = this.HOLE_CONSTRAINT_INPUTS[field];
+        return name ? this.holeConstraintRows[holeIndex]?.querySelector(`input[name="${name}"]`) ?? undefined : undefined;
     }
 
     /**
-     * Calculates all hole positions using the non-iterative quadratic solution method.
-     * Based on Benade's equations after algebraic manipulation.
-     * Updates the `acousticPosition` property for each hole and `acousticEndX`, `embouchureAcousticX`.
-     * @returns {boolean} True if calculation was successful, false otherwise.
+     * Reads the hole spacing constraints. Empty fields are left out.
+     * @returns {FluteDiameterConstraints} The constraints.
      */
-    calculateHolePositions_Quadratic() {
-        // Ensure speed of sound is valid
-        if (isNaN(this.speedOfSound) || this.speedOfSound <= 0) {
-            console.error("Cannot calculate positions: Invalid speed of sound.");
-            return false;
+    readDiameterConstraints() {
+        const readOptionalNumber = (input) => input.value === '' ? undefined : parseFloat(input.value);
+        const constraints = {
+            holes: this.holeConstraintRows.map((row, i) => {
+                const hole = {};
+                Object.keys(this.HOLE_CONSTRAINT_INPUTS).forEach(field => {
+                    const value = readOptionalNumber(this.getHoleConstraintInput(i, field));
+                    if (value !== undefined) {
+                        hole[field] = value;
+                    }
+                });
+                return hole;
+            }),
+        };
+        const maxSpacing = readOptionalNumber(this.maxHoleSpacingInput);
+        if (maxSpacing !== undefined) {
+            constraints.maxSpacing = maxSpacing;
         }
+        return constraints;
+    }
 
-        // 0. Preliminary calculations and validation
-        let closedHoleCorrections = [];
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
-            const chc = this.calculateClosedHoleCorrection(i);
-            if (isNaN(chc)) {
-                console.error(`Cannot calculate positions: Invalid input for closed hole correction ${i + 1}.`);
-                return false;
-            }
-            closedHoleCorrections[i] = chc;
-        }
+    /**
+     * Fills the hole spacing constraints.
+     * @param {FluteDiameterConstraints} constraints - The constraints; missing fields are left empty.
+     */
+    setDiameterConstraints(constraints) {
+        this.maxHoleSpacingInput.value = constraints.maxSpacing ?? '';
+        this.holeConstraintRows.forEach((row, i) => {
+            Object.keys(this.HOLE_CONSTRAINT_INPUTS).forEach(field => {
+                this.getHoleConstraintInput(i, field).value = constraints.holes?.[i]?.[field] ?? '';
+            });
+        });
+        this.optimizerMessage.textContent = '';
+    }
 
-        const endCorrection = this.calculateEndCorrection();
-        if (isNaN(endCorrection)) {
-            console.error("Cannot calculate positions: Invalid input for end correction.");
-            return false;
-        }
-
-        // 1. Calculate effective acoustic end position (Xend)
-        // Raw length based on fundamental frequency
-        if (isNaN(this.endFrequency) || this.endFrequency <= 0) {
-            console.error("Cannot calculate positions: Invalid end frequency.");
-            return false;
-        }
-        let targetAcousticLengthEnd = this.speedOfSound * 0.5 / this.endFrequency;
-        // Apply corrections
-        this.acousticEndX = targetAcousticLengthEnd - endCorrection;
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
-            this.acousticEndX -= closedHoleCorrections[i];
-        }
-        if (isNaN(this.acousticEndX)) {
-            console.error("Calculation failed: Acoustic End Position is NaN.");
-            return false;
-        }
-
-        // 2. Calculate first finger hole position (Xf[0] or Xf(1) in original)
-        const holeIndex1 = 0;
-        const te_1 = this.calculateEffectiveHoleHeight(holeIndex1);
-        const diameter1 = this.holes[holeIndex1].diameter;
-        const freq1 = this.holes[holeIndex1].frequency;
-        if (isNaN(te_1) || isNaN(diameter1) || isNaN(freq1) || freq1 <= 0) {
-            console.error("Cannot calculate positions: Invalid input for hole 1.");
-            return false;
+    /**
+     * Adds or removes hand fit rows so that there is one finger per hole, displayed highest first.
+     * An untouched assignment follows the new number of holes; otherwise the new holes get no finger.
+     * @param {number} count - The number of finger holes.
+     */
+    setFingerRowCount(count) {
+        const isDefault = this.readFingers().join() === FluteErgonomics.getDefaultFingers(this.fingerSelects.length).join();
+        while (this.fingerSelects.length > count) {
+            this.fingerSelects.pop().closest('tr').remove();
         }
-
-        let L1 = this.speedOfSound * 0.5 / freq1;
-        // Subtract corrections for *closed* holes above hole 1 (i.e., holes 2 to N)
-        for (let i = holeIndex1 + 1; i < this.HOLE_COUNT; i++) {
-            L1 -= closedHoleCorrections[i];
-        }
-        if (isNaN(L1)) {
-            console.error("Calculation failed: L1 is NaN.");
-            return false;
+        while (this.fingerSelects.length < count) {
+            const row = this.fingerRowTemplate.content.firstElementChild.cloneNode(true);
+            const select = row.querySelector('select[name="finger"]');
+            select.append(new Option('—', ''), ...FINGERS.map(finger => new Option(FINGER_NAMES[finger], finger)));
+            row.querySelector('.hole-label').textContent = `Hole ${this.fingerSelects.length + 1}`;
+            select.addEventListener('change', () => this.updateHandFit());
+            this.fingerRowsElement.prepend(row);
+            this.fingerSelects.push(select);
         }
+        if (isDefault) {
+            this.setFingers(FluteErgonomics.getDefaultFingers(count));
+        }
+    }
+
+    /**
+     * Reads the finger covering each hole.
+     * @returns {string[]} The fingers (index 0 = hole 1), '' for none.
+     */
+    readFingers() {
+        return this.fingerSelects.map(select => select.value);
+    }
+
+    /**
+     * Selects the finger covering each hole.
+     * @param {string[]} fingers - The fingers (index 0 = hole 1); missing ones are set to none.
+     */
+    setFingers(fingers) {
+        this.fingerSelects.forEach((select, i) => select.value = fingers[i] ?? '');
+    }
+
+    /**
+     * Reads the hand measurements of the hand fit, in the current units.
+     * @returns {FluteHand} The measurements.
+     */
+    readHand() {
+        return { spans: this.handSpanInputs.map(input => parseFloat(input.value)), fingerWidth: parseFloat(this.fingerWidthInput.value) };
+    }
+
+    /**
+     * Fills the hand measurements.
+     * @param {FluteHand} hand - The measurements, in the current units.
+     */
+    setHand(hand) {
+        const digits = this.units === 'cm' ? 2 : 3;
+        this.handSpanInputs.forEach((input, i) => input.value = parseFloat(hand.spans[i].toFixed(digits)));
+        this.fingerWidthInput.value = parseFloat(hand.fingerWidth.toFixed(digits));
+    }
+
+    /** Fills the hand measurements from the selected hand size, unless it is custom. */
+    applyHandPreset() {
+        if (this.handSizeSelector.value !== 'custom') {
+            this.setHand(FluteErgonomics.getPreset(this.handSizeSelector.value, this.units));
+        }
+    }
+
+    /** Checks the hand fit again after a hand or finger change, without recalculating the positions. */
+    updateHandFit() {
+        if (this.lastResult) {
+            this.displayHandFit();
+            this.renderFluteImage();
+        }
+    }
+
+    /**
+     * Checks the calculated hole positions against the reach of the fingers, lists the pairs out of reach with a
+     * suggested fix and marks their holes in the hole table. In design mode the suggestions include the diameter that
+     * keeps the moved hole in tune, from the quadratic solver: the transfer matrix solver is too slow to run on each change.
+     * @param {boolean} [suggestDiameters=true] - Whether to search those diameters; a calculation leaves them to
+     *     `updateAcousticDetails`.
+     */
+    displayHandFit(suggestDiameters = true) {
+        this.clearHandFit();
+        const hand = this.readHand();
+        const fingers = this.readFingers();
+        const errors = FluteErgonomics.validate(hand, fingers, this.holeCount);
+        [...this.handSpanInputs, this.fingerWidthInput].forEach(input => input.style.borderColor = parseFloat(input.value) > 0 ? '' : 'red');
+        if (errors.length > 0) {
+            this.handFitList.replaceChildren(...errors.map(error => this.createHandFitItem(error.message, true)));
+            return;
+        }
+
+        const positions = this.holes.map(hole => hole.physicalPosition);
+        this.ergonomicReport = FluteErgonomics.check(positions, hand, fingers, this.mode === 'design' && suggestDiameters ? this.getDesign() : null);
+        this.ergonomicReport.problems.forEach(pair => {
+            [pair.lowerHoleIndex, pair.upperHoleIndex].forEach(holeIndex => {
+                const row = this.holeRows[holeIndex];
+                row.classList.add('out-of-reach');
+                row.title = row.title ? `${row.title}\n${pair.problem.message}` : pair.problem.message;
+            });
+        });
+        const items = this.ergonomicReport.problems.map(pair => this.createHandFitItem(
+            pair.problem.suggestion ? `${pair.problem.message}. ${pair.problem.suggestion.message}.` : `${pair.problem.message}.`, true));
+        this.handFitList.replaceChildren(...(items.length > 0 ? items : [this.createHandFitItem('Every hole is within reach.', false)]));
+    }
+
+    /**
+     * Creates an item of the hand fit report.
+     * @param {string} text - The text of the item.
+     * @param {boolean} isProblem - Whether the item reports a problem.
+     * @returns {HTMLLIElement} The item.
+     */
+    createHandFitItem(text, isProblem) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        if (isProblem) {
+            item.className = 'field-message';
+        }
+        return item;
+    }
+
+    /** Clears the hand fit report and its marks in the hole table. */
+    clearHandFit() {
+        this.ergonomicReport = null;
+        this.holeRows.forEach(row => {
+            row.classList.remove('out-of-reach');
+            row.title = '';
+        });
+        this.handFitList.replaceChildren();
+    }
+
+    /**
+     * Reads the drilling tolerances of the Monte Carlo simulation.
+     * @returns {FluteTolerances} The tolerances, in the current units (°C for the temperature).
+     */
+    readTolerances() {
+        const tolerances = {};
+        Object.entries(this.toleranceInputs).forEach(([field, input]) => tolerances[field] = input.value === '' ? 0 : parseFloat(input.value));
+        return tolerances;
+    }
+
+    /**
+     * Fills the drilling tolerances.
+     * @param {FluteTolerances} tolerances - The tolerances; missing fields get their default.
+     */
+    setTolerances(tolerances) {
+        Object.entries(this.toleranceInputs).forEach(([field, input]) => input.value = tolerances[field] ?? input.defaultValue);
+    }
+
+    /**
+     * The design with the positions currently displayed (calculated, or measured in analysis mode),
+     * for the tolerance analysis.
+     * @returns {FluteDesign|null} The design, or null when a position is missing.
+     */
+    getPositionedDesign() {
+        const layout = this.getLayout();
+        if (!layout) {
+            return null;
+        }
+        const design = this.getDesign();
+        design.embouchurePosition = layout.embouchurePosition;
+        design.holes = design.holes.map((hole, i) => ({ ...hole, position: layout.holePositions[i] }));
+        if (design.keys) {
+            design.keys = design.keys.map((key, j) => ({ ...key, position: layout.keyPositions[j] }));
+        }
+        return design;
+    }
+
+    /**
+     * Name of a note, as in the tolerance reports, the tuning session and the pitch detector.
+     * @param {FluteSensitivityNote} note - The note.
+     * @returns {string} The name.
+     */
+    getNoteLabel(note) {
+        return note.kind === 'end' ? 'End' : `${note.kind === 'key' ? 'Key' : 'Hole'} ${note.index + 1}`;
+    }
+
+    /**
+     * Recalculates, then shows how many cents each note moves per millimetre of error of every input
+     * (per °C for the temperature), one row per input.
+     */
+    displaySensitivity() {
+        this.calculateAllPositions();
+        const design = this.lastResult ? this.getPositionedDesign() : null;
+        if (!design) {
+            return; // The calculation said why
+        }
+        const report = FluteSensitivity.analyze(design);
+        if (!report.success) {
+            this.toleranceMessage.textContent = report.errors.map(error => error.message).join(' ');
+            return;
+        }
+
+        const unitsPerMillimetre = this.units === 'cm' ? 0.1 : 1 / 25.4;
+        const inputLabels = {
+            boreDiameter: 'Bore diameter',
+            wallThickness: 'Wall thickness',
+            temperatureCelsius: 'Temperature',
+            boreTemperatureCelsius: 'In-bore temperature',
+            embouchurePosition: 'Embouchure position',
+            diameter: 'diameter',
+            position: 'position',
+            keyDiameter: 'diameter',
+            keyPosition: 'position',
+        };
+        const createCell = (tag, text) => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            return cell;
+        };
+        const header = document.createElement('tr');
+        header.append(createCell('th', 'Input'), ...report.notes.map(note => createCell('th', this.getNoteLabel(note))));
+        const rows = report.inputs.map(input => {
+            const row = document.createElement('tr');
+            const owner = input.holeIndex !== undefined ? `Hole ${input.holeIndex + 1} ` : input.keyIndex !== undefined ? `Key ${input.keyIndex + 1} ` : '';
+            const scale = input.field.endsWith('Celsius') ? 1 : unitsPerMillimetre;
+            row.append(createCell('th', owner + inputLabels[input.field]), ...input.centsPerUnit.map(cents => {
+                const rounded = Math.round(cents * scale * 100) / 100; // Avoids "-0.00"
+                return createCell('td', isNaN(rounded) ? 'Error' : `${rounded > 0 ? '+' : ''}${rounded.toFixed(2)}`);
+            }));
+            return row;
+        });
+        this.sensitivityTable.tHead.replaceChildren(header);
+        this.sensitivityTable.tBodies[0].replaceChildren(...rows);
+        this.sensitivityTable.hidden = false;
+    }
+
+    /**
+     * Recalculates, then makes flutes within the drilling tolerances and shows the spread of every note
+     * around its predicted frequency.
+     */
+    displayMonteCarlo() {
+        const tolerances = this.readTolerances();
+        const errors = FluteSensitivity.validateTolerances(tolerances);
+        const samples = parseInt(this.monteCarloSamplesInput.value, 10);
+        if (!(samples >= 1 && samples <= 5000)) {
+            errors.push({ field: 'samples', message: `Invalid number of flutes: ${this.monteCarloSamplesInput.value} (from 1 to 5000)` });
+        }
+        Object.entries(this.toleranceInputs).forEach(([field, input]) => input.style.borderColor = errors.some(error => error.field === field) ? 'red' : '');
+        this.monteCarloSamplesInput.style.borderColor = errors.some(error => error.field === 'samples') ? 'red' : '';
+        if (errors.length > 0) {
+            this.clearToleranceReports();
+            this.toleranceMessage.textContent = errors.map(error => error.message).join(' ');
+            return;
+        }
+
+        this.calculateAllPositions();
+        const design = this.lastResult ? this.getPositionedDesign() : null;
+        if (!design) {
+            return;
+        }
+        const simulation = FluteSensitivity.simulate(design, tolerances, { samples });
+        if (!simulation.success) {
+            this.toleranceMessage.textContent = simulation.errors.length > 0
+                ? simulation.errors.map(error => error.message).join(' ')
+                : 'None of the flutes could be predicted: the tolerances are too large.';
+            return;
+        }
+        const format = (cents) => `${cents > 0.005 ? '+' : ''}${cents.toFixed(2)}`;
+        const rows = simulation.notes.map((note, i) => {
+            const { mean, standardDeviation, min, max } = simulation.spreads[i];
+            const row = document.createElement('tr');
+            [this.getNoteLabel(note), note.frequency.toFixed(2), format(mean), standardDeviation.toFixed(2), `${format(min)} to ${format(max)}`]
+                .forEach(text => row.insertCell().textContent = text);
+            return row;
+        });
+        this.monteCarloRowsElement.replaceChildren(...rows);
+        this.monteCarloTable.hidden = false;
+        this.toleranceMessage.textContent = simulation.failures > 0
+            ? `${simulation.failures} of ${simulation.samples} flutes could not be predicted and are left out.` : '';
+    }
+
+    /** Clears the sensitivity report and the Monte Carlo simulation, which no longer match the inputs. */
+    clearToleranceReports() {
+        this.sensitivityTable.hidden = true;
+        this.sensitivityTable.tHead.replaceChildren();
+        this.sensitivityTable.tBodies[0].replaceChildren();
+        this.monteCarloTable.hidden = true;
+        this.monteCarloRowsElement.replaceChildren();
+        this.toleranceMessage.textContent = '';
+    }
+
+    // --- Tuning Session (see flutomat-session.js) ---
+
+    /**
+     * Rebuilds the tuning session table after a hole or key is added or removed: the end note, the finger holes,
+     * then the keys. The measured frequencies stay with their note.
+     */
+    buildTuningRows() {
+        const measured = this.readMeasuredPitches();
+        const notes = [
+            { kind: 'end' },
+            ...Array.from({ length: this.holeCount }, (_, index) => ({ kind: 'hole', index })),
+            ...this.keyedHoleRows.map((row, index) => ({ kind: 'key', index })),
+        ];
+        this.tuningRows = notes.map(note => {
+            const row = this.tuningRowTemplate.content.firstElementChild.cloneNode(true);
+            row.querySelector('.note-label').textContent = this.getNoteLabel(note);
+            const measuredInput = row.querySelector('input[name="measuredFrequency"]');
+            measuredInput.addEventListener('change', () => {
+                this.updateTuningDeviations();
+                this.scheduleStateSync();
+            });
+            return {
+                ...note,
+                row,
+                measuredInput,
+                targetOutput: row.querySelector('output[name="tuningTarget"]'),
+                deviationOutput: row.querySelector('output[name="tuningDeviation"]'),
+                recommendationOutput: row.querySelector('output[name="tuningRecommendation"]'),
+            };
+        });
+        this.tuningRowsElement.replaceChildren(...this.tuningRows.map(tuningRow => tuningRow.row));
+        this.setMeasuredPitches(measured);
+        this.updateTuningDeviations();
+    }
+
+    /**
+     * Reads the frequencies measured on the flute.
+     * @returns {FluteMeasuredPitches} The frequencies, null for the notes not measured.
+     */
+    readMeasuredPitches() {
+        const frequencyOf = (tuningRow) => tuningRow.measuredInput.value === '' ? null : parseFloat(tuningRow.measuredInput.value);
+        return {
+            end: this.tuningRows.length > 0 ? frequencyOf(this.tuningRows[0]) : null,
+            holes: this.tuningRows.filter(tuningRow => tuningRow.kind === 'hole').map(frequencyOf),
+            keys: this.tuningRows.filter(tuningRow => tuningRow.kind === 'key').map(frequencyOf),
+        };
+    }
+
+    /**
+     * Fills the measured frequencies.
+     * @param {FluteMeasuredPitches} measured - The frequencies; missing notes are left empty.
+     */
+    setMeasuredPitches(measured) {
+        this.tuningRows.forEach(tuningRow => {
+            const frequency = tuningRow.kind === 'end' ? measured.end : measured[tuningRow.kind === 'hole' ? 'holes' : 'keys']?.[tuningRow.index];
+            tuningRow.measuredInput.value = frequency ?? '';
+        });
+    }
+
+    /**
+     * Restores a tuning session.
+     * @param {FluteTuningSessionState} session - The session; missing fields get their default.
+     */
+    setTuningSession(session) {
+        this.tuningToleranceInput.value = session.toleranceCents ?? this.tuningToleranceInput.defaultValue;
+        this.setMeasuredPitches(session.measured ?? {});
+        this.tuningIterations = session.iterations ?? [];
+        this.updateTuningDeviations();
+        this.displayTuningHistory();
+    }
+
+    /**
+     * Target frequency of a note of the tuning session, from the frequency inputs.
+     * @param {{kind: string, index?: number}} tuningRow - The note.
+     * @returns {number} The target in Hz, NaN if not set.
+     */
+    getTuningTarget(tuningRow) {
+        const input = tuningRow.kind === 'end' ? this.endFrequencyInput
+            : (tuningRow.kind === 'hole' ? this.holeFrequencyInputs : this.keyedHoleFrequencyInputs)[tuningRow.index];
+        return parseFloat(input?.value);
+    }
+
+    /**
+     * Shows the deviation of every measured note from its target, and clears the recommendations,
+     * which no longer match the measurements.
+     */
+    updateTuningDeviations() {
+        const tolerance = parseFloat(this.tuningToleranceInput.value);
+        this.tuningRows.forEach(tuningRow => {
+            const target = this.getTuningTarget(tuningRow);
+            const deviation = FluteEngine.centsBetween(parseFloat(tuningRow.measuredInput.value), target);
+            const rounded = Math.round(deviation * 10) / 10; // Avoids "-0.0"
+            tuningRow.targetOutput.value = isNaN(target) ? '' : target.toFixed(2);
+            tuningRow.deviationOutput.value = isNaN(rounded) ? '' : `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+            tuningRow.deviationOutput.classList.toggle('out-of-tune', Math.abs(deviation) > tolerance);
+            tuningRow.measuredInput.style.borderColor = '';
+            tuningRow.recommendationOutput.value = '';
+        });
+        this.tuningToleranceInput.style.borderColor = '';
+        this.tuningRecommendation = null;
+        this.tuningApplyButton.disabled = true;
+        this.tuningMessage.textContent = '';
+    }
+
+    /**
+     * Checks the measured frequencies and the tolerance, marking the invalid inputs.
+     * @returns {string[]} The problems found, empty if the inputs are valid.
+     */
+    validateTuningInputs() {
+        const errors = FluteTuningSession.validateMeasurements(this.readMeasuredPitches());
+        errors.forEach(error => {
+            const kind = error.field === 'measuredEnd' ? 'end' : error.field === 'measuredHole' ? 'hole' : 'key';
+            const index = error.holeIndex ?? error.keyIndex;
+            this.tuningRows.find(tuningRow => tuningRow.kind === kind && tuningRow.index === index).measuredInput.style.borderColor = 'red';
+        });
+        if (!(parseFloat(this.tuningToleranceInput.value) >= 0)) {
+            this.tuningToleranceInput.style.borderColor = 'red';
+            errors.push({ field: 'toleranceCents', message: `Invalid tuning tolerance: ${this.tuningToleranceInput.value}` });
+        }
+        return errors.map(error => error.message);
+    }
+
+    /**
+     * Recalculates, then recommends how to enlarge or undercut each hole to bring its measured note to the target,
+     * with the quadratic solver: each recommendation takes dozens of predictions, too many for the transfer matrix.
+     */
+    recommendTuning() {
+        this.calculateAllPositions();
+        const errors = this.validateTuningInputs();
+        if (errors.length > 0) {
+            this.tuningMessage.textContent = errors.join(' ');
+            return;
+        }
+        const design = this.lastResult ? this.getPositionedDesign() : null;
+        if (!design) {
+            return; // The calculation said why
+        }
+        const recommendation = FluteTuningSession.recommend(design, this.readMeasuredPitches(), { toleranceCents: parseFloat(this.tuningToleranceInput.value) });
+        if (!recommendation.success) {
+            this.tuningMessage.textContent = recommendation.errors.map(error => error.message).join(' ');
+            return;
+        }
+        recommendation.notes.forEach((note, i) => this.tuningRows[i].recommendationOutput.value = note.message);
+        this.tuningRecommendation = recommendation;
+        this.tuningApplyButton.disabled = !recommendation.notes.some(note => note.diameter);
+    }
+
+    /**
+     * Sets the holes to the recommended diameters, ready for the next iteration: the holes as they were and their
+     * notes are recorded first (unless they just were), then the measurements are cleared. Undercuts widen with their hole.
+     */
+    applyTuningDiameters() {
+        if (!this.tuningRecommendation) {
+            return;
+        }
+        const { diameters, keyDiameters } = this.tuningRecommendation;
+        const { date, ...current } = FluteTuningSession.createIteration(this.getDesign(), this.readMeasuredPitches());
+        const last = this.tuningIterations.at(-1);
+        if (!last || JSON.stringify({ ...last, date }) !== JSON.stringify({ date, ...current })) {
+            this.recordTuningIteration();
+        }
+        this.getDesign().holes.forEach((hole, i) => {
+            const resized = FluteDiameterOptimizer.resizeHole(hole, diameters[i]);
+            this.holeDiameterInputs[i].value = parseFloat(resized.diameter.toFixed(5));
+            if (resized.undercutDiameter !== undefined) {
+                this.holeUndercutInputs[i].value = parseFloat(resized.undercutDiameter.toFixed(5));
+            }
+        });
+        this.keyedHoleDiameterInputs.forEach((input, j) => input.value = parseFloat(keyDiameters[j].toFixed(5)));
+        this.setMeasuredPitches({});
+        this.calculateAllPositions();
+    }
+
+    /** Records the holes as drilled and the notes measured on them as an iteration of the session. */
+    recordTuningIteration() {
+        const errors = this.validateTuningInputs();
+        const measured = this.readMeasuredPitches();
+        if (errors.length === 0 && [measured.end, ...measured.holes, ...measured.keys].every(frequency => frequency === null)) {
+            errors.push('Measure at least one note first.');
+        }
+        if (errors.length > 0) {
+            this.tuningMessage.textContent = errors.join(' ');
+            return;
+        }
+        try {
+            this.readInputsFromForm();
+        } catch (e) {
+            alert("Calculation failed:\n"+e.message);
+            return;
+        }
+        this.tuningIterations.push(FluteTuningSession.createIteration(this.getDesign(), measured));
+        this.tuningMessage.textContent = '';
+        this.displayTuningHistory();
+        this.scheduleStateSync();
+    }
+
+    /** Lists the recorded iterations: the diameters drilled and the deviation of each measured note. */
+    displayTuningHistory() {
+        const formatCents = (cents) => {
+            const rounded = Math.round(cents * 10) / 10;
+            return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+        };
+        const rows = this.tuningIterations.map((iteration, i) => {
+            const row = document.createElement('tr');
+            const digits = iteration.units === 'cm' ? 2 : 3;
+            const diameters = iteration.diameters.map(diameter => diameter.toFixed(digits)).join(', ')
+                + (iteration.keyDiameters.length > 0 ? `; keys ${iteration.keyDiameters.map(diameter => diameter.toFixed(digits)).join(', ')}` : '')
+                + ` (${iteration.units})`;
+            const deviations = iteration.notes
+                .filter(note => note.measuredFrequency !== null)
+                .map(note => `${this.getNoteLabel(note)} ${formatCents(FluteEngine.centsBetween(note.measuredFrequency, note.targetFrequency))}`)
+                .join(', ');
+            [String(i + 1), new Date(iteration.date).toLocaleString(), diameters, deviations].forEach(text => row.insertCell().textContent = text);
+            return row;
+        });
+        this.tuningHistoryRowsElement.replaceChildren(...rows);
+        this.tuningHistoryTable.hidden = rows.length === 0;
+        this.tuningClearHistoryButton.disabled = rows.length === 0;
+    }
+
+    // --- Pitch Detector (see flutomat-pitch.js) ---
+
+    /**
+     * Starts listening to the microphone: each animation frame, the pitch of the latest samples is detected and
+     * compared with the notes of the flute. Until the browser grants the microphone, a stop cancels the request.
+     * @returns {Promise<void>}
+     */
+    async startListening() {
+        const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+        if (!navigator.mediaDevices?.getUserMedia || !AudioContextClass) {
+            this.pitchMessage.textContent = 'This browser gives no access to the microphone: open a recording instead.';
+            return;
+        }
+        const request = {};
+        this.microphoneRequest = request;
+        this.microphoneButton.textContent = '⏹\u00a0Stop';
+        let stream;
+        try {
+            // Raw sound: the voice processing of calls bends sustained notes
+            stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } });
+        } catch (e) {
+            if (this.microphoneRequest === request) {
+                this.stopListening();
+                this.pitchMessage.textContent = `The microphone is not available: ${e.message}`;
+            }
+            return;
+        }
+        if (this.microphoneRequest !== request) {
+            // Stopped while the browser asked: the microphone is released at once
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.microphoneRequest = null;
+        const context = new AudioContextClass();
+        const analyser = context.createAnalyser();
+        const detector = new FlutePitchDetector(context.sampleRate);
+        analyser.fftSize = Math.min(32768, 2 ** Math.ceil(Math.log2(detector.getFrameSize())));
+        context.createMediaStreamSource(stream).connect(analyser);
+        this.pitchListener = { stream, context, analyser, detector, frame: new Float32Array(analyser.fftSize), recent: [], animationFrame: 0 };
+        this.pitchMessage.textContent = '';
+
+        const update = () => {
+            const listener = this.pitchListener;
+            if (!listener) {
+                return;
+            }
+            listener.analyser.getFloatTimeDomainData(listener.frame);
+            const pitch = listener.detector.detect(listener.frame);
+            if (pitch) {
+                // The median of the last few frames steadies the needle
+                listener.recent = [...listener.recent, pitch.frequency].slice(-this.PITCH_SMOOTHING_FRAMES);
+                const sorted = [...listener.recent].sort((a, b) => a - b);
+                this.displayDetectedPitch(sorted[Math.floor(sorted.length / 2)]);
+            }
+            listener.animationFrame = requestAnimationFrame(update);
+        };
+        update();
+    }
+
+    /** Stops listening to the microphone, or cancels the request for it; the last pitch stays displayed. */
+    stopListening() {
+        this.microphoneRequest = null;
+        if (this.pitchListener) {
+            const { stream, context, animationFrame } = this.pitchListener;
+            this.pitchListener = null;
+            cancelAnimationFrame(animationFrame);
+            stream.getTracks().forEach(track => track.stop());
+            context.close();
+        }
+        this.microphoneButton.textContent = '🎤\u00a0Listen';
+    }
+
+    /**
+     * Detects the pitch of the WAV recording chosen in the file input.
+     * @returns {Promise<void>}
+     */
+    async analyzePitchFile() {
+        const file = this.pitchFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            const { sampleRate, samples } = FlutePitchDetector.parseWav(await file.arrayBuffer());
+            const { frequency } = new FlutePitchDetector(sampleRate).analyzeRecording(samples);
+            if (frequency === null) {
+                throw new Error('No clear pitch in the recording');
+            }
+            this.pitchFileInput.style.borderColor = '';
+            this.pitchMessage.textContent = '';
+            this.displayDetectedPitch(frequency);
+        } catch (e) {
+            this.pitchFileInput.style.borderColor = 'red';
+            this.pitchMessage.textContent = e.message;
+        }
+    }
+
+    /**
+     * Shows a detected pitch with the nearest note of the flute and the needle.
+     * @param {number} frequency - The pitch in Hz.
+     */
+    displayDetectedPitch(frequency) {
+        const notes = this.tuningRows.map(tuningRow => ({ kind: tuningRow.kind, index: tuningRow.index, frequency: this.getTuningTarget(tuningRow) }));
+        const match = FlutePitchDetector.findNearestNote(frequency, notes);
+        this.detectedPitch = { frequency, match };
+        this.detectedFrequencyOutput.value = frequency.toFixed(2);
+        this.detectedNoteOutput.value = match ? this.getNoteLabel(match.note) : '';
+        const rounded = match ? Math.round(match.deviationCents * 10) / 10 : NaN; // Avoids "-0.0"
+        this.detectedDeviationOutput.value = isNaN(rounded) ? '' : `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+        this.detectedDeviationOutput.classList.toggle('out-of-tune', Math.abs(rounded) > this.DEVIATION_WARNING_CENTS);
+        this.useDetectedPitchButton.disabled = !match;
+        this.drawPitchNeedle(match ? match.deviationCents : null);
+    }
+
+    /** Enters the detected pitch as the measured frequency of its note in the tuning session. */
+    useDetectedPitch() {
+        const match = this.detectedPitch?.match;
+        const tuningRow = match && this.tuningRows.find(row => row.kind === match.note.kind && row.index === match.note.index);
+        if (!tuningRow) {
+            return;
+        }
+        tuningRow.measuredInput.value = this.detectedPitch.frequency.toFixed(2);
+        this.updateTuningDeviations();
+        this.scheduleStateSync();
+    }
+
+    /**
+     * Draws the tuner dial: ±`PITCH_NEEDLE_RANGE_CENTS` around the note, with the in-tune band of
+     * `DEVIATION_WARNING_CENTS`, and the needle at the deviation.
+     * @param {?number} deviationCents - Deviation of the pitch from its note, null for no needle.
+     */
+    drawPitchNeedle(deviationCents) {
+        const canvas = this.pitchNeedleElement;
+        const context = canvas.getContext("2d");
+        const range = this.PITCH_NEEDLE_RANGE_CENTS;
+        const centerX = canvas.width / 2;
+        const centerY = canvas.height - 15;
+        const radius = canvas.height - 35;
+        const maxAngle = Math.PI / 3;
+        const toAngle = (cents) => -Math.PI / 2 + Math.max(-1, Math.min(1, cents / range)) * maxAngle;
+        const pointAt = (cents, distance) => [centerX + distance * Math.cos(toAngle(cents)), centerY + distance * Math.sin(toAngle(cents))];
+
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.setLineDash([]);
+
+        // In-tune band
+        context.strokeStyle = '#9fd89f';
+        context.lineWidth = 10;
+        context.beginPath();
+        context.arc(centerX, centerY, radius, toAngle(-this.DEVIATION_WARNING_CENTS), toAngle(this.DEVIATION_WARNING_CENTS));
+        context.stroke();
+
+        // Scale, every 10 cents
+        context.strokeStyle = 'black';
+        context.fillStyle = 'black';
+        context.lineWidth = 1;
+        context.font = "11px Verdana";
+        context.textAlign = 'center';
+        for (let cents = -range; cents <= range; cents += 10) {
+            const isMajor = cents % (range / 2) === 0;
+            context.beginPath();
+            context.moveTo(...pointAt(cents, radius - (isMajor ? 10 : 5)));
+            context.lineTo(...pointAt(cents, radius + 5));
+            context.stroke();
+            if (isMajor) {
+                context.fillText(`${cents > 0 ? '+' : ''}${cents}`, ...pointAt(cents, radius + 15));
+            }
+        }
+
+        if (deviationCents === null || isNaN(deviationCents)) {
+            return;
+        }
+        context.strokeStyle = Math.abs(deviationCents) > this.DEVIATION_WARNING_CENTS ? 'red' : 'green';
+        context.lineWidth = 3;
+        context.beginPath();
+        context.moveTo(centerX, centerY);
+        context.lineTo(...pointAt(deviationCents, radius - 5));
+        context.stroke();
+        context.fillStyle = context.strokeStyle;
+        context.beginPath();
+        context.arc(centerX, centerY, 5, 0, 2 * Math.PI);
+        context.fill();
+    }
+
+    // --- Scale Preview (see flutomat-synth.js) ---
+
+    /**
+     * The notes of the scale preview, from the lowest target up. The predicted notes come from the transfer
+     * matrix model at the displayed positions (calculated, or measured in analysis mode), like the fingering chart.
+     * @param {'target' | 'predicted'} kind - Which frequencies to play.
+     * @returns {?{label: string, frequency: number}[]} The notes, or null (with the reason displayed) if they can't be found.
+     */
+    getPreviewNotes(kind) {
+        this.calculateAllPositions();
+        const design = this.lastResult ? this.getPositionedDesign() : null;
+        if (!design) {
+            return null; // The calculation said why
+        }
+        const result = FluteImpedanceModel.analyze(design);
+        if (!result.success) {
+            this.previewMessage.textContent = result.diagnostics.errors.map(error => error.message).join(' ');
+            return null;
+        }
+        const targets = [result.end, ...result.holes, ...result.keys].map(note => note.targetFrequency);
+        return FluteSensitivity.getNotes(result)
+            .map((note, i) => ({ label: this.getNoteLabel(note), frequency: kind === 'target' ? targets[i] : note.frequency, target: targets[i] }))
+            .sort((a, b) => a.target - b.target)
+            .map(({ label, frequency }) => ({ label, frequency }));
+    }
+
+    /**
+     * Reads the length of the notes of the preview, marking it when invalid.
+     * @returns {number} The length in seconds, NaN if invalid.
+     */
+    readPreviewNoteSeconds() {
+        const seconds = parseFloat(this.previewNoteSecondsInput.value);
+        const isValid = seconds >= 0.1 && seconds <= 5;
+        this.previewNoteSecondsInput.style.borderColor = isValid ? '' : 'red';
+        this.previewMessage.textContent = isValid ? '' : `Invalid note length: ${this.previewNoteSecondsInput.value} (from 0.1 to 5 seconds)`;
+        return isValid ? seconds : NaN;
+    }
+
+    /**
+     * Plays the target or predicted notes through the speakers, naming each note as it plays.
+     * @param {'target' | 'predicted'} kind - Which frequencies to play.
+     */
+    playPreview(kind) {
+        this.stopPreview();
+        const noteSeconds = this.readPreviewNoteSeconds();
+        if (isNaN(noteSeconds)) {
+            return;
+        }
+        const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+        if (!AudioContextClass) {
+            this.previewMessage.textContent = 'This browser can\'t play sound: download the WAV file instead.';
+            return;
+        }
+        const notes = this.getPreviewNotes(kind);
+        if (!notes) {
+            return;
+        }
+
+        const context = new AudioContextClass();
+        const synthesizer = new FluteSynthesizer(context.sampleRate);
+        const samples = synthesizer.renderScale(notes.map(note => note.frequency), { noteSeconds });
+        const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.onended = () => this.stopPreview();
+        const timers = synthesizer.getNoteStartTimes(notes.length, { noteSeconds }).map((time, i) => setTimeout(() => {
+            this.previewNoteOutput.value = `${notes[i].label}: ${notes[i].frequency.toFixed(2)} Hz`;
+        }, time * 1000));
+        this.previewPlayer = { context, source, timers };
+        this.stopPreviewButton.disabled = false;
+        source.start();
+    }
+
+    /** Stops the scale preview. */
+    stopPreview() {
+        if (!this.previewPlayer) {
+            return;
+        }
+        const { context, source, timers } = this.previewPlayer;
+        this.previewPlayer = null;
+        timers.forEach(timer => clearTimeout(timer));
+        source.onended = null;
+        source.stop();
+        context.close();
+        this.stopPreviewButton.disabled = true;
+        this.previewNoteOutput.value = '';
+    }
+
+    /** Renders the predicted notes offline and downloads them as a WAV file, to hear the intonation anywhere. */
+    downloadPreview() {
+        const noteSeconds = this.readPreviewNoteSeconds();
+        const notes = isNaN(noteSeconds) ? null : this.getPreviewNotes('predicted');
+        if (!notes) {
+            return;
+        }
+        const synthesizer = new FluteSynthesizer();
+        const samples = synthesizer.renderScale(notes.map(note => note.frequency), { noteSeconds });
+        this.downloadFile(FluteSynthesizer.encodeWav(samples, synthesizer.sampleRate), 'audio/wav', `${this.getDownloadName()}-predicted.wav`);
+    }
+
+    /**
+     * Resizes the finger holes to meet the hole spacing constraints with the selected solver, then recalculates.
+     * When the constraints can't be met, the diameters are left alone and the message says why.
+     */
+    optimizeDiameters() {
+        const constraints = this.readDiameterConstraints();
+        [this.maxHoleSpacingInput, ...this.holeConstraintRowsElement.querySelectorAll('input')].forEach(input => input.style.borderColor = '');
+        const errors = FluteDiameterOptimizer.validateConstraints(constraints, this.holeCount);
+        errors.forEach(error => {
+            const input = error.field === 'maxSpacing' ? this.maxHoleSpacingInput : this.getHoleConstraintInput(error.holeIndex, error.field);
+            if (input) {
+                input.style.borderColor = 'red';
+            }
+        });
+        if (errors.length > 0) {
+            this.optimizerMessage.textContent = errors.map(error => error.message).join(' ');
+            return;
+        }
+
+        try {
+            this.readInputsFromForm();
+        } catch (e) {
+            alert("Calculation failed:\n"+e.message);
+            return;
+        }
+        const optimized = FluteDiameterOptimizer.optimize(this.getDesign(), constraints, this.SOLVERS[this.solver].model);
+        if (!optimized.success) {
+            this.optimizerMessage.textContent = optimized.diagnostics.errors.map(error => error.message).join(' ');
+            return;
+        }
+        this.optimizerMessage.textContent = '';
+        this.getDesign().holes.forEach((hole, i) => {
+            const resized = FluteDiameterOptimizer.resizeHole(hole, optimized.diameters[i]);
+            this.holeDiameterInputs[i].value = parseFloat(resized.diameter.toFixed(5));
+            if (resized.undercutDiameter !== undefined) {
+                this.holeUndercutInputs[i].value = parseFloat(resized.undercutDiameter.toFixed(5));
+            }
+        });
+        this.calculateAllPositions();
+    }
+
+    /** Handles changes in the temperature input or units. */
+    _handleTemperatureChange() {
+        this.readTemperatureInput();
+        this.updateSpeedOfSoundDisplay();
+        // Maybe trigger recalculation or just update display
+        // this.calculateAllPositions(); // Uncomment to auto-recalculate
+    }
+
+    /** Handles changes in the unit selection. */
+    _handleUnitChange() {
+        this.readUnitsInput();
+        this.updateSpeedOfSoundDisplay();
+        this.updateUnitsBasedInputs();
+        // Potentially convert existing values if needed, or require re-input/recalc
+        this.clearResults(); // Clear old results as they are likely invalid
+    }
 
-        // Quadratic solution for Xf[0] derived from Benade's impedance matching
-        const a1_term = (diameter1 / this.boreDiameter) * (diameter1 / this.boreDiameter);
-        const a1 = a1_term;
-        const b1 = -(this.acousticEndX + L1) * a1_term;
-        const c1 = this.acousticEndX * L1 * a1_term + te_1 * (L1 - this.acousticEndX);
-
-        const discriminant1 = (b1 * b1) - 4 * a1 * c1;
-        if (discriminant1 < 0 || a1 === 0) {
-            console.error("Calculation failed: Cannot solve quadratic for hole 1 (discriminant < 0 or a=0).", { a1, b1, c1, discriminant1 });
-            this.holeDiameterInputs[0].style.borderColor = 'red';
-            return false;
-        }
-        this.holeDiameterInputs[0].style.borderColor = '';
-        // We expect Xf[0] < L1 and Xf[0] < Xend. The solution using the minus sign usually yields the physically correct result.
-        this.holes[holeIndex1].acousticPosition = (-b1 - Math.sqrt(discriminant1)) / (2 * a1);
-        if (isNaN(this.holes[holeIndex1].acousticPosition)) {
-            console.error("Calculation failed: Acoustic position for hole 1 is NaN.");
-            return false;
+    updateUnitsBasedInputs() {
+        const isCm = this.units === 'cm';
+        const ratio = (isCm ? (1 / this.CM_TO_INCH) : this.CM_TO_INCH);
+        const digits = isCm ? 2 : 3;
+        this.wallThicknessInput.value = (Number(this.wallThicknessInput.value) * ratio).toFixed(digits);
+        this.boreDiameterInput.value = (Number(this.boreDiameterInput.value) * ratio).toFixed(digits);
+        this.embouchureDiameterInput.value = (Number(this.embouchureDiameterInput.value) * ratio).toFixed(digits);
+        for (let i = 0; i < this.holeCount; i++) {
+            this.holeDiameterInputs[i].value = (Number(this.holeDiameterInputs[i].value) * ratio).toFixed(digits);
         }
+        [this.embouchurePositionInput, this.embouchureMinorAxisInput, this.embouchureRiserHeightInput, ...this.holePositionInputs, ...this.borePointPositionInputs, ...this.borePointDiameterInputs,
+            ...this.keyedHoleDiameterInputs, ...this.keyedHolePositionInputs, ...this.holeUndercutInputs, ...this.holeChamferInputs,
+            this.maxHoleSpacingInput, ...this.holeConstraintRowsElement.querySelectorAll('input'), ...this.handSpanInputs, this.fingerWidthInput,
+            this.toleranceInputs.boreDiameter, this.toleranceInputs.wallThickness, this.toleranceInputs.holeDiameter, this.toleranceInputs.holePosition].forEach(input => {
+            if (input.value !== '') {
+                input.value = (Number(input.value) * ratio).toFixed(digits);
+            }
+        });
+    }
 
+    /**
+     * Reads all input values from the form into the calculator's state.
+     * Performs basic validation, using the engine's design rules.
+     *
+     * @throws {Error} If at least one input is invalid.
+     */
+    readInputsFromForm() {
+        this.readUnitsInput(); // Read units first
+        this.readTemperatureInput(); // Read temperature
 
-        // 3. Calculate subsequent finger hole positions (Xf[1] to Xf[N-1])
-        for (let n = 1; n < this.HOLE_COUNT; n++) { // n is the current hole index (0-based)
-            const te_n = this.calculateEffectiveHoleHeight(n);
-            const diameter_n = this.holes[n].diameter;
-            const freq_n = this.holes[n].frequency;
-            const prevHolePos = this.holes[n - 1].acousticPosition; // Xf[n-1]
+        this.boreDiameter = parseFloat(this.boreDiameterInput.value);
+        this.boreProfile = this.readBoreProfileInputs();
+        this.wallThickness = parseFloat(this.wallThicknessInput.value);
+        this.embouchureDiameter = parseFloat(this.embouchureDiameterInput.value);
+        this.embouchureGeometry = this.readEmbouchureGeometryInputs();
+        this.registerBalanceCents = this.registerBalanceInput.value === '' ? 0 : parseFloat(this.registerBalanceInput.value);
+        this.endFrequency = parseFloat(this.endFrequencyInput.value);
+        this.measuredEmbouchurePosition = parseFloat(this.embouchurePositionInput.value);
 
-            if (isNaN(te_n) || isNaN(diameter_n) || isNaN(freq_n) || freq_n <= 0 || isNaN(prevHolePos)) {
-                console.error(`Calculation failed: Invalid input for hole ${n + 1}.`);
-                return false;
+        // Read hole data
+        this.holes = [];
+        for (let i = 0; i < this.holeCount; i++) {
+            this.holes[i] = {
+                frequency: parseFloat(this.holeFrequencyInputs[i].value),
+                diameter: parseFloat(this.holeDiameterInputs[i].value),
+                measuredPosition: parseFloat(this.holePositionInputs[i].value),
+                acousticPosition: NaN,
+                physicalPosition: NaN,
+            };
+        }
+        this.holeAngles = this.holeAngleInputs.map(input => input.value === '' ? 0 : parseFloat(input.value));
+        this.holeShapes = this.holes.map((hole, i) => this.readHoleShape(i));
+        this.keyedHoles = this.keyedHoleFrequencyInputs.map((input, j) => ({
+            frequency: parseFloat(input.value),
+            diameter: parseFloat(this.keyedHoleDiameterInputs[j].value),
+            measuredPosition: parseFloat(this.keyedHolePositionInputs[j].value),
+            acousticPosition: NaN,
+            physicalPosition: NaN,
+        }));
+
+        const errors = FluteEngine.validateDesign(this.getDesign(), this.mode);
+        this.getValidatedInputs().forEach(input => input.style.borderColor = ''); // Clear error state
+        errors.forEach(error => {
+            const input = this.getInputForField(error.field, error.holeIndex ?? error.pointIndex ?? error.keyIndex);
+            if (input) {
+                input.style.borderColor = 'red'; // Basic validation feedback
             }
+        });
 
-            let Ln = this.speedOfSound * 0.5 / freq_n;
-            // Subtract corrections for closed holes above hole n (i.e., holes n+1 to N)
-            for (let i = n + 1; i < this.HOLE_COUNT; i++) {
-                Ln -= closedHoleCorrections[i];
-            }
-            if (isNaN(Ln)) {
-                console.error(`Calculation failed: Ln for hole ${n + 1} is NaN.`);
-                return false;
-            }
+        if (errors.length > 0) {
+            throw new Error("Invalid input detected. Please correct the highlighted fields.\n- "+errors.map(error => error.message).join("\n- "));
+        }
+    }
 
-            // Quadratic solution for Xf[n], derived from Benade's lattice correction formula
-            // Rearranging C_o(n) = Xf[n-1] - Xf[n] - Ln leads to a quadratic in Xf[n]
-            // Original formula: C_o(n) = ((Xf[n-1]-Xf[n])/2)*(sqrt(1+4*(te(n)/(Xf(n-1)-Xf[n]))*(Bore/D(n))^2)-1)
-            // Substitute C_o(n) = Xf[n-1] - Xf[n] - Ln and solve for Xf[n].
-            // The provided quadratic coefficients in the original code were:
-            // a = 2;
-            // b = - Xf[n-1] - 3*L + te(n)*(Bore/D(n))^2;
-            // c = Xf[n-1]*(L - te(n)*(Bore/D(n))^2) + (L*L);
-            // Let's re-verify or trust the original derivation for now.
-            if (diameter_n === 0) {
-                console.error(`Calculation failed: Diameter for hole ${n + 1} cannot be zero.`);
-                return false;
-            }
-            const bore_d_ratio_sq = (this.boreDiameter / diameter_n) * (this.boreDiameter / diameter_n);
-            const a_n = 2.0;
-            const b_n = -prevHolePos - 3.0 * Ln + te_n * bore_d_ratio_sq;
-            const c_n = prevHolePos * (Ln - te_n * bore_d_ratio_sq) + (Ln * Ln);
+    /**
+     * Builds the plain design object handed to the engine from the calculator's state.
+     * Measured positions are only included in analysis mode.
+     * @returns {FluteDesign} The current design.
+     */
+    getDesign() {
+        const isAnalysis = this.mode === 'analysis';
+        const design = {
+            units: this.units,
+            temperatureCelsius: this.temperatureCelsius,
+            ...this.airConditions,
+            boreDiameter: this.boreDiameter,
+            wallThickness: this.wallThickness,
+            embouchureDiameter: this.embouchureDiameter,
+            ...this.embouchureGeometry,
+            endFrequency: this.endFrequency,
+            holes: this.holes.map((hole, i) => {
+                const designHole = { frequency: hole.frequency, diameter: hole.diameter };
+                if (isAnalysis) {
+                    designHole.position = hole.measuredPosition;
+                }
+                const angle = this.holeAngles[i] ?? 0;
+                if (angle !== 0) {
+                    designHole.angle = angle;
+                }
+                return Object.assign(designHole, this.holeShapes[i]);
+            }),
+        };
+        if (this.boreProfile.length > 0) {
+            design.boreProfile = this.boreProfile.map(point => ({ ...point }));
+        }
+        if (this.registerBalanceCents !== 0) {
+            design.registerBalanceCents = this.registerBalanceCents;
+        }
+        if (this.keyedHoles.length > 0) {
+            design.keys = this.keyedHoles.map(key => {
+                const designKey = { frequency: key.frequency, diameter: key.diameter };
+                if (isAnalysis) {
+                    designKey.position = key.measuredPosition;
+                }
+                return designKey;
+            });
+        }
+        if (isAnalysis) {
+            design.embouchurePosition = this.measuredEmbouchurePosition;
+        }
+        return design;
+    }
 
-            const discriminant_n = (b_n * b_n) - 4.0 * a_n * c_n;
-            if (discriminant_n < 0) {
-                console.error(`Calculation failed: Cannot solve quadratic for hole ${n + 1} (discriminant < 0).`, { a_n, b_n, c_n, discriminant_n });
-                this.holeDiameterInputs[n-1].style.borderColor = 'red';
-                return false;
-            }
-            this.holeDiameterInputs[n-1].style.borderColor = '';
-            // Expect Xf[n] < Ln and Xf[n] < Xf[n-1]. The minus sign solution is typically correct.
-            this.holes[n].acousticPosition = (-b_n - Math.sqrt(discriminant_n)) / (2.0 * a_n);
-            if (isNaN(this.holes[n].acousticPosition)) {
-                console.error(`Calculation failed: Acoustic position for hole ${n + 1} is NaN.`);
-                return false;
+    /**
+     * Collects the form settings that are not part of the engine design (mode, key, scale, tuning).
+     * @returns {FluteSettings} The settings.
+     * @throws {Error} If the reference pitch is invalid.
+     */
+    getSettings() {
+        return {
+            mode: this.mode,
+            solver: this.solver,
+            temperatureUnit: this.tempUnitSelect.value === 'F' ? 'F' : 'C',
+            key: parseInt(this.keySelector.value, 10),
+            scale: this.scaleSelector.value,
+            customIntervals: this.customIntervalsInput.value,
+            ...this.readTuningOptions(),
+            fingeringChart: this.readFingeringChart(),
+            octaveToleranceCents: parseFloat(this.octaveToleranceInput.value),
+            diameterConstraints: this.readDiameterConstraints(),
+            handSize: this.handSizeSelector.value,
+            hand: this.readHand(),
+            fingers: this.readFingers(),
+            tolerances: this.readTolerances(),
+            tuningSession: {
+                measured: this.readMeasuredPitches(),
+                toleranceCents: parseFloat(this.tuningToleranceInput.value),
+                iterations: this.tuningIterations,
+            },
+        };
+    }
+
+    /**
+     * Reads the design and settings straight from the inputs, without validating them
+     * or touching the calculator's state (the displayed results stay consistent).
+     * Measured positions are included whenever they are entered.
+     * @returns {{design: FluteDesign, settings: FluteSettings}} The form state.
+     * @throws {Error} If the reference pitch is invalid.
+     */
+    readFormState() {
+        const readNumber = (input) => parseFloat(input.value);
+        const readOptionalNumber = (input) => input.value === '' ? undefined : parseFloat(input.value);
+        const temperature = readNumber(this.tempInput);
+
+        const design = {
+            units: document.querySelector('input[name="units"]:checked')?.value ?? 'inches',
+            temperatureCelsius: this.tempUnitSelect.value === 'F' ? (temperature - 32) * 5 / 9 : temperature,
+            ...this.readAirInputs(),
+            boreDiameter: readNumber(this.boreDiameterInput),
+            wallThickness: readNumber(this.wallThicknessInput),
+            embouchureDiameter: readNumber(this.embouchureDiameterInput),
+            ...this.readEmbouchureGeometryInputs(),
+            endFrequency: readNumber(this.endFrequencyInput),
+            embouchurePosition: readOptionalNumber(this.embouchurePositionInput),
+            holes: this.holeFrequencyInputs.map((input, i) => {
+                const hole = {
+                    frequency: readNumber(input),
+                    diameter: readNumber(this.holeDiameterInputs[i]),
+                    position: readOptionalNumber(this.holePositionInputs[i]),
+                };
+                const angle = readOptionalNumber(this.holeAngleInputs[i]);
+                if (angle !== undefined && angle !== 0) {
+                    hole.angle = angle;
+                }
+                return Object.assign(hole, this.readHoleShape(i));
+            }),
+        };
+        const boreProfile = this.readBoreProfileInputs();
+        if (boreProfile.length > 0) {
+            design.boreProfile = boreProfile;
+        }
+        const registerBalanceCents = readOptionalNumber(this.registerBalanceInput);
+        if (registerBalanceCents !== undefined && registerBalanceCents !== 0) {
+            design.registerBalanceCents = registerBalanceCents;
+        }
+        if (this.keyedHoleRows.length > 0) {
+            design.keys = this.keyedHoleFrequencyInputs.map((input, j) => ({
+                frequency: readNumber(input),
+                diameter: readNumber(this.keyedHoleDiameterInputs[j]),
+                position: readOptionalNumber(this.keyedHolePositionInputs[j]),
+            }));
+        }
+        return { design, settings: this.getSettings() };
+    }
+
+    /**
+     * Returns the form input holding a design field, as reported by `FluteEngine.validateDesign`.
+     * @param {string} field - The design field name.
+     * @param {number} [index] - The 0-based hole index for hole fields, point index for bore profile fields,
+     *     or key index for keyed hole fields.
+     * @returns {HTMLElement|undefined} The input element, if the field has one.
+     */
+    getInputForField(field, index) {
+        switch (field) {
+            case 'temperatureCelsius': return this.tempInput;
+            case 'boreTemperatureCelsius': return this.boreTemperatureInput;
+            case 'relativeHumidity': return this.relativeHumidityInput;
+            case 'co2Percent': return this.co2PercentInput;
+            case 'boreDiameter': return this.boreDiameterInput;
+            case 'wallThickness': return this.wallThicknessInput;
+            case 'embouchureDiameter': return this.embouchureDiameterInput;
+            case 'endFrequency': return this.endFrequencyInput;
+            case 'embouchurePosition': return this.embouchurePositionInput;
+            case 'registerBalanceCents': return this.registerBalanceInput;
+            case 'embouchureModel': return this.embouchureModelSelector;
+            case 'embouchureShape': return this.embouchureShapeSelector;
+            case 'embouchureMinorAxis': return this.embouchureMinorAxisInput;
+            case 'embouchureRiserHeight': return this.embouchureRiserHeightInput;
+            case 'embouchureUndercutAngle': return this.embouchureUndercutAngleInput;
+            case 'frequency': return this.holeFrequencyInputs[index];
+            case 'diameter': return this.holeDiameterInputs[index];
+            case 'position': return this.holePositionInputs[index];
+            case 'angle': return this.holeAngleInputs[index];
+            case 'undercutDiameter': return this.holeUndercutInputs[index];
+            case 'chamferDepth': return this.holeChamferInputs[index];
+            case 'boreProfilePosition': return this.borePointPositionInputs[index];
+            case 'boreProfileDiameter': return this.borePointDiameterInputs[index];
+            case 'keyFrequency': return this.keyedHoleFrequencyInputs[index];
+            case 'keyDiameter': return this.keyedHoleDiameterInputs[index];
+            case 'keyPosition': return this.keyedHolePositionInputs[index];
+            default: return undefined;
+        }
+    }
+
+    /**
+     * Lists every input checked by the design rules.
+     * @returns {HTMLElement[]} The validated inputs.
+     */
+    getValidatedInputs() {
+        return [
+            this.tempInput,
+            this.boreTemperatureInput,
+            this.relativeHumidityInput,
+            this.co2PercentInput,
+            this.boreDiameterInput,
+            this.wallThicknessInput,
+            this.embouchureDiameterInput,
+            this.endFrequencyInput,
+            this.embouchurePositionInput,
+            this.registerBalanceInput,
+            this.embouchureMinorAxisInput,
+            this.embouchureRiserHeightInput,
+            this.embouchureUndercutAngleInput,
+            ...this.holeFrequencyInputs,
+            ...this.holeDiameterInputs,
+            ...this.holeAngleInputs,
+            ...this.holeUndercutInputs,
+            ...this.holeChamferInputs,
+            ...this.holePositionInputs,
+            ...this.borePointPositionInputs,
+            ...this.borePointDiameterInputs,
+            ...this.keyedHoleFrequencyInputs,
+            ...this.keyedHoleDiameterInputs,
+            ...this.keyedHolePositionInputs,
+        ];
+    }
+
+    /** Reads the selected unit system from the radio buttons. */
+    readUnitsInput() {
+        const selectedUnit = document.querySelector('input[name="units"]:checked');
+        this.units = selectedUnit ? selectedUnit.value : 'inches'; // Default to inches if none selected
+    }
+
+    /** Reads temperature value and unit, stores temperature in Celsius. */
+    readTemperatureInput() {
+        const tempValue = parseFloat(this.tempInput.value);
+        const tempUnit = this.tempUnitSelect.value;
+
+        if (isNaN(tempValue)) {
+            // Force invalid values to be reset
+            this.temperatureCelsius = tempUnit === 'F' ? 68 : 20; // Default on error
+            console.error(`Invalid temperature input "${tempValue}". Resetting to ${this.temperatureCelsius}`);
+        } else {
+            this.tempInput.style.borderColor = '';
+        }
+
+        if (tempUnit === 'F') {
+            this.temperatureCelsius = (tempValue - 32) * 5 / 9;
+        } else {
+            this.temperatureCelsius = tempValue;
+        }
+        this.airConditions = this.readAirInputs();
+        this.calculateSpeedOfSound(); // Update speed of sound whenever temp changes
+    }
+
+    /** Shows the in-bore temperature input for a custom temperature. */
+    updateBoreTemperatureEditorVisibility() {
+        this.boreTemperatureInput.hidden = this.boreTemperaturePreset.value !== 'custom';
+    }
+
+    /**
+     * Reads the conditions of the air in the bore: the in-bore temperature (a preset in Celsius, or a custom value
+     * in the temperature unit), relative humidity and carbon dioxide. Default values are left out.
+     * @returns {{boreTemperatureCelsius?: number, relativeHumidity?: number, co2Percent?: number}} The fields of the design.
+     */
+    readAirInputs() {
+        const air = {};
+        const preset = this.boreTemperaturePreset.value;
+        if (preset === 'custom') {
+            const temperature = parseFloat(this.boreTemperatureInput.value);
+            air.boreTemperatureCelsius = this.tempUnitSelect.value === 'F' ? (temperature - 32) * 5 / 9 : temperature;
+        } else if (preset !== 'ambient') {
+            air.boreTemperatureCelsius = parseFloat(preset);
+        }
+        [['relativeHumidity', this.relativeHumidityInput], ['co2Percent', this.co2PercentInput]].forEach(([field, input]) => {
+            const value = input.value === '' ? 0 : parseFloat(input.value);
+            if (value !== 0) {
+                air[field] = value;
             }
+        });
+        return air;
+    }
+
+    /**
+     * Calculates the speed of sound based on temperature and selected units.
+     * See `FluteEngine#calculateSpeedOfSound`.
+     */
+    calculateSpeedOfSound() {
+        const engine = new FluteEngine({ units: this.units, temperatureCelsius: this.temperatureCelsius, ...this.airConditions });
+        this.speedOfSound = engine.speedOfSound;
+        this.pitchShiftCents = engine.calculatePitchShiftCents();
+        // Check if speed is valid before updating display
+        if (isNaN(this.speedOfSound)) {
+            console.error("Could not calculate speed of sound.");
+            this.speedOfSoundDisplay.textContent = "Speed of Sound: Error";
+            this.speedOfSound = NaN; // Ensure invalid state propagates
+        } else {
+            this.updateSpeedOfSoundDisplay();
+        }
+
+    }
+
+    /** Updates the displayed speed of sound value. */
+    updateSpeedOfSoundDisplay() {
+        if (!isNaN(this.speedOfSound)) {
+            this.speedOfSoundDisplay.textContent = `Speed of Sound: ${this.speedOfSound.toFixed(1)} ${this.units}/s`;
+        } else {
+            this.speedOfSoundDisplay.textContent = "Speed of Sound: Calculation Error";
+        }
+        this.pitchShiftOutput.textContent = Object.keys(this.airConditions).length === 0 || isNaN(this.pitchShiftCents) ? ''
+            : `${this.pitchShiftCents >= 0 ? '+' : ''}${this.pitchShiftCents.toFixed(1)} cents compared with dry ambient air`;
+    }
+
+
+    /** Shows the custom intervals editor when the custom scale is selected. */
+    updateScaleEditorVisibility() {
+        this.customIntervalsEditor.hidden = this.scaleSelector.value !== 'custom';
+    }
+
+    /**
+     * Shows the embouchure geometry for the chimney model, and the minor axis for an oval or rectangular embouchure.
+     */
+    updateEmbouchureEditorVisibility() {
+        this.embouchureGeometryEditor.hidden = this.embouchureModelSelector.value !== 'chimney';
+        this.embouchureMinorAxisEditor.hidden = this.embouchureShapeSelector.value === 'round';
+    }
+
+    /**
+     * Reads the embouchure model and, for the chimney model, the embouchure geometry.
+     * Default values are left out, so that the design only lists what differs from a round hole in the wall.
+     * @returns {object} The embouchure fields of the design, empty for Kosel's fit.
+     */
+    readEmbouchureGeometryInputs() {
+        if (this.embouchureModelSelector.value !== 'chimney') {
+            return {};
+        }
+        const geometry = { embouchureModel: 'chimney' };
+        if (this.embouchureShapeSelector.value !== 'round') {
+            geometry.embouchureShape = this.embouchureShapeSelector.value;
+            geometry.embouchureMinorAxis = parseFloat(this.embouchureMinorAxisInput.value);
+        }
+        const riserHeight = this.embouchureRiserHeightInput.value === '' ? 0 : parseFloat(this.embouchureRiserHeightInput.value);
+        if (riserHeight !== 0) {
+            geometry.embouchureRiserHeight = riserHeight;
+        }
+        const undercutAngle = this.embouchureUndercutAngleInput.value === '' ? 0 : parseFloat(this.embouchureUndercutAngleInput.value);
+        if (undercutAngle !== 0) {
+            geometry.embouchureUndercutAngle = undercutAngle;
+        }
+        return geometry;
+    }
+
+    /**
+     * Reads the intervals of the selected scale.
+     * With a Scala tuning, custom intervals count its degrees and must stay below its note count.
+     * @returns {number[]} Scale intervals in semitones (or Scala degrees) relative to the root.
+     * @throws {Error} If the custom intervals are invalid.
+     */
+    readScaleIntervals() {
+        if (this.scaleSelector.value === 'custom') {
+            const stepsPerOctave = this.temperamentSelector.value === 'scala' && this.scalaTuning ? this.scalaTuning.cents.length : 12;
+            return FluteTuning.parseIntervals(this.customIntervalsInput.value, stepsPerOctave);
+        }
+        return (SCALES[this.scaleSelector.value] ?? SCALES.major).intervals;
+    }
+
+    /** Shows the Scala file picker when the Scala temperament is selected. */
+    updateTemperamentEditorVisibility() {
+        this.scalaEditor.hidden = this.temperamentSelector.value !== 'scala';
+    }
+
+    /**
+     * Reads the selected Scala file, then updates the frequencies with its tuning.
+     * @returns {Promise<void>}
+     */
+    async loadScalaFile() {
+        const file = this.scalaFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            this.scalaTuning = FluteTuning.parseScala(await file.text());
+            this.scalaFileInput.style.borderColor = '';
+            this.scalaMessage.textContent = '';
+            this.scalaDescription.textContent = `${this.scalaTuning.description} (${this.scalaTuning.cents.length} notes)`;
+        } catch (e) {
+            this.scalaTuning = undefined;
+            this.scalaFileInput.style.borderColor = 'red';
+            this.scalaMessage.textContent = e.message;
+            this.scalaDescription.textContent = '';
+            return;
+        }
+        this.updateFrequenciesFromKey();
+    }
+
+    /**
+     * Reads the tuning panel and the cent offset column.
+     * @returns {object} The options of `FluteTuning`, without the intervals.
+     * @throws {Error} If the reference pitch is invalid.
+     */
+    readTuningOptions() {
+        const referenceFrequency = parseFloat(this.referencePitchInput.value);
+        if (isNaN(referenceFrequency) || referenceFrequency <= 0) {
+            throw new Error(`Invalid reference pitch: ${this.referencePitchInput.value}`);
+        }
+        const readOffset = input => parseFloat(input.value) || 0; // Empty means no offset
+        return {
+            referenceFrequency,
+            temperament: this.temperamentSelector.value,
+            scalaTuning: this.scalaTuning,
+            endCentOffset: readOffset(this.endCentOffsetInput),
+            holeCentOffsets: this.holeCentOffsetInputs.map(readOffset),
+        };
+    }
+
+    /**
+     * Updates the frequency input fields based on the selected key (lowest note),
+     * the selected scale, the tuning panel and the cent offsets.
+     * @param {number} [firstHoleIndex=0] - The first hole to update; above 0, the end frequency and the
+     *     holes below are left alone (for rows just added).
+     */
+    updateFrequenciesFromKey(firstHoleIndex = 0) {
+        const baseMidiNote = parseInt(this.keySelector.value, 10);
+        if (isNaN(baseMidiNote)) {
+            console.error("Invalid key selected.");
+            return;
+        }
+
+        let intervals;
+        try {
+            intervals = this.readScaleIntervals();
+            this.customIntervalsInput.style.borderColor = '';
+            this.customIntervalsMessage.textContent = '';
+        } catch (e) {
+            this.customIntervalsInput.style.borderColor = 'red';
+            this.customIntervalsMessage.textContent = e.message;
+            return;
         }
 
-        // 4. Calculate embouchure effective acoustic location (Xemb)
-        this.embouchureAcousticX = this.calculateEmbouchureCorrection();
-        if (isNaN(this.embouchureAcousticX)) {
-            console.error("Calculation failed: Embouchure correction is NaN.");
-            return false;
+        let tuningOptions;
+        try {
+            tuningOptions = this.readTuningOptions();
+            this.referencePitchInput.style.borderColor = '';
+            this.referencePitchMessage.textContent = '';
+        } catch (e) {
+            this.referencePitchInput.style.borderColor = 'red';
+            this.referencePitchMessage.textContent = e.message;
+            return;
+        }
+        if (tuningOptions.temperament === 'scala' && !this.scalaTuning) {
+            this.scalaMessage.textContent = 'Load a Scala file to use this temperament';
+            return; // Keep the current frequencies until a file is loaded
         }
 
-        // 5. Calculate physical positions relative to the open end
-        // Physical Distance = Acoustic End Position - Acoustic Position of Hole/Embouchure
-        if (isNaN(this.acousticEndX)) {
-            console.error("Calculation failed: Cannot determine physical positions due to invalid Acoustic End Position.");
-            return false;
+        // Calculate frequencies based on the scale intervals relative to the base note
+        const tuning = new FluteTuning({ intervals, ...tuningOptions });
+        const { endFrequency, holeFrequencies } = tuning.getFrequencies(baseMidiNote, this.holeCount);
+        if (firstHoleIndex === 0) {
+            this.endFrequencyInput.value = endFrequency.toFixed(2);
         }
-        this.embouchurePhysicalPosition = this.acousticEndX - this.embouchureAcousticX;
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
-            this.holes[i].physicalPosition = this.acousticEndX - this.holes[i].acousticPosition;
-            if (isNaN(this.holes[i].physicalPosition)) {
-                console.error(`Calculation failed: Physical position for hole ${i + 1} is NaN.`);
-                return false; // Stop if any calculation fails
+
+        for (let i = firstHoleIndex; i < this.holeCount; i++) {
+            if (this.holeFrequencyInputs[i]) { // Check if element exists
+                this.holeFrequencyInputs[i].value = holeFrequencies[i].toFixed(2);
             }
         }
+        // After updating UI, re-read the values into internal state (optional, depends on flow)
+        // this.readInputsFromForm();
+    }
+
+    // --- Acoustic Calculation (see flutomat-engine.js and flutomat-impedance.js) ---
+
+    /**
+     * Calculates all hole positions with the selected solver and copies the results
+     * into `holes`, `keyedHoles`, `acousticEndX`, `embouchureAcousticX` and `embouchurePhysicalPosition`.
+     * The other solver runs later, in `updateAcousticDetails`.
+     * @returns {boolean} True if calculation was successful, false otherwise.
+     */
+    calculateHolePositions() {
+        const design = this.getDesign();
+        const result = this.SOLVERS[this.solver].model.calculate(design);
+        this.lastResult = result;
+        this.comparisonResult = null;
+
+        this.holes = result.holes;
+        this.keyedHoles = result.keys;
+        this.stopper = result.stopper;
+        this.acousticEndX = result.acousticEndX;
+        this.embouchureAcousticX = result.embouchureAcousticX;
+        this.embouchurePhysicalPosition = result.embouchurePhysicalPosition;
+
+        result.diagnostics.errors.forEach(error => {
+            console.error(error.message, ...(error.details ? [error.details] : []));
+            if (error.holeIndex !== undefined) {
+                // A hole that can't be solved is usually caused by the one below it being too large
+                this.holeDiameterInputs[Math.max(0, error.holeIndex - 1)].style.borderColor = 'red';
+            }
+            if (error.keyIndex !== undefined) {
+                this.keyedHoleDiameterInputs[error.keyIndex].style.borderColor = 'red';
+            }
+        });
+        return result.success;
+    }
 
-        return true; // Indicate success
+    /**
+     * Predicts the frequencies of the measured flute with the selected solver's model.
+     * The measured positions are copied into `holes[i].physicalPosition` and `embouchurePhysicalPosition`,
+     * so that the flute image shows the measured flute.
+     * @returns {boolean} True if every frequency could be predicted, false otherwise.
+     */
+    analyzeMeasuredPositions() {
+        const result = this.SOLVERS[this.solver].model.analyze(this.getDesign());
+        this.analysisResult = result;
+        this.lastResult = result;
+
+        this.holes = result.holes.map((hole, i) => ({ ...hole, frequency: this.holes[i].frequency, measuredPosition: this.holes[i].measuredPosition }));
+        this.keyedHoles = result.keys.map((key, j) => ({ ...key, frequency: this.keyedHoles[j].frequency, measuredPosition: this.keyedHoles[j].measuredPosition }));
+        this.stopper = result.stopper;
+        this.acousticEndX = result.acousticEndX;
+        this.embouchureAcousticX = result.embouchureAcousticX;
+        this.embouchurePhysicalPosition = result.embouchurePhysicalPosition;
+
+        result.diagnostics.errors.forEach(error => {
+            console.error(error.message, ...(error.details ? [error.details] : []));
+            if (error.holeIndex !== undefined) {
+                this.holePositionInputs[error.holeIndex].style.borderColor = 'red';
+            }
+            if (error.keyIndex !== undefined) {
+                this.keyedHolePositionInputs[error.keyIndex].style.borderColor = 'red';
+            }
+        });
+        return result.success;
     }
 
     /**
      * Performs the full calculation pipeline: read inputs, calculate, display results.
+     * In analysis mode the frequencies are predicted from the measured positions instead.
      */
     calculateAllPositions() {
+        this.clearToleranceReports();
         try {
             this.readInputsFromForm(); // Ensure inputs are valid first
-            this.calculateHolePositions_Quadratic();
-            this.displayResultsInForm();
+            if (this.mode === 'analysis') {
+                this.analyzeMeasuredPositions();
+                this.displayAnalysisInForm();
+            } else {
+                this.calculateHolePositions();
+                this.displayResultsInForm();
+            }
+            this.displayHoleRolls();
+            this.displayStopper();
+            this.displayHandFit(false);
             this.renderFluteImage();
+            this.updateTuningDeviations();
+            this.scheduleAcousticDetails();
+            this.scheduleStateSync();
         } catch (e) {
             alert("Calculation failed:\n"+e.message);
             this.clearResults();
             this.clearFluteImage();
+            this.clearImpedanceSpectrum();
         }
     }
 
@@ -686,11 +2607,169 @@ class FluteCalculator {
         this.resultEmbouchureOutput.value = format(this.embouchurePhysicalPosition);
         this.resultEndOutput.value = "0.000"; // By definition
 
-        for (let i = 0; i < this.HOLE_COUNT; i++) {
+        for (let i = 0; i < this.holeCount; i++) {
             if (this.holeResultOutputs[i]) {
                 this.holeResultOutputs[i].value = format(this.holes[i]?.physicalPosition);
             }
         }
+        this.keyedHoleResultOutputs.forEach((output, j) => output.value = format(this.keyedHoles[j]?.physicalPosition));
+        this.displayComparisonInForm();
+    }
+
+    /** Updates the acoustic details shortly after the last calculation. */
+    scheduleAcousticDetails() {
+        clearTimeout(this.acousticDetailsTimer);
+        this.acousticDetailsTimer = setTimeout(() => this.updateAcousticDetails(), this.ACOUSTIC_DETAILS_DELAY_MS);
+    }
+
+    /**
+     * Runs the slower parts of a calculation, left out of every change: the other solver and the diameters
+     * suggested by the hand fit (in design mode), the impedance spectrum and the register predictions of the
+     * fingering chart.
+     */
+    updateAcousticDetails() {
+        clearTimeout(this.acousticDetailsTimer);
+        if (!this.lastResult) {
+            return; // The calculation failed, and cleared them
+        }
+        if (this.mode === 'design') {
+            this.comparisonResult = this.SOLVERS[this.getComparisonSolver()].model.calculate(this.getDesign());
+            this.displayComparisonInForm();
+            if (this.ergonomicReport?.problems.length > 0) {
+                this.displayHandFit();
+            }
+        }
+        this.renderImpedanceSpectrum();
+        this.displayFingeringPredictions();
+    }
+
+    /**
+     * Displays the recommended cork distance with its tolerance, and where its face is from the open end.
+     * A register balance the head cannot reach is highlighted with the balance it gets instead.
+     */
+    displayStopper() {
+        const digits = this.units === 'cm' ? 2 : 3;
+        const { corkDistance, minCorkDistance, maxCorkDistance, registerBalanceCents } = this.stopper;
+        if (isNaN(corkDistance)) {
+            this.corkDistanceOutput.value = "Error";
+            return;
+        }
+        const unreachable = Math.abs(registerBalanceCents - this.registerBalanceCents) > 0.05;
+        const facePosition = this.embouchurePhysicalPosition + corkDistance;
+        this.corkDistanceOutput.value = `${corkDistance.toFixed(digits)} (${minCorkDistance.toFixed(digits)} to ${maxCorkDistance.toFixed(digits)}), `
+            + `face at ${isNaN(facePosition) ? "Error" : facePosition.toFixed(digits)} from the open end`
+            + (unreachable ? `; the head gives at most ${registerBalanceCents.toFixed(1)} cents` : '');
+        this.corkDistanceOutput.classList.toggle('out-of-tune', unreachable);
+    }
+
+    /**
+     * Displays the roll distance of each hole: how far around the outside of the tube it is from the main line.
+     */
+    displayHoleRolls() {
+        const format = (value) => isNaN(value) ? "Error" : value.toFixed(3);
+        this.holeRollOutputs.forEach((output, i) => output.value = format(this.getHoleRollDistance(i)));
+    }
+
+    /**
+     * Distance around the outside of the tube from the main line to a hole, at its calculated or measured position.
+     * @param {number} holeIndex - The 0-based index of the hole.
+     * @returns {number} The distance, positive towards the player; NaN without a position.
+     */
+    getHoleRollDistance(holeIndex) {
+        const outerDiameter = this.getBoreDiameterAt(this.holes[holeIndex].physicalPosition) + 2 * this.wallThickness;
+        return FluteEngine.calculateRollDistance(this.holeAngles[holeIndex], outerDiameter);
+    }
+
+    /**
+     * Displays the positions found by the other solver, with their difference from the displayed results;
+     * empty until it has run.
+     */
+    displayComparisonInForm() {
+        const format = (value, reference) => {
+            if (isNaN(value)) return "Error";
+            const difference = value - reference;
+            return isNaN(difference) ? value.toFixed(3) : `${value.toFixed(3)} (${difference >= 0 ? '+' : ''}${difference.toFixed(3)})`;
+        };
+        const result = this.comparisonResult;
+        if (!result) {
+            [this.comparisonEmbouchureOutput, ...this.holeComparisonOutputs].forEach(output => {
+                output.value = "";
+                output.title = "";
+            });
+            return; // Until `updateAcousticDetails`
+        }
+        const errorMessages = result.diagnostics.errors.map(error => error.message).join('\n');
+        this.comparisonEmbouchureOutput.value = format(result.embouchurePhysicalPosition, this.embouchurePhysicalPosition);
+        for (let i = 0; i < this.holeCount; i++) {
+            this.holeComparisonOutputs[i].value = format(result.holes[i]?.physicalPosition, this.holes[i]?.physicalPosition);
+        }
+        [this.comparisonEmbouchureOutput, ...this.holeComparisonOutputs].forEach(output => output.title = errorMessages);
+    }
+
+    /**
+     * Displays the predicted frequencies and their deviation from the targets.
+     * Deviations beyond `DEVIATION_WARNING_CENTS` are highlighted.
+     */
+    displayAnalysisInForm() {
+        const display = (prediction, frequencyOutput, deviationOutput) => {
+            const { predictedFrequency, deviationCents } = prediction;
+            frequencyOutput.value = isNaN(predictedFrequency) ? "Error" : predictedFrequency.toFixed(2);
+            const rounded = Math.round(deviationCents * 10) / 10; // Avoids "-0.0"
+            deviationOutput.value = isNaN(rounded) ? "" : `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+            deviationOutput.classList.toggle('out-of-tune', Math.abs(deviationCents) > this.DEVIATION_WARNING_CENTS);
+        };
+
+        display(this.analysisResult.end, this.predictedEndOutput, this.deviationEndOutput);
+        for (let i = 0; i < this.holeCount; i++) {
+            display(this.analysisResult.holes[i], this.holePredictedOutputs[i], this.holeDeviationOutputs[i]);
+        }
+        this.keyedHolePredictedOutputs.forEach((output, j) => display(this.analysisResult.keys[j], output, this.keyedHoleDeviationOutputs[j]));
+    }
+
+    /**
+     * Predicts the first and second register of every fingering of the chart, and flags the
+     * octaves that are further than the tolerance from the exact octave.
+     */
+    displayFingeringPredictions() {
+        const layout = this.getLayout();
+        const tolerance = parseFloat(this.octaveToleranceInput.value);
+        this.octaveToleranceInput.style.borderColor = tolerance >= 0 ? '' : 'red';
+        if (!layout) {
+            this.fingeringRows.forEach(row => row.querySelectorAll('output').forEach(output => output.value = ""));
+            return;
+        }
+        const model = new FluteImpedanceModel(this.getDesign());
+        const tuning = new FluteTuning({ referenceFrequency: parseFloat(this.referencePitchInput.value) });
+        const formatPitch = (frequency) => {
+            if (isNaN(frequency)) return "None";
+            const { name, cents } = tuning.describeFrequency(frequency);
+            const roundedCents = Math.round(cents);
+            return name === '' ? frequency.toFixed(2) : `${frequency.toFixed(2)} (${name} ${roundedCents >= 0 ? '+' : ''}${roundedCents})`;
+        };
+
+        this.fingeringRows.forEach(row => {
+            const { firstRegister, secondRegister, octaveDeviationCents } = model.predictFingering(layout, this.readFingeringHoles(row));
+            row.querySelector('output[name="firstRegister"]').value = formatPitch(firstRegister);
+            row.querySelector('output[name="secondRegister"]').value = formatPitch(secondRegister);
+            const deviationOutput = row.querySelector('output[name="octaveDeviation"]');
+            const rounded = Math.round(octaveDeviationCents * 10) / 10; // Avoids "-0.0"
+            deviationOutput.value = isNaN(rounded) ? "" : `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+            deviationOutput.classList.toggle('out-of-tune', isNaN(rounded) || Math.abs(octaveDeviationCents) > tolerance);
+        });
+    }
+
+    /**
+     * The positions currently displayed (calculated, or measured in analysis mode), for the impedance model.
+     * The keyed holes stay closed in every fingering of the chart.
+     * @returns {FluteLayout|null} The layout, or null when a position is missing.
+     */
+    getLayout() {
+        const layout = {
+            embouchurePosition: this.embouchurePhysicalPosition,
+            holePositions: this.holes.map(hole => hole.physicalPosition),
+            keyPositions: this.keyedHoles.map(key => key.physicalPosition),
+        };
+        return [layout.embouchurePosition, ...layout.holePositions, ...layout.keyPositions].some(isNaN) ? null : layout;
     }
 
     clearFluteImage() {
@@ -711,21 +2790,29 @@ class FluteCalculator {
         const digits = isCm ? 2 : 3;
         const xPadding = 0;
         const fluteEndX = canvas.width - xPadding;
-        const rawMaxCorkLength = this.embouchureDiameter * 1.5;
         const rawFluteLength = this.getRawFluteLength();
         const displayFluteLength = (canvas.width - xPadding * 2);
         const displayRatio = displayFluteLength / rawFluteLength;
         const displayWallThickness = Math.floor(this.wallThickness * displayRatio);
-        const displayBoreDiameter = Math.floor(this.boreDiameter * displayRatio);
+        const boreOutline = this.getBoreOutline(rawFluteLength);
+        // The widest bore sets the layout, narrower parts are drawn around the same center line
+        const displayBoreDiameter = Math.floor(Math.max(...boreOutline.map(point => point.diameter)) * displayRatio);
         const spaceBetweenMeasurementLines = 40;
         const fluteMarginY = spaceBetweenMeasurementLines * 2;
         const measurementLinesBaseY = fluteMarginY + displayWallThickness + displayBoreDiameter;
-        const rawMinCorkLength = this.embouchureDiameter;
-        const minCorkLength = rawMinCorkLength * displayRatio;
-        const maxCorkLength = rawMaxCorkLength * displayRatio;
+        // The cork fills the tube from the closed end to its face
+        const corkLengthAt = (corkDistance) => (rawFluteLength - this.embouchurePhysicalPosition - corkDistance) * displayRatio;
+        const minCorkLength = corkLengthAt(this.stopper.maxCorkDistance);
+        const maxCorkLength = corkLengthAt(this.stopper.minCorkDistance);
         const centerFluteY = fluteMarginY + displayWallThickness + displayBoreDiameter / 2;
+        // Staggered holes get a view from above, below the measurement lines
+        const hasRotatedHoles = this.holeAngles.some(angle => angle !== 0);
+        const displayOuterDiameter = displayBoreDiameter + 2 * displayWallThickness;
+        const topViewHeight = hasRotatedHoles ? spaceBetweenMeasurementLines * 2 + displayOuterDiameter : 0;
+        // Keyed holes get their measurement lines between the finger holes' and the embouchure's
+        const measuredHoleCount = this.holeCount + this.keyedHoles.length;
 
-        canvas.height = measurementLinesBaseY + (this.HOLE_COUNT + 2) * spaceBetweenMeasurementLines + xPadding;
+        canvas.height = measurementLinesBaseY + (measuredHoleCount + 2) * spaceBetweenMeasurementLines + topViewHeight + xPadding;
 
         context.fillStyle = 'white';
         context.fillRect(0, 0, canvas.width, canvas.height);
@@ -744,8 +2831,9 @@ class FluteCalculator {
 
             for (let i = 1; i <= numberOfArcs; i++) {
                 const arcX = maxCorkLength * 1.5 + Math.floor(i * (displayFluteLength) / numberOfArcs);
+                const arcRadius = this.getBoreDiameterAt((fluteEndX - arcX) / displayRatio) * displayRatio / 2;
                 context.beginPath();
-                context.arc(arcX, centerFluteY, displayBoreDiameter / 2, Math.PI * 0.5, Math.PI * 1.5);
+                context.arc(arcX, centerFluteY, arcRadius, Math.PI * 0.5, Math.PI * 1.5);
                 context.stroke();
             }
         }
@@ -753,26 +2841,37 @@ class FluteCalculator {
         // Draw flute's outer shape
         {
             context.strokeStyle = 'black';
+            context.fillStyle = 'black';
 
-            // Top flute line
-            context.fillRect(fluteEndX - displayFluteLength, fluteMarginY, displayFluteLength, displayWallThickness);
-            // Bottom flute line
-            const bottomY = fluteMarginY + displayWallThickness + displayBoreDiameter
-            context.fillRect(fluteEndX - displayFluteLength, bottomY, displayFluteLength, displayWallThickness);
+            // Top (side = -1) and bottom (side = 1) flute walls, following the bore profile
+            const toX = (rawDistanceFromEnd) => fluteEndX - rawDistanceFromEnd * displayRatio;
+            [-1, 1].forEach(side => {
+                const innerY = (point) => centerFluteY + side * point.diameter * displayRatio / 2;
+                context.beginPath();
+                boreOutline.forEach(point => context.lineTo(toX(point.position), innerY(point)));
+                [...boreOutline].reverse().forEach(point => context.lineTo(toX(point.position), innerY(point) + side * displayWallThickness));
+                context.closePath();
+                context.fill();
+            });
             // Closed end
             context.fillRect(xPadding, fluteMarginY, 1, displayWallThickness);
 
             // Closed end / cork
             // Reminder:
-            // Cork length is between 1 and 1.5 times the embouchure diameter.
+            // The cork face goes anywhere in the calculated tolerance, the line marks the recommended face.
             // There's a color for the minimum size, and another for the maximum size.
             context.lineWidth = 1;
-            const corkDiameter = displayBoreDiameter;
+            const corkDiameter = boreOutline[boreOutline.length - 1].diameter * displayRatio;
             const corkStartX = xPadding;
             context.fillStyle = '#dbc0b6';
-            context.fillRect(corkStartX, fluteMarginY + displayWallThickness, maxCorkLength, corkDiameter);
+            context.fillRect(corkStartX, centerFluteY - corkDiameter / 2, maxCorkLength, corkDiameter);
             context.fillStyle = '#ba8761';
-            context.fillRect(corkStartX, fluteMarginY + displayWallThickness, minCorkLength, corkDiameter);
+            context.fillRect(corkStartX, centerFluteY - corkDiameter / 2, minCorkLength, corkDiameter);
+            context.strokeStyle = '#6b4428';
+            context.beginPath();
+            context.moveTo(corkStartX + corkLengthAt(this.stopper.corkDistance), centerFluteY - corkDiameter / 2);
+            context.lineTo(corkStartX + corkLengthAt(this.stopper.corkDistance), centerFluteY + corkDiameter / 2);
+            context.stroke();
         }
 
         // Draw measurement indicators and lines
@@ -834,23 +2933,29 @@ class FluteCalculator {
             context.beginPath();
             context.setLineDash([2, 5]);
             context.moveTo(fluteEndX, xPadding);
-            context.lineTo(fluteEndX, measurementLinesBaseY + Math.floor(this.HOLE_COUNT * spaceBetweenMeasurementLines));
+            context.lineTo(fluteEndX, measurementLinesBaseY + Math.floor(measuredHoleCount * spaceBetweenMeasurementLines));
             context.stroke();
 
             // Flute length measurement
-            drawMeasurementLine(rawFluteLength, measurementLinesBaseY + spaceBetweenMeasurementLines * (this.HOLE_COUNT + 2), `Flute length: ${rawFluteLength.toFixed(digits)} ${this.units}`);
+            drawMeasurementLine(rawFluteLength, measurementLinesBaseY + spaceBetweenMeasurementLines * (measuredHoleCount + 2), `Flute length: ${rawFluteLength.toFixed(digits)} ${this.units}`);
 
             // Holes measurements
-            drawMeasurementLine(this.resultEmbouchureOutput.value, measurementLinesBaseY + spaceBetweenMeasurementLines * (this.HOLE_COUNT + 1), `Embouchure: ${Number(this.resultEmbouchureOutput.value).toFixed(digits)} ${this.units} ; Ø ${this.embouchureDiameter.toFixed(digits)} ${this.units}`);
-            for (let i = 0; i < this.HOLE_COUNT; i++) {
-                const length = Number(this.holeResultOutputs[i].value).toFixed(digits);
-                const diameter = Number(this.holeDiameterInputs[i].value).toFixed(digits);
-                drawMeasurementLine(length, measurementLinesBaseY + spaceBetweenMeasurementLines * (i + 1), `${length} ${this.units} ; Ø ${diameter} ${this.units}`);
+            drawMeasurementLine(this.embouchurePhysicalPosition, measurementLinesBaseY + spaceBetweenMeasurementLines * (measuredHoleCount + 1), `Embouchure: ${this.embouchurePhysicalPosition.toFixed(digits)} ${this.units} ; ${this.getEmbouchureSizeLabel(digits)}`);
+            for (let i = 0; i < this.holeCount; i++) {
+                const length = this.holes[i].physicalPosition.toFixed(digits);
+                const diameter = this.holes[i].diameter.toFixed(digits);
+                const rotation = this.holeAngles[i] !== 0 ? ` ; ${this.holeAngles[i]}° (roll ${this.getHoleRollDistance(i).toFixed(digits)} ${this.units})` : '';
+                drawMeasurementLine(length, measurementLinesBaseY + spaceBetweenMeasurementLines * (i + 1), `${length} ${this.units} ; Ø ${diameter} ${this.units}${rotation}`);
             }
+            this.keyedHoles.forEach((key, j) => {
+                const length = key.physicalPosition.toFixed(digits);
+                drawMeasurementLine(length, measurementLinesBaseY + spaceBetweenMeasurementLines * (this.holeCount + j + 1), `Key ${j + 1}: ${length} ${this.units} ; Ø ${key.diameter.toFixed(digits)} ${this.units}`);
+            });
 
             // Cork measurements
-            drawMeasurementLine(rawFluteLength - rawMinCorkLength / 2, measurementLinesBaseY - spaceBetweenMeasurementLines, `Min cork length: ${rawMinCorkLength.toFixed(digits)} ${this.units}`, true);
-            drawMeasurementLine(rawFluteLength - rawMinCorkLength * 1.25, measurementLinesBaseY - spaceBetweenMeasurementLines * 2, `Max cork length: ${rawMaxCorkLength.toFixed(digits)} ${this.units}`, true);
+            const { corkDistance, minCorkDistance, maxCorkDistance } = this.stopper;
+            drawMeasurementLine(this.embouchurePhysicalPosition + corkDistance, measurementLinesBaseY - spaceBetweenMeasurementLines, `Cork: ${corkDistance.toFixed(digits)} ${this.units} from the embouchure`, true);
+            drawMeasurementLine(this.embouchurePhysicalPosition + minCorkDistance, measurementLinesBaseY - spaceBetweenMeasurementLines * 2, `Cork range: ${minCorkDistance.toFixed(digits)} to ${maxCorkDistance.toFixed(digits)} ${this.units}`, true);
         }
 
         // Hole measurements
@@ -859,10 +2964,10 @@ class FluteCalculator {
             context.strokeStyle = 'black';
             context.lineWidth = 1;
 
-            for (let i = 0; i < this.HOLE_COUNT; i++) {
-                const distanceFromEnd = this.holeResultOutputs[i].value * displayRatio;
+            for (let i = 0; i < this.holeCount; i++) {
+                const distanceFromEnd = this.holes[i].physicalPosition * displayRatio;
                 const xPosition = fluteEndX - distanceFromEnd;
-                const holeRadius = this.holeDiameterInputs[i].value * displayRatio / 2;
+                const holeRadius = this.holes[i].diameter * displayRatio / 2;
 
                 context.beginPath();
                 context.arc(xPosition, centerFluteY, holeRadius, 0, Math.PI * 2);
@@ -872,16 +2977,21 @@ class FluteCalculator {
 
         // Draw holes
         {
-            function drawHole(rawDistanceFromEnd, diameter) {
+            function drawHole(rawDistanceFromEnd, diameter, length = diameter, shape = 'round') {
                 const distanceFromEnd = rawDistanceFromEnd * displayRatio;
                 const xPosition = fluteEndX - distanceFromEnd;
                 const holeRadius = diameter * displayRatio / 2;
+                const holeHalfLength = length * displayRatio / 2;
 
                 context.fillStyle = 'black';
                 context.strokeStyle = 'black';
 
                 context.beginPath();
-                context.arc(xPosition, centerFluteY, holeRadius, 0, Math.PI * 2);
+                if (shape === 'rectangular') {
+                    context.rect(xPosition - holeHalfLength, centerFluteY - holeRadius, 2 * holeHalfLength, 2 * holeRadius);
+                } else {
+                    context.ellipse(xPosition, centerFluteY, holeHalfLength, holeRadius, 0, 0, Math.PI * 2);
+                }
                 context.fill();
 
                 context.fillStyle = 'white';
@@ -899,24 +3009,237 @@ class FluteCalculator {
 
             context.lineWidth = 1;
 
-            for (let i = 0; i < this.HOLE_COUNT; i++) {
-                drawHole(this.holeResultOutputs[i].value, this.holeDiameterInputs[i].value);
+            for (let i = 0; i < this.holeCount; i++) {
+                drawHole(this.holes[i].physicalPosition, this.holes[i].diameter);
+            }
+            const { embouchureShape = 'round', embouchureMinorAxis = this.embouchureDiameter } = this.embouchureGeometry;
+            drawHole(this.embouchurePhysicalPosition, this.embouchureDiameter, embouchureMinorAxis, embouchureShape);
+
+            // Keyed holes are closed at rest: drawn covered by their pad
+            context.fillStyle = '#bbbbbb';
+            context.strokeStyle = 'black';
+            this.keyedHoles.forEach(key => {
+                context.beginPath();
+                context.arc(fluteEndX - key.physicalPosition * displayRatio, centerFluteY, key.diameter * displayRatio / 2, 0, Math.PI * 2);
+                context.fill();
+                context.stroke();
+            });
+        }
+
+        // Pairs of holes out of reach of the fingers: bracket above the flute, with the distance, and circled holes
+        {
+            context.strokeStyle = 'red';
+            context.fillStyle = 'red';
+            context.lineWidth = 2;
+            context.font = "12px Verdana";
+            context.textAlign = 'center';
+            const bracketY = fluteMarginY - 12;
+
+            (this.ergonomicReport?.problems ?? []).forEach(pair => {
+                const holeIndexes = [pair.lowerHoleIndex, pair.upperHoleIndex];
+                const [lowerX, upperX] = holeIndexes.map(i => fluteEndX - this.holes[i].physicalPosition * displayRatio);
+
+                context.beginPath();
+                context.moveTo(lowerX, bracketY + 6);
+                context.lineTo(lowerX, bracketY);
+                context.lineTo(upperX, bracketY);
+                context.lineTo(upperX, bracketY + 6);
+                context.stroke();
+                context.fillText(pair.distance.toFixed(digits), (lowerX + upperX) / 2, bracketY - 4);
+
+                holeIndexes.forEach((holeIndex, k) => {
+                    context.beginPath();
+                    context.arc([lowerX, upperX][k], centerFluteY, this.holes[holeIndex].diameter * displayRatio / 2 + 3, 0, Math.PI * 2);
+                    context.stroke();
+                });
+            });
+            context.lineWidth = 1;
+            context.textAlign = 'left';
+        }
+
+        // Top-down view of staggered holes: the tube seen from above, the player below it. A rotated hole moves
+        // off the main line and looks narrower; holes turned past the side of the tube are dashed.
+        if (hasRotatedHoles) {
+            const topViewCenterY = measurementLinesBaseY + spaceBetweenMeasurementLines * (measuredHoleCount + 3) + displayOuterDiameter / 2;
+            const toX = (rawDistanceFromEnd) => fluteEndX - rawDistanceFromEnd * displayRatio;
+            const outerRadiusAt = (rawDistanceFromEnd) => (this.getBoreDiameterAt(rawDistanceFromEnd) + 2 * this.wallThickness) * displayRatio / 2;
+
+            context.strokeStyle = 'black';
+            context.fillStyle = 'black';
+            context.lineWidth = 1;
+            context.setLineDash([]);
+            [-1, 1].forEach(side => {
+                context.beginPath();
+                boreOutline.forEach(point => context.lineTo(toX(point.position), topViewCenterY + side * outerRadiusAt(point.position)));
+                context.stroke();
+            });
+            context.beginPath();
+            context.setLineDash([6, 4]);
+            context.moveTo(xPadding, topViewCenterY);
+            context.lineTo(fluteEndX, topViewCenterY);
+            context.stroke();
+            context.setLineDash([]);
+            context.font = "12px Verdana";
+            context.textAlign = 'left';
+            context.fillText('Seen from above, player below', xPadding + 4, topViewCenterY - outerRadiusAt(rawFluteLength) - 6);
+
+            const drawTopViewHole = (rawDistanceFromEnd, diameter, angle) => {
+                const radians = angle * Math.PI / 180;
+                const xPosition = toX(rawDistanceFromEnd);
+                const yPosition = topViewCenterY + outerRadiusAt(rawDistanceFromEnd) * Math.sin(radians);
+                const holeRadius = diameter * displayRatio / 2;
+
+                context.beginPath();
+                context.ellipse(xPosition, yPosition, holeRadius, Math.max(holeRadius * Math.abs(Math.cos(radians)), 1), 0, 0, Math.PI * 2);
+                if (Math.abs(angle) <= 90) {
+                    context.fill();
+                } else {
+                    context.setLineDash([2, 2]);
+                    context.stroke();
+                    context.setLineDash([]);
+                }
+            };
+            drawTopViewHole(this.embouchurePhysicalPosition, this.embouchureDiameter, 0);
+            context.textAlign = 'center';
+            for (let i = 0; i < this.holeCount; i++) {
+                drawTopViewHole(this.holes[i].physicalPosition, this.holes[i].diameter, this.holeAngles[i]);
+                if (this.holeAngles[i] !== 0) {
+                    context.fillText(`${this.holeAngles[i]}°`, toX(this.holes[i].physicalPosition), topViewCenterY + outerRadiusAt(this.holes[i].physicalPosition) + 16);
+                }
+            }
+            context.textAlign = 'left';
+        }
+    }
+
+    clearImpedanceSpectrum() {
+        const canvas = this.impedanceSpectrumElement;
+        const context = canvas.getContext("2d");
+        context.clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Plots the input impedance of every fingering against frequency, from the transfer matrix model,
+     * one row per fingering on a shared frequency axis. The resonances (the impedance minima, where the
+     * flute sounds) are marked; the upper registers show their deviation in cents from the exact harmonics.
+     */
+    renderImpedanceSpectrum() {
+        const canvas = this.impedanceSpectrumElement;
+        const context = canvas.getContext("2d");
+        const layout = this.getLayout();
+        if (!layout) {
+            this.clearImpedanceSpectrum(); // Nothing to plot without positions
+            return;
+        }
+        const spectra = new FluteImpedanceModel(this.getDesign()).calculateSpectra(layout);
+
+        const rowHeight = this.SPECTRUM_ROW_HEIGHT;
+        const labelWidth = 110;
+        const axisHeight = 30;
+        const plotWidth = canvas.width - labelWidth - 10;
+        canvas.height = spectra.length * rowHeight + axisHeight;
+
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.setLineDash([]);
+        context.lineWidth = 1;
+        context.font = "12px Verdana";
+
+        // Shared scales: linear frequency, impedance magnitude in dB
+        const frequencies = spectra[0].frequencies;
+        const highestFrequency = frequencies[frequencies.length - 1];
+        const toDecibels = (magnitude) => 20 * Math.log10(magnitude);
+        const allDecibels = spectra.flatMap(spectrum => spectrum.magnitudes.map(toDecibels)).filter(isFinite);
+        const minDecibels = Math.min(...allDecibels);
+        const maxDecibels = Math.max(...allDecibels);
+        const toX = (frequency) => labelWidth + frequency / highestFrequency * plotWidth;
+        const toY = (rowIndex, magnitude) => {
+            const top = rowIndex * rowHeight + 5;
+            return top + (maxDecibels - toDecibels(magnitude)) / (maxDecibels - minDecibels) * (rowHeight - 10);
+        };
+
+        // Frequency grid and axis
+        {
+            const gridStep = highestFrequency > 2000 ? 500 : 250;
+            context.strokeStyle = '#dddddd';
+            context.fillStyle = 'black';
+            context.textAlign = 'center';
+            for (let frequency = gridStep; frequency < highestFrequency; frequency += gridStep) {
+                context.beginPath();
+                context.moveTo(toX(frequency), 0);
+                context.lineTo(toX(frequency), spectra.length * rowHeight);
+                context.stroke();
+                context.fillText(`${frequency} Hz`, toX(frequency), spectra.length * rowHeight + 20);
             }
-            drawHole(this.resultEmbouchureOutput.value, this.embouchureDiameter);
         }
+
+        spectra.forEach((spectrum, rowIndex) => {
+            // Fingering name and row separator
+            context.fillStyle = 'black';
+            context.textAlign = 'left';
+            context.fillText(this.describeOpenHoles(spectrum.openHoleCount), 5, rowIndex * rowHeight + rowHeight / 2);
+            context.strokeStyle = '#999999';
+            context.beginPath();
+            context.moveTo(0, (rowIndex + 1) * rowHeight);
+            context.lineTo(canvas.width, (rowIndex + 1) * rowHeight);
+            context.stroke();
+
+            // Impedance curve
+            context.strokeStyle = 'black';
+            context.beginPath();
+            spectrum.frequencies.forEach((frequency, i) => context.lineTo(toX(frequency), toY(rowIndex, spectrum.magnitudes[i])));
+            context.stroke();
+
+            // Resonances, compared with the harmonics of the first one
+            spectrum.resonances.forEach((resonance, register) => {
+                const x = toX(resonance);
+                const y = rowIndex * rowHeight + rowHeight - 15;
+                context.fillStyle = this.RESONANCE_COLORS[register];
+                context.beginPath();
+                context.arc(x, y, 3, 0, Math.PI * 2);
+                context.fill();
+                const deviation = Math.round(FluteEngine.centsBetween(resonance, spectrum.resonances[0] * (register + 1)));
+                const text = register === 0 ? `${resonance.toFixed(1)} Hz` : `${resonance.toFixed(1)} (${deviation >= 0 ? '+' : ''}${deviation}¢)`;
+                context.textAlign = 'center';
+                context.fillText(text, x, y - 6 - register * 13); // Staggered, as the upper resonances can be close
+            });
+        });
+    }
+
+    /**
+     * Lists the corners of the bore between the open end and the closed end, for drawing.
+     * @param {number} rawFluteLength - Length of the flute in current units.
+     * @returns {FluteBorePoint[]} The bore at both ends and at every profile point in between.
+     */
+    getBoreOutline(rawFluteLength) {
+        const innerPoints = this.boreProfile.filter(point => point.position > 0 && point.position < rawFluteLength);
+        return [
+            { position: 0, diameter: this.getBoreDiameterAt(0) },
+            ...innerPoints,
+            { position: rawFluteLength, diameter: this.getBoreDiameterAt(rawFluteLength) },
+        ];
     }
 
     /**
-     * Of course, it could be just "this.embouchureDiameter * 2.5",
-     * but at least there's an explanation on why we have these numbers.
-     * Clarity over efficiency is better here :)
+     * Size of the embouchure for the drawing: its diameter, or its axes when it is not round.
+     * @param {number} digits - Number of decimals.
+     * @returns {string} The label, with units.
+     */
+    getEmbouchureSizeLabel(digits) {
+        const { embouchureShape, embouchureMinorAxis } = this.embouchureGeometry;
+        return embouchureShape
+            ? `${embouchureShape} ${this.embouchureDiameter.toFixed(digits)} × ${embouchureMinorAxis.toFixed(digits)} ${this.units}`
+            : `Ø ${this.embouchureDiameter.toFixed(digits)} ${this.units}`;
+    }
+
+    /**
+     * Length of the tube: up to the cork face at its farthest calculated position,
+     * with room for the cork itself.
      *
      * @returns {number}
      */
     getRawFluteLength() {
-        return Number(this.resultEmbouchureOutput.value) // Raw embouchure distance
-            + Number(this.embouchureDiameter / 2) // Embouchure itself
-            + Number(this.embouchureDiameter * 1.5) // Raw max cork length
+        return Number(this.embouchurePhysicalPosition) // Raw embouchure distance
+            + Number(this.stopper?.maxCorkDistance) // Raw max cork distance from the embouchure
             + Number(this.embouchureDiameter / 2) // Raw gap between closed end and cork
         ;
     }
@@ -986,13 +3309,472 @@ class FluteCalculator {
         };
     }
 
+    /**
+     * Recalculates the form, then packs the design, its settings and the results into a document.
+     * @param {string} [name] - Name of the design.
+     * @returns {FluteDocumentData} The document.
+     * @throws {Error} If the form holds invalid values.
+     */
+    createDocument(name) {
+        this.calculateAllPositions(); // Reports invalid inputs, and makes the results match the form
+        if (!this.lastResult) {
+            throw new Error("Please correct the highlighted fields first.");
+        }
+        return this.getDocument(name);
+    }
+
+    /**
+     * Packs the form state and the last results into a document, without calculating.
+     * @param {string} [name] - Name of the design.
+     * @returns {FluteDocumentData} The document.
+     * @throws {Error} If the reference pitch is invalid.
+     */
+    getDocument(name) {
+        return FluteDocument.create({ ...this.readFormState(), results: this.lastResult, name });
+    }
+
+    /**
+     * Downloads the current design, its settings and the results as a JSON document.
+     * Nothing is exported while the form holds invalid values.
+     */
+    exportDesign() {
+        let fluteDocument;
+        try {
+            fluteDocument = this.createDocument();
+        } catch (e) {
+            alert("Export failed:\n" + e.message);
+            return;
+        }
+
+        this.downloadFile(FluteDocument.stringify(fluteDocument), 'application/json', `${this.getDownloadName()}.json`);
+    }
+
+    /**
+     * Recalculates, then downloads the drilling template at 1:1 scale, drawn from the displayed positions
+     * (calculated, or measured in analysis mode) rather than from the canvas.
+     * Nothing is exported while the form holds invalid values.
+     * @param {'svg' | 'dxf'} format - SVG for printing, DXF for CNC machines and laser cutters.
+     */
+    exportTemplate(format) {
+        this.calculateAllPositions();
+        let contents;
+        try {
+            if (!this.lastResult || !this.getLayout()) {
+                throw new Error("Please correct the highlighted fields first.");
+            }
+            const title = this.getDownloadName().replace(/^flute-/, '');
+            const drawing = new FluteDrawing(this.getDesign(), this.lastResult, { title });
+            contents = format === 'svg' ? drawing.toSvg() : drawing.toDxf();
+        } catch (e) {
+            alert("Export failed:\n" + e.message);
+            return;
+        }
+        this.downloadFile(contents, format === 'svg' ? 'image/svg+xml' : 'application/dxf', `${this.getDownloadName()}-template.${format}`);
+    }
+
+    /**
+     * Saves contents as a file, through a temporary link.
+     * @param {string|ArrayBuffer} contents - The file contents.
+     * @param {string} type - The MIME type.
+     * @param {string} fileName - The name of the file.
+     */
+    downloadFile(contents, type, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([contents], { type }));
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Name of the downloaded files, from the key and the scale.
+     * @returns {string} The name, without extension.
+     */
+    getDownloadName() {
+        const keyName = this.keySelector.selectedOptions[0]?.textContent.split(/[\s/]/)[0] ?? 'custom';
+        return `flute-${keyName}-${this.scaleSelector.value}`;
+    }
+
+    /**
+     * Reads the JSON document chosen in the import file input and loads it into the form.
+     * @returns {Promise<void>}
+     */
+    async importDesign() {
+        const file = this.importFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            this.applyDocument(FluteDocument.parse(await file.text()));
+        } catch (e) {
+            alert("Import failed:\n" + e.message);
+        } finally {
+            this.importFileInput.value = ''; // Allow importing the same file again
+        }
+    }
+
+    /**
+     * Fills the form from a validated design document, then recalculates.
+     * @param {FluteDocumentData} fluteDocument - The document, as returned by `FluteDocument.parse`.
+     */
+    applyDocument(fluteDocument) {
+        this.fillFormFromDocument(fluteDocument);
+        this.calculateAllPositions();
+    }
+
+    /**
+     * Fills the form from a validated design document, without calculating.
+     * The frequencies come from the document, not from the key and scale, so manual edits are kept.
+     * @param {FluteDocumentData} fluteDocument - The document, as returned by `FluteDocument.parse`.
+     */
+    fillFormFromDocument(fluteDocument) {
+        const { design, settings } = fluteDocument;
+        const toInput = (value) => (value === undefined || value === null || value === '') ? '' : String(value);
+
+        this.unitInputs.forEach(input => input.checked = input.value === design.units);
+        this.readUnitsInput();
+        const fahrenheit = settings.temperatureUnit === 'F';
+        const temperatureCelsius = Number(design.temperatureCelsius);
+        this.tempUnitSelect.value = fahrenheit ? 'F' : 'C';
+        this.tempInput.value = fahrenheit ? parseFloat((temperatureCelsius * 9 / 5 + 32).toFixed(2)) : temperatureCelsius;
+        const boreTemperatureCelsius = design.boreTemperatureCelsius === undefined ? undefined : Number(design.boreTemperatureCelsius);
+        const preset = [...this.boreTemperaturePreset.options].find(option => Number(option.value) === boreTemperatureCelsius);
+        this.boreTemperaturePreset.value = boreTemperatureCelsius === undefined ? 'ambient' : (preset?.value ?? 'custom');
+        if (this.boreTemperaturePreset.value === 'custom') {
+            this.boreTemperatureInput.value = fahrenheit ? parseFloat((boreTemperatureCelsius * 9 / 5 + 32).toFixed(2)) : boreTemperatureCelsius;
+        }
+        this.updateBoreTemperatureEditorVisibility();
+        this.relativeHumidityInput.value = toInput(design.relativeHumidity ?? 0);
+        this.co2PercentInput.value = toInput(design.co2Percent ?? 0);
+        this.modeInputs.forEach(input => input.checked = input.value === (settings.mode ?? 'design'));
+        this.readModeInput();
+        this.solverSelector.value = settings.solver ?? 'quadratic';
+        this.readSolverInput();
+
+        this.boreDiameterInput.value = toInput(design.boreDiameter);
+        this.setBoreProfileRows((design.boreProfile ?? []).map(point => ({ position: toInput(point.position), diameter: toInput(point.diameter) })));
+        this.setKeyedHoleRows((design.keys ?? []).map(key => ({ frequency: toInput(key.frequency), diameter: toInput(key.diameter), position: toInput(key.position) })));
+        this.wallThicknessInput.value = toInput(design.wallThickness);
+        this.embouchureDiameterInput.value = toInput(design.embouchureDiameter);
+        this.embouchureModelSelector.value = design.embouchureModel ?? 'kosel';
+        this.embouchureShapeSelector.value = design.embouchureShape ?? 'round';
+        this.embouchureMinorAxisInput.value = toInput(design.embouchureMinorAxis ?? this.embouchureMinorAxisInput.defaultValue);
+        this.embouchureRiserHeightInput.value = toInput(design.embouchureRiserHeight ?? 0);
+        this.embouchureUndercutAngleInput.value = toInput(design.embouchureUndercutAngle ?? 0);
+        this.updateEmbouchureEditorVisibility();
+        this.registerBalanceInput.value = toInput(design.registerBalanceCents ?? 0);
+        this.embouchurePositionInput.value = toInput(design.embouchurePosition);
+        this.endFrequencyInput.value = toInput(design.endFrequency);
+        this.endCentOffsetInput.value = toInput(settings.endCentOffset ?? 0);
+
+        this.holeCountInput.value = design.holes.length;
+        this.buildHoleRows(this.readHoleCountInput(), true);
+        design.holes.slice(0, this.holeCount).forEach((hole, i) => {
+            this.holeFrequencyInputs[i].value = toInput(hole.frequency);
+            this.holeDiameterInputs[i].value = toInput(hole.diameter);
+            this.holeAngleInputs[i].value = toInput(hole.angle ?? 0);
+            this.holeUndercutInputs[i].value = toInput(hole.undercutDiameter);
+            this.holeChamferInputs[i].value = toInput(hole.chamferDepth ?? 0);
+            this.holePositionInputs[i].value = toInput(hole.position);
+            this.holeCentOffsetInputs[i].value = toInput(settings.holeCentOffsets?.[i] ?? 0);
+        });
+        this.setFingeringRows(settings.fingeringChart ?? this.getDefaultFingeringChart());
+        this.octaveToleranceInput.value = toInput(settings.octaveToleranceCents ?? this.octaveToleranceInput.defaultValue);
+        this.setDiameterConstraints(settings.diameterConstraints ?? {});
+        this.handSizeSelector.value = settings.handSize ?? 'medium';
+        if (settings.hand) {
+            this.setHand(settings.hand);
+        } else {
+            this.applyHandPreset();
+        }
+        this.setFingers(settings.fingers ?? FluteErgonomics.getDefaultFingers(this.holeCount));
+        this.setTolerances(settings.tolerances ?? {});
+        this.setTuningSession(settings.tuningSession ?? {});
+
+        if (settings.key !== undefined) {
+            this.keySelector.value = String(settings.key);
+        }
+        if (settings.scale !== undefined) {
+            this.scaleSelector.value = settings.scale;
+        }
+        if (settings.customIntervals !== undefined) {
+            this.customIntervalsInput.value = settings.customIntervals;
+        }
+        if (settings.referenceFrequency !== undefined) {
+            this.referencePitchInput.value = settings.referenceFrequency;
+            const preset = REFERENCE_PITCHES[String(settings.referenceFrequency)];
+            this.referencePitchPreset.value = preset ? String(preset.frequency) : 'custom';
+        }
+        this.scalaTuning = settings.scalaTuning;
+        this.scalaDescription.textContent = this.scalaTuning ? `${this.scalaTuning.description} (${this.scalaTuning.cents.length} notes)` : '';
+        this.scalaMessage.textContent = '';
+        if (settings.temperament !== undefined) {
+            this.temperamentSelector.value = settings.temperament;
+        }
+        this.updateScaleEditorVisibility();
+        this.updateTemperamentEditorVisibility();
+
+        this.readTemperatureInput();
+        this.updateSpeedOfSoundDisplay();
+        this.clearResults();
+    }
+
+    // --- Design Library (see flutomat-library.js) ---
+
+    /** Sets up the library panel, or disables it when the browser has no local storage. */
+    initLibraryPanel() {
+        if (!this.library) {
+            this.libraryPanel.disabled = true;
+            this.libraryMessage.textContent = "The design library needs the browser's local storage, which is not available.";
+            return;
+        }
+        this.autosaveInput.checked = this.library.isAutosaveEnabled();
+        this.restoreBeforeResetButton.disabled = !this.library.hasAutosave('beforeReset');
+        this.refreshLibraryList();
+    }
+
+    /**
+     * Fills the list of saved designs.
+     * @param {string} [selectedId] - Id of the design to select, defaults to the current selection.
+     */
+    refreshLibraryList(selectedId = this.librarySelector.value) {
+        this.librarySelector.replaceChildren(...this.library.list().map(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = `${entry.name} (${new Date(entry.savedAt).toLocaleString()})`;
+            return option;
+        }));
+        this.librarySelector.value = selectedId;
+        this.updateLibraryButtons();
+    }
+
+    /** Enables the buttons that act on a saved design when one is selected. */
+    updateLibraryButtons() {
+        const hasSelection = this.librarySelector.value !== '';
+        [this.libraryLoadButton, this.libraryRenameButton, this.libraryDuplicateButton, this.libraryDeleteButton]
+            .forEach(button => button.disabled = !hasSelection);
+        const selected = this.library?.list().find(entry => entry.id === this.librarySelector.value);
+        if (selected) {
+            this.designNameInput.value = selected.name; // Saving again updates the selected design
+        }
+    }
+
+    /**
+     * Runs a library action, reporting its errors in the library panel.
+     * @param {function(): void} action - The action.
+     */
+    _runLibraryAction(action) {
+        try {
+            action();
+            this.libraryMessage.textContent = '';
+            this.designNameInput.style.borderColor = '';
+        } catch (e) {
+            this.libraryMessage.textContent = e.message;
+        }
+    }
+
+    /** Saves the current design under the name typed in the panel, after confirming any overwrite. */
+    saveToLibrary() {
+        this._runLibraryAction(() => {
+            const name = this.designNameInput.value.trim();
+            if (name === '') {
+                this.designNameInput.style.borderColor = 'red';
+                throw new Error('Enter a name for the design');
+            }
+            if (this.library.findByName(name) && !confirm(`Replace the saved design "${name}"?`)) {
+                return;
+            }
+            const id = this.library.save(name, this.createDocument(name));
+            this.refreshLibraryList(id);
+        });
+    }
+
+    /** Restores the selected design into the form and recalculates it. */
+    loadFromLibrary() {
+        this._runLibraryAction(() => {
+            if (this.librarySelector.value !== '') {
+                this.applyDocument(this.library.load(this.librarySelector.value));
+            }
+        });
+    }
+
+    /** Asks for a new name for the selected design. */
+    renameInLibrary() {
+        this._runLibraryAction(() => {
+            const id = this.librarySelector.value;
+            const entry = this.library.list().find(candidate => candidate.id === id);
+            const name = entry && prompt('New name for the design:', entry.name);
+            if (name) {
+                this.library.rename(id, name);
+                this.refreshLibraryList(id);
+            }
+        });
+    }
+
+    /** Copies the selected design. */
+    duplicateInLibrary() {
+        this._runLibraryAction(() => {
+            if (this.librarySelector.value !== '') {
+                this.refreshLibraryList(this.library.duplicate(this.librarySelector.value));
+            }
+        });
+    }
+
+    /** Deletes the selected design after confirmation. */
+    deleteFromLibrary() {
+        this._runLibraryAction(() => {
+            const id = this.librarySelector.value;
+            const entry = this.library.list().find(candidate => candidate.id === id);
+            if (entry && confirm(`Delete the saved design "${entry.name}"?`)) {
+                this.library.remove(id);
+                this.refreshLibraryList('');
+            }
+        });
+    }
+
+    /**
+     * Saves a design in the working autosave slot, when autosave is enabled.
+     * @param {FluteDocumentData} fluteDocument - The working design.
+     */
+    autosaveDesign(fluteDocument) {
+        if (!this.library || !this.autosaveInput.checked) {
+            return;
+        }
+        try {
+            this.library.saveAutosave(fluteDocument);
+        } catch (e) {
+            console.error('Autosave failed:', e.message);
+        }
+    }
+
+    /**
+     * Reads an autosaved design.
+     * @param {'working' | 'beforeReset'} slot - The autosave slot. The working slot is ignored when autosave is off.
+     * @returns {FluteDocumentData|null} The design, or null if there is none or it can't be read.
+     */
+    readAutosaveDocument(slot) {
+        if (!this.library || (slot === 'working' && !this.autosaveInput.checked)) {
+            return null;
+        }
+        try {
+            return this.library.loadAutosave(slot);
+        } catch (e) {
+            console.error(`Could not restore the autosaved design: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Restores an autosaved design into the form and recalculates it.
+     * @param {'working' | 'beforeReset'} slot - The autosave slot.
+     */
+    restoreAutosave(slot) {
+        const fluteDocument = this.readAutosaveDocument(slot);
+        if (fluteDocument) {
+            this.applyDocument(fluteDocument);
+        }
+    }
+
+    // --- Shareable URL and working state ---
+
+    /**
+     * Reads the design encoded in the page URL (`#design=...`).
+     * @returns {FluteDocumentData|null} The design, or null if the URL has none or it is invalid (reported with an alert).
+     */
+    readUrlDocument() {
+        const encoded = new URLSearchParams(location.hash.slice(1)).get(this.URL_DESIGN_PARAMETER);
+        if (!encoded) {
+            return null;
+        }
+        try {
+            return FluteDocument.parseUrlParameter(encoded);
+        } catch (e) {
+            alert("The design in the link could not be loaded:\n" + e.message);
+            return null;
+        }
+    }
+
+    /** Restores the design of the URL after the hash was changed by hand or by a pasted link. */
+    _handleHashChange() {
+        if (location.hash === this.lastSyncedHash) {
+            return;
+        }
+        const fluteDocument = this.readUrlDocument();
+        if (fluteDocument) {
+            this.applyDocument(fluteDocument);
+        }
+    }
+
+    /** Syncs the URL and the autosave with the form shortly after the last change. */
+    scheduleStateSync() {
+        clearTimeout(this.stateSyncTimer);
+        this.stateSyncTimer = setTimeout(() => this.syncState(), this.STATE_SYNC_DELAY_MS);
+    }
+
+    /**
+     * Writes the form state into the URL hash (without adding a history entry) and the autosave.
+     * Invalid form states are skipped, so the URL always holds a design that can be opened.
+     */
+    syncState() {
+        let fluteDocument;
+        try {
+            fluteDocument = this.getDocument();
+        } catch {
+            return; // Invalid reference pitch, already highlighted
+        }
+        if (FluteDocument.validate(fluteDocument).length > 0) {
+            return;
+        }
+
+        this.lastSyncedHash = `#${this.URL_DESIGN_PARAMETER}=${FluteDocument.toUrlParameter(fluteDocument)}`;
+        try {
+            history.replaceState(null, '', this.lastSyncedHash);
+        } catch (e) {
+            console.error('Could not update the URL:', e.message);
+        }
+        this.autosaveDesign(fluteDocument);
+    }
+
+    /** Copies a link to the current design to the clipboard, or shows it when the clipboard is not available. */
+    async copyShareLink() {
+        clearTimeout(this.stateSyncTimer);
+        this.syncState();
+        const link = location.href;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.shareLinkMessage.textContent = 'Link copied';
+            setTimeout(() => this.shareLinkMessage.textContent = '', 3000);
+        } catch {
+            prompt('Copy this link to share the design:', link);
+        }
+    }
+
     /** Clears all result output fields. */
     clearResults() {
+        clearTimeout(this.acousticDetailsTimer);
+        this.lastResult = null;
+        this.comparisonResult = null;
         this.resultEmbouchureOutput.value = "";
         this.resultEndOutput.value = "0.000";
         this.holeResultOutputs.forEach(output => {
             if (output) output.value = "";
         });
+        this.keyedHoleResultOutputs.forEach(output => output.value = "");
+        this.corkDistanceOutput.value = "";
+        this.corkDistanceOutput.classList.remove('out-of-tune');
+        this.holeRollOutputs.forEach(output => output.value = "");
+        this.displayComparisonInForm(); // Empty
+        [this.predictedEndOutput, this.deviationEndOutput, ...this.holePredictedOutputs, ...this.holeDeviationOutputs,
+            ...this.keyedHolePredictedOutputs, ...this.keyedHoleDeviationOutputs].forEach(output => {
+            output.value = "";
+            output.classList.remove('out-of-tune');
+        });
+        this.fingeringRows.forEach(row => row.querySelectorAll('output').forEach(output => {
+            output.value = "";
+            output.classList.remove('out-of-tune');
+        }));
+        this.clearHandFit();
+        this.clearToleranceReports();
     }
 }
 
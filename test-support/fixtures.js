@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Designs shared by the unit tests.
+ * Kept out of test/, where `node --test test/` would run it as a test file.
+ */
+const { FluteEngine } = require('../flutomat-engine.js');
+
+/**
+ * The default design of index.html: D4 major scale, inches, 20 °C.
+ * @returns {FluteDesign}
+ */
+function defaultD4Design() {
+    return {
+        units: 'inches',
+        temperatureCelsius: 20,
+        boreDiameter: 0.824,
+        wallThickness: 0.113,
+        embouchureDiameter: 0.5,
+        endFrequency: 293.66,
+        holes: [
+            { frequency: 329.63, diameter: 0.25 },
+            { frequency: 369.99, diameter: 0.4375 },
+            { frequency: 392.00, diameter: 0.3125 },
+            { frequency: 440.00, diameter: 0.3125 },
+            { frequency: 493.88, diameter: 0.375 },
+            { frequency: 554.37, diameter: 0.375 },
+        ],
+    };
+}
+
+/**
+ * A design with the positions of a result entered as measurements, for the analysis.
+ * @param {FluteDesign} design
+ * @param {FluteEngineResult} result
+ * @returns {FluteDesign}
+ */
+function withMeasuredPositions(design, result) {
+    return {
+        ...design,
+        embouchurePosition: result.embouchurePhysicalPosition,
+        holes: design.holes.map((hole, i) => ({ ...hole, position: result.holes[i].physicalPosition })),
+        ...(design.keys && { keys: design.keys.map((key, j) => ({ ...key, position: result.keys[j].physicalPosition })) }),
+    };
+}
+
+/**
+ * The default design, drilled at the positions calculated by the quadratic solver.
+ * @returns {FluteDesign}
+ */
+function positionedD4Design() {
+    const design = defaultD4Design();
+    return withMeasuredPositions(design, FluteEngine.calculate(design));
+}
+
+module.exports = { defaultD4Design, withMeasuredPositions, positionedD4Design };
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Unit tests for the design documents.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteDocument, DOCUMENT_FORMAT, DOCUMENT_VERSION } = require('../flutomat-document.js');
+const { defaultD4Design } = require('../test-support/fixtures.js');
+
+/**
+ * A document of the default D4 design, as exported by the form.
+ * @returns {FluteDocumentData}
+ */
+function defaultD4Document() {
+    const design = defaultD4Design();
+    return FluteDocument.create({
+        design,
+        settings: { mode: 'design', temperatureUnit: 'C', key: 62, scale: 'major', customIntervals: '0 2 4 5 7 9 11', referenceFrequency: 440, temperament: 'equal' },
+        results: FluteEngine.calculate(design),
+    });
+}
+
+test('round-trips a design through JSON', () => {
+    const document = defaultD4Document();
+    const parsed = FluteDocument.parse(FluteDocument.stringify(document));
+
+    assert.equal(parsed.format, DOCUMENT_FORMAT);
+    assert.equal(parsed.version, DOCUMENT_VERSION);
+    assert.deepEqual(parsed.design, document.design);
+    assert.deepEqual(parsed.settings, document.settings);
+    assert.equal(parsed.results.holes[0].physicalPosition, document.results.holes[0].physicalPosition);
+    assert.equal(FluteEngine.calculate(parsed.design).embouchurePhysicalPosition, document.results.embouchurePhysicalPosition);
+});
+
+test('does not share state with the design it was created from', () => {
+    const design = defaultD4Document().design;
+    const document = FluteDocument.create({ design });
+    design.holes[0].diameter = 1;
+
+    assert.equal(document.design.holes[0].diameter, 0.25);
+    assert.deepEqual(document.settings, {});
+    assert.equal(document.results, null);
+});
+
+test('rejects files that are not current Flutomat designs', () => {
+    assert.throws(() => FluteDocument.parse('{'), /Not a valid JSON file/);
+    assert.throws(() => FluteDocument.parse('[]'), /JSON object/);
+    assert.throws(() => FluteDocument.parse(JSON.stringify({ ...defaultD4Document(), format: 'other' })), /Not a Flutomat design/);
+    assert.throws(() => FluteDocument.parse(JSON.stringify({ ...defaultD4Document(), version: DOCUMENT_VERSION + 1 })), /newer/);
+});
+
+test('validates the design with the form rules', () => {
+    const document = defaultD4Document();
+    document.design.wallThickness = 0;
+    document.design.holes[1].frequency = 'abc';
+    const errors = FluteDocument.validate(document);
+
+    assert.deepEqual(errors.map(error => [error.field, error.holeIndex]), [['wallThickness', undefined], ['frequency', 1]]);
+    assert.throws(() => FluteDocument.parse(JSON.stringify(document)), /Invalid value for wallThickness: 0\n- Invalid frequency for hole 2/);
+});
+
+test('validates analysis designs in analysis mode', () => {
+    const document = defaultD4Document();
+    document.settings.mode = 'analysis';
+
+    assert.equal(FluteDocument.validate(document)[0].field, 'embouchurePosition');
+
+    document.design.embouchurePosition = document.results.embouchurePhysicalPosition;
+    document.design.holes.forEach((hole, i) => hole.position = document.results.holes[i].physicalPosition);
+    assert.deepEqual(FluteDocument.validate(document), []);
+});
+
+test('validates the settings', () => {
+    const document = defaultD4Document();
+    Object.assign(document.settings, {
+        solver: 'exact',
+        key: 62.5,
+        scale: 'custom',
+        customIntervals: '0 13',
+        temperament: 'scala',
+        holeCentOffsets: [0, 'x'],
+    });
+    const errors = FluteDocument.validate(document);
+
+    assert.deepEqual(errors.map(error => error.field), ['settings.solver', 'settings.key', 'settings.holeCentOffsets', 'settings.scalaTuning', 'settings.customIntervals']);
+
+    // Settings are optional
+    assert.deepEqual(FluteDocument.validate({ ...document, settings: undefined }), []);
+});
+
+test('validates the fingering chart', () => {
+    const document = defaultD4Document();
+    const closed = ['closed', 'closed', 'closed', 'closed', 'closed', 'closed'];
+    document.settings.fingeringChart = [
+        { name: 'D4', holes: closed },
+        { name: 'C natural (forked)', holes: ['open', 'open', 'open', 'closed', 'closed', 'open'] },
+    ];
+    document.settings.octaveToleranceCents = 10;
+    assert.deepEqual(FluteDocument.validate(document), []);
+
+    document.settings.fingeringChart.push({ name: 'Too short', holes: closed.slice(1) });
+    document.settings.octaveToleranceCents = -1;
+    assert.deepEqual(FluteDocument.validate(document).map(error => error.field), ['settings.fingeringChart', 'settings.octaveToleranceCents']);
+
+    document.settings.fingeringChart = [{ name: 'Typo', holes: [...closed.slice(1), 'shut'] }];
+    assert.equal(FluteDocument.validate(document)[0].field, 'settings.fingeringChart');
+});
+
+test('validates the diameter constraints', () => {
+    const document = defaultD4Document();
+    document.settings.diameterConstraints = { maxSpacing: 1.2, holes: [{ minDiameter: 0.2 }, {}, { position: 7 }] };
+    assert.deepEqual(FluteDocument.validate(document), []);
+
+    document.settings.diameterConstraints.holes[2].position = -1;
+    assert.deepEqual(FluteDocument.validate(document).map(error => error.field), ['settings.diameterConstraints']);
+});
+
+test('validates the hand fit settings', () => {
+    const document = defaultD4Document();
+    Object.assign(document.settings, { handSize: 'medium', hand: { spans: [1.575, 1.417, 1.22], fingerWidth: 0.63 }, fingers: ['R3', 'R2', 'R1', 'L3', 'L2', 'L1'] });
+    assert.deepEqual(FluteDocument.validate(document), []);
+
+    Object.assign(document.settings, { handSize: 'huge', hand: { spans: [1, -1, 1], fingerWidth: 0 }, fingers: ['R3', 'thumb'] });
+    assert.deepEqual(FluteDocument.validate(document).map(error => error.field), ['settings.handSize', 'settings.hand', 'settings.fingers']);
+});
+
+test('validates the drilling tolerances', () => {
+    const document = defaultD4Document();
+    document.settings.tolerances = { boreDiameter: 0, holeDiameter: 0.01, holePosition: 0.02, temperature: 1 };
+    assert.deepEqual(FluteDocument.validate(document), []);
+
+    document.settings.tolerances.holePosition = -0.02;
+    assert.deepEqual(FluteDocument.validate(document).map(error => error.field), ['settings.tolerances']);
+});
+
+test('validates the tuning session', () => {
+    const document = defaultD4Document();
+    const iteration = {
+        date: '2026-10-18T10:00:00.000Z',
+        units: 'inches',
+        diameters: [0.25, 0.4375, 0.25, 0.3125, 0.375, 0.375],
+        undercutDiameters: [null, null, null, null, null, null],
+        keyDiameters: [],
+        notes: [{ kind: 'end', targetFrequency: 293.66, measuredFrequency: 292.1 }, { kind: 'hole', index: 2, targetFrequency: 392, measuredFrequency: null }],
+    };
+    document.settings.tuningSession = { measured: { end: 292.1, holes: [null, 370] }, toleranceCents: 3, iterations: [iteration] };
+    assert.deepEqual(FluteDocument.validate(document), []);
+
+    document.settings.tuningSession.iterations.push({ ...iteration, date: 'yesterday' });
+    assert.deepEqual(FluteDocument.validate(document).map(error => error.field), ['settings.tuningSession']);
+    document.settings.tuningSession = { measured: { holes: [-370] } };
+    assert.deepEqual(FluteDocument.validate(document).map(error => error.field), ['settings.tuningSession']);
+});
+
+test('encodes designs for links', () => {
+    const document = defaultD4Document();
+    document.settings.scalaTuning = { description: 'Pélog ✓', cents: [120, 270, 540, 670, 1200] };
+    const encoded = FluteDocument.toUrlParameter(document);
+
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    const decoded = FluteDocument.parseUrlParameter(encoded);
+    assert.deepEqual(decoded.design, document.design);
+    assert.deepEqual(decoded.settings, document.settings);
+    assert.equal(decoded.results, null); // Recomputed when the link is opened
+
+    assert.throws(() => FluteDocument.parseUrlParameter(encoded.slice(0, 40)), /damaged/);
+    assert.throws(() => FluteDocument.parseUrlParameter(FluteDocument.toUrlParameter({ ...document, design: { ...document.design, holes: [] } })), /At least one finger hole/);
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Unit tests for the drilling template.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteDrawing } = require('../flutomat-drawing.js');
+const { defaultD4Design } = require('../test-support/fixtures.js');
+
+/**
+ * Reads the entities of a DXF file.
+ * @param {string} dxf - The file contents.
+ * @returns {Object<string, string>[]} The entities, each a map of its group codes to their last value.
+ */
+function readDxfEntities(dxf) {
+    const lines = dxf.trim().split('\n');
+    const pairs = [];
+    for (let i = 0; i < lines.length; i += 2) {
+        pairs.push([lines[i].trim(), lines[i + 1]]);
+    }
+    const start = pairs.findIndex(([code, value], i) => code === '2' && value === 'ENTITIES' && pairs[i - 1][1] === 'SECTION');
+    const entities = [];
+    pairs.slice(start + 1).forEach(([code, value]) => {
+        if (code === '0') {
+            entities.push({ type: value });
+        } else {
+            entities[entities.length - 1][code] = value;
+        }
+    });
+    return entities.filter(entity => entity.type !== 'ENDSEC' && entity.type !== 'EOF');
+}
+
+test('draws every hole at its calculated position and diameter, with a center mark', () => {
+    const design = defaultD4Design();
+    const result = FluteEngine.calculate(design);
+    const shapes = new FluteDrawing(design, result).getShapes();
+    const circles = shapes.filter(shape => shape.type === 'circle');
+
+    assert.deepEqual(circles.map(circle => [circle.x, circle.radius]), [
+        [-result.embouchurePhysicalPosition, 0.25],
+        ...result.holes.map(hole => [-hole.physicalPosition, hole.diameter / 2]),
+    ]);
+    circles.forEach(circle => {
+        const marks = shapes.filter(shape => shape.type === 'line' && shape.layer === 'holes' && (shape.x1 + shape.x2) / 2 === circle.x);
+        assert.equal(marks.length, 2);
+    });
+});
+
+test('draws the tube to the cork and marks the cork face and its range', () => {
+    const design = { ...defaultD4Design(), boreProfile: [{ position: 0, diameter: 0.7 }, { position: 10, diameter: 0.824 }] };
+    const result = FluteEngine.calculate(design);
+    const drawing = new FluteDrawing(design, result);
+    const shapes = drawing.getShapes();
+    const length = result.embouchurePhysicalPosition + result.stopper.maxCorkDistance + 0.25;
+    assert.equal(drawing.getLength(), length);
+
+    const outline = shapes.find(shape => shape.layer === 'outline');
+    assert.equal(outline.closed, true);
+    assert.deepEqual(outline.points.slice(0, 3), [{ x: 0, y: 0.35 + 0.113 }, { x: -10, y: 0.412 + 0.113 }, { x: -length, y: 0.412 + 0.113 }]);
+
+    const corkLines = shapes.filter(shape => shape.layer === 'cork');
+    const { corkDistance, minCorkDistance, maxCorkDistance } = result.stopper;
+    assert.deepEqual(corkLines.map(line => [line.x1, line.lineType]), [
+        [-(result.embouchurePhysicalPosition + corkDistance), undefined],
+        [-(result.embouchurePhysicalPosition + minCorkDistance), 'DASHED'],
+        [-(result.embouchurePhysicalPosition + maxCorkDistance), 'DASHED'],
+    ]);
+});
+
+test('labels the dimensions from the open end, in design units', () => {
+    const design = defaultD4Design();
+    design.holes[1].angle = 30;
+    const result = FluteEngine.calculate(design);
+    const texts = new FluteDrawing(design, result, { title: 'D4 major' }).getShapes()
+        .filter(shape => shape.type === 'text').map(shape => shape.text);
+
+    assert.equal(texts[0], `Hole 1: ${result.holes[0].physicalPosition.toFixed(3)} inches ; Ø 0.250 inches`);
+    assert.match(texts[1], /^Hole 2: .* ; 30° \(roll 0\.275 inches\)$/);
+    assert.ok(texts.includes(`Embouchure: ${result.embouchurePhysicalPosition.toFixed(3)} inches ; Ø 0.500 inches`));
+    assert.ok(texts.some(text => text.startsWith('Cork: 0.')));
+    assert.ok(texts.includes('Scale 1:1 - this bar is 4 in - D4 major'));
+});
+
+test('draws oval and rectangular embouchures with their minor axis along the tube', () => {
+    const design = { ...defaultD4Design(), embouchureModel: 'chimney', embouchureShape: 'rectangular', embouchureMinorAxis: 0.4 };
+    const result = FluteEngine.calculate(design);
+    const x = -result.embouchurePhysicalPosition;
+    const rectangle = new FluteDrawing(design, result).getShapes().find(shape => shape.layer === 'holes' && shape.type === 'polyline');
+    assert.deepEqual(rectangle.points, [{ x: x - 0.2, y: -0.25 }, { x: x + 0.2, y: -0.25 }, { x: x + 0.2, y: 0.25 }, { x: x - 0.2, y: 0.25 }]);
+
+    design.embouchureShape = 'oval';
+    const oval = new FluteDrawing(design, result).getShapes().find(shape => shape.layer === 'holes' && shape.type === 'polyline');
+    assert.equal(oval.points.length, 72);
+    oval.points.forEach(point => assert.ok(Math.abs(((point.x - x) / 0.2) ** 2 + (point.y / 0.25) ** 2 - 1) < 1e-9));
+});
+
+test('writes an SVG sized for 1:1 printing', () => {
+    const design = { ...defaultD4Design(), units: 'cm', boreDiameter: 2.093, wallThickness: 0.287, embouchureDiameter: 1.27,
+        holes: defaultD4Design().holes.map(hole => ({ ...hole, diameter: hole.diameter * 2.54 })) };
+    const result = FluteEngine.calculate(design);
+    const svg = FluteDrawing.toSvg(design, result, { title: 'A <test> & more' });
+
+    const [, width, , viewBoxWidth] = svg.match(/width="([\d.]+)cm" height="[\d.]+cm" viewBox="([-\d.]+) [-\d.]+ ([\d.]+)/);
+    assert.equal(width, viewBoxWidth);
+    assert.ok(Number(width) > new FluteDrawing(design, result).getLength());
+    assert.match(svg, /this bar is 10 cm - A &lt;test&gt; &amp; more/);
+    result.holes.forEach(hole => assert.ok(svg.includes(`r="${Number((hole.diameter / 2).toFixed(6))}"`)));
+});
+
+test('writes a DXF with the holes as circles, in layers, with the origin at the open end', () => {
+    const design = { ...defaultD4Design(), keys: [{ frequency: 311.13, diameter: 0.3 }] };
+    const result = FluteEngine.calculate(design);
+    const dxf = FluteDrawing.toDxf(design, result);
+
+    assert.match(dxf, /\$ACADVER\n1\nAC1009\n/);
+    assert.doesNotMatch(dxf, /\$INSUNITS|\$MEASUREMENT/); // Later than R12
+    assert.ok(dxf.endsWith('0\nEOF\n'));
+    assert.ok(/^[\x00-\x7f]*$/.test(dxf), 'ASCII only');
+
+    const entities = readDxfEntities(dxf);
+    const circles = entities.filter(entity => entity.type === 'CIRCLE');
+    const holeCircles = circles.filter(circle => circle['8'] === 'HOLES');
+    assert.equal(holeCircles.length, 7);
+    result.holes.forEach((hole, i) => {
+        assert.ok(Math.abs(Number(holeCircles[i + 1]['10']) + hole.physicalPosition) < 1e-6);
+        assert.ok(Math.abs(Number(holeCircles[i + 1]['40']) - hole.diameter / 2) < 1e-6);
+    });
+    const keyCircle = circles.find(circle => circle['8'] === 'KEYS');
+    assert.ok(Math.abs(Number(keyCircle['10']) + result.keys[0].physicalPosition) < 1e-6);
+    assert.ok(entities.some(entity => entity.type === 'TEXT' && entity['1'].startsWith('Hole 1: ') && entity['1'].includes('%%c 0.250')));
+    assert.equal(entities.filter(entity => entity.type === 'POLYLINE').length, entities.filter(entity => entity.type === 'SEQEND').length);
+});
+
+test('refuses to draw a design without positions', () => {
+    const design = defaultD4Design();
+    const result = FluteEngine.calculate(design);
+    result.holes[2].physicalPosition = NaN;
+    assert.throws(() => FluteDrawing.toSvg(design, result), /Hole 3 has no position/);
+});
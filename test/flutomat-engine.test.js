@@ -0,0 +1,390 @@
+/**
+ * @fileoverview Unit tests for the headless calculation engine.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { defaultD4Design, positionedD4Design } = require('../test-support/fixtures.js');
+
+/**
+ * Asserts that two numbers are equal within a tolerance.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} [tolerance=1e-9]
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('pins the results of the default D4 design', () => {
+    const result = FluteEngine.calculate(defaultD4Design());
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.diagnostics.errors, []);
+    assertClose(result.speedOfSound, 13512.39401647497);
+    assertClose(result.acousticEndX, 22.723796468280128);
+    assertClose(result.embouchurePhysicalPosition, 21.13962259795632);
+
+    const expectedPositions = [
+        4.06600634588904,
+        5.409343746832985,
+        6.7561232174306,
+        8.805165192261502,
+        10.100811791487661,
+        11.644809644426102,
+    ];
+    assert.equal(result.holes.length, expectedPositions.length);
+    result.holes.forEach((hole, i) => assertClose(hole.physicalPosition, expectedPositions[i]));
+});
+
+test('reports the corrections used by the solver', () => {
+    const { diagnostics } = FluteEngine.calculate(defaultD4Design());
+
+    assertClose(diagnostics.endCorrection, 0.6133 * 0.824 / 2);
+    assertClose(diagnostics.effectiveHoleHeights[0], 0.113 + 0.75 * 0.25);
+    assertClose(diagnostics.closedHoleCorrections[1], 0.25 * 0.113 * (0.4375 / 0.824) ** 2);
+    assertClose(diagnostics.embouchureCorrection, (0.824 / 0.5) ** 2 * 10.84 * 0.113 * 0.5 / (0.824 + 2 * 0.113));
+});
+
+test('gives the same flute in cm', () => {
+    const inches = defaultD4Design();
+    const cm = {
+        ...inches,
+        units: 'cm',
+        boreDiameter: inches.boreDiameter * 2.54,
+        wallThickness: inches.wallThickness * 2.54,
+        embouchureDiameter: inches.embouchureDiameter * 2.54,
+        holes: inches.holes.map(hole => ({ ...hole, diameter: hole.diameter * 2.54 })),
+    };
+    const inchesResult = FluteEngine.calculate(inches);
+    const cmResult = FluteEngine.calculate(cm);
+
+    assert.equal(cmResult.success, true);
+    cmResult.holes.forEach((hole, i) => assertClose(hole.physicalPosition / 2.54, inchesResult.holes[i].physicalPosition, 1e-3));
+});
+
+test('does not modify the design it is given', () => {
+    const design = defaultD4Design();
+    const copy = JSON.parse(JSON.stringify(design));
+    FluteEngine.calculate(design);
+    assert.deepEqual(design, copy);
+});
+
+test('calculates any number of holes', () => {
+    const design = defaultD4Design();
+    design.holes = design.holes.slice(0, 1);
+    const single = FluteEngine.calculate(design);
+    assert.equal(single.success, true);
+    assertClose(single.holes[0].physicalPosition, 4.066, 1e-3);
+});
+
+test('reports the hole that cannot be solved', () => {
+    const design = defaultD4Design();
+    design.holes.push({ frequency: 587.33, diameter: 0.375 }, { frequency: 659.26, diameter: 0.375 });
+    const result = FluteEngine.calculate(design);
+
+    assert.equal(result.success, false);
+    assert.equal(result.diagnostics.errors.length, 1);
+    assert.equal(result.diagnostics.errors[0].holeIndex, 6);
+    assert.ok(Number.isNaN(result.holes[0].physicalPosition));
+});
+
+test('validates designs with the form rules', () => {
+    assert.deepEqual(FluteEngine.validateDesign(defaultD4Design()), []);
+
+    const design = defaultD4Design();
+    design.boreDiameter = 0;
+    design.holes[2].diameter = 'abc';
+    const errors = FluteEngine.validateDesign(design);
+    assert.deepEqual(errors.map(error => [error.field, error.holeIndex]), [['boreDiameter', undefined], ['diameter', 2]]);
+
+    assert.equal(FluteEngine.validateDesign({ ...defaultD4Design(), holes: [] })[0].field, 'holes');
+    assert.equal(FluteEngine.validateDesign(null)[0].field, 'design');
+});
+
+test('fails instead of throwing on invalid designs', () => {
+    const result = FluteEngine.calculate({ units: 'inches', temperatureCelsius: 20, holes: [] });
+    assert.equal(result.success, false);
+    assert.ok(result.diagnostics.errors.length > 0);
+});
+
+test('analysis of the calculated positions gives back the targets', () => {
+    const result = FluteEngine.analyze(positionedD4Design());
+
+    assert.equal(result.success, true);
+    assertClose(result.end.predictedFrequency, 293.66, 1e-6);
+    result.holes.forEach((hole, i) => {
+        assertClose(hole.predictedFrequency, defaultD4Design().holes[i].frequency, 1e-6);
+        assertClose(hole.deviationCents, 0, 1e-6);
+    });
+});
+
+test('analysis predicts a flat note for a hole drilled too far from the embouchure', () => {
+    const design = positionedD4Design();
+    design.holes[2].position -= 0.1;
+    const result = FluteEngine.analyze(design);
+
+    assert.ok(result.holes[2].deviationCents < -1);
+    assertClose(result.holes[1].deviationCents, 0, 1e-6); // Holes below are not affected
+    assert.ok(Math.abs(result.holes[3].deviationCents) > 0.5); // The next hole's lattice correction is
+});
+
+test('analysis works without target frequencies', () => {
+    const design = positionedD4Design();
+    delete design.endFrequency;
+    design.holes.forEach(hole => delete hole.frequency);
+    assert.deepEqual(FluteEngine.validateDesign(design, 'analysis'), []);
+
+    const result = FluteEngine.analyze(design);
+    assert.equal(result.success, true);
+    assertClose(result.holes[0].predictedFrequency, 329.63, 1e-6);
+    assert.ok(Number.isNaN(result.holes[0].deviationCents));
+});
+
+test('validates measured positions', () => {
+    const design = positionedD4Design();
+    design.holes[3].position = design.holes[1].position;
+    design.embouchurePosition = undefined;
+    const errors = FluteEngine.validateDesign(design, 'analysis');
+
+    assert.deepEqual(errors.map(error => [error.field, error.holeIndex]), [['embouchurePosition', undefined], ['position', 3]]);
+});
+
+test('interpolates the bore profile', () => {
+    const profile = [{ position: 2, diameter: 0.7 }, { position: 6, diameter: 0.8 }, { position: 6, diameter: 0.75 }];
+
+    assert.equal(FluteEngine.getBoreDiameterAt([], 3, 0.824), 0.824);
+    assert.equal(FluteEngine.getBoreDiameterAt(profile, 0, 0.824), 0.7);
+    assertClose(FluteEngine.getBoreDiameterAt(profile, 3, 0.824), 0.725);
+    assert.equal(FluteEngine.getBoreDiameterAt(profile, 6, 0.824), 0.75); // A step takes the upper diameter
+    assert.equal(FluteEngine.getBoreDiameterAt(profile, 20, 0.824), 0.75);
+});
+
+test('a constant bore profile gives the cylindrical results', () => {
+    const cylindrical = FluteEngine.calculate(defaultD4Design());
+    const profiled = FluteEngine.calculate({ ...defaultD4Design(), boreProfile: [{ position: 0, diameter: 0.824 }, { position: 25, diameter: 0.824 }] });
+
+    assert.equal(profiled.success, true);
+    assertClose(profiled.embouchurePhysicalPosition, cylindrical.embouchurePhysicalPosition, 1e-9);
+    profiled.holes.forEach((hole, i) => assertClose(hole.physicalPosition, cylindrical.holes[i].physicalPosition, 1e-9));
+    assertClose(profiled.diagnostics.endTaperCorrection, 0, 1e-12);
+});
+
+test('uses the local bore and the taper of a conical bore', () => {
+    const design = { ...defaultD4Design(), boreProfile: [{ position: 0, diameter: 0.7 }, { position: 12, diameter: 0.824 }] };
+    const result = FluteEngine.calculate(design);
+    const cylindrical = FluteEngine.calculate(defaultD4Design());
+
+    assert.equal(result.success, true);
+    const { holeBoreDiameters, endBoreDiameter, embouchureBoreDiameter, endTaperCorrection } = result.diagnostics;
+    assert.equal(endBoreDiameter, 0.7);
+    assert.equal(embouchureBoreDiameter, 0.824);
+    result.holes.forEach((hole, i) => assertClose(holeBoreDiameters[i], 0.7 + 0.124 * hole.physicalPosition / 12));
+    assert.ok(endTaperCorrection < 0); // A narrow foot lowers the notes: the flute gets shorter
+    assert.ok(result.embouchurePhysicalPosition < cylindrical.embouchurePhysicalPosition);
+
+    // The analysis of the calculated flute, with the same profile, gives back the targets
+    const analysis = FluteEngine.analyze({
+        ...design,
+        embouchurePosition: result.embouchurePhysicalPosition,
+        holes: design.holes.map((hole, i) => ({ ...hole, position: result.holes[i].physicalPosition })),
+    });
+    assert.equal(analysis.success, true);
+    assertClose(analysis.end.deviationCents, 0, 1e-6);
+    analysis.holes.forEach(hole => assertClose(hole.deviationCents, 0, 1e-6));
+});
+
+test('rotated holes keep their positions and get a roll distance', () => {
+    const design = defaultD4Design();
+    design.holes[2].angle = 30;
+    design.holes[3].angle = -30;
+
+    assert.deepEqual(FluteEngine.validateDesign(design), []);
+    assert.deepEqual(FluteEngine.calculate(design), FluteEngine.calculate(defaultD4Design()));
+    assertClose(FluteEngine.calculateRollDistance(30, 1.05), Math.PI / 6 * 0.525);
+    assertClose(FluteEngine.calculateRollDistance(-90, 1), -Math.PI / 4);
+
+    design.holes[2].angle = 190;
+    design.holes[3].angle = 'left';
+    const errors = FluteEngine.validateDesign(design);
+    assert.deepEqual(errors.map(error => [error.field, error.holeIndex]), [['angle', 2], ['angle', 3]]);
+});
+
+test('validates the bore profile', () => {
+    const design = defaultD4Design();
+    design.boreProfile = [{ position: 0, diameter: 0.7 }, { position: 5, diameter: 0 }, { position: 4, diameter: 0.8 }];
+    const errors = FluteEngine.validateDesign(design);
+
+    assert.deepEqual(errors.map(error => [error.field, error.pointIndex]), [['boreProfileDiameter', 1], ['boreProfilePosition', 2]]);
+    assert.equal(FluteEngine.validateDesign({ ...defaultD4Design(), boreProfile: 'conical' })[0].field, 'boreProfile');
+});
+
+test('places keyed holes for their own note and counts them closed in the others', () => {
+    const plain = FluteEngine.calculate(defaultD4Design());
+    const design = { ...defaultD4Design(), keys: [{ frequency: 311.13, diameter: 0.3 }, { frequency: 415.30, diameter: 0.25 }] };
+    const result = FluteEngine.calculate(design);
+
+    assert.equal(result.success, true);
+    assert.equal(result.keys.length, 2);
+    // Each key opens with the holes of the lower notes: the D♯ key below hole 1, the G♯ key between holes 3 and 4
+    assert.ok(result.keys[0].physicalPosition > 0 && result.keys[0].physicalPosition < result.holes[0].physicalPosition);
+    assert.ok(result.keys[1].physicalPosition > result.holes[2].physicalPosition && result.keys[1].physicalPosition < result.holes[3].physicalPosition);
+    // The closed keys lengthen the notes below them: the embouchure and the holes above a key move towards the end
+    assert.ok(result.embouchurePhysicalPosition < plain.embouchurePhysicalPosition);
+    assert.ok(result.holes[5].physicalPosition < plain.holes[5].physicalPosition);
+
+    const analysis = FluteEngine.analyze({
+        ...design,
+        embouchurePosition: result.embouchurePhysicalPosition,
+        holes: design.holes.map((hole, i) => ({ ...hole, position: result.holes[i].physicalPosition })),
+        keys: design.keys.map((key, j) => ({ ...key, position: result.keys[j].physicalPosition })),
+    });
+    assertClose(analysis.end.deviationCents, 0, 1e-6);
+    analysis.holes.forEach(hole => assertClose(hole.deviationCents, 0, 1e-6));
+    analysis.keys.forEach(key => assertClose(key.deviationCents, 0, 1e-6));
+});
+
+test('validates keyed holes', () => {
+    const design = { ...defaultD4Design(), keys: [{ frequency: 200, diameter: 0.25 }, { frequency: 400, diameter: 0 }] };
+    const errors = FluteEngine.validateDesign(design);
+
+    assert.deepEqual(errors.map(error => [error.field, error.keyIndex]), [['keyFrequency', 0], ['keyDiameter', 1]]);
+    assert.equal(FluteEngine.validateDesign({ ...defaultD4Design(), keys: 'none' })[0].field, 'keys');
+    assert.equal(FluteEngine.calculate(design).success, false);
+});
+
+test('places the cork for the register balance', () => {
+    const design = defaultD4Design();
+    const engine = new FluteEngine(design);
+    const result = engine.calculate();
+    const { stopper } = result;
+
+    // Pure octaves put the cork about one embouchure diameter from the embouchure center, the traditional rule
+    assert.ok(stopper.corkDistance > design.embouchureDiameter && stopper.corkDistance < 1.5 * design.embouchureDiameter);
+    assertClose(stopper.registerBalanceCents, 0, 1e-6);
+    assertClose(engine.calculateRegisterBalance(stopper.minCorkDistance), stopper.toleranceCents, 1e-6);
+    assertClose(engine.calculateRegisterBalance(stopper.maxCorkDistance), -stopper.toleranceCents, 1e-6);
+
+    // Wider octaves need a smaller cavity; beyond what the embouchure gives, the cork goes against it
+    const wide = FluteEngine.calculate({ ...design, registerBalanceCents: 5 });
+    assert.ok(wide.stopper.corkDistance < stopper.corkDistance);
+    assert.deepEqual(wide.holes, result.holes);
+    const tooWide = FluteEngine.calculate({ ...design, registerBalanceCents: 30 }).stopper;
+    assert.equal(tooWide.corkDistance, 0);
+    assert.ok(tooWide.registerBalanceCents < 30);
+
+    assert.equal(FluteEngine.validateDesign({ ...design, registerBalanceCents: 60 })[0].field, 'registerBalanceCents');
+});
+
+test('gives no cork position when the calculation fails', () => {
+    const design = { ...defaultD4Design(), embouchureDiameter: 0 };
+    const result = FluteEngine.calculate(design);
+    assert.equal(result.success, false);
+    assert.ok(isNaN(result.stopper.corkDistance) && isNaN(result.stopper.minCorkDistance) && isNaN(result.stopper.maxCorkDistance));
+    assert.ok(isNaN(result.stopper.registerBalanceCents));
+
+    // Without an embouchure correction there is no balance to search, even asked directly
+    const engine = new FluteEngine(design);
+    engine.calculate();
+    assert.ok(isNaN(engine.calculateStopper().corkDistance));
+});
+
+test('the chimney embouchure model follows the embouchure geometry', () => {
+    const design = defaultD4Design();
+    const correctionOf = (geometry) => FluteEngine.calculate({ ...design, embouchureModel: 'chimney', ...geometry }).diagnostics.embouchureCorrection;
+    const round = correctionOf({});
+
+    // Kosel's fit stays the default and ignores the geometry
+    assert.equal(FluteEngine.calculate(design).diagnostics.embouchureCorrection, new FluteEngine(design).calculateEmbouchureCorrection_Kosel());
+    assert.equal(FluteEngine.calculate({ ...design, embouchureRiserHeight: 0.2 }).diagnostics.embouchureCorrection, FluteEngine.calculate(design).diagnostics.embouchureCorrection);
+    assert.ok(round > 1 && round < FluteEngine.calculate(design).diagnostics.embouchureCorrection);
+
+    // A lip plate lengthens the chimney, an undercut widens it
+    assert.ok(correctionOf({ embouchureRiserHeight: 0.15 }) > round);
+    assert.ok(correctionOf({ embouchureUndercutAngle: 10 }) < round);
+    // A rectangle has more area than the oval with the same axes, and a narrower hole a longer correction
+    const oval = correctionOf({ embouchureShape: 'oval', embouchureMinorAxis: 0.4 });
+    assert.ok(correctionOf({ embouchureShape: 'rectangular', embouchureMinorAxis: 0.4 }) < oval);
+    assert.ok(oval > round);
+    assertClose(correctionOf({ embouchureShape: 'oval', embouchureMinorAxis: 0.5 }), round);
+
+    // The embouchure moves with its correction
+    const chimney = FluteEngine.calculate({ ...design, embouchureModel: 'chimney', embouchureRiserHeight: 0.15 });
+    const kosel = FluteEngine.calculate(design);
+    assertClose(chimney.embouchurePhysicalPosition - kosel.embouchurePhysicalPosition,
+        kosel.diagnostics.embouchureCorrection - chimney.diagnostics.embouchureCorrection, 1e-9);
+});
+
+test('validates the embouchure geometry', () => {
+    const design = defaultD4Design();
+    const fieldsOf = (geometry) => FluteEngine.validateDesign({ ...design, ...geometry }).map(error => error.field);
+
+    assert.deepEqual(fieldsOf({ embouchureModel: 'chimney', embouchureShape: 'oval', embouchureMinorAxis: 0.4, embouchureRiserHeight: 0.1, embouchureUndercutAngle: 10 }), []);
+    assert.deepEqual(fieldsOf({ embouchureModel: 'benade', embouchureShape: 'square' }), ['embouchureModel', 'embouchureShape']);
+    assert.deepEqual(fieldsOf({ embouchureShape: 'oval' }), ['embouchureMinorAxis']);
+    assert.deepEqual(fieldsOf({ embouchureShape: 'rectangular', embouchureMinorAxis: 0.6 }), ['embouchureMinorAxis']);
+    assert.deepEqual(fieldsOf({ embouchureRiserHeight: -0.1, embouchureUndercutAngle: 45 }), ['embouchureRiserHeight', 'embouchureUndercutAngle']);
+});
+
+test('undercut and chamfered holes are placed for their larger chimney', () => {
+    const design = defaultD4Design();
+    const plain = new FluteEngine(design);
+    const straight = FluteEngine.calculate(design);
+    const withShape = (shape) => ({ ...design, holes: design.holes.map((hole, i) => i === 2 ? { ...hole, ...shape } : hole) });
+
+    // No undercut and no chamfer is the straight hole
+    const same = FluteEngine.calculate(withShape({ undercutDiameter: 0.3125, chamferDepth: 0 }));
+    assert.deepEqual(same.holes, straight.holes);
+
+    // Undercutting shortens the effective height and adds volume: the hole moves down, the next one up
+    const undercut = FluteEngine.calculate(withShape({ undercutDiameter: 0.4 }));
+    assert.ok(undercut.diagnostics.effectiveHoleHeights[2] < straight.diagnostics.effectiveHoleHeights[2]);
+    assert.ok(undercut.diagnostics.closedHoleCorrections[2] > straight.diagnostics.closedHoleCorrections[2]);
+    assert.ok(undercut.holes[2].physicalPosition < straight.holes[2].physicalPosition);
+    assert.ok(undercut.holes[3].physicalPosition > straight.holes[3].physicalPosition);
+    [0, 1].forEach(i => assertClose(undercut.holes[i].physicalPosition, straight.holes[i].physicalPosition));
+
+    // A straight hole's volume gives back the closed hole correction of the formula
+    const hole = { diameter: 0.3, boreDiameter: 0.824, undercutDiameter: 0.3, chamferDepth: 0 };
+    const cone = { ...hole, undercutDiameter: 0.4 };
+    assertClose(plain.calculateHoleVolumeOf(hole), 0.113 * Math.PI * 0.09 / 4);
+    assertClose(plain.calculateHoleVolumeOf(cone), Math.PI * 0.113 / 12 * (0.09 + 0.12 + 0.16), 1e-6); // Frustum
+    assertClose(plain.calculateHoleAreaAt({ ...hole, chamferDepth: 0.05 }, 0), Math.PI * 0.4 * 0.4 / 4);
+    assertClose(plain.calculateHoleAreaAt({ ...hole, chamferDepth: 0.05 }, 0.06), Math.PI * 0.09 / 4);
+
+    // Analysis predicts a sharper note for an undercut hole
+    const measured = { ...withShape({ undercutDiameter: 0.4 }), embouchurePosition: straight.embouchurePhysicalPosition };
+    measured.holes = measured.holes.map((designHole, i) => ({ ...designHole, position: straight.holes[i].physicalPosition }));
+    assert.ok(FluteEngine.analyze(measured).holes[2].predictedFrequency > design.holes[2].frequency);
+
+    assert.deepEqual(FluteEngine.validateDesign(withShape({ undercutDiameter: 0.3, chamferDepth: 0.113 })).map(error => [error.field, error.holeIndex]),
+        [['undercutDiameter', 2], ['chamferDepth', 2]]);
+});
+
+test('breath air changes the speed of sound and shifts every note', () => {
+    const design = { ...defaultD4Design(), units: 'cm' };
+    const dry = new FluteEngine(design);
+    assert.equal(dry.calculateGasSpeedRatio(), 1);
+    assert.equal(dry.calculatePitchShiftCents(), 0);
+    assertClose(dry.speedOfSound, 100 * 331.3 * Math.sqrt(1 + 20 / 273.15));
+
+    // Warm air is faster, humid air a little faster, carbon dioxide slower
+    assert.equal(new FluteEngine({ ...design, boreTemperatureCelsius: 30 }).speedOfSound, new FluteEngine({ ...design, temperatureCelsius: 30 }).speedOfSound);
+    const humid = new FluteEngine({ ...design, relativeHumidity: 100 });
+    assert.ok(humid.calculateGasSpeedRatio() > 1.003 && humid.calculateGasSpeedRatio() < 1.004);
+    const co2 = new FluteEngine({ ...design, co2Percent: 4 });
+    assert.ok(co2.calculateGasSpeedRatio() > 0.985 && co2.calculateGasSpeedRatio() < 0.99);
+
+    // Breath at 30 °C: sharper than the room, by the shift of the predicted notes of the same flute
+    const breath = { ...design, boreTemperatureCelsius: 30, relativeHumidity: 90, co2Percent: 4 };
+    const shift = new FluteEngine(breath).calculatePitchShiftCents();
+    assert.ok(shift > 10 && shift < 25, `shift ${shift}`);
+    const result = FluteEngine.calculate(design);
+    const measured = { ...breath, embouchurePosition: result.embouchurePhysicalPosition, holes: design.holes.map((hole, i) => ({ ...hole, position: result.holes[i].physicalPosition })) };
+    const predicted = FluteEngine.analyze(measured);
+    assertClose(1200 * Math.log2(predicted.end.predictedFrequency / design.endFrequency), shift, 1e-6);
+
+    assert.deepEqual(FluteEngine.validateDesign({ ...design, boreTemperatureCelsius: 70, relativeHumidity: 101, co2Percent: -1 }).map(error => error.field),
+        ['boreTemperatureCelsius', 'relativeHumidity', 'co2Percent']);
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Unit tests for the finger reach checker.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteErgonomics } = require('../flutomat-ergonomics.js');
+const { defaultD4Design } = require('../test-support/fixtures.js');
+
+/**
+ * Calculated hole positions of a design.
+ * @param {FluteDesign} design
+ * @returns {number[]}
+ */
+function positionsOf(design) {
+    return FluteEngine.calculate(design).holes.map(hole => hole.physicalPosition);
+}
+
+test('assigns the usual fingers from the highest hole', () => {
+    assert.deepEqual(FluteErgonomics.getDefaultFingers(6), ['R3', 'R2', 'R1', 'L3', 'L2', 'L1']);
+    assert.deepEqual(FluteErgonomics.getDefaultFingers(7), ['R4', 'R3', 'R2', 'R1', 'L3', 'L2', 'L1']);
+    assert.deepEqual(FluteErgonomics.getDefaultFingers(3), ['L3', 'L2', 'L1']);
+    assert.deepEqual(FluteErgonomics.getDefaultFingers(9).slice(0, 2), ['', 'R4']);
+});
+
+test('adds up the finger spans within a hand', () => {
+    const checker = new FluteErgonomics({ spans: [1.5, 1.25, 1.25], fingerWidth: 0.6 }, []);
+
+    assert.deepEqual(checker.getReach('L1', 'L2'), { min: 0.6, max: 1.5 });
+    assert.deepEqual(checker.getReach('R2', 'R4'), { min: 1.2, max: 2.5 });
+    assert.deepEqual(checker.getReach('L3', 'R1'), { min: 0.6, max: Infinity }); // The hands move freely
+    assert.ok(isNaN(checker.getReach('R1', 'L3').max));
+});
+
+test('fits the default design to a medium hand', () => {
+    const design = defaultD4Design();
+    const report = FluteErgonomics.check(positionsOf(design), FluteErgonomics.getPreset('medium', 'inches'), FluteErgonomics.getDefaultFingers(6), design);
+
+    assert.equal(report.pairs.length, 5);
+    assert.deepEqual(report.problems, []);
+    assert.deepEqual(report.pairs.map(pair => pair.upperHoleIndex), [5, 4, 3, 2, 1]);
+});
+
+test('flags the stretches of a small hand and suggests smaller holes', () => {
+    const design = defaultD4Design();
+    const positions = positionsOf(design);
+    const report = FluteErgonomics.check(positions, FluteErgonomics.getPreset('small', 'inches'), FluteErgonomics.getDefaultFingers(6), design);
+    const stretch = report.problems.find(pair => pair.lowerHoleIndex === 0);
+
+    assert.ok(report.problems.every(pair => pair.problem.kind === 'stretch'));
+    assert.match(stretch.problem.message, /Holes 1 and 2 are 1\.343 apart, more than the 1\.220 between the right middle and right ring fingertips/);
+
+    // The lower hole moves up, as a smaller hole that plays the same note
+    const { holeIndex, offset, diameter } = stretch.problem.suggestion;
+    assert.equal(holeIndex, 0);
+    assert.ok(Math.abs(offset - (stretch.distance - stretch.max)) < 1e-9);
+    assert.ok(diameter < design.holes[0].diameter);
+    const moved = positionsOf({ ...design, holes: design.holes.map((hole, i) => i === 0 ? { ...hole, diameter } : hole) });
+    assert.ok(Math.abs(moved[0] - (positions[0] + offset)) < 0.003);
+});
+
+test('flags cramped and misassigned fingers', () => {
+    const positions = positionsOf(defaultD4Design());
+    const hand = { ...FluteErgonomics.getPreset('large', 'inches'), fingerWidth: 1.4 };
+    const report = FluteErgonomics.check(positions, hand, ['R3', 'R2', 'R1', 'L3', 'L3', 'L2']);
+
+    assert.deepEqual(report.problems.map(pair => [pair.lowerHoleIndex, pair.problem.kind]), [[3, 'order'], [1, 'cramped'], [0, 'cramped']]);
+    assert.match(report.problems[0].problem.message, /both covered by the left ring finger/);
+    // Without a design, the suggestion is only an offset
+    assert.equal(report.problems[1].problem.suggestion.message, 'Move hole 3 up by 0.053');
+});
+
+test('validates hands and finger assignments', () => {
+    const hand = FluteErgonomics.getPreset('medium', 'cm');
+    assert.deepEqual(hand, { spans: [4.0, 3.6, 3.1], fingerWidth: 1.6 });
+    assert.deepEqual(FluteErgonomics.validate(hand, FluteErgonomics.getDefaultFingers(6), 6), []);
+
+    const errors = FluteErgonomics.validate({ spans: [4, 0, 3], fingerWidth: NaN }, ['L1', 'thumb'], 6);
+    assert.deepEqual(errors.map(error => [error.field, error.holeIndex]), [['spans', undefined], ['fingerWidth', undefined], ['fingers', 1]]);
+    assert.equal(FluteErgonomics.validate(hand, new Array(7).fill(''), 6)[0].field, 'fingers');
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Unit tests for the transfer matrix impedance model.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteImpedanceModel } = require('../flutomat-impedance.js');
+const { defaultD4Design, withMeasuredPositions } = require('../test-support/fixtures.js');
+
+test('stays close to the quadratic solver on the default design', () => {
+    const quadratic = FluteEngine.calculate(defaultD4Design());
+    const result = FluteImpedanceModel.calculate(defaultD4Design());
+
+    assert.equal(result.success, true);
+    assert.equal(result.solver, 'transferMatrix');
+    assert.deepEqual(result.diagnostics.errors, []);
+    assert.ok(Math.abs(result.embouchurePhysicalPosition - quadratic.embouchurePhysicalPosition) < 0.2);
+    result.holes.forEach((hole, i) => assert.ok(Math.abs(hole.physicalPosition - quadratic.holes[i].physicalPosition) < 0.2, `hole ${i + 1}`));
+});
+
+test('the resonance of every fingering matches its target', () => {
+    const design = defaultD4Design();
+    const analysis = FluteImpedanceModel.analyze(withMeasuredPositions(design, FluteImpedanceModel.calculate(design)));
+
+    assert.equal(analysis.success, true);
+    assert.ok(Math.abs(analysis.end.deviationCents) < 1e-3);
+    analysis.holes.forEach(hole => assert.ok(Math.abs(hole.deviationCents) < 1e-3));
+});
+
+test('the input impedance has a minimum at the resonance', () => {
+    const model = new FluteImpedanceModel(defaultD4Design());
+    const { layout } = model.calculatePositions();
+    const magnitude = (frequency) => {
+        const impedance = model.calculateInputImpedance(frequency, layout, 0);
+        return Math.hypot(impedance.re, impedance.im);
+    };
+    const resonance = model.findResonance(layout, 0, 293.66);
+
+    assert.ok(Math.abs(FluteEngine.centsBetween(resonance, 293.66)) < 1e-3);
+    assert.ok(magnitude(resonance) < magnitude(resonance * 0.98));
+    assert.ok(magnitude(resonance) < magnitude(resonance * 1.02));
+});
+
+test('solves holes the quadratic solver cannot', () => {
+    const design = defaultD4Design();
+    design.holes.push({ frequency: 587.33, diameter: 0.375 }, { frequency: 659.26, diameter: 0.375 });
+    assert.equal(FluteEngine.calculate(design).success, false);
+
+    const result = FluteImpedanceModel.calculate(design);
+    assert.equal(result.success, true);
+    result.holes.forEach((hole, i) => assert.ok(hole.physicalPosition > (i > 0 ? result.holes[i - 1].physicalPosition : 0)));
+});
+
+test('fails instead of throwing on invalid designs', () => {
+    const result = FluteImpedanceModel.calculate({ ...defaultD4Design(), endFrequency: 'abc' });
+    assert.equal(result.success, false);
+    assert.ok(result.diagnostics.errors.length > 0);
+    assert.ok(Number.isNaN(result.holes[0].physicalPosition));
+});
+
+test('plots every fingering with its first registers', () => {
+    const model = new FluteImpedanceModel(defaultD4Design());
+    const { layout } = model.calculatePositions();
+    const spectra = model.calculateSpectra(layout);
+
+    assert.equal(spectra.length, 7);
+    spectra.forEach((spectrum, openHoleCount) => {
+        const target = openHoleCount === 0 ? 293.66 : defaultD4Design().holes[openHoleCount - 1].frequency;
+        assert.equal(spectrum.openHoleCount, openHoleCount);
+        assert.equal(spectrum.magnitudes.length, spectrum.frequencies.length);
+        assert.equal(spectrum.resonances.length, 3);
+        assert.ok(Math.abs(FluteEngine.centsBetween(spectrum.resonances[0], target)) < 1e-3);
+    });
+    // The second register of the end note is close to the octave
+    assert.ok(Math.abs(FluteEngine.centsBetween(spectra[0].resonances[1], 2 * 293.66)) < 50);
+});
+
+test('predicts both registers of any fingering', () => {
+    const model = new FluteImpedanceModel(defaultD4Design());
+    const { layout } = model.calculatePositions();
+    const closed = ['closed', 'closed', 'closed', 'closed', 'closed', 'closed'];
+
+    // The same fingering as a count or as hole states
+    const natural = model.predictFingering(layout, 2);
+    assert.ok(Math.abs(FluteEngine.centsBetween(natural.firstRegister, 369.99)) < 1e-3);
+    assert.deepEqual(model.predictFingering(layout, ['open', 'open', ...closed.slice(2)]), natural);
+    assert.ok(Math.abs(natural.octaveDeviationCents) < 50);
+    assert.equal(natural.octaveDeviationCents, FluteEngine.centsBetween(natural.secondRegister, 2 * natural.firstRegister));
+
+    // Half-holing hole 2 sounds between the notes of holes 1 and 2
+    const halfHoled = model.predictFingering(layout, ['open', 'half', ...closed.slice(2)]);
+    assert.ok(halfHoled.firstRegister > 329.63 && halfHoled.firstRegister < 369.99);
+
+    // Closing holes below the first open one (a fork) flattens the note
+    const forked = model.predictFingering(layout, ['open', 'open', 'open', 'closed', 'closed', 'open']);
+    assert.ok(forked.firstRegister > 493.88 && forked.firstRegister < 554.37);
+});
+
+test('tunes keyed holes with the finger holes of the lower notes open', () => {
+    const design = { ...defaultD4Design(), keys: [{ frequency: 311.13, diameter: 0.3 }, { frequency: 415.30, diameter: 0.25 }] };
+    const quadratic = FluteEngine.calculate(design);
+    const result = FluteImpedanceModel.calculate(design);
+
+    assert.equal(result.success, true);
+    result.keys.forEach((key, j) => assert.ok(Math.abs(key.physicalPosition - quadratic.keys[j].physicalPosition) < 0.2, `key ${j + 1}`));
+
+    const analysis = FluteImpedanceModel.analyze(withMeasuredPositions(design, result));
+    assert.equal(analysis.success, true);
+    analysis.holes.forEach(hole => assert.ok(Math.abs(hole.deviationCents) < 1e-3));
+    analysis.keys.forEach(key => assert.ok(Math.abs(key.deviationCents) < 1e-3));
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Unit tests for the design library.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteDocument } = require('../flutomat-document.js');
+const { FluteLibrary } = require('../flutomat-library.js');
+
+/**
+ * In-memory stand-in for localStorage.
+ * @returns {Storage}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+/**
+ * A minimal valid document.
+ * @param {number} [boreDiameter=0.824]
+ * @returns {FluteDocumentData}
+ */
+function createDocument(boreDiameter = 0.824) {
+    return FluteDocument.create({
+        design: {
+            units: 'inches',
+            temperatureCelsius: 20,
+            boreDiameter,
+            wallThickness: 0.113,
+            embouchureDiameter: 0.5,
+            endFrequency: 293.66,
+            holes: [{ frequency: 329.63, diameter: 0.25 }],
+        },
+    });
+}
+
+test('saves, lists and loads designs', () => {
+    const library = new FluteLibrary(createStorage());
+    const idB = library.save('  Bamboo D ', createDocument(0.8));
+    library.save('Alto G', createDocument(1));
+
+    assert.deepEqual(library.list().map(entry => entry.name), ['Alto G', 'Bamboo D']);
+    const loaded = library.load(idB);
+    assert.equal(loaded.name, 'Bamboo D');
+    assert.equal(loaded.design.boreDiameter, 0.8);
+});
+
+test('replaces the design saved under the same name', () => {
+    const library = new FluteLibrary(createStorage());
+    const id = library.save('Bamboo D', createDocument(0.8));
+
+    assert.equal(library.save('Bamboo D', createDocument(0.7)), id);
+    assert.equal(library.list().length, 1);
+    assert.equal(library.load(id).design.boreDiameter, 0.7);
+    assert.throws(() => library.save(' ', createDocument()), /Enter a name/);
+});
+
+test('renames, duplicates and deletes designs', () => {
+    const library = new FluteLibrary(createStorage());
+    const id = library.save('Bamboo D', createDocument());
+    const otherId = library.save('Alto G', createDocument());
+
+    library.rename(id, 'Cane D');
+    assert.throws(() => library.rename(id, 'Alto G'), /already exists/);
+    assert.equal(library.load(id).name, 'Cane D');
+
+    const copyId = library.duplicate(id);
+    const secondCopyId = library.duplicate(id);
+    assert.deepEqual(library.list().map(entry => entry.name).sort(), ['Alto G', 'Cane D', 'Cane D (copy 2)', 'Cane D (copy)'].sort());
+    assert.equal(library.load(copyId).name, 'Cane D (copy)');
+
+    library.remove(otherId);
+    library.remove(secondCopyId);
+    assert.deepEqual(library.list().map(entry => entry.name), ['Cane D', 'Cane D (copy)']);
+    assert.throws(() => library.remove(otherId), /No saved design/);
+});
+
+test('validates stored designs when loading them', () => {
+    const storage = createStorage();
+    const library = new FluteLibrary(storage);
+    const id = library.save('Broken', { ...createDocument(), design: { units: 'inches' } });
+
+    assert.throws(() => library.load(id), /Invalid design document/);
+
+    storage.setItem(library.LIBRARY_KEY, '{not json');
+    assert.deepEqual(library.list(), []);
+});
+
+test('keeps the working design and a copy from before a reset', () => {
+    const library = new FluteLibrary(createStorage());
+    assert.equal(library.loadAutosave(), null);
+    assert.equal(library.backupAutosave(), false);
+
+    library.saveAutosave(createDocument(0.8));
+    assert.equal(library.backupAutosave(), true);
+    library.saveAutosave(createDocument(0.7));
+
+    assert.equal(library.loadAutosave().design.boreDiameter, 0.7);
+    assert.equal(library.loadAutosave('beforeReset').design.boreDiameter, 0.8);
+    assert.equal(library.hasAutosave('beforeReset'), true);
+
+    assert.equal(library.isAutosaveEnabled(), true);
+    library.setAutosaveEnabled(false);
+    assert.equal(library.isAutosaveEnabled(), false);
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Unit tests for the hole diameter optimizer.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteImpedanceModel } = require('../flutomat-impedance.js');
+const { FluteDiameterOptimizer } = require('../flutomat-optimizer.js');
+const { defaultD4Design } = require('../test-support/fixtures.js');
+
+/**
+ * Distance between each hole and the hole below it.
+ * @param {FluteEngineResult} result
+ * @returns {number[]}
+ */
+function spacings(result) {
+    return result.holes.slice(1).map((hole, i) => hole.physicalPosition - result.holes[i].physicalPosition);
+}
+
+test('brings the holes within a maximum spacing', () => {
+    const design = defaultD4Design();
+    assert.ok(Math.max(...spacings(FluteEngine.calculate(design))) > 2); // Between the 3rd and 4th holes
+    const optimized = FluteDiameterOptimizer.optimize(design, { maxSpacing: 1.2 });
+
+    assert.equal(optimized.success, true, optimized.diagnostics.errors.map(error => error.message).join('\n'));
+    spacings(optimized.result).forEach(spacing => assert.ok(spacing <= 1.2 + 0.002, `spacing ${spacing}`));
+    const { min, max } = new FluteDiameterOptimizer(design, {}).getDiameterRange(0);
+    optimized.diameters.forEach(diameter => assert.ok(diameter >= min && diameter <= max));
+
+    // The result is the solver's own, for the diameters found
+    const check = FluteEngine.calculate({ ...design, holes: design.holes.map((hole, i) => ({ ...hole, diameter: optimized.diameters[i] })) });
+    assert.deepEqual(check.holes.map(hole => hole.physicalPosition), optimized.result.holes.map(hole => hole.physicalPosition));
+});
+
+test('places a hole at a fixed position and leaves the holes below alone', () => {
+    const design = defaultD4Design();
+    const optimized = FluteDiameterOptimizer.optimize(design, { holes: [{}, {}, { position: 7 }] });
+
+    assert.equal(optimized.success, true);
+    assert.ok(Math.abs(optimized.result.holes[2].physicalPosition - 7) <= 0.002);
+    assert.deepEqual(optimized.diameters.slice(0, 2), [0.25, 0.4375]);
+    assert.deepEqual(optimized.diameters.slice(3), [0.3125, 0.375, 0.375]);
+});
+
+test('keeps the diameters when the constraints are already met', () => {
+    const optimized = FluteDiameterOptimizer.optimize(defaultD4Design(), { maxSpacing: 3 });
+
+    assert.equal(optimized.success, true);
+    assert.deepEqual(optimized.diameters, defaultD4Design().holes.map(hole => hole.diameter));
+});
+
+test('reports constraints that no diameters can meet', () => {
+    const design = defaultD4Design();
+    const tooClose = FluteDiameterOptimizer.optimize(design, { maxSpacing: 1 });
+    assert.equal(tooClose.success, false);
+    assert.deepEqual(tooClose.diagnostics.errors.map(error => [error.field, error.holeIndex]), [['diameter', 0]]);
+    assert.match(tooClose.diagnostics.errors[0].message, /Hole 1 can't move up .* even at its smallest/);
+
+    const tooLarge = FluteDiameterOptimizer.optimize(design, { holes: [{ position: 3, maxDiameter: 0.3 }] });
+    assert.equal(tooLarge.success, false);
+    assert.match(tooLarge.diagnostics.errors[0].message, /Hole 1 can't move down to 3\.002, even at its largest \(0\.300\)/);
+    assert.equal(tooLarge.diameters[0], 0.3);
+});
+
+test('reports a solver that stops working during the fit', () => {
+    // The quadratic solver does the search, then a solver failing after a number of runs finishes it
+    for (let runs = 0; runs < 20; runs++) {
+        let count = 0;
+        const solver = {
+            calculate: (design) => ++count > runs
+                ? { success: false, holes: [], keys: [], diagnostics: { errors: [{ field: 'solver', message: 'Broken' }] } }
+                : FluteEngine.calculate(design),
+        };
+        const optimized = FluteDiameterOptimizer.optimize(defaultD4Design(), { maxSpacing: 1.2 }, solver);
+        assert.equal(optimized.diagnostics.errors.length > 0, !optimized.success, `after ${runs} runs`);
+    }
+});
+
+test('keeps the widening of undercut holes', () => {
+    const design = defaultD4Design();
+    design.holes[3] = { ...design.holes[3], undercutDiameter: 0.4 };
+    assert.deepEqual(FluteDiameterOptimizer.resizeHole(design.holes[3], 0.25), { frequency: 440, diameter: 0.25, undercutDiameter: 0.3375 });
+    assert.deepEqual(FluteDiameterOptimizer.resizeHole(design.holes[2], 0.5), { frequency: 392, diameter: 0.5 });
+
+    const optimized = FluteDiameterOptimizer.optimize(design, { maxSpacing: 1.2 });
+    assert.equal(optimized.success, true);
+    assert.ok(optimized.diameters[3] !== 0.3125);
+    const check = FluteEngine.calculate({ ...design, holes: design.holes.map((hole, i) => FluteDiameterOptimizer.resizeHole(hole, optimized.diameters[i])) });
+    assert.deepEqual(check.holes.map(hole => hole.physicalPosition), optimized.result.holes.map(hole => hole.physicalPosition));
+});
+
+test('optimizes with the transfer matrix solver', () => {
+    const design = defaultD4Design();
+    const optimized = FluteDiameterOptimizer.optimize(design, { maxSpacing: 1.1 }, FluteImpedanceModel);
+
+    assert.equal(optimized.success, true);
+    const check = FluteImpedanceModel.calculate({ ...design, holes: design.holes.map((hole, i) => ({ ...hole, diameter: optimized.diameters[i] })) });
+    assert.deepEqual(check.holes.map(hole => hole.physicalPosition), optimized.result.holes.map(hole => hole.physicalPosition));
+    spacings(optimized.result).forEach(spacing => assert.ok(spacing <= 1.1 + 0.002, `spacing ${spacing}`));
+});
+
+test('meets other spacings with the transfer matrix solver, as holes above move the holes below', () => {
+    [1.25, 1.4, 1.55].forEach(maxSpacing => {
+        const optimized = FluteDiameterOptimizer.optimize(defaultD4Design(), { maxSpacing }, FluteImpedanceModel);
+
+        assert.equal(optimized.success, true, `${maxSpacing}: ${optimized.diagnostics.errors.map(error => error.message).join('\n')}`);
+        spacings(optimized.result).forEach(spacing => assert.ok(spacing <= maxSpacing + 0.002, `${maxSpacing}: spacing ${spacing}`));
+    });
+});
+
+test('validates constraints', () => {
+    assert.deepEqual(FluteDiameterOptimizer.validateConstraints({ maxSpacing: 1.2, holes: [{ minDiameter: 0.2, position: 4 }] }, 6), []);
+    assert.equal(FluteDiameterOptimizer.validateConstraints(null, 6)[0].field, 'constraints');
+
+    const errors = FluteDiameterOptimizer.validateConstraints({
+        maxSpacing: 0,
+        holes: [{ minDiameter: 0.4, maxDiameter: 0.3 }, { position: 'x' }],
+    }, 6);
+    assert.deepEqual(errors.map(error => [error.field, error.holeIndex]), [['maxSpacing', undefined], ['maxDiameter', 0], ['position', 1]]);
+    assert.equal(FluteDiameterOptimizer.validateConstraints({ holes: new Array(7).fill({}) }, 6)[0].field, 'holes');
+});
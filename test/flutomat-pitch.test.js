@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Unit tests for the pitch detector.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FlutePitchDetector } = require('../flutomat-pitch.js');
+
+/**
+ * A flute-like tone: a fundamental and weaker harmonics.
+ * @param {number} frequency - Fundamental in Hz.
+ * @param {number} sampleRate - Samples per second.
+ * @param {number} length - Number of samples.
+ * @returns {Float32Array}
+ */
+function tone(frequency, sampleRate, length) {
+    const samples = new Float32Array(length);
+    [1, 0.5, 0.25, 0.1].forEach((amplitude, k) => {
+        for (let i = 0; i < length; i++) {
+            samples[i] += 0.3 * amplitude * Math.sin(2 * Math.PI * frequency * (k + 1) * i / sampleRate + k);
+        }
+    });
+    return samples;
+}
+
+/**
+ * Encodes samples as an integer PCM WAV file, the same samples in every channel.
+ * @param {Float32Array} samples - The samples.
+ * @param {number} sampleRate - Samples per second.
+ * @param {number} channelCount - Channels to write.
+ * @param {number} bitsPerSample - 8, 16, 24 or 32.
+ * @returns {ArrayBuffer}
+ */
+function encodeWav(samples, sampleRate, channelCount, bitsPerSample) {
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = channelCount * bytesPerSample;
+    const buffer = Buffer.alloc(44 + samples.length * blockAlign);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(buffer.length - 8, 4);
+    buffer.write('WAVEfmt ', 8);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(channelCount, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+    buffer.writeUInt16LE(blockAlign, 32);
+    buffer.writeUInt16LE(bitsPerSample, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * blockAlign, 40);
+    const scale = 2 ** (bitsPerSample - 1) - 1;
+    samples.forEach((sample, i) => {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const offset = 44 + i * blockAlign + channel * bytesPerSample;
+            const value = Math.round(sample * scale);
+            if (bitsPerSample === 8) {
+                buffer.writeUInt8(value + 128, offset);
+            } else {
+                buffer.writeIntLE(value, offset, bytesPerSample);
+            }
+        }
+    });
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+}
+
+test('detects the pitch of a frame within a cent', () => {
+    const detector = new FlutePitchDetector(44100);
+    [146.83, 293.66, 554.37, 1174.66, 2349.32].forEach(frequency => {
+        const pitch = detector.detect(tone(frequency, 44100, detector.getFrameSize()));
+        assert.ok(Math.abs(FluteEngine.centsBetween(pitch.frequency, frequency)) < 1, `${frequency} Hz: ${pitch.frequency}`);
+        assert.ok(pitch.clarity > 0.9);
+    });
+});
+
+test('finds no pitch in silence or noise', () => {
+    const detector = new FlutePitchDetector(48000);
+    assert.equal(detector.detect(new Float32Array(detector.getFrameSize())), null);
+
+    let seed = 1;
+    const noise = Float32Array.from({ length: detector.getFrameSize() }, () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    });
+    assert.equal(detector.detect(noise), null);
+});
+
+test('reads WAV files and takes the median pitch of a recording', () => {
+    const sampleRate = 22050;
+    const samples = tone(392, sampleRate, sampleRate / 2);
+    samples.fill(0, 0, 2000); // Silence before the note
+
+    [[1, 16], [2, 8], [2, 24], [1, 32]].forEach(([channelCount, bitsPerSample]) => {
+        const recording = FlutePitchDetector.parseWav(encodeWav(samples, sampleRate, channelCount, bitsPerSample));
+        assert.equal(recording.sampleRate, sampleRate);
+        assert.equal(recording.channelCount, channelCount);
+        assert.equal(recording.samples.length, samples.length);
+        assert.ok(Math.abs(recording.samples[3000] - samples[3000]) < 0.01);
+    });
+
+    const { samples: decoded } = FlutePitchDetector.parseWav(encodeWav(samples, sampleRate, 2, 16));
+    const analysis = new FlutePitchDetector(sampleRate).analyzeRecording(decoded);
+    assert.ok(Math.abs(FluteEngine.centsBetween(analysis.frequency, 392)) < 1);
+    assert.ok(analysis.frames.length < analysis.frameCount);
+    assert.ok(analysis.frames[0].time > 0.05);
+});
+
+test('rejects files that are not uncompressed WAV', () => {
+    assert.throws(() => FlutePitchDetector.parseWav(new ArrayBuffer(8)), /missing RIFF\/WAVE header/);
+    const compressed = Buffer.from(encodeWav(new Float32Array(10), 8000, 1, 16));
+    compressed.writeUInt16LE(2, 20); // ADPCM
+    assert.throws(() => FlutePitchDetector.parseWav(compressed.buffer.slice(compressed.byteOffset, compressed.byteOffset + compressed.length)), /Unsupported WAV encoding: format 2/);
+});
+
+test('matches the nearest note of the flute', () => {
+    const notes = [{ kind: 'end', frequency: 293.66 }, { kind: 'hole', index: 0, frequency: 329.63 }, { kind: 'hole', index: 1, frequency: NaN }];
+    const { note, deviationCents } = FlutePitchDetector.findNearestNote(315, notes);
+
+    assert.deepEqual(note, notes[1]);
+    assert.ok(Math.abs(deviationCents - FluteEngine.centsBetween(315, 329.63)) < 1e-9);
+    assert.equal(FlutePitchDetector.findNearestNote(440, []), null);
+});
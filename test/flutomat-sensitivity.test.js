@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Unit tests for the drilling tolerance analysis.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteSensitivity } = require('../flutomat-sensitivity.js');
+const { positionedD4Design } = require('../test-support/fixtures.js');
+
+test('predicts the notes of the positioned design', () => {
+    const report = FluteSensitivity.analyze(positionedD4Design());
+
+    assert.equal(report.success, true);
+    assert.deepEqual(report.notes.map(note => [note.kind, note.index]), [['end', undefined], ...[0, 1, 2, 3, 4, 5].map(i => ['hole', i])]);
+    report.notes.forEach((note, i) => assert.ok(Math.abs(note.frequency - [293.66, 329.63, 369.99, 392, 440, 493.88, 554.37][i]) < 0.5));
+});
+
+test('gives the sign and reach of each drilling error', () => {
+    const report = FluteSensitivity.analyze(positionedD4Design());
+    const input = (field, holeIndex) => report.inputs.find(input => input.field === field && input.holeIndex === holeIndex).centsPerUnit;
+
+    // A hole drilled further from the foot sharpens its own note and barely moves the ones below it
+    const position = input('position', 2);
+    assert.ok(position[3] > 0);
+    assert.deepEqual(position.slice(0, 3).map(cents => Math.abs(cents) < 0.5), [true, true, true]);
+    // A larger hole sharpens its own note
+    assert.ok(input('diameter', 2)[3] > 0);
+    // A thicker wall flattens every note; warmer air sharpens them all alike
+    assert.ok(input('wallThickness').every(cents => cents < 0));
+    const temperature = input('temperatureCelsius');
+    temperature.forEach(cents => assert.ok(Math.abs(cents - temperature[0]) < 0.05));
+    assert.ok(temperature[0] > 2.5 && temperature[0] < 3.5);
+});
+
+test('matches a direct perturbation', () => {
+    const design = positionedD4Design();
+    const report = FluteSensitivity.analyze(design);
+    const input = report.inputs.find(input => input.field === 'diameter' && input.holeIndex === 4);
+    const error = 0.01;
+    const notes = FluteSensitivity.getNotes(FluteEngine.analyze(FluteSensitivity.perturb(design, input, error)));
+    const cents = 1200 * Math.log2(notes[5].frequency / report.notes[5].frequency);
+
+    assert.ok(Math.abs(cents - input.centsPerUnit[5] * error) < 0.05 * Math.abs(cents));
+});
+
+test('repeats a seeded simulation and spreads with the tolerances', () => {
+    const design = positionedD4Design();
+    const tolerances = { holeDiameter: 0.01, holePosition: 0.02 };
+    const first = FluteSensitivity.simulate(design, tolerances, { samples: 50, seed: 7 });
+    const second = FluteSensitivity.simulate(design, tolerances, { samples: 50, seed: 7 });
+
+    assert.equal(first.success, true);
+    assert.equal(first.samples, 50);
+    assert.equal(first.failures, 0);
+    assert.deepEqual(first.spreads, second.spreads);
+    first.spreads.forEach(spread => assert.ok(spread.min <= spread.mean && spread.mean <= spread.max && spread.standardDeviation > 0));
+
+    const exact = FluteSensitivity.simulate(design, {}, { samples: 5, seed: 7 });
+    exact.spreads.forEach(spread => assert.deepEqual(spread, { mean: 0, standardDeviation: 0, min: 0, max: 0 }));
+});
+
+test('validates the tolerances', () => {
+    assert.deepEqual(FluteSensitivity.validateTolerances({ boreDiameter: 0, holePosition: 0.02 }), []);
+
+    const errors = FluteSensitivity.validateTolerances({ holeDiameter: -0.01, temperature: NaN });
+    assert.deepEqual(errors.map(error => error.field), ['holeDiameter', 'temperature']);
+    assert.deepEqual(FluteSensitivity.simulate(positionedD4Design(), { wallThickness: -1 }).errors.map(error => error.field), ['wallThickness']);
+});
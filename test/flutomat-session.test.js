@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Unit tests for the tuning session.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FluteTuningSession } = require('../flutomat-session.js');
+const { positionedD4Design } = require('../test-support/fixtures.js');
+
+/**
+ * The design with one hole drilled to another diameter.
+ * @param {FluteDesign} design
+ * @param {number} holeIndex
+ * @param {number} diameter
+ * @returns {FluteDesign}
+ */
+function withDiameter(design, holeIndex, diameter) {
+    return { ...design, holes: design.holes.map((hole, i) => i === holeIndex ? { ...hole, diameter } : hole) };
+}
+
+test('finds the diameter of a hole drilled small', () => {
+    const design = positionedD4Design();
+    const drilled = withDiameter(design, 2, 0.25);
+    // The flute plays exactly as the model predicts
+    const measured = { holes: FluteEngine.analyze(drilled).holes.map(hole => hole.predictedFrequency) };
+    const session = FluteTuningSession.recommend(drilled, measured);
+
+    assert.equal(session.success, true);
+    assert.deepEqual(session.notes.map(note => note.action), ['unmeasured', 'inTune', 'inTune', 'raise', 'inTune', 'inTune', 'inTune']);
+    const { diameter, undercutDiameter, undercutDirection } = session.notes[3];
+    assert.ok(Math.abs(diameter - 0.3125) < 1e-4);
+    assert.ok(undercutDiameter > 0.25 && undercutDiameter < 0.9 * 0.824);
+    assert.equal(undercutDirection, 'embouchure');
+    assert.ok(Math.abs(session.diameters[2] - 0.3125) < 1e-4);
+    assert.match(session.notes[3].message, /cents flat: enlarge it to 0\.313, or undercut it to/);
+});
+
+test('keeps the difference between the flute and the model', () => {
+    const design = positionedD4Design();
+    const predicted = FluteEngine.analyze(design).holes.map(hole => hole.predictedFrequency);
+    // Hole 2 plays 10 cents flat of its prediction: the model needs to predict 10 cents sharp of the target
+    const measured = { holes: predicted.map((frequency, i) => i === 1 ? frequency * Math.pow(2, -10 / 1200) : frequency) };
+    const note = FluteTuningSession.recommend(design, measured).notes[2];
+
+    assert.ok(Math.abs(note.deviationCents + 10) < 0.01);
+    const enlarged = FluteEngine.analyze(withDiameter(design, 1, note.diameter)).holes[1].predictedFrequency;
+    assert.ok(Math.abs(FluteEngine.centsBetween(enlarged, 369.99) - 10) < 0.01);
+});
+
+test('moves a sharp hole towards the foot', () => {
+    const design = positionedD4Design();
+    const predicted = FluteEngine.analyze(design).holes.map(hole => hole.predictedFrequency);
+    const measured = { end: 293.66, holes: predicted.map((frequency, i) => i === 4 ? frequency * Math.pow(2, 4 / 1200) : null) };
+    const session = FluteTuningSession.recommend(design, measured, { toleranceCents: 2 });
+    const note = session.notes[5];
+
+    assert.equal(session.notes[0].action, 'inTune');
+    assert.equal(note.action, 'lower');
+    assert.equal(note.undercutDirection, 'foot');
+    assert.equal(note.diameter, undefined);
+    assert.ok(note.positionShift < 0 && note.positionShift > -0.5 * 0.375);
+    assert.match(note.message, /4\.0 cents sharp: undercut the foot side, moving the hole 0\.\d{3} down/);
+    assert.deepEqual(session.diameters, design.holes.map(hole => hole.diameter));
+});
+
+test('records iterations and validates sessions', () => {
+    const design = positionedD4Design();
+    const iteration = FluteTuningSession.createIteration(design, { end: 292, holes: [330] }, new Date(Date.UTC(2026, 9, 18)));
+
+    assert.equal(iteration.date, '2026-10-18T00:00:00.000Z');
+    assert.deepEqual(iteration.diameters, [0.25, 0.4375, 0.3125, 0.3125, 0.375, 0.375]);
+    assert.deepEqual(iteration.notes.slice(0, 3).map(note => note.measuredFrequency), [292, 330, null]);
+    assert.deepEqual(FluteTuningSession.validateSession({ measured: { end: 292 }, toleranceCents: 3, iterations: [iteration] }), []);
+
+    const errors = FluteTuningSession.validateSession({ measured: { end: 0, keys: [440, 'x'] }, toleranceCents: -1, iterations: {} });
+    assert.deepEqual(errors.map(error => [error.field, error.keyIndex]), [['measuredEnd', undefined], ['measuredKey', 1], ['toleranceCents', undefined], ['iterations', undefined]]);
+    assert.equal(FluteTuningSession.recommend(design, { holes: [-1] }).errors[0].field, 'measuredHole');
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Unit tests for the scale preview synthesizer.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteEngine } = require('../flutomat-engine.js');
+const { FlutePitchDetector } = require('../flutomat-pitch.js');
+const { FluteSynthesizer } = require('../flutomat-synth.js');
+
+test('encodeWav writes a 16-bit mono PCM file that parseWav reads back', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 2, -2]);
+    const buffer = FluteSynthesizer.encodeWav(samples, 22050);
+    assert.equal(buffer.byteLength, 44 + samples.length * 2);
+    const view = new DataView(buffer);
+    assert.equal(view.getUint16(22, true), 1);
+    assert.equal(view.getUint32(24, true), 22050);
+    assert.equal(view.getUint16(34, true), 16);
+
+    const recording = FlutePitchDetector.parseWav(buffer);
+    assert.equal(recording.sampleRate, 22050);
+    assert.equal(recording.channelCount, 1);
+    [0, 0.5, -0.5, 1, -1].forEach((expected, i) => assert.ok(Math.abs(recording.samples[i] - expected) < 1e-4, `sample ${i}`));
+});
+
+test('renderNote plays the requested pitch, starting and ending in silence', () => {
+    const synthesizer = new FluteSynthesizer(44100);
+    const samples = synthesizer.renderNote(440, 0.5);
+    assert.equal(samples.length, 22050);
+    assert.ok(samples[0] === 0 && samples[samples.length - 1] === 0);
+    const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+    assert.ok(peak > 0.2 && peak <= synthesizer.PEAK_LEVEL, `peak ${peak}`);
+
+    const { frequency } = new FlutePitchDetector(44100).analyzeRecording(samples);
+    assert.ok(Math.abs(FluteEngine.centsBetween(frequency, 440)) < 1, `detected ${frequency}`);
+});
+
+test('renderNote renders the same samples every time', () => {
+    const synthesizer = new FluteSynthesizer(8000);
+    assert.deepEqual(synthesizer.renderNote(300, 0.1), synthesizer.renderNote(300, 0.1));
+});
+
+test('renderNote keeps the breath noise from repeating within a note', () => {
+    const synthesizer = new FluteSynthesizer(44100);
+    synthesizer.HARMONICS = synthesizer.HARMONICS.map(() => 0);
+    const samples = synthesizer.renderNote(440, 1);
+    // A generator losing precision falls into a cycle of 10466 samples, a quarter of a second at 44.1 kHz
+    const period = 10466;
+    const steady = samples.slice(8000, 8000 + period);
+    const later = samples.slice(8000 + period, 8000 + 2 * period);
+    const difference = steady.reduce((max, sample, i) => Math.max(max, Math.abs(sample - later[i])), 0);
+    assert.ok(difference > 0.1, `difference ${difference}`);
+});
+
+test('renderNote leaves out the harmonics above the Nyquist frequency', () => {
+    const synthesizer = new FluteSynthesizer(8000);
+    const fundamentalOnly = new FluteSynthesizer(8000);
+    fundamentalOnly.HARMONICS = [1, 0, 0, 0, 0];
+    // The same sound, but for the normalization by the sum of the amplitudes
+    const scale = (synthesizer.HARMONICS.reduce((sum, amplitude) => sum + amplitude, 0) + synthesizer.BREATH_LEVEL)
+        / (1 + synthesizer.BREATH_LEVEL);
+    const matches = (frequency) => {
+        const expected = fundamentalOnly.renderNote(frequency, 0.1);
+        return synthesizer.renderNote(frequency, 0.1).every((sample, i) => Math.abs(sample * scale - expected[i]) < 1e-6);
+    };
+    assert.ok(matches(3000));
+    assert.ok(!matches(1000));
+});
+
+test('renderScale plays the notes in order at the times of getNoteStartTimes, skipping invalid ones', () => {
+    const synthesizer = new FluteSynthesizer(22050);
+    const options = { noteSeconds: 0.3, gapSeconds: 0.1 };
+    const frequencies = [293.66, NaN, 369.99, 0, 440];
+    const samples = synthesizer.renderScale(frequencies, options);
+    assert.equal(samples.length, 3 * Math.round(0.4 * 22050));
+
+    const times = synthesizer.getNoteStartTimes(3, options);
+    assert.deepEqual(times.map(time => Math.round(time * 1000)), [0, 400, 800]);
+    const detector = new FlutePitchDetector(22050);
+    [293.66, 369.99, 440].forEach((expected, i) => {
+        const start = Math.round(times[i] * 22050);
+        const { frequency } = detector.analyzeRecording(samples.subarray(start, start + Math.round(0.3 * 22050)));
+        assert.ok(Math.abs(FluteEngine.centsBetween(frequency, expected)) < 1, `note ${i}: ${frequency}`);
+        assert.equal(samples[start + Math.round(0.35 * 22050)], 0, `gap after note ${i}`);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Unit tests for the tuning module.
+ * Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluteTuning, SCALES } = require('../flutomat-tuning.js');
+
+/**
+ * Rounds frequencies the way the form displays them.
+ * @param {number[]} frequencies
+ * @returns {string[]}
+ */
+function format(frequencies) {
+    return frequencies.map(frequency => frequency.toFixed(2));
+}
+
+test('fills the default D4 major flute', () => {
+    const { endFrequency, holeFrequencies } = new FluteTuning().getFrequencies(62, 6);
+
+    assert.equal(endFrequency.toFixed(2), '293.66');
+    assert.deepEqual(format(holeFrequencies), ['329.63', '369.99', '392.00', '440.00', '493.88', '554.37']);
+});
+
+test('continues the scale into the next octave', () => {
+    const tuning = new FluteTuning({ intervals: SCALES.minorPentatonic.intervals });
+    const { holeFrequencies } = tuning.getFrequencies(62, 7);
+
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7].map(degree => tuning.getScaleDegreeInterval(degree)), [0, 3, 5, 7, 10, 12, 15, 17]);
+    assert.equal(holeFrequencies[4].toFixed(2), '587.33'); // D5, one octave above the end note
+});
+
+test('every built-in scale starts on the root and stays within an octave', () => {
+    Object.values(SCALES).forEach(scale => {
+        assert.deepEqual(FluteTuning.parseIntervals(scale.intervals.join(' ')), scale.intervals, scale.name);
+    });
+});
+
+test('parses custom intervals', () => {
+    assert.deepEqual(FluteTuning.parseIntervals('0, 2 3.5;7  10'), [0, 2, 3.5, 7, 10]);
+    assert.throws(() => FluteTuning.parseIntervals(''), /at least one/);
+    assert.throws(() => FluteTuning.parseIntervals('2 4'), /start with 0/);
+    assert.throws(() => FluteTuning.parseIntervals('0 4 2'), /increase/);
+    assert.throws(() => FluteTuning.parseIntervals('0 7 12'), /octave/);
+    assert.throws(() => FluteTuning.parseIntervals('0 x'), /Invalid interval: x/);
+});
+
+test('moves every note with the reference pitch', () => {
+    const { endFrequency, holeFrequencies } = new FluteTuning({ referenceFrequency: 415 }).getFrequencies(62, 6);
+
+    assert.equal(endFrequency.toFixed(2), '276.98');
+    assert.equal(holeFrequencies[3].toFixed(2), '415.00');
+});
+
+test('names the nearest note of a frequency', () => {
+    const tuning = new FluteTuning();
+
+    assert.deepEqual(tuning.describeFrequency(440), { name: 'A4', cents: 0 });
+    const flatD5 = tuning.describeFrequency(587.33 * Math.pow(2, -30 / 1200));
+    assert.equal(flatD5.name, 'D5');
+    assert.ok(Math.abs(flatD5.cents + 30) < 0.01);
+    assert.equal(tuning.describeFrequency(16.35).name, 'C0');
+    assert.equal(new FluteTuning({ referenceFrequency: 415 }).describeFrequency(415).name, 'A4');
+    assert.equal(tuning.describeFrequency(NaN).name, '');
+});
+
+test('tunes just intonation and meantone from the tonic', () => {
+    const just = new FluteTuning({ temperament: 'just' }).getFrequencies(62, 6);
+    assert.equal(just.endFrequency.toFixed(2), '293.66'); // The tonic stays equal tempered
+    assert.equal((just.holeFrequencies[3] / just.endFrequency).toFixed(6), (3 / 2).toFixed(6));
+    assert.equal((just.holeFrequencies[1] / just.endFrequency).toFixed(6), (5 / 4).toFixed(6));
+
+    const meantone = new FluteTuning({ temperament: 'meantone' });
+    assert.equal((meantone.getIntervalCents(4)).toFixed(3), (1200 * Math.log2(5 / 4)).toFixed(3)); // Pure major third
+    assert.equal(meantone.getIntervalCents(7).toFixed(3), '696.578');
+    assert.equal(meantone.getIntervalCents(3).toFixed(1), '310.3'); // Eb above C, not D#
+    assert.equal(meantone.getIntervalCents(19).toFixed(3), '1896.578');
+});
+
+test('adds per-note cent offsets', () => {
+    const tuning = new FluteTuning({ endCentOffset: 1200, holeCentOffsets: [0, -50] });
+    const { endFrequency, holeFrequencies } = tuning.getFrequencies(62, 3);
+
+    assert.equal(endFrequency.toFixed(2), '587.33');
+    assert.equal(holeFrequencies[0].toFixed(2), '329.63');
+    assert.equal(holeFrequencies[1].toFixed(2), (369.99 * Math.pow(2, -50 / 1200)).toFixed(2));
+});
+
+test('reads Scala files', () => {
+    const scala = FluteTuning.parseScala([
+        '! pentatonic.scl',
+        '!',
+        'Just pentatonic',
+        ' 5',
+        '!',
+        ' 9/8',
+        ' 5/4',
+        ' 701.955 fifth in cents',
+        ' 5/3',
+        ' 2',
+    ].join('\r\n'));
+    assert.equal(scala.description, 'Just pentatonic');
+    assert.equal(scala.cents.length, 5);
+    assert.equal(scala.cents[4], 1200);
+
+    // With a Scala tuning the intervals count Scala degrees
+    const tuning = new FluteTuning({ intervals: [0, 1, 2, 3, 4], temperament: 'scala', scalaTuning: scala });
+    const { endFrequency, holeFrequencies } = tuning.getFrequencies(62, 5);
+    assert.equal((holeFrequencies[1] / endFrequency).toFixed(6), (5 / 4).toFixed(6));
+    assert.equal((holeFrequencies[4] / endFrequency).toFixed(6), (2).toFixed(6));
+    assert.equal(tuning.getScaleDegreeInterval(6), 6); // Next octave after 5 degrees, not 12
+    assert.deepEqual(FluteTuning.parseIntervals('0 2 4', 5), [0, 2, 4]);
+    assert.throws(() => FluteTuning.parseIntervals('0 2 5', 5), /below 5/);
+
+    assert.throws(() => FluteTuning.parseScala('Too short\n3\n9/8\n'), /expected 3 notes, found 1/);
+    assert.throws(() => FluteTuning.parseScala('Bad\n1\n-3/2\n'), /invalid pitch/);
+    assert.throws(() => FluteTuning.parseScala('Bad\nx\n'), /invalid note count/);
+    assert.throws(() => new FluteTuning({ temperament: 'scala' }), /Scala file/);
+});